@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// GitHub Actions Runner Container Hook
+// Set as ACTIONS_RUNNER_CONTAINER_HOOKS for jobs that declare `container:`.
+// RunnerHub has already started the job container on the shared workspace,
+// so steps are handed to it instead of being run by the runner's docker.
+
+/* global fetch */
+const fs = require('fs');
+
+const log = (message) => {
+    process.stderr.write(`[${new Date().toISOString()}] ${message}\n`);
+};
+
+const readInput = () => JSON.parse(fs.readFileSync(0, 'utf8'));
+
+const request = async (path, body) => {
+    const response = await fetch(`${process.env.RUNNERHUB_HOOK_URL}/api/job-containers/${encodeURIComponent(process.env.RUNNERHUB_JOB_ID)}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.RUNNERHUB_HOOK_TOKEN}`
+        },
+        body: JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`RunnerHub returned ${response.status}: ${payload.error || response.statusText}`);
+    }
+    return payload.data;
+};
+
+const runStep = (step) => request('/steps', step);
+
+const prepareJob = async (input) => {
+    const alpine = await runStep({ entryPoint: 'sh', args: ['-c', 'test -f /etc/alpine-release'] });
+
+    // Services were started by RunnerHub and are reachable by name
+    fs.writeFileSync(input.responseFile, JSON.stringify({
+        state: { container: process.env.RUNNERHUB_JOB_CONTAINER },
+        context: {
+            container: { id: process.env.RUNNERHUB_JOB_CONTAINER, network: '' },
+            services: []
+        },
+        isAlpine: alpine.exitCode === 0
+    }));
+    return 0;
+};
+
+const runScriptStep = async (input) => {
+    const { entryPoint, entryPointArgs, environmentVariables, workingDirectory, prependPath } = input.args;
+    const result = await runStep({
+        entryPoint,
+        args: entryPointArgs || [],
+        env: environmentVariables || {},
+        workingDir: workingDirectory,
+        prependPath: prependPath || []
+    });
+
+    process.stdout.write(result.stdout);
+    process.stderr.write(result.stderr);
+    return result.exitCode;
+};
+
+const main = async () => {
+    const input = readInput();
+
+    switch (input.command) {
+        case 'prepare_job':
+            return prepareJob(input);
+        case 'run_script_step':
+            return runScriptStep(input);
+        case 'cleanup_job':
+            // RunnerHub removes the job container once the runner exits
+            return 0;
+        default:
+            log(`ERROR: ${input.command} is not supported in RunnerHub job containers`);
+            return 1;
+    }
+};
+
+main().then(
+    (exitCode) => process.exit(exitCode),
+    (error) => {
+        log(`ERROR: ${error.message}`);
+        process.exit(1);
+    }
+);
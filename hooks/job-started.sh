@@ -35,11 +35,36 @@ GITHUB_REF="${GITHUB_REF:-}"
 GITHUB_EVENT_NAME="${GITHUB_EVENT_NAME:-}"
 GITHUB_ACTOR="${GITHUB_ACTOR:-}"
 RUNNER_LABELS="${RUNNER_LABELS:-self-hosted}"
+GITHUB_RUN_ATTEMPT="${GITHUB_RUN_ATTEMPT:-1}"
+GITHUB_API_URL="${GITHUB_API_URL:-https://api.github.com}"
+
+# GITHUB_JOB is the job key, shared by all matrix legs. The numeric id of
+# the job instance is the one this runner picked up in the run attempt.
+JOBS_URL="${GITHUB_API_URL}/repos/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}/attempts/${GITHUB_RUN_ATTEMPT}/jobs?per_page=100"
+AUTH_HEADER=()
+if [ -n "${GITHUB_TOKEN:-}" ]; then
+    AUTH_HEADER=(-H "Authorization: Bearer ${GITHUB_TOKEN}")
+fi
+GITHUB_JOB_ID=$(curl -sf ${AUTH_HEADER[@]+"${AUTH_HEADER[@]}"} -H "Accept: application/vnd.github+json" "$JOBS_URL" 2>/dev/null \
+    | jq -r --arg runner "$RUNNER_NAME" \
+        '[.jobs[] | select(.runner_name == $runner and .status == "in_progress")][0].id // empty' \
+    || echo "")
+
+if [ -z "$GITHUB_JOB_ID" ]; then
+    # Without the job id the delegation could not be deduplicated
+    log "WARNING: Could not look up the job id of $GITHUB_JOB, running the job on this runner"
+    exit 0
+fi
+
+# Same key as the workflow_job webhook derives, so either path dedupes the other
+IDEMPOTENCY_KEY="github-job-${GITHUB_JOB_ID}-${GITHUB_RUN_ATTEMPT}"
 
 # Create job context JSON
 JOB_CONTEXT=$(jq -n \
-    --arg jobId "$GITHUB_JOB" \
+    --arg jobId "$GITHUB_JOB_ID" \
+    --arg jobName "$GITHUB_JOB" \
     --arg runId "$GITHUB_RUN_ID" \
+    --argjson runAttempt "$GITHUB_RUN_ATTEMPT" \
     --arg repository "$GITHUB_REPOSITORY" \
     --arg workflow "$GITHUB_WORKFLOW" \
     --arg runnerName "$RUNNER_NAME" \
@@ -50,7 +75,9 @@ JOB_CONTEXT=$(jq -n \
     --arg labels "$RUNNER_LABELS" \
     '{
         jobId: $jobId,
+        jobName: $jobName,
         runId: $runId,
+        runAttempt: $runAttempt,
         repository: $repository,
         workflow: $workflow,
         runnerName: $runnerName,
@@ -68,6 +95,7 @@ RESPONSE=$(curl -s -w "\n%{http_code}" -X POST \
     "${ORCHESTRATOR_URL}/api/jobs/delegate" \
     -H "Content-Type: application/json" \
     -H "Authorization: Bearer ${RUNNER_TOKEN:-}" \
+    -H "Idempotency-Key: ${IDEMPOTENCY_KEY}" \
     -d "$JOB_CONTEXT" \
     2>/dev/null || echo "000")
 
@@ -0,0 +1,26 @@
+-- Migration: Job journal and outbox
+-- Description: Journal of queued jobs written in the same transaction as the job state,
+-- used as an outbox to deliver jobs to Redis and to rebuild the queues after a Redis loss
+
+CREATE TABLE IF NOT EXISTS runnerhub.job_journal (
+    job_id VARCHAR(255) PRIMARY KEY, -- BullMQ job id, used as the idempotency key when dispatching
+    queue_name VARCHAR(100) NOT NULL,
+    job_type VARCHAR(100) NOT NULL,
+    data JSONB NOT NULL,
+    opts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending', 'enqueued', 'active', 'completed', 'failed', 'removed'
+    )),
+    attempts_made INTEGER NOT NULL DEFAULT 0,
+    failed_reason TEXT,
+    dispatched_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbox relay: jobs committed but not yet delivered to Redis
+CREATE INDEX IF NOT EXISTS idx_job_journal_pending ON runnerhub.job_journal(created_at)
+    WHERE status = 'pending';
+
+-- Recovery: jobs that have not finished
+CREATE INDEX IF NOT EXISTS idx_job_journal_status ON runnerhub.job_journal(status, updated_at);
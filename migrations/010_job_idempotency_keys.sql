@@ -0,0 +1,9 @@
+-- Migration: Job idempotency keys
+-- Description: Deduplication key for delegated jobs, derived from the GitHub job id and
+-- run attempt or taken from the Idempotency-Key header of the delegation request
+
+ALTER TABLE runnerhub.jobs
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+
+-- Enforces one job record per key; also used as the BullMQ job id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_idempotency_key ON runnerhub.jobs(idempotency_key);
@@ -0,0 +1,19 @@
+-- Migration: Runner group pools
+-- Description: Pools registering runners at organization or enterprise level into a named
+-- runner group. Group pools are keyed "<scope>:<owner>/<group>" in the repository column.
+
+ALTER TABLE runnerhub.runner_pools
+ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'repository'
+    CHECK (scope IN ('repository', 'organization', 'enterprise')),
+ADD COLUMN IF NOT EXISTS owner VARCHAR(255), -- Organization or enterprise slug of group pools
+ADD COLUMN IF NOT EXISTS runner_group VARCHAR(255),
+ADD COLUMN IF NOT EXISTS runner_group_id BIGINT,
+ADD COLUMN IF NOT EXISTS visible_repositories TEXT[], -- NULL: every repository of the organization
+ADD COLUMN IF NOT EXISTS visible_organizations TEXT[]; -- NULL: every organization of the enterprise
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_runner_pools_group
+    ON runnerhub.runner_pools(scope, owner, runner_group)
+    WHERE scope <> 'repository';
+
+CREATE INDEX IF NOT EXISTS idx_runner_pools_runner_group ON runnerhub.runner_pools(runner_group)
+    WHERE runner_group IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Migration: API tokens
+-- Description: Long-lived, scoped tokens for automation. Only a SHA-256 hash of each token
+-- is stored, the plaintext is shown once when the token is created.
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('personal', 'service')),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Owner of personal tokens
+    token_prefix VARCHAR(16) NOT NULL, -- Leading characters, to recognise a token in listings
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL,
+    repositories TEXT[], -- NULL: every repository
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (kind = 'service' OR user_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_active ON api_tokens(expires_at) WHERE revoked_at IS NULL;
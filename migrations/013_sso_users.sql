@@ -0,0 +1,14 @@
+-- Migration: Single sign-on users
+-- Description: Users created on their first login through an identity provider. They are
+-- matched on the provider's subject and have no password.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS auth_provider VARCHAR(50) NOT NULL DEFAULT 'local',
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(255); -- Subject at the identity provider
+
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL; -- Providers need not release an email
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_external_identity
+    ON users(auth_provider, external_id)
+    WHERE external_id IS NOT NULL;
@@ -0,0 +1,48 @@
+-- Migration: RBAC roles and policies
+-- Description: Roles and policies of the authorization engine, shared by all nodes. Users
+-- keep their role in users.role; permissions of that column are granted directly.
+
+CREATE TABLE IF NOT EXISTS rbac_roles (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    constraints JSONB NOT NULL DEFAULT '{}'::jsonb, -- e.g. {"organizations": ["acme"]}
+    inherits TEXT[] NOT NULL DEFAULT '{}',
+    priority INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Policies grant (allow) or revoke (deny) permissions for roles or users under conditions
+CREATE TABLE IF NOT EXISTS rbac_policies (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255),
+    description TEXT,
+    effect VARCHAR(10) NOT NULL DEFAULT 'allow' CHECK (effect IN ('allow', 'deny')),
+    roles TEXT[] NOT NULL DEFAULT '{}',
+    users TEXT[] NOT NULL DEFAULT '{}',
+    permissions TEXT[] NOT NULL,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb, -- organizations, repositories, ipAddresses
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_rbac_roles_updated_at
+    BEFORE UPDATE ON rbac_roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rbac_policies_updated_at
+    BEFORE UPDATE ON rbac_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The roles users.role refers to
+INSERT INTO rbac_roles (id, name, description, permissions, inherits, priority) VALUES
+    ('admin', 'Administrator', 'Full system access', ARRAY['*'], ARRAY['operator', 'viewer'], 100),
+    ('operator', 'Operator', 'Run jobs and manage runners',
+        ARRAY['jobs:write', 'jobs:delegate', 'runners:write', 'runners:scale'], ARRAY['viewer'], 50),
+    ('viewer', 'Viewer', 'Read-only access',
+        ARRAY['jobs:read', 'runners:read', 'system:read', 'monitoring:read', 'audit:read'], ARRAY[]::TEXT[], 10)
+ON CONFLICT (id) DO NOTHING;
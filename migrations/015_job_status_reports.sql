@@ -0,0 +1,27 @@
+-- Migration: Job status reports
+-- Description: Check run status of jobs as queued by the status reporter, kept until GitHub
+-- accepted it so updates survive a restart, and the job logs it received
+
+CREATE TABLE IF NOT EXISTS runnerhub.job_status_reports (
+    job_id VARCHAR(255) PRIMARY KEY,
+    repository VARCHAR(255) NOT NULL,
+    status JSONB NOT NULL, -- JobStatus of the latest update
+    check_run_id BIGINT,
+    reported BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recovery: updates GitHub has not accepted yet
+CREATE INDEX IF NOT EXISTS idx_job_status_reports_pending ON runnerhub.job_status_reports(updated_at)
+    WHERE reported = false;
+
+CREATE TABLE IF NOT EXISTS runnerhub.job_status_logs (
+    id BIGSERIAL PRIMARY KEY,
+    job_id VARCHAR(255) NOT NULL,
+    level VARCHAR(10) NOT NULL CHECK (level IN ('info', 'warning', 'error')),
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_status_logs_job_id ON runnerhub.job_status_logs(job_id, id);
@@ -0,0 +1,6 @@
+-- Migration: Flows in the job journal
+-- Description: Children of flows journaled as one outbox entry for their root job, so
+-- workflow run flows are delivered and rebuilt through the flow producer
+
+ALTER TABLE runnerhub.job_journal
+ADD COLUMN IF NOT EXISTS children JSONB; -- FlowJob children of a flow's root, NULL for single jobs
@@ -0,0 +1,6 @@
+-- Migration: Completed flow stages in the job journal
+-- Description: Return values of completed jobs, so a lost flow is rebuilt with the stages
+-- that already completed returning their journaled result instead of running again
+
+ALTER TABLE runnerhub.job_journal
+ADD COLUMN IF NOT EXISTS returnvalue JSONB; -- Return value of a completed job
@@ -124,6 +124,12 @@ class QueueDashboard {
       this.updateDashboard();
     });
 
+    // Workflow run flow lookup
+    document.getElementById('flowLookup')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.showWorkflowFlow(document.getElementById('flowRunId').value);
+    });
+
     // Auto-refresh toggle
     document.getElementById('autoRefresh')?.addEventListener('change', (e) => {
       if (e.target.checked) {
@@ -362,6 +368,51 @@ class QueueDashboard {
     }
   }
 
+  async showWorkflowFlow(runId) {
+    const container = document.getElementById('flowTree');
+    if (!container || !runId) return;
+
+    try {
+      const response = await fetch(`/api/queues/workflow-runs/${runId}/flow`, {
+        headers: {
+          'Authorization': `Bearer ${this.getAuthToken()}`
+        }
+      });
+
+      if (response.status === 404) {
+        container.innerHTML = '<div class="flow-empty">No flow found for this run</div>';
+        return;
+      }
+      if (!response.ok) throw new Error('Failed to fetch flow');
+
+      const data = await response.json();
+      container.innerHTML = `<ul>${this.renderFlowNode(data.flow)}</ul>`;
+    } catch (error) {
+      console.error('Error fetching workflow flow:', error);
+      this.showError('Failed to load workflow run flow');
+    }
+  }
+
+  renderFlowNode(node) {
+    const children = node.children.length > 0
+      ? `<ul>${node.children.map(child => this.renderFlowNode(child)).join('')}</ul>`
+      : '';
+
+    return `
+      <li>
+        <div class="job-item flow-node ${node.state}">
+          <div class="job-info">
+            <span class="job-type">${node.type}</span>
+            <span class="job-id">${node.id}</span>
+            <span class="job-queue">${node.conclusion || node.state}</span>
+          </div>
+          ${node.failedReason ? `<div class="job-error">${node.failedReason}</div>` : ''}
+        </div>
+        ${children}
+      </li>
+    `;
+  }
+
   async handleQueueAction(event) {
     const button = event.target;
     const action = button.dataset.action;
@@ -24,6 +24,10 @@ import authRoutes from './routes/auth';
 import networkRoutes from './routes/networks';
 import auditRoutes from './routes/audit';
 import securityRoutes from './routes/security';
+import rateLimitRoutes from './routes/rate-limits';
+import tokenRoutes from './routes/tokens';
+import rbacRoutes from './routes/rbac';
+import jobContainerRoutes from './routes/job-containers';
 import cacheRoutes from './routes/cache';
 import { MonitoringController } from './controllers/monitoring-controller';
 import monitoringServiceEnhanced from './services/monitoring-enhanced';
@@ -121,6 +125,10 @@ export class AppEnhanced {
     this.app.use('/api/networks', networkRoutes);
     this.app.use('/api/audit', auditRoutes);
     this.app.use('/api/security', securityRoutes);
+    this.app.use('/api/rate-limits', rateLimitRoutes);
+    this.app.use('/api/tokens', tokenRoutes);
+    this.app.use('/api/rbac', rbacRoutes);
+    this.app.use('/api/job-containers', jobContainerRoutes);
     this.app.use('/api/cache', cacheRoutes);
     this.app.use('/health', healthRoutes);
 
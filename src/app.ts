@@ -24,6 +24,10 @@ import authRoutes from './routes/auth';
 import networkRoutes from './routes/networks';
 import auditRoutes from './routes/audit';
 import securityRoutes from './routes/security';
+import rateLimitRoutes from './routes/rate-limits';
+import tokenRoutes from './routes/tokens';
+import rbacRoutes from './routes/rbac';
+import jobContainerRoutes from './routes/job-containers';
 import { MonitoringController } from './controllers/monitoring-controller';
 import monitoringServiceEnhanced from './services/monitoring-enhanced';
 import path from 'path';
@@ -106,6 +110,10 @@ export class App {
     this.app.use('/api/networks', networkRoutes);
     this.app.use('/api/audit', auditRoutes);
     this.app.use('/api/security', securityRoutes);
+    this.app.use('/api/rate-limits', rateLimitRoutes);
+    this.app.use('/api/tokens', tokenRoutes);
+    this.app.use('/api/rbac', rbacRoutes);
+    this.app.use('/api/job-containers', jobContainerRoutes);
     this.app.use('/health', healthRoutes);
 
     // Prometheus metrics endpoint
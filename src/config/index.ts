@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import path from 'path';
+import os from 'os';
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +50,14 @@ export interface Config {
     networkPrefix: string;
     image: string;
     jobTimeout: number;
+    actionCacheDir: string;
+    actionMaxDepth: number;
+    actionRequirePinnedRefs: boolean;
+    serviceHealthTimeout: number;
+    jitConfig: boolean;
+    jitEntrypoint: string;
+    hookUrl: string;
+    containerHooksDir: string;
     limits: {
       cpu: number;
       memory: number;
@@ -165,6 +174,15 @@ const config: Config = {
     networkPrefix: process.env.RUNNER_NETWORK_PREFIX || 'runner-net',
     image: process.env.RUNNER_IMAGE || 'myoung34/github-runner:latest',
     jobTimeout: parseInt(process.env.RUNNER_JOB_TIMEOUT || '3600000', 10),
+    actionCacheDir: process.env.RUNNER_ACTION_CACHE_DIR || '/var/lib/github-runnerhub/actions',
+    actionMaxDepth: parseInt(process.env.RUNNER_ACTION_MAX_DEPTH || '10', 10),
+    actionRequirePinnedRefs: process.env.RUNNER_ACTION_REQUIRE_PINNED_REFS === 'true',
+    serviceHealthTimeout: parseInt(process.env.RUNNER_SERVICE_HEALTH_TIMEOUT || '300000', 10),
+    jitConfig: process.env.RUNNER_JIT_CONFIG !== 'false',
+    jitEntrypoint: process.env.RUNNER_JIT_ENTRYPOINT || '/actions-runner/run.sh',
+    // Where runner containers reach this node, and the host directory holding container-hook.js
+    hookUrl: process.env.RUNNER_HOOK_URL || `http://${os.hostname()}:${process.env.PORT || '3000'}`,
+    containerHooksDir: process.env.RUNNER_CONTAINER_HOOKS_DIR || path.join(__dirname, '../../hooks'),
     limits: {
       cpu: parseInt(process.env.RUNNER_CPU_LIMIT || '2048', 10),
       memory: parseInt(process.env.RUNNER_MEMORY_MB || '4096', 10),
@@ -239,7 +257,7 @@ const config: Config = {
 // Validate required configuration
 export function validateConfig(): void {
   const required = [
-    { value: config.github.token, name: 'GITHUB_TOKEN' },
+    { value: config.github.token || process.env.GITHUB_APP_ID, name: 'GITHUB_TOKEN or GITHUB_APP_ID' },
     { value: config.vault.token, name: 'VAULT_TOKEN' },
     { value: config.security.jwtSecret !== 'change-me-in-production', name: 'JWT_SECRET' }
   ];
@@ -16,6 +16,7 @@ class ContainerLifecycleManager extends EventEmitter {
       healthCheckInterval: options.healthCheckInterval || 30000, // 30 seconds
       cleanupInterval: options.cleanupInterval || 300000, // 5 minutes
       maxRetries: options.maxRetries || 3,
+      stopGracePeriod: options.stopGracePeriod || 30, // seconds between SIGTERM and SIGKILL
       ...options
     };
     
@@ -178,7 +179,8 @@ class ContainerLifecycleManager extends EventEmitter {
   }
 
   /**
-   * Execute job in container
+   * Execute job in container. `options.timeout` (ms) is the job's
+   * `timeout-minutes`; once exceeded the container is stopped.
    */
   async executeJob(jobId, jobScript, options = {}) {
     const lifecycle = this.lifecycles.get(jobId);
@@ -186,22 +188,38 @@ class ContainerLifecycleManager extends EventEmitter {
       throw new Error(`Container lifecycle for job ${jobId} not found`);
     }
 
+    const { timeout, ...execOptions } = options;
+    let timer = null;
+
     try {
       this.trackLifecycle(jobId, 'executing');
       
       logger.info(`Executing job in container: ${jobId}`);
       
       // Execute the job script
-      const result = await this.dockerAPI.execInContainer(
+      const execution = this.dockerAPI.execInContainer(
         jobId, 
         jobScript, 
         { 
           Tty: true,
           AttachStdin: false,
-          ...options 
+          ...execOptions 
         }
       );
 
+      const timedOut = new Promise(resolve => {
+        if (timeout) {
+          timer = setTimeout(() => resolve(null), timeout);
+        }
+      });
+
+      const result = await Promise.race([execution, timedOut]);
+      if (!result) {
+        // The exec stream errors out once the container is stopped
+        execution.catch(() => undefined);
+        return await this.handleJobTimeout(jobId, timeout);
+      }
+
       // Track execution result
       this.trackLifecycle(jobId, result.success ? 'completed' : 'failed', {
         exitCode: result.exitCode,
@@ -215,9 +233,30 @@ class ContainerLifecycleManager extends EventEmitter {
       this.trackLifecycle(jobId, 'error', { error: error.message });
       logger.error(`Job execution failed for ${jobId}:`, error);
       throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  /**
+   * Stop a job that exceeded its timeout: SIGTERM, then SIGKILL after the grace period
+   */
+  async handleJobTimeout(jobId, timeout) {
+    logger.warn(`Job ${jobId} exceeded its timeout of ${timeout}ms, stopping container`);
+
+    await this.dockerAPI.stopContainer(jobId, this.config.stopGracePeriod);
+
+    this.trackLifecycle(jobId, 'timed_out', { timeout });
+    this.emit('jobTimedOut', { jobId, timeout });
+
+    return {
+      exitCode: null,
+      output: '',
+      success: false,
+      timedOut: true
+    };
+  }
+
   /**
    * Stop and clean up container
    */
@@ -421,7 +421,7 @@ class ContainerOrchestrator extends EventEmitter {
       // Update job status
       const activeJob = this.activeJobs.get(jobId);
       if (activeJob) {
-        activeJob.status = result.success ? 'completed' : 'failed';
+        activeJob.status = result.timedOut ? 'timed_out' : result.success ? 'completed' : 'failed';
         activeJob.completedAt = new Date();
         activeJob.result = result;
       }
@@ -466,7 +466,8 @@ class ContainerOrchestrator extends EventEmitter {
   }
 
   /**
-   * Build job script from configuration
+   * Build job script from configuration. Steps with a timeout (ms) run under
+   * `timeout`, which sends SIGTERM and then SIGKILL after the grace period.
    */
   buildJobScript(jobConfig) {
     const steps = jobConfig.steps || [];
@@ -474,7 +475,13 @@ class ContainerOrchestrator extends EventEmitter {
       if (typeof step === 'string') {
         return step;
       }
-      return step.run || '';
+      const command = step.run || step.script || '';
+      if (!command || !step.timeout) {
+        return command;
+      }
+      const seconds = Math.ceil(step.timeout / 1000);
+      const quoted = `'${command.replace(/'/g, `'\\''`)}'`;
+      return `timeout -k ${this.lifecycleManager.config.stopGracePeriod} ${seconds} /bin/bash -c ${quoted}`;
     }).filter(cmd => cmd);
     
     return commands.join(' && ');
@@ -0,0 +1,62 @@
+import { EventEmitter } from 'events';
+
+export interface PoolOrchestratorOptions {
+  nodeId?: string;
+  minPoolSize?: number;
+  maxPoolSize?: number;
+  targetPoolSize?: number;
+  baseImage?: string;
+  enableAllComponents?: boolean;
+  enableDynamicScaling?: boolean;
+  enableReuseOptimization?: boolean;
+  enableStateManagement?: boolean;
+  enableResourceMonitoring?: boolean;
+  enableHealthChecks?: boolean;
+  healthCheckInterval?: number;
+  componentTimeout?: number;
+  enablePerformanceOptimization?: boolean;
+  optimizationInterval?: number;
+  enableCrossComponentOptimization?: boolean;
+  [key: string]: any;
+}
+
+export interface PoolJobRequirements {
+  labels?: string[];
+  image?: string;
+  resources?: Record<string, any>;
+  [key: string]: any;
+}
+
+export interface PooledContainer {
+  id: string;
+  nodeId: string;
+  container: any; // dockerode Container
+  info: Record<string, any>;
+}
+
+export interface PoolJobResult {
+  duration?: number;
+  [key: string]: any;
+}
+
+/**
+ * Type declarations for the container pool orchestrator in
+ * integrated-pool-orchestrator.js
+ */
+declare class IntegratedContainerPoolOrchestrator extends EventEmitter {
+  constructor(options?: PoolOrchestratorOptions);
+
+  isInitialized: boolean;
+  isStarted: boolean;
+
+  initialize(): Promise<void>;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  getContainer(jobRequirements?: PoolJobRequirements): Promise<PooledContainer | null>;
+  prewarm(count?: number): Promise<number>;
+  returnContainer(containerId: string, jobResult?: PoolJobResult): Promise<void>;
+  getOrchestratorStatus(): Record<string, any>;
+  getPoolSummary(): Record<string, any> | null;
+}
+
+export = IntegratedContainerPoolOrchestrator;
@@ -4,6 +4,7 @@
  */
 
 const EventEmitter = require('events');
+const os = require('os');
 const ContainerPoolManager = require('./container-pool-manager');
 const DynamicScaler = require('./dynamic-scaler');
 const ContainerReuseOptimizer = require('./reuse-optimizer');
@@ -16,6 +17,9 @@ class IntegratedContainerPoolOrchestrator extends EventEmitter {
     super();
     
     this.config = {
+      // Node whose Docker host runs this pool's containers
+      nodeId: options.nodeId || process.env.RUNNER_NODE_ID || os.hostname(),
+      
       // Pool configuration
       pool: {
         minSize: options.minPoolSize || 3,
@@ -520,6 +524,7 @@ class IntegratedContainerPoolOrchestrator extends EventEmitter {
       if (container) {
         this.performanceMetrics.totalJobsProcessed++;
         this.updatePerformanceMetrics();
+        container.nodeId = this.config.nodeId;
       }
       
       return container;
@@ -530,6 +535,30 @@ class IntegratedContainerPoolOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Warm containers ahead of jobs expected shortly, up to the pool's maximum size
+   */
+  async prewarm(count = 1) {
+    const poolManager = this.components.poolManager;
+    if (!poolManager) {
+      throw new Error('Pool manager not available');
+    }
+    
+    const warmable = Math.min(count, poolManager.config.pool.maxSize - poolManager.getPoolSize());
+    const ready = poolManager.availableContainers.size + poolManager.warmingContainers.size;
+    if (warmable <= 0 || ready >= count) {
+      return 0;
+    }
+    
+    const warming = Math.min(warmable, count - ready);
+    for (let i = 0; i < warming; i++) {
+      await poolManager.createWarmupContainer();
+    }
+    
+    logger.debug(`Pre-warmed ${warming} containers on node ${this.config.nodeId}`);
+    return warming;
+  }
+
   /**
    * Return container after job completion (main interface)
    */
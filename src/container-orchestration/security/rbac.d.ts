@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+
+export interface RbacRole {
+  id: string;
+  name: string;
+  description?: string;
+  permissions: string[];
+  constraints: Record<string, any>;
+  inherits?: string[];
+  priority?: number;
+  createdAt?: Date;
+}
+
+export interface RbacPolicyDefinition {
+  id: string;
+  name?: string;
+  description?: string;
+  effect?: 'allow' | 'deny';
+  roles?: string[];
+  users?: string[];
+  permissions: string[];
+  conditions?: {
+    organizations?: string[];
+    repositories?: string[];
+    ipAddresses?: string[];
+  };
+}
+
+export interface RbacContext {
+  repository?: string;
+  organization?: string;
+  ipAddress?: string;
+  [key: string]: any;
+}
+
+export interface RbacDecision {
+  allowed: boolean;
+  reason: string;
+  grant?: string;
+  policy?: string;
+  violation?: { roleId: string; constraint: string };
+}
+
+export interface RbacExplanation extends RbacDecision {
+  userId: string;
+  permission: string;
+  context?: RbacContext;
+  roles: string[];
+  permissions: string[];
+}
+
+export interface RbacStore {
+  loadRoles(): Promise<RbacRole[]>;
+  loadPolicies(): Promise<RbacPolicyDefinition[]>;
+  saveRole(role: RbacRole): Promise<void>;
+  savePolicy(policy: RbacPolicyDefinition): Promise<void>;
+  deletePolicy(policyId: string): Promise<void>;
+}
+
+export interface RbacUser {
+  id: string;
+  username: string;
+  email?: string | null;
+  active?: boolean;
+  permissions?: string[];
+}
+
+/**
+ * Type declarations for the role-based access control engine in rbac.js
+ */
+declare class RBACSystem extends EventEmitter {
+  constructor(auditLogger: { log(event: Record<string, any>): Promise<void> | void }, options?: Record<string, any>);
+
+  roles: Map<string, RbacRole>;
+  customPolicies: Map<string, { id: string; effect: string; definition?: RbacPolicyDefinition }>;
+
+  initialize(): Promise<void>;
+  stop(): Promise<void>;
+  syncUser(user: RbacUser, roleIds: string[]): RbacUser;
+  checkPermission(userId: string, permission: string, context?: RbacContext): Promise<boolean>;
+  explainPermission(userId: string, permission: string, context?: RbacContext): Promise<RbacExplanation>;
+  getInheritedRoles(roleId: string): string[];
+  saveRole(role: Partial<RbacRole> & { id: string; name: string }): Promise<RbacRole>;
+  savePolicy(policy: RbacPolicyDefinition): Promise<RbacPolicyDefinition>;
+  removePolicy(policyId: string): Promise<boolean>;
+  reloadFromStore(): Promise<void>;
+  getStatistics(): Record<string, any>;
+}
+
+export = RBACSystem;
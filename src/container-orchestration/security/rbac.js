@@ -6,7 +6,7 @@
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').createLogger('RBACSystem');
 
 class RBACSystem extends EventEmitter {
   constructor(auditLogger, options = {}) {
@@ -14,6 +14,9 @@ class RBACSystem extends EventEmitter {
     
     this.auditLogger = auditLogger;
     
+    // Optional persistence for roles and policies, see loadPersistedData()
+    this.store = options.store || null;
+    
     this.config = {
       // Role hierarchy
       roleHierarchy: {
@@ -203,6 +206,7 @@ class RBACSystem extends EventEmitter {
         name: userData.name,
         active: userData.active !== false,
         attributes: userData.attributes || {},
+        permissions: userData.permissions || [], // Granted to the user directly
         createdAt: new Date(),
         lastLogin: null
       };
@@ -229,6 +233,36 @@ class RBACSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Create or update a user managed elsewhere, such as the API's user table,
+   * and replace their roles
+   */
+  syncUser(userData, roleIds) {
+    const existing = this.users.get(userData.id);
+    const user = {
+      ...(existing || { createdAt: new Date(), lastLogin: null, attributes: {} }),
+      id: userData.id,
+      username: userData.username,
+      email: userData.email,
+      active: userData.active !== false,
+      permissions: userData.permissions || []
+    };
+    this.users.set(user.id, user);
+    
+    const previous = Array.from(this.userRoles.get(user.id) || []).sort().join(',');
+    const changed = !existing ||
+      previous !== [...roleIds].sort().join(',') ||
+      existing.active !== user.active ||
+      existing.permissions.join(',') !== user.permissions.join(',');
+    
+    if (changed) {
+      this.userRoles.set(user.id, new Set(roleIds));
+      this.clearUserPermissionCache(user.id);
+    }
+    
+    return user;
+  }
+
   /**
    * Create a new role
    */
@@ -430,7 +464,7 @@ class RBACSystem extends EventEmitter {
    * Get all permissions for a user
    */
   async getUserPermissions(userId) {
-    const permissions = new Set();
+    const permissions = new Set(this.users.get(userId)?.permissions || []);
     const userRoles = this.userRoles.get(userId) || new Set();
     
     // Get permissions from all assigned roles
@@ -462,40 +496,74 @@ class RBACSystem extends EventEmitter {
    * Evaluate if permission is allowed
    */
   async evaluatePermission(userPermissions, requiredPermission, context, user) {
+    const decision = await this.evaluateDecision(userPermissions, requiredPermission, context, user);
+    return decision.allowed;
+  }
+
+  /**
+   * Decide a permission and record why: deny policies win, then role and
+   * user grants subject to role constraints, then allow policies
+   */
+  async evaluateDecision(userPermissions, requiredPermission, context, user) {
+    // Check deny policies
+    for (const [policyId, policy] of this.customPolicies) {
+      if (policy.effect === 'deny' && await policy.evaluate(user, requiredPermission, context)) {
+        return { allowed: false, reason: `Denied by policy ${policyId}`, policy: policyId };
+      }
+    }
+    
     // Check for wildcard permission
     if (userPermissions.includes('*')) {
-      return true;
+      return { allowed: true, reason: 'Granted by wildcard permission *', grant: '*' };
     }
     
-    // Check direct permission
-    if (userPermissions.includes(requiredPermission)) {
+    // Check direct permission and wildcard patterns
+    const grant = userPermissions.includes(requiredPermission)
+      ? requiredPermission
+      : userPermissions.find(userPerm => this.matchPermission(userPerm, requiredPermission));
+    
+    if (grant) {
       // Check constraints
       if (this.config.policies.enforceConstraints) {
-        return await this.evaluateConstraints(user, requiredPermission, context);
-      }
-      return true;
-    }
-    
-    // Check wildcard patterns
-    for (const userPerm of userPermissions) {
-      if (this.matchPermission(userPerm, requiredPermission)) {
-        // Check constraints
-        if (this.config.policies.enforceConstraints) {
-          return await this.evaluateConstraints(user, requiredPermission, context);
+        const violation = await this.findConstraintViolation(user, requiredPermission, context);
+        if (violation) {
+          return {
+            allowed: false,
+            reason: `Permission ${grant} is granted, but role ${violation.roleId} restricts ${violation.constraint}`,
+            grant,
+            violation
+          };
         }
-        return true;
       }
+      return { allowed: true, reason: `Granted by permission ${grant}`, grant };
     }
     
     // Check custom policies
     for (const [policyId, policy] of this.customPolicies) {
       if (policy.effect === 'allow' && await policy.evaluate(user, requiredPermission, context)) {
-        return true;
+        return { allowed: true, reason: `Granted by policy ${policyId}`, policy: policyId };
       }
     }
     
     // Default deny
-    return false;
+    return { allowed: false, reason: 'No role, grant or policy allows the permission' };
+  }
+
+  /**
+   * Explain a permission check for a user without caching or auditing it
+   */
+  async explainPermission(userId, permission, context = {}) {
+    const user = this.users.get(userId);
+    if (!user || !user.active) {
+      return { allowed: false, reason: 'User not found or inactive', userId, permission, roles: [], permissions: [] };
+    }
+    
+    const userRoles = Array.from(this.userRoles.get(userId) || []);
+    const roles = Array.from(new Set([...userRoles, ...userRoles.flatMap(roleId => this.getInheritedRoles(roleId))]));
+    const permissions = await this.getUserPermissions(userId);
+    const decision = await this.evaluateDecision(permissions, permission, context, user);
+    
+    return { ...decision, userId, permission, context, roles, permissions };
   }
 
   /**
@@ -517,6 +585,13 @@ class RBACSystem extends EventEmitter {
    * Evaluate constraints
    */
   async evaluateConstraints(user, permission, context) {
+    return !(await this.findConstraintViolation(user, permission, context));
+  }
+
+  /**
+   * First role constraint the context violates, or null
+   */
+  async findConstraintViolation(user, permission, context) {
     const userRoles = this.userRoles.get(user.id) || new Set();
     
     for (const roleId of userRoles) {
@@ -525,16 +600,29 @@ class RBACSystem extends EventEmitter {
       
       // Check repository constraints
       if (role.constraints.repositories && context.repository) {
-        switch (role.constraints.repositories) {
-          case 'owned':
-            if (!context.isOwner) return false;
-            break;
-          case 'assigned':
-            if (!context.isAssigned && !context.isOwner) return false;
-            break;
-          case 'public':
-            if (context.isPrivate) return false;
-            break;
+        if (Array.isArray(role.constraints.repositories)) {
+          if (!role.constraints.repositories.some(pattern => this.matchResource(pattern, context.repository))) {
+            return { roleId, constraint: 'repositories' };
+          }
+        } else {
+          switch (role.constraints.repositories) {
+            case 'owned':
+              if (!context.isOwner) return { roleId, constraint: 'repositories' };
+              break;
+            case 'assigned':
+              if (!context.isAssigned && !context.isOwner) return { roleId, constraint: 'repositories' };
+              break;
+            case 'public':
+              if (context.isPrivate) return { roleId, constraint: 'repositories' };
+              break;
+          }
+        }
+      }
+      
+      // Check organization constraints
+      if (role.constraints.organizations && context.organization) {
+        if (!role.constraints.organizations.some(pattern => this.matchResource(pattern, context.organization))) {
+          return { roleId, constraint: 'organizations' };
         }
       }
       
@@ -548,12 +636,20 @@ class RBACSystem extends EventEmitter {
       // Check IP constraints
       if (role.constraints.ipWhitelist && context.ipAddress) {
         if (!role.constraints.ipWhitelist.includes(context.ipAddress)) {
-          return false;
+          return { roleId, constraint: 'ipWhitelist' };
         }
       }
     }
     
-    return true;
+    return null;
+  }
+
+  /**
+   * Match a name against a pattern with * wildcards, ignoring case
+   */
+  matchResource(pattern, value) {
+    const escaped = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(String(value).toLowerCase());
   }
 
   /**
@@ -675,6 +771,157 @@ class RBACSystem extends EventEmitter {
     logger.info(`Added custom policy: ${policyId}`);
   }
 
+  /**
+   * Add a policy described as data, e.g. "operators may scale runners of
+   * organization acme":
+   *   { id, effect: 'allow', roles: ['operator'], permissions: ['runners:scale'],
+   *     conditions: { organizations: ['acme'] } }
+   * Subjects are roles (including inheriting ones) and user ids, none means
+   * everyone. Conditions compare the check's context with * wildcards.
+   */
+  addPolicyDefinition(definition) {
+    if (!definition.id || !Array.isArray(definition.permissions) || definition.permissions.length === 0) {
+      throw new Error('Policy needs an id and permissions');
+    }
+    if (definition.effect && !['allow', 'deny'].includes(definition.effect)) {
+      throw new Error(`Invalid policy effect: ${definition.effect}`);
+    }
+    
+    const policy = {
+      roles: [],
+      users: [],
+      conditions: {},
+      ...definition,
+      effect: definition.effect || 'allow'
+    };
+    
+    this.addPolicy(policy.id, {
+      name: policy.name || policy.id,
+      description: policy.description,
+      effect: policy.effect,
+      evaluate: async (user, permission, context) => this.policyApplies(policy, user, permission, context)
+    });
+    this.customPolicies.get(policy.id).definition = policy;
+    
+    return policy;
+  }
+
+  /**
+   * Whether a policy definition covers the user, permission and context
+   */
+  policyApplies(policy, user, permission, context = {}) {
+    if (!policy.permissions.some(pattern => pattern === '*' || this.matchPermission(pattern, permission))) {
+      return false;
+    }
+    
+    if (policy.roles.length > 0 || policy.users.length > 0) {
+      const userRoles = Array.from(this.userRoles.get(user.id) || []);
+      const roles = new Set([...userRoles, ...userRoles.flatMap(roleId => this.getInheritedRoles(roleId))]);
+      if (!policy.users.includes(user.id) && !policy.roles.some(roleId => roles.has(roleId))) {
+        return false;
+      }
+    }
+    
+    const { organizations, repositories, ipAddresses } = policy.conditions;
+    if (organizations && !(context.organization && organizations.some(pattern => this.matchResource(pattern, context.organization)))) {
+      return false;
+    }
+    if (repositories && !(context.repository && repositories.some(pattern => this.matchResource(pattern, context.repository)))) {
+      return false;
+    }
+    if (ipAddresses && !(context.ipAddress && ipAddresses.includes(context.ipAddress))) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Create or replace a role and persist it
+   */
+  async saveRole(roleData) {
+    const role = await this.createRole(roleData);
+    role.inherits = roleData.inherits || [];
+    this.config.roleHierarchy[role.id] = role.inherits;
+    
+    if (this.store) {
+      await this.store.saveRole(role);
+    }
+    return role;
+  }
+
+  /**
+   * Create or replace a policy definition and persist it
+   */
+  async savePolicy(definition) {
+    const policy = this.addPolicyDefinition(definition);
+    
+    if (this.store) {
+      await this.store.savePolicy(policy);
+    }
+    
+    await this.auditLogger.log({
+      category: 'authorization',
+      action: 'policy_saved',
+      userId: 'system',
+      resourceType: 'policy',
+      resourceId: policy.id,
+      details: policy
+    });
+    
+    return policy;
+  }
+
+  /**
+   * Remove a policy, returning whether it existed
+   */
+  async removePolicy(policyId) {
+    const removed = this.customPolicies.delete(policyId);
+    this.clearPermissionCache();
+    
+    if (this.store) {
+      await this.store.deletePolicy(policyId);
+    }
+    
+    if (removed) {
+      await this.auditLogger.log({
+        category: 'authorization',
+        action: 'policy_removed',
+        userId: 'system',
+        resourceType: 'policy',
+        resourceId: policyId
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * Replace roles and policy definitions with the store's, e.g. after
+   * another node changed them
+   */
+  async reloadFromStore() {
+    const [roles, policies] = await Promise.all([this.store.loadRoles(), this.store.loadPolicies()]);
+    
+    this.roles.clear();
+    this.loadDefaultRoles();
+    for (const role of roles) {
+      this.roles.set(role.id, { ...role, constraints: role.constraints || {}, createdAt: role.createdAt || new Date() });
+      this.config.roleHierarchy[role.id] = role.inherits || [];
+    }
+    
+    for (const [policyId, policy] of this.customPolicies) {
+      if (policy.definition) {
+        this.customPolicies.delete(policyId);
+      }
+    }
+    for (const policy of policies) {
+      this.addPolicyDefinition(policy);
+    }
+    
+    this.clearPermissionCache();
+    logger.debug(`Loaded ${roles.length} roles and ${policies.length} policies from store`);
+  }
+
   /**
    * Load default roles
    */
@@ -694,8 +941,12 @@ class RBACSystem extends EventEmitter {
    * Load persisted data
    */
   async loadPersistedData() {
-    // This would load from database or file
-    // For now, create some test data
+    if (this.store) {
+      await this.reloadFromStore();
+      return;
+    }
+    
+    // Without a store, create some test data
     
     // Create admin user
     const adminUser = await this.createUser({
@@ -781,9 +1032,10 @@ class RBACSystem extends EventEmitter {
    * Start session cleanup timer
    */
   startSessionCleanup() {
-    setInterval(() => {
+    this.sessionCleanupTimer = setInterval(() => {
       this.cleanupExpiredSessions();
     }, 60000); // Every minute
+    this.sessionCleanupTimer.unref();
   }
 
   /**
@@ -837,7 +1089,8 @@ class RBACSystem extends EventEmitter {
         id: p.id,
         name: p.name,
         description: p.description,
-        effect: p.effect
+        effect: p.effect,
+        definition: p.definition
       }))
     };
   }
@@ -857,6 +1110,7 @@ class RBACSystem extends EventEmitter {
     
     // Clear cache
     this.clearPermissionCache();
+    clearInterval(this.sessionCleanupTimer);
     
     this.emit('stopped');
     logger.info('RBAC System stopped');
@@ -3,7 +3,9 @@ import bcrypt from 'bcrypt';
 import { createLogger } from '../utils/logger';
 import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
 import ServiceManager from '../services/service-manager';
-import auditLogger from '../services/audit-logger';
+import auditLogger, { AuditEventType, AuditCategory, AuditSeverity } from '../services/audit-logger';
+import ssoService, { SsoIdentity } from '../services/sso-service';
+import { AppError } from '../utils/errors';
 
 const logger = createLogger('AuthController');
 
@@ -22,7 +24,8 @@ interface User {
   email: string;
   role: 'admin' | 'operator' | 'viewer';
   permissions: string[];
-  password_hash: string;
+  password_hash: string | null; // null for users signing in through SSO
+  auth_provider?: string;
   created_at: Date;
   last_login?: Date;
   active: boolean;
@@ -85,8 +88,8 @@ export class AuthController {
         return;
       }
 
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
+      // Verify password, SSO users have none
+      const isValidPassword = user.password_hash !== null && await bcrypt.compare(password, user.password_hash);
       
       if (!isValidPassword) {
         logger.warn('Login attempt with invalid password', { username, userId: user.id });
@@ -106,46 +109,9 @@ export class AuthController {
         return;
       }
 
-      // Generate JWT token
-      const tokenPayload = {
-        sub: user.id,
-        username: user.username,
-        role: user.role,
-        permissions: user.permissions
-      };
-
-      const token = authMiddleware.generateToken(tokenPayload);
-
-      // Update last login time
-      await this.updateLastLogin(user.id);
-
-      // Audit log successful login
-      await auditLogger.logSuccessfulLogin(
-        user.id,
-        user.username,
-        req.ip,
-        req.headers['user-agent']
-      );
-
-      logger.info('User logged in successfully', {
-        userId: user.id,
-        username: user.username,
-        role: user.role
-      });
-
       res.json({
         success: true,
-        data: {
-          token,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            permissions: user.permissions
-          },
-          expiresIn: '24h'
-        }
+        data: await this.createSession(user, req)
       });
 
     } catch (error) {
@@ -157,6 +123,72 @@ export class AuthController {
     }
   }
 
+  /**
+   * List the configured SSO providers
+   */
+  async ssoProviders(_req: Request, res: Response): Promise<void> {
+    res.json({
+      success: true,
+      data: ssoService.getProviders()
+    });
+  }
+
+  /**
+   * Start an SSO login, sending the browser to the identity provider
+   */
+  async ssoLogin(req: Request, res: Response): Promise<void> {
+    try {
+      const redirectTo = typeof req.query.redirect === 'string' ? req.query.redirect : undefined;
+      const url = await ssoService.startLogin(req.params.provider, redirectTo);
+      res.redirect(url);
+    } catch (error) {
+      this.sendSsoError(res, error, 'SSO login error');
+    }
+  }
+
+  /**
+   * Identity provider callback. Creates the user on first login and keeps
+   * their role in line with their groups. The session token is returned,
+   * or handed to the page the login started from in the URL fragment.
+   */
+  async ssoCallback(req: Request, res: Response): Promise<void> {
+    const { state, code, error: idpError } = req.query as Record<string, string | undefined>;
+
+    try {
+      if (idpError) {
+        throw new AppError(`Identity provider refused the login: ${idpError}`, 401);
+      }
+
+      const { identity, role, redirectTo } = await ssoService.completeLogin(req.params.provider, state!, code!);
+      const user = await this.upsertSsoUser(identity, role);
+
+      if (!user.active) {
+        await auditLogger.logFailedLogin(user.username, 'Account is inactive', req.ip, req.headers['user-agent']);
+        res.status(401).json({
+          success: false,
+          error: 'Account is inactive'
+        });
+        return;
+      }
+
+      const session = await this.createSession(user, req);
+      if (redirectTo) {
+        res.redirect(`${redirectTo}#token=${encodeURIComponent(session.token)}`);
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        await auditLogger.logFailedLogin(`sso:${req.params.provider}`, error.message, req.ip, req.headers['user-agent']);
+      }
+      this.sendSsoError(res, error, 'SSO callback error');
+    }
+  }
+
   /**
    * Refresh token endpoint
    */
@@ -170,6 +202,15 @@ export class AuthController {
         return;
       }
 
+      // API tokens must not be traded for a session without their restrictions
+      if (req.user.tokenId) {
+        res.status(400).json({
+          success: false,
+          error: 'API tokens cannot be refreshed'
+        });
+        return;
+      }
+
       // Generate new token with same user data
       const tokenPayload = {
         sub: req.user.sub,
@@ -567,6 +608,128 @@ export class AuthController {
     }
   }
 
+  /**
+   * Issue a session token for a user who has proven their identity
+   */
+  private async createSession(user: User, req: Request) {
+    const token = authMiddleware.generateToken({
+      sub: user.id,
+      username: user.username,
+      role: user.role,
+      permissions: user.permissions
+    });
+
+    // Update last login time
+    await this.updateLastLogin(user.id);
+
+    // Audit log successful login
+    await auditLogger.logSuccessfulLogin(
+      user.id,
+      user.username,
+      req.ip,
+      req.headers['user-agent']
+    );
+
+    logger.info('User logged in successfully', {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      authProvider: user.auth_provider
+    });
+
+    return {
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions
+      },
+      expiresIn: '24h'
+    };
+  }
+
+  /**
+   * Find the user of an SSO identity, creating them just in time. The
+   * identity provider owns the role, permissions follow role changes.
+   */
+  private async upsertSsoUser(identity: SsoIdentity, role: User['role']): Promise<User> {
+    const serviceManager = ServiceManager.getInstance();
+    const database = serviceManager.getService<DatabaseService>('database');
+
+    const [existing] = await database.query(
+      'SELECT * FROM users WHERE auth_provider = $1 AND external_id = $2',
+      [identity.provider, identity.subject]
+    ) as User[];
+
+    if (existing) {
+      if (existing.role === role) {
+        return existing;
+      }
+
+      const permissions = this.getDefaultPermissions(role);
+      await database.query(
+        'UPDATE users SET role = $1, permissions = $2 WHERE id = $3',
+        [role, JSON.stringify(permissions), existing.id]
+      );
+      logger.info('SSO user role changed', { userId: existing.id, from: existing.role, to: role });
+      return { ...existing, role, permissions };
+    }
+
+    // Local accounts keep their usernames and emails
+    const candidates = [identity.username, `${identity.username}@${identity.provider}`].map(name => name.slice(0, 50));
+    const taken = await database.query(
+      'SELECT username, email FROM users WHERE username = ANY($1) OR email = $2',
+      [candidates, identity.email || null]
+    ) as Array<{ username: string; email: string | null }>;
+    const username = candidates.find(name => !taken.some(user => user.username === name));
+    if (!username) {
+      throw new AppError(`Username ${identity.username} is already taken`, 409);
+    }
+    const email = identity.email && !taken.some(user => user.email === identity.email) ? identity.email : null;
+
+    const permissions = this.getDefaultPermissions(role);
+    const [user] = await database.query(
+      `INSERT INTO users (username, email, password_hash, role, permissions, active, auth_provider, external_id)
+       VALUES ($1, $2, NULL, $3, $4, true, $5, $6)
+       RETURNING *`,
+      [username, email, role, JSON.stringify(permissions), identity.provider, identity.subject]
+    ) as User[];
+
+    await auditLogger.log({
+      eventType: AuditEventType.USER_CREATED,
+      category: AuditCategory.USER_MANAGEMENT,
+      severity: AuditSeverity.INFO,
+      userId: user.id,
+      username: user.username,
+      resource: 'user',
+      resourceId: user.id,
+      action: 'create',
+      details: { provider: identity.provider, role, groups: identity.groups },
+      result: 'success'
+    });
+
+    logger.info('Created SSO user', { userId: user.id, username: user.username, provider: identity.provider, role });
+    return user;
+  }
+
+  private sendSsoError(res: Response, error: unknown, message: string): void {
+    if (error instanceof AppError) {
+      res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+      return;
+    }
+
+    logger.error(message, { error: (error as Error).message });
+    res.status(500).json({
+      success: false,
+      error: 'Single sign-on failed'
+    });
+  }
+
   private getDefaultPermissions(role: string): string[] {
     switch (role) {
       case 'admin':
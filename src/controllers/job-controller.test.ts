@@ -25,7 +25,8 @@ describe('JobController', () => {
     mockReq = {
       body: {},
       params: {},
-      query: {}
+      query: {},
+      headers: {}
     };
 
     // Setup mock response
@@ -56,7 +57,9 @@ describe('JobController', () => {
       (mockReq as unknown as { io: { to: jest.Mock; emit: jest.Mock } }).io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
 
       // Mock database query
-      (database.query as jest.Mock).mockResolvedValue([]);
+      (database.query as jest.Mock).mockImplementation(async (_text: string, params: any[]) => [
+        { id: params[0], status: 'queued', idempotency_key: params[8] }
+      ]);
 
       // Mock job queue
       (jobQueue.add as jest.Mock).mockResolvedValue({});
@@ -75,6 +78,97 @@ describe('JobController', () => {
           status: 'queued'
         })
       });
+      expect(jobQueue.add).toHaveBeenCalledWith(
+        'process-job',
+        expect.any(Object),
+        expect.objectContaining({ jobId: 'github-job-123-1' })
+      );
+    });
+
+    it('should return the original job for a duplicate delegation', async () => {
+      mockReq.body = {
+        jobId: '123',
+        runId: '456',
+        runAttempt: 2,
+        repository: 'test/repo',
+        workflow: 'CI',
+        runnerName: 'proxy-1',
+        labels: ['self-hosted']
+      };
+
+      const original = {
+        id: 'original-id',
+        github_job_id: 123,
+        job_name: '123',
+        repository: 'test/repo',
+        workflow_name: 'CI',
+        status: 'running',
+        labels: ['self-hosted'],
+        idempotency_key: 'github-job-123-2'
+      };
+      (database.query as jest.Mock)
+        .mockResolvedValueOnce([]) // Insert skipped on conflict
+        .mockResolvedValueOnce([original]);
+
+      await controller.delegateJob(
+        mockReq as Request,
+        mockRes as Response,
+        mockNext
+      );
+
+      expect(database.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('idempotency_key = $1 OR github_job_id = $2'),
+        ['github-job-123-2', 123]
+      );
+      expect(jobQueue.add).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          delegationId: 'original-id',
+          status: 'running',
+          duplicate: true,
+          job: expect.objectContaining({ id: 'original-id', githubJobId: 123 })
+        })
+      });
+    });
+
+    it('should prefer the Idempotency-Key header and reject invalid keys', async () => {
+      mockReq.body = {
+        jobId: '123',
+        runId: '456',
+        repository: 'test/repo',
+        workflow: 'CI',
+        runnerName: 'proxy-1',
+        labels: []
+      };
+      mockReq.headers = { 'idempotency-key': 'retry-abc' };
+      (mockReq as unknown as { io: { to: jest.Mock; emit: jest.Mock } }).io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+      (database.query as jest.Mock).mockImplementation(async (_text: string, params: any[]) => [
+        { id: params[0], status: 'queued', idempotency_key: params[8] }
+      ]);
+
+      await controller.delegateJob(
+        mockReq as Request,
+        mockRes as Response,
+        mockNext
+      );
+
+      expect(jobQueue.add).toHaveBeenCalledWith(
+        'process-job',
+        expect.any(Object),
+        expect.objectContaining({ jobId: 'retry-abc' })
+      );
+
+      mockReq.headers = { 'idempotency-key': 'has spaces' };
+      await controller.delegateJob(
+        mockReq as Request,
+        mockRes as Response,
+        mockNext
+      );
+
+      expect(mockNext).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
     });
 
     it('should reject job with missing required fields', async () => {
@@ -6,6 +6,7 @@ import { JobContext, DelegatedJob, JobStatus } from '../types';
 import database from '../services/database';
 import { jobQueue } from '../services/job-queue';
 import jobLogSecretScanner from '../services/job-log-secret-scanner';
+import jobIdempotency from '../services/job-idempotency';
 import Docker from 'dockerode';
 import { Server } from 'socket.io';
 
@@ -39,6 +40,11 @@ export class JobController {
         throw new AppError(400, 'Missing required job context fields');
       }
 
+      const idempotencyKey = req.headers['idempotency-key'] as string | undefined;
+      if (idempotencyKey !== undefined && !jobIdempotency.isValidKey(idempotencyKey)) {
+        throw new AppError(400, 'Idempotency-Key must be 1-255 printable characters without spaces and not an integer');
+      }
+
       logger.info('Received job delegation request', {
         repository: jobContext.repository,
         workflow: jobContext.workflow,
@@ -56,33 +62,46 @@ export class JobController {
           proxyRunner: jobContext.runnerName
         }
       };
+      const key = jobIdempotency.resolveKey(delegatedJob.githubJobId, jobContext.runAttempt, idempotencyKey);
 
-      // Save to database
-      await database.query(
-        `INSERT INTO runnerhub.jobs 
-         (id, github_job_id, repository, workflow_name, job_name, status, labels, metadata)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [
-          delegatedJob.id,
-          delegatedJob.githubJobId,
-          delegatedJob.repository,
-          delegatedJob.workflow,
-          delegatedJob.jobId,
-          delegatedJob.status,
-          delegatedJob.labels,
-          JSON.stringify(delegatedJob.metadata)
-        ]
-      );
+      // Save to database, or find the record of an earlier delegation
+      const { duplicate, job } = await jobIdempotency.claim(key, {
+        id: delegatedJob.id,
+        githubJobId: delegatedJob.githubJobId,
+        repository: delegatedJob.repository,
+        workflow: delegatedJob.workflow,
+        jobName: delegatedJob.jobName || delegatedJob.jobId,
+        status: delegatedJob.status,
+        labels: delegatedJob.labels,
+        metadata: delegatedJob.metadata!
+      }, 'api');
+
+      // Queue job for processing. The key is the queue job id, so re-adding
+      // a duplicate only queues it if an earlier attempt never got that far.
+      if (!duplicate || job.status === JobStatus.QUEUED) {
+        await jobQueue.add('process-job', { ...delegatedJob, id: job.id }, {
+          jobId: job.idempotency_key || key,
+          priority: this.getJobPriority(delegatedJob),
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 2000
+          }
+        });
+      }
 
-      // Queue job for processing
-      await jobQueue.add('process-job', delegatedJob, {
-        priority: this.getJobPriority(delegatedJob),
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          delay: 2000
-        }
-      });
+      if (duplicate) {
+        res.status(200).json({
+          success: true,
+          data: {
+            delegationId: job.id,
+            status: job.status,
+            duplicate: true,
+            job: this.formatJob(job)
+          }
+        });
+        return;
+      }
 
       // Emit WebSocket event
       const io = (req as unknown as { io: Server }).io;
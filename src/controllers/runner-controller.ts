@@ -178,6 +178,48 @@ export class RunnerController {
     }
   }
 
+  /**
+   * Create or update an organization or enterprise runner group pool
+   */
+  async createGroupPool(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+      const { scope, owner, runnerGroup, visibleRepositories, visibleOrganizations, minRunners, maxRunners } = req.body;
+
+      if (scope !== 'organization' && scope !== 'enterprise') {
+        throw new AppError(400, 'Invalid scope. Must be "organization" or "enterprise"');
+      }
+      if (!owner || !runnerGroup) {
+        throw new AppError(400, 'owner and runnerGroup are required');
+      }
+      if (visibleRepositories !== undefined && (scope !== 'organization' || !Array.isArray(visibleRepositories))) {
+        throw new AppError(400, 'visibleRepositories must be a list and only applies to organization groups');
+      }
+      if (visibleOrganizations !== undefined && (scope !== 'enterprise' || !Array.isArray(visibleOrganizations))) {
+        throw new AppError(400, 'visibleOrganizations must be a list and only applies to enterprise groups');
+      }
+      if (minRunners !== undefined && maxRunners !== undefined && minRunners > maxRunners) {
+        throw new AppError(400, 'minRunners cannot be greater than maxRunners');
+      }
+
+      const pool = await runnerPoolManager.createGroupPool({
+        scope,
+        owner,
+        runnerGroup,
+        visibleRepositories,
+        visibleOrganizations,
+        minRunners,
+        maxRunners
+      });
+
+      res.status(201).json({
+        success: true,
+        data: pool
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Manually trigger scaling
    */
@@ -0,0 +1,224 @@
+import Docker from 'dockerode';
+
+/**
+ * `docker create` flags accepted in a workflow's `container.options` or
+ * `services.<id>.options`, translated to the Docker API.
+ */
+export interface ContainerOptions {
+  env: string[];
+  user?: string;
+  healthcheck?: Docker.HealthConfig;
+  hostConfig?: Docker.HostConfig;
+}
+
+export class ContainerOptionsError extends Error {
+  constructor(message: string, public readonly option: string) {
+    super(message);
+    this.name = 'ContainerOptionsError';
+  }
+}
+
+const DURATION_REGEX = /(\d+(?:\.\d+)?)(ns|us|ms|s|m|h)/g;
+const DURATION_UNITS: Record<string, number> = {
+  ns: 1,
+  us: 1e3,
+  ms: 1e6,
+  s: 1e9,
+  m: 60e9,
+  h: 3600e9
+};
+const SIZE_UNITS: Record<string, number> = {
+  b: 1,
+  k: 1024,
+  m: 1024 ** 2,
+  g: 1024 ** 3
+};
+const NAMESPACE_FLAGS: Record<string, keyof Docker.HostConfig> = {
+  '--pid': 'PidMode',
+  '--ipc': 'IpcMode',
+  '--uts': 'UTSMode',
+  '--userns': 'UsernsMode',
+  '--network': 'NetworkMode',
+  '--net': 'NetworkMode'
+};
+
+/**
+ * Parse an options string. Unknown flags, and flags outside `allowedFlags`
+ * when given, are rejected; whether a privileged setting may be used is up
+ * to the security policies.
+ */
+export function parseContainerOptions(options?: string, allowedFlags?: string[]): ContainerOptions {
+  const parsed: ContainerOptions = { env: [] };
+  const healthcheck: Docker.HealthConfig = {};
+  const hostConfig: Docker.HostConfig = {};
+  const tokens = tokenize(options || '');
+
+  for (let index = 0; index < tokens.length; index++) {
+    const [flag, inlineValue] = tokens[index].split(/=(.*)/s, 2);
+    if (allowedFlags && !allowedFlags.includes(flag)) {
+      throw new ContainerOptionsError(`Unsupported container option ${flag}`, flag);
+    }
+
+    const takeValue = (): string => {
+      const value = inlineValue !== undefined ? inlineValue : tokens[++index];
+      if (value === undefined) {
+        throw new ContainerOptionsError(`Option ${flag} requires a value`, flag);
+      }
+      return value;
+    };
+
+    if (NAMESPACE_FLAGS[flag]) {
+      (hostConfig as any)[NAMESPACE_FLAGS[flag]] = takeValue();
+      continue;
+    }
+
+    switch (flag) {
+      case '--health-cmd':
+        healthcheck.Test = ['CMD-SHELL', takeValue()];
+        break;
+      case '--health-interval':
+        healthcheck.Interval = parseDuration(takeValue(), flag);
+        break;
+      case '--health-timeout':
+        healthcheck.Timeout = parseDuration(takeValue(), flag);
+        break;
+      case '--health-start-period':
+        healthcheck.StartPeriod = parseDuration(takeValue(), flag);
+        break;
+      case '--health-retries':
+        healthcheck.Retries = parseInt(takeValue(), 10);
+        break;
+      case '--no-healthcheck':
+        healthcheck.Test = ['NONE'];
+        break;
+      case '-e':
+      case '--env':
+        parsed.env.push(takeValue());
+        break;
+      case '-u':
+      case '--user':
+        parsed.user = takeValue();
+        break;
+      case '--privileged':
+        hostConfig.Privileged = inlineValue === undefined || inlineValue === 'true';
+        break;
+      case '--cap-add':
+        hostConfig.CapAdd = [...(hostConfig.CapAdd || []), takeValue()];
+        break;
+      case '--cap-drop':
+        hostConfig.CapDrop = [...(hostConfig.CapDrop || []), takeValue()];
+        break;
+      case '--device':
+        hostConfig.Devices = [...(hostConfig.Devices || []), parseDevice(takeValue())];
+        break;
+      case '--security-opt':
+        hostConfig.SecurityOpt = [...(hostConfig.SecurityOpt || []), takeValue()];
+        break;
+      case '--cpus':
+        hostConfig.NanoCpus = Math.round(parseFloat(takeValue()) * 1e9);
+        break;
+      case '-m':
+      case '--memory':
+        hostConfig.Memory = parseSize(takeValue(), flag);
+        break;
+      case '--shm-size':
+        hostConfig.ShmSize = parseSize(takeValue(), flag);
+        break;
+      default:
+        throw new ContainerOptionsError(`Unsupported container option ${flag}`, flag);
+    }
+  }
+
+  if (Object.keys(healthcheck).length > 0) {
+    parsed.healthcheck = healthcheck;
+  }
+  if (Object.keys(hostConfig).length > 0) {
+    parsed.hostConfig = hostConfig;
+  }
+
+  return parsed;
+}
+
+/**
+ * Only named volumes are allowed; host paths would escape the sandbox
+ */
+export function parseNamedVolumes(volumes: string[]): string[] {
+  for (const volume of volumes) {
+    const [source] = volume.split(':');
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(source) || !volume.includes(':')) {
+      throw new ContainerOptionsError(`Unsupported volume ${volume}; only named volumes are allowed`, volume);
+    }
+  }
+  return volumes;
+}
+
+/**
+ * Split `registry:5000/name:tag` into name and tag, and `name@sha256:<hex>`
+ * into name and digest
+ */
+export function splitImageReference(image: string): { name: string; tag: string } {
+  const digest = image.indexOf('@');
+  if (digest !== -1) {
+    return { name: image.substring(0, digest), tag: image.substring(digest + 1) };
+  }
+
+  const separator = image.lastIndexOf(':');
+  if (separator > image.lastIndexOf('/')) {
+    return { name: image.substring(0, separator), tag: image.substring(separator + 1) };
+  }
+  return { name: image, tag: 'latest' };
+}
+
+function parseDevice(value: string): Docker.DeviceMapping {
+  const [host, container, permissions] = value.split(':');
+  return {
+    PathOnHost: host,
+    PathInContainer: container || host,
+    CgroupPermissions: permissions || 'rwm'
+  };
+}
+
+function parseDuration(value: string, flag: string): number {
+  let total = 0;
+  let consumed = 0;
+  for (const match of value.matchAll(DURATION_REGEX)) {
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    consumed += match[0].length;
+  }
+
+  if (consumed === 0 || consumed !== value.length) {
+    throw new ContainerOptionsError(`Invalid duration ${value}`, flag);
+  }
+  return Math.round(total);
+}
+
+function parseSize(value: string, flag: string): number {
+  const match = /^(\d+(?:\.\d+)?)([bkmg])?b?$/i.exec(value);
+  if (!match) {
+    throw new ContainerOptionsError(`Invalid size ${value}`, flag);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function tokenize(options: string): string[] {
+  const tokens: string[] = [];
+  const regex = /"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s"']+)/g;
+  let current = '';
+  let match: RegExpExecArray | null;
+  let lastIndex = 0;
+
+  // Quoted parts join the surrounding token, as in a shell
+  while ((match = regex.exec(options)) !== null) {
+    if (match.index > lastIndex && current) {
+      tokens.push(current);
+      current = '';
+    }
+    current += match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] ?? match[3];
+    lastIndex = regex.lastIndex;
+  }
+  if (current) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
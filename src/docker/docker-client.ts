@@ -1,6 +1,7 @@
 import Docker from 'dockerode';
 import { createLogger } from '../utils/logger';
 import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
 
 const logger = createLogger('DockerClient');
 
@@ -82,6 +83,14 @@ export interface ContainerLogs {
   timestamp: Date;
 }
 
+export type LogListener = (chunk: string, stream: 'stdout' | 'stderr') => void;
+
+export interface RegistryAuth {
+  username: string;
+  password: string;
+  serveraddress?: string;
+}
+
 export class DockerClient extends EventEmitter {
   private static instance: DockerClient;
   private docker: Docker;
@@ -319,11 +328,12 @@ export class DockerClient extends EventEmitter {
   }
 
   /**
-   * Get container logs
+   * Get container logs. In follow mode output is passed to `onData` as it
+   * arrives and the promise resolves once the container exits.
    */
   public async getContainerLogs(
     containerId: string, 
-    options: { tail?: number; since?: number; follow?: boolean } = {}
+    options: { tail?: number; since?: number; follow?: boolean; onData?: LogListener } = {}
   ): Promise<ContainerLogs> {
     if (!this.isConnected) {
       throw new Error('Docker client not connected');
@@ -334,12 +344,16 @@ export class DockerClient extends EventEmitter {
       const logOptions = {
         stdout: true,
         stderr: true,
-        tail: options.tail || 100,
+        tail: options.tail || (options.follow ? 'all' : 100),
         since: options.since || 0,
         follow: options.follow || false
       };
 
       const logs = await container.logs(logOptions as any);
+
+      if (options.follow) {
+        return await this.followContainerLogs(logs as unknown as NodeJS.ReadableStream, options.onData);
+      }
       
       return this.parseContainerLogs(logs);
     } catch (error) {
@@ -418,17 +432,18 @@ export class DockerClient extends EventEmitter {
   /**
    * Pull image
    */
-  public async pullImage(imageName: string, tag = 'latest'): Promise<void> {
+  public async pullImage(imageName: string, tag = 'latest', auth?: RegistryAuth): Promise<void> {
     if (!this.isConnected) {
       throw new Error('Docker client not connected');
     }
 
     try {
-      const fullImageName = `${imageName}:${tag}`;
+      // Tags cannot contain ':', digests (`sha256:<hex>`) always do
+      const fullImageName = tag.includes(':') ? `${imageName}@${tag}` : `${imageName}:${tag}`;
       logger.info(`Pulling image: ${fullImageName}`);
 
       await new Promise((resolve, reject) => {
-        this.docker.pull(fullImageName, (err: any, stream: any) => {
+        this.docker.pull(fullImageName, { authconfig: auth }, (err: any, stream: any) => {
           if (err) {
             reject(err);
             return;
@@ -684,6 +699,26 @@ export class DockerClient extends EventEmitter {
   /**
    * Parse container logs
    */
+  /**
+   * Demultiplex a followed log stream until it ends
+   */
+  private followContainerLogs(stream: NodeJS.ReadableStream, onData?: LogListener): Promise<ContainerLogs> {
+    const logs: ContainerLogs = { stdout: [], stderr: [], timestamp: new Date() };
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+
+    // Output handed to a listener is not buffered as well
+    stdout.on('data', (chunk: Buffer) => onData ? onData(chunk.toString(), 'stdout') : logs.stdout.push(chunk.toString()));
+    stderr.on('data', (chunk: Buffer) => onData ? onData(chunk.toString(), 'stderr') : logs.stderr.push(chunk.toString()));
+
+    this.docker.modem.demuxStream(stream, stdout, stderr);
+
+    return new Promise((resolve, reject) => {
+      stream.on('end', () => resolve(logs));
+      stream.on('error', reject);
+    });
+  }
+
   private parseContainerLogs(logs: any): ContainerLogs {
     const logString = logs.toString();
     const lines = logString.split('\n').filter((line: string) => line.trim());
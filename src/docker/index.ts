@@ -23,9 +23,17 @@ export type {
   NetworkInfo,
   ImageInfo,
   ContainerStats,
-  ContainerLogs
+  ContainerLogs,
+  RegistryAuth
 } from './docker-client';
 
+// Workflow container options
+export {
+  ContainerOptions,
+  ContainerOptionsError,
+  parseContainerOptions
+} from './container-options';
+
 // Container Templates System
 export { 
   ContainerTemplateManager,
@@ -661,6 +661,43 @@ describe('DockerSecurityManager', () => {
     });
   });
 
+  describe('Container Options Validation', () => {
+    beforeEach(() => {
+      securityManager.updatePolicy('high-security-policy', { enabled: true });
+    });
+
+    it('should block privilege escalating options', async () => {
+      const violations = await securityManager.validateContainerOptions('node:20', {
+        env: [],
+        hostConfig: {
+          Privileged: true,
+          PidMode: 'host',
+          CapAdd: ['SYS_ADMIN'],
+          Devices: [{ PathOnHost: '/dev/kvm', PathInContainer: '/dev/kvm', CgroupPermissions: 'rwm' }],
+          SecurityOpt: ['seccomp=unconfined']
+        }
+      });
+
+      expect(violations).toEqual([
+        'Privileged containers are not allowed',
+        'Sharing host or container namespaces is not allowed',
+        'Adding Linux capabilities is not allowed',
+        'Host devices are not allowed',
+        'Disabling seccomp or AppArmor confinement is not allowed'
+      ]);
+    });
+
+    it('should allow resource limits and unprivileged users', async () => {
+      const violations = await securityManager.validateContainerOptions('node:20', {
+        env: ['CI=true'],
+        user: '1001',
+        hostConfig: { NanoCpus: 2e9, CapDrop: ['ALL'], SecurityOpt: ['no-new-privileges'] }
+      });
+
+      expect(violations).toEqual([]);
+    });
+  });
+
   describe('Value Comparison', () => {
     it('should compare values correctly with different operators', () => {
       const compareValues = (securityManager as any).compareValues;
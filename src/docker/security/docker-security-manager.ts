@@ -1,5 +1,6 @@
 import { createLogger } from '../../utils/logger';
 import { DockerClient } from '../docker-client';
+import { ContainerOptions } from '../container-options';
 import { EventEmitter } from 'events';
 import * as crypto from 'crypto';
 
@@ -581,6 +582,106 @@ export class DockerSecurityManager extends EventEmitter {
           enabled: true,
           priority: 100
         },
+        {
+          id: 'no-shared-namespaces',
+          name: 'No Shared Namespaces',
+          type: SecurityRuleType.CONFIGURATION,
+          category: SecurityCategory.SYSTEM_SECURITY,
+          severity: SecuritySeverity.HIGH,
+          target: SecurityTarget.CONTAINER,
+          conditions: [
+            {
+              type: ConditionType.LABEL,
+              operator: ConditionOperator.EQUALS,
+              value: true,
+              field: 'sharedNamespace'
+            }
+          ],
+          actions: [
+            {
+              type: ActionType.BLOCK,
+              parameters: { message: 'Sharing host or container namespaces is not allowed' },
+              order: 1
+            }
+          ],
+          enabled: true,
+          priority: 95
+        },
+        {
+          id: 'no-added-capabilities',
+          name: 'No Added Capabilities',
+          type: SecurityRuleType.CONFIGURATION,
+          category: SecurityCategory.SYSTEM_SECURITY,
+          severity: SecuritySeverity.HIGH,
+          target: SecurityTarget.CONTAINER,
+          conditions: [
+            {
+              type: ConditionType.LABEL,
+              operator: ConditionOperator.GREATER_THAN,
+              value: 0,
+              field: 'capAdd'
+            }
+          ],
+          actions: [
+            {
+              type: ActionType.BLOCK,
+              parameters: { message: 'Adding Linux capabilities is not allowed' },
+              order: 1
+            }
+          ],
+          enabled: true,
+          priority: 95
+        },
+        {
+          id: 'no-host-devices',
+          name: 'No Host Devices',
+          type: SecurityRuleType.CONFIGURATION,
+          category: SecurityCategory.SYSTEM_SECURITY,
+          severity: SecuritySeverity.HIGH,
+          target: SecurityTarget.CONTAINER,
+          conditions: [
+            {
+              type: ConditionType.LABEL,
+              operator: ConditionOperator.GREATER_THAN,
+              value: 0,
+              field: 'devices'
+            }
+          ],
+          actions: [
+            {
+              type: ActionType.BLOCK,
+              parameters: { message: 'Host devices are not allowed' },
+              order: 1
+            }
+          ],
+          enabled: true,
+          priority: 95
+        },
+        {
+          id: 'no-unconfined-profiles',
+          name: 'No Unconfined Security Profiles',
+          type: SecurityRuleType.CONFIGURATION,
+          category: SecurityCategory.SYSTEM_SECURITY,
+          severity: SecuritySeverity.HIGH,
+          target: SecurityTarget.CONTAINER,
+          conditions: [
+            {
+              type: ConditionType.LABEL,
+              operator: ConditionOperator.CONTAINS,
+              value: 'unconfined',
+              field: 'securityOpt'
+            }
+          ],
+          actions: [
+            {
+              type: ActionType.BLOCK,
+              parameters: { message: 'Disabling seccomp or AppArmor confinement is not allowed' },
+              order: 1
+            }
+          ],
+          enabled: true,
+          priority: 95
+        },
         {
           id: 'no-root-user',
           name: 'No Root User',
@@ -775,6 +876,59 @@ export class DockerSecurityManager extends EventEmitter {
     }
   }
 
+  /**
+   * Check the options of a container that is about to be created against the
+   * enforced policies. Returns the messages of the rules that would block it.
+   */
+  public async validateContainerOptions(
+    image: string,
+    options: ContainerOptions
+  ): Promise<string[]> {
+    const hostConfig: Record<string, any> = options.hostConfig || {};
+    const containerInfo = {
+      image,
+      user: options.user,
+      environment: options.env || [],
+      labels: {
+        privileged: hostConfig.Privileged === true,
+        sharedNamespace: ['PidMode', 'IpcMode', 'UTSMode', 'UsernsMode', 'NetworkMode']
+          .some(mode => hostConfig[mode] === 'host' || String(hostConfig[mode] || '').startsWith('container:')),
+        capAdd: (hostConfig.CapAdd || []).length,
+        devices: (hostConfig.Devices || []).length,
+        securityOpt: hostConfig.SecurityOpt || []
+      },
+      ports: []
+    };
+
+    const violations: string[] = [];
+    const enforced = Array.from(this.policies.values()).filter(p =>
+      p.enabled && (p.enforcement === EnforcementMode.ENFORCEMENT || p.enforcement === EnforcementMode.BLOCKING)
+    );
+
+    for (const policy of enforced) {
+      for (const rule of policy.rules.filter(r => r.enabled && r.conditions.length > 0)) {
+        const block = rule.actions.find(action => action.type === ActionType.BLOCK);
+        if (!block) {
+          continue;
+        }
+
+        let matches = true;
+        for (const condition of rule.conditions) {
+          if (!await this.evaluateCondition(containerInfo, condition)) {
+            matches = false;
+            break;
+          }
+        }
+
+        if (matches) {
+          violations.push(block.parameters.message || `Blocked by rule ${rule.id}`);
+        }
+      }
+    }
+
+    return violations;
+  }
+
   /**
    * Apply a single policy to a container profile
    */
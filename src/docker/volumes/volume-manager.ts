@@ -528,6 +528,13 @@ export class VolumeManager extends EventEmitter {
     logger.info(`Registered volume configuration: ${config.id} (${config.name})`);
   }
 
+  /**
+   * Remove a volume configuration; the Docker volume itself is left untouched
+   */
+  public unregisterVolumeConfig(configId: string): boolean {
+    return this.volumes.delete(configId);
+  }
+
   /**
    * Get volume configuration by ID
    */
@@ -3,11 +3,14 @@ import config, { validateConfig } from './config';
 import { createLogger } from './utils/logger';
 import App from './app-with-queues';
 import ServiceManager from './services/service-manager';
+import HAManager from './services/ha-manager';
 import { QueueManager } from './queues/queue-manager';
 import { JobRouter } from './queues/job-router';
 import { RetryHandler } from './queues/retry-handler';
 import { JobPersistence } from './queues/job-persistence';
-import { JobType, QUEUE_CONFIG } from './queues/config/redis-config';
+import { ScheduleRegistry } from './queues/schedule-registry';
+import { ConcurrencyManager } from './queues/concurrency-manager';
+import { QUEUE_CONFIG } from './queues/config/redis-config';
 import runnerPoolManager from './services/runner-pool-manager';
 import containerOrchestrator from './services/container-orchestrator-v2';
 import autoScaler from './services/auto-scaler';
@@ -24,7 +27,6 @@ const logger = createLogger('Main');
 let app: App;
 let serviceManager: ServiceManager;
 let queueManager: QueueManager;
-let jobRouter: JobRouter;
 let retryHandler: RetryHandler;
 let jobPersistence: JobPersistence;
 let isShuttingDown = false;
@@ -43,7 +45,10 @@ async function initializeQueueSystem() {
     await queueManager.initialize();
     
     // Initialize job router
-    jobRouter = JobRouter.getInstance();
+    JobRouter.getInstance();
+    
+    // Stop containers of runs cancelled on other nodes
+    await ConcurrencyManager.getInstance().start();
     
     // Initialize retry handler
     retryHandler = RetryHandler.getInstance();
@@ -75,41 +80,19 @@ async function initializeQueueSystem() {
 async function scheduleRecurringJobs() {
   logger.info('Scheduling recurring jobs...');
   
-  // Schedule metrics collection
-  await jobRouter.route({
-    type: JobType.COLLECT_METRICS,
-    data: {
-      targets: ['system', 'containers', 'queues', 'application'],
-      interval: 60000 // 1 minute
-    }
-  });
+  const scheduleRegistry = ScheduleRegistry.getInstance();
+  await scheduleRegistry.ensureDefaults();
   
-  // Schedule container cleanup
-  await jobRouter.route({
-    type: JobType.CLEANUP_CONTAINERS,
-    data: {
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      cronPattern: '0 */6 * * *' // Every 6 hours
-    }
-  });
-  
-  // Schedule old job cleanup
-  await jobRouter.route({
-    type: JobType.CLEANUP_OLD_JOBS,
-    data: {
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      cronPattern: '0 2 * * *' // Daily at 2 AM
-    }
-  });
-  
-  // Schedule log cleanup
-  await jobRouter.route({
-    type: JobType.CLEANUP_LOGS,
-    data: {
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      cronPattern: '0 3 * * 0' // Weekly on Sunday at 3 AM
-    }
-  });
+  // Schedules run on the elected leader only, or here when running without HA
+  const haManager = serviceManager.hasService('haManager')
+    ? serviceManager.getService<HAManager>('haManager')
+    : undefined;
+  const leaderElection = haManager?.getLeaderElection();
+  if (leaderElection) {
+    await scheduleRegistry.bindLeaderElection(leaderElection);
+  } else {
+    await scheduleRegistry.setLeader(true);
+  }
   
   logger.info('Recurring jobs scheduled');
 }
@@ -156,6 +139,8 @@ async function shutdown(signal: string) {
       logger.info('Shutting down queue manager...');
       await queueManager.shutdown();
     }
+    
+    await ConcurrencyManager.getInstance().stop();
 
     // Shutdown auto-scaler
     await autoScaler.shutdown();
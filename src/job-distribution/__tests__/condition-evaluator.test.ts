@@ -0,0 +1,119 @@
+import { describe, it, expect } from '@jest/globals';
+import { SandboxedConditionEvaluator, ConditionEvaluationError } from '../condition-evaluator';
+import {
+  DependencyManager,
+  ConditionType,
+  ConditionEvaluator
+} from '../dependency-manager';
+import { JobRoutingRequest } from '../job-router';
+
+// The router pulls in the orchestrator stack; only its types are needed here
+jest.mock('../job-router', () => ({ JobPriority: { HIGH: 1 } }));
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('SandboxedConditionEvaluator', () => {
+  const evaluator = new SandboxedConditionEvaluator();
+  const context = {
+    success: true,
+    exitCode: 0,
+    output: 'Deployed build 42',
+    duration: 120000,
+    maxDuration: 300000,
+    result: { artifacts: ['app.tar.gz'] }
+  };
+
+  it('should evaluate comparisons and logic as GitHub expressions', () => {
+    expect(evaluator.evaluateBoolean('success && exitCode == 0', context)).toBe(true);
+    expect(evaluator.evaluateBoolean('duration > maxDuration || !success', context)).toBe(false);
+    expect(evaluator.evaluateBoolean('duration <= maxDuration', context)).toBe(true);
+  });
+
+  it('should support member access and expression functions', () => {
+    expect(evaluator.evaluateBoolean("contains(output, 'build') && result.artifacts[0] == 'app.tar.gz'", context)).toBe(true);
+    expect(evaluator.evaluate("result['artifacts'][0]", context)).toBe('app.tar.gz');
+    expect(evaluator.evaluateBoolean("$.result.exitCode == 0", { $: { result: { exitCode: 0 } } })).toBe(true);
+  });
+
+  it('should reject fields outside the whitelist and job status functions', () => {
+    expect(() => evaluator.compile('process.exit(1)', ['success'])).toThrow(ConditionEvaluationError);
+    expect(() => evaluator.evaluate('require', context)).toThrow("Unrecognized named-value: 'require'");
+    expect(() => evaluator.evaluate('always()', context)).toThrow("Function 'always' is not available in conditions");
+  });
+
+  it('should not expose the prototype chain', () => {
+    expect(evaluator.evaluate('result.constructor', context)).toBeNull();
+    expect(evaluator.evaluate("result['__proto__']", context)).toBeNull();
+    expect(evaluator.evaluate('result.toString', context)).toBeNull();
+  });
+
+  it('should reject unsupported syntax', () => {
+    expect(() => evaluator.compile('exitCode = 1', ['exitCode'])).toThrow(ConditionEvaluationError);
+    expect(() => evaluator.compile('success; exitCode', ['success', 'exitCode'])).toThrow(ConditionEvaluationError);
+    expect(() => evaluator.compile('(() => 1)()', [])).toThrow(ConditionEvaluationError);
+  });
+
+  it('should enforce the step limit', () => {
+    const limited = new SandboxedConditionEvaluator({ maxSteps: 5 });
+    expect(() => limited.evaluate('success && exitCode == 0 && duration > 0', context)).toThrow('Evaluation exceeded 5 steps');
+  });
+
+  it('should bound regex patterns and interrupt catastrophic backtracking', () => {
+    const limited = new SandboxedConditionEvaluator({ maxPatternLength: 16, timeoutMs: 20 });
+
+    expect(limited.testPattern('build \\d+', context.output)).toBe(true);
+    expect(() => limited.compilePattern('a'.repeat(17))).toThrow('Pattern exceeds 16 characters');
+    expect(() => limited.testPattern('^(a+)+$', `${'a'.repeat(40)}!`)).toThrow('Pattern evaluation exceeded 20ms');
+  });
+});
+
+describe('DependencyManager conditions', () => {
+  const manager = DependencyManager.getInstance();
+
+  const createJob = (jobId: string, needs: string[] = []): JobRoutingRequest => ({
+    jobId,
+    workflowId: 'workflow-1',
+    repository: 'test/repo',
+    sha: 'abc123',
+    ref: 'main',
+    labels: ['self-hosted'],
+    environment: {},
+    services: {},
+    container: null,
+    strategy: [],
+    needs,
+    timeout: 3600,
+    priority: 2,
+    resourceRequirements: {} as any,
+    metadata: { estimatedDuration: 60 } as any
+  });
+
+  it('should reject invalid expressions when the dependency is created', async () => {
+    await expect(manager.createDependencyGraph('invalid-graph', [createJob('build'), createJob('deploy', ['build'])], {
+      'build->deploy': {
+        type: ConditionType.CUSTOM,
+        evaluator: ConditionEvaluator.JAVASCRIPT,
+        expression: 'globalThis.process.exitCode == 0',
+        variables: {}
+      }
+    })).rejects.toThrow("Invalid condition for dependency build->deploy: Unrecognized named-value: 'globalThis'");
+  });
+
+  it('should require comparison conditions to be a single comparison', async () => {
+    await expect(manager.createDependencyGraph('comparison-graph', [createJob('build'), createJob('deploy', ['build'])], {
+      'build->deploy': {
+        type: ConditionType.CUSTOM,
+        evaluator: ConditionEvaluator.COMPARISON,
+        expression: 'exitCode',
+        variables: {}
+      }
+    })).rejects.toThrow('Comparison condition must be a single comparison');
+  });
+});
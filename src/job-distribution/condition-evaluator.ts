@@ -0,0 +1,151 @@
+import vm from 'vm';
+import { createLogger } from '../utils/logger';
+import {
+  ExpressionEvaluator,
+  ExpressionError,
+  ExpressionNode,
+  ExpressionValue
+} from '../orchestrator/expression-evaluator';
+
+const logger = createLogger('ConditionEvaluator');
+
+export interface ConditionLimits {
+  maxExpressionLength: number;
+  maxSteps: number; // AST nodes visited per evaluation
+  timeoutMs: number;
+  maxPatternLength: number; // REGEX conditions
+  maxSubjectLength: number; // Characters of output a REGEX condition is matched against
+}
+
+export type ConditionValue = ExpressionValue;
+
+export type ConditionNode = ExpressionNode;
+
+export const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+// Functions depending on a running job's status or workspace mean nothing here
+const UNAVAILABLE_FUNCTIONS = ['success', 'failure', 'always', 'cancelled', 'hashfiles'];
+
+// Matches run in their own context so the timeout can interrupt catastrophic backtracking
+const REGEX_SCRIPT = new vm.Script('new RegExp(pattern).test(subject)');
+
+export class ConditionEvaluationError extends Error {
+  constructor(message: string, public readonly expression: string) {
+    super(message);
+    this.name = 'ConditionEvaluationError';
+  }
+}
+
+/**
+ * Sandboxed, side-effect-free evaluator for dependency conditions. Conditions
+ * are GitHub Actions expressions over a whitelisted set of context fields,
+ * parsed and evaluated by the ExpressionEvaluator within step and time limits.
+ */
+export class SandboxedConditionEvaluator {
+  private limits: ConditionLimits;
+  private expressions: ExpressionEvaluator;
+  private regexContext = vm.createContext({});
+
+  constructor(limits: Partial<ConditionLimits> = {}) {
+    this.limits = {
+      maxExpressionLength: 1000,
+      maxSteps: 1000,
+      timeoutMs: 50,
+      maxPatternLength: 256,
+      maxSubjectLength: 64 * 1024,
+      ...limits
+    };
+    this.expressions = ExpressionEvaluator.getInstance();
+  }
+
+  /**
+   * Parse and check that the expression only references allowed fields.
+   * Throws ConditionEvaluationError when the expression is invalid.
+   */
+  public compile(expression: string, allowedFields: string[]): ConditionNode {
+    if (expression.length > this.limits.maxExpressionLength) {
+      throw new ConditionEvaluationError(`Expression exceeds ${this.limits.maxExpressionLength} characters`, expression);
+    }
+
+    try {
+      const unavailable = this.expressions.getReferences(expression, allowedFields).functions
+        .find(name => UNAVAILABLE_FUNCTIONS.includes(name));
+      if (unavailable) {
+        throw new ConditionEvaluationError(`Function '${unavailable}' is not available in conditions`, expression);
+      }
+      return this.expressions.parse(expression, allowedFields);
+    } catch (error) {
+      throw this.toConditionError(error, expression);
+    }
+  }
+
+  /**
+   * Evaluate an expression against a context. Only own properties of the
+   * context are visible and the evaluation is bounded by the configured
+   * step and time limits.
+   */
+  public evaluate(expression: string, context: Record<string, any>): ConditionValue {
+    const namedValues = Object.keys(context);
+    this.compile(expression, namedValues);
+
+    try {
+      return this.expressions.evaluate(expression, context, {
+        namedValues,
+        maxSteps: this.limits.maxSteps,
+        timeoutMs: this.limits.timeoutMs
+      });
+    } catch (error) {
+      throw this.toConditionError(error, expression);
+    }
+  }
+
+  public evaluateBoolean(expression: string, context: Record<string, any>): boolean {
+    return this.isTruthy(this.evaluate(expression, context));
+  }
+
+  /**
+   * Check a REGEX condition's pattern before it enters a graph
+   */
+  public compilePattern(pattern: string): void {
+    if (pattern.length > this.limits.maxPatternLength) {
+      throw new ConditionEvaluationError(`Pattern exceeds ${this.limits.maxPatternLength} characters`, pattern);
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new ConditionEvaluationError((error as Error).message, pattern);
+    }
+  }
+
+  /**
+   * Match a REGEX condition against the end of the subject, within the
+   * time limit
+   */
+  public testPattern(pattern: string, subject: string): boolean {
+    this.compilePattern(pattern);
+    this.regexContext.pattern = pattern;
+    this.regexContext.subject = subject.slice(-this.limits.maxSubjectLength);
+
+    try {
+      return REGEX_SCRIPT.runInContext(this.regexContext, { timeout: this.limits.timeoutMs }) === true;
+    } catch (error) {
+      logger.warn('Regex condition did not complete', { pattern, error: (error as Error).message });
+      throw new ConditionEvaluationError(`Pattern evaluation exceeded ${this.limits.timeoutMs}ms`, pattern);
+    } finally {
+      this.regexContext.subject = '';
+    }
+  }
+
+  public isTruthy(value: ConditionValue): boolean {
+    return value !== null && value !== false && value !== 0 && value !== '' && !Number.isNaN(value);
+  }
+
+  private toConditionError(error: unknown, expression: string): Error {
+    if (error instanceof ConditionEvaluationError) {
+      return error;
+    }
+    return error instanceof ExpressionError ? new ConditionEvaluationError(error.message, expression) : error as Error;
+  }
+}
+
+export default SandboxedConditionEvaluator;
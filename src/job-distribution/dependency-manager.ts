@@ -1,6 +1,13 @@
 import { createLogger } from '../utils/logger';
 import { EventEmitter } from 'events';
 import { JobRoutingRequest, JobPriority } from './job-router';
+import {
+  SandboxedConditionEvaluator,
+  ConditionEvaluationError,
+  ConditionLimits,
+  ConditionNode,
+  COMPARISON_OPERATORS
+} from './condition-evaluator';
 
 const logger = createLogger('DependencyManager');
 
@@ -11,6 +18,7 @@ export interface DependencyConfig {
   dependencyResolution: DependencyResolutionStrategy;
   parallelExecution: ParallelExecutionConfig;
   conditionalDependencies: boolean;
+  conditionLimits?: Partial<ConditionLimits>;
 }
 
 export interface TimeoutHandling {
@@ -283,6 +291,9 @@ export enum RiskLevel {
   CRITICAL = 'critical'
 }
 
+// Fields of the upstream job result visible to condition expressions
+const CONDITION_CONTEXT_FIELDS = ['success', 'failure', 'exitCode', 'exit_code', 'output', 'error', 'duration', 'status'];
+
 export class DependencyManager extends EventEmitter {
   private static instance: DependencyManager;
   private config: DependencyConfig;
@@ -291,10 +302,12 @@ export class DependencyManager extends EventEmitter {
   private jobNodes: Map<string, JobNode> = new Map();
   private executionPlans: Map<string, ExecutionPlan> = new Map();
   private timeoutCheckers: Map<string, NodeJS.Timeout> = new Map();
+  private conditionEvaluator: SandboxedConditionEvaluator;
 
   private constructor(config: DependencyConfig) {
     super();
     this.config = config;
+    this.conditionEvaluator = new SandboxedConditionEvaluator(config.conditionLimits);
   }
 
   public static getInstance(config?: DependencyConfig): DependencyManager {
@@ -341,11 +354,13 @@ export class DependencyManager extends EventEmitter {
   }
 
   /**
-   * Create dependency graph from job requests
+   * Create dependency graph from job requests. Conditions are keyed by
+   * dependency id (`source->target`) and validated up front.
    */
   public async createDependencyGraph(
     graphId: string,
-    jobs: JobRoutingRequest[]
+    jobs: JobRoutingRequest[],
+    conditions: Record<string, DependencyCondition> = {}
   ): Promise<DependencyGraph> {
     logger.info(`Creating dependency graph ${graphId} with ${jobs.length} jobs`);
 
@@ -378,7 +393,7 @@ export class DependencyManager extends EventEmitter {
     for (const job of jobs) {
       if (job.needs && job.needs.length > 0) {
         for (const dependsOn of job.needs) {
-          const dependency = this.createDependency(dependsOn, job.jobId);
+          const dependency = this.createDependency(dependsOn, job.jobId, conditions[`${dependsOn}->${job.jobId}`]);
           graph.edges.set(dependency.id, dependency);
           this.activeDependencies.set(dependency.id, dependency);
 
@@ -633,26 +648,10 @@ export class DependencyManager extends EventEmitter {
    * Evaluate expression condition
    */
   private async evaluateExpressionCondition(condition: DependencyCondition, depNode: JobNode): Promise<boolean> {
-    // Simple expression evaluation - in production would use a proper expression parser
-    const expression = condition.expression.toLowerCase();
-    
-    if (expression.includes('success')) {
-      return depNode.result?.success === true;
-    }
-    
-    if (expression.includes('failure') || expression.includes('failed')) {
-      return depNode.result?.success === false;
-    }
-    
-    if (expression.includes('exit_code')) {
-      const exitCodeMatch = expression.match(/exit_code\s*==\s*(\d+)/);
-      if (exitCodeMatch) {
-        const expectedCode = parseInt(exitCodeMatch[1]);
-        return depNode.result?.exitCode === expectedCode;
-      }
-    }
-    
-    return true; // Default to satisfied
+    return this.conditionEvaluator.evaluateBoolean(
+      condition.expression,
+      this.buildConditionContext(depNode, condition.variables)
+    );
   }
 
   /**
@@ -1009,7 +1008,7 @@ export class DependencyManager extends EventEmitter {
     return {
       jobId: job.jobId,
       job,
-      dependencies: job.needs || [],
+      dependencies: [], // Filled in as edges are created
       dependents: [],
       status: JobNodeStatus.WAITING,
       metadata: {
@@ -1026,14 +1025,23 @@ export class DependencyManager extends EventEmitter {
   /**
    * Create dependency between jobs
    */
-  private createDependency(sourceJobId: string, targetJobId: string): JobDependency {
+  private createDependency(sourceJobId: string, targetJobId: string, condition?: DependencyCondition): JobDependency {
     const dependencyId = `${sourceJobId}->${targetJobId}`;
+
+    if (condition) {
+      try {
+        this.validateCondition(condition);
+      } catch (error) {
+        throw new Error(`Invalid condition for dependency ${dependencyId}: ${(error as Error).message}`);
+      }
+    }
     
     return {
       id: dependencyId,
       sourceJobId,
       targetJobId,
-      dependencyType: DependencyType.SEQUENTIAL,
+      dependencyType: condition ? DependencyType.CONDITIONAL : DependencyType.SEQUENTIAL,
+      condition,
       metadata: {
         description: `${targetJobId} depends on ${sourceJobId}`,
         priority: 5,
@@ -1048,6 +1056,48 @@ export class DependencyManager extends EventEmitter {
     };
   }
 
+  /**
+   * Reject conditions that cannot be evaluated before they enter a graph
+   */
+  private validateCondition(condition: DependencyCondition): void {
+    if (condition.type !== ConditionType.CUSTOM && condition.type !== ConditionType.EXPRESSION) {
+      return;
+    }
+
+    const fields = [...CONDITION_CONTEXT_FIELDS, ...Object.keys(condition.variables || {})];
+
+    if (condition.type === ConditionType.EXPRESSION) {
+      this.conditionEvaluator.compile(condition.expression, fields);
+      return;
+    }
+
+    switch (condition.evaluator) {
+      case ConditionEvaluator.JAVASCRIPT:
+        this.conditionEvaluator.compile(condition.expression, fields);
+        break;
+
+      case ConditionEvaluator.JSON_PATH:
+        this.conditionEvaluator.compile(condition.expression, ['$']);
+        break;
+
+      case ConditionEvaluator.COMPARISON: {
+        const ast: ConditionNode = this.conditionEvaluator.compile(condition.expression, fields);
+        if (ast.type !== 'binary' || !COMPARISON_OPERATORS.includes(ast.operator)) {
+          throw new ConditionEvaluationError('Comparison condition must be a single comparison', condition.expression);
+        }
+        break;
+      }
+
+      case ConditionEvaluator.REGEX:
+        this.conditionEvaluator.compilePattern(condition.expression);
+        break;
+
+      default:
+        throw new ConditionEvaluationError(`Unknown condition evaluator: ${condition.evaluator}`, condition.expression);
+    }
+  }
+
+
   /**
    * Find dependency edge between two jobs
    */
@@ -1102,80 +1152,39 @@ export class DependencyManager extends EventEmitter {
    * Helper methods for condition evaluation
    */
   private evaluateJavaScriptCondition(expression: string, depNode: JobNode, variables: Record<string, any>): boolean {
-    try {
-      // Create safe evaluation context
-      const context = {
-        success: depNode.result?.success,
-        exitCode: depNode.result?.exitCode,
-        output: depNode.result?.output,
-        error: depNode.result?.error,
-        duration: depNode.result?.metrics.duration,
-        ...variables
-      };
-
-      // Simple expression evaluation (in production, use a safe evaluator)
-      return new Function('context', `with(context) { return ${expression}; }`)(context);
-    } catch (error) {
-      logger.error('JavaScript condition evaluation error:', error);
-      return false;
-    }
+    return this.conditionEvaluator.evaluateBoolean(expression, this.buildConditionContext(depNode, variables));
   }
 
   private evaluateJsonPathCondition(expression: string, depNode: JobNode): boolean {
-    // Simplified JSONPath evaluation
-    try {
-      const data = {
-        result: depNode.result,
-        status: depNode.status,
-        metadata: depNode.metadata
-      };
-      
-      // Basic JSONPath support (would use jsonpath library in production)
-      return expression.includes('success') ? depNode.result?.success === true : false;
-    } catch (error) {
-      return false;
-    }
+    // JSONPath-style expressions such as `$.result.exitCode == 0` against the upstream node
+    const data = {
+      result: depNode.result,
+      status: depNode.status,
+      metadata: depNode.metadata
+    };
+    return this.conditionEvaluator.evaluateBoolean(expression, { $: data });
   }
 
   private evaluateRegexCondition(expression: string, depNode: JobNode): boolean {
-    try {
-      const regex = new RegExp(expression);
-      const output = depNode.result?.output || '';
-      return regex.test(output);
-    } catch (error) {
-      return false;
-    }
+    return this.conditionEvaluator.testPattern(expression, depNode.result?.output || '');
   }
 
   private evaluateComparisonCondition(expression: string, depNode: JobNode, variables: Record<string, any>): boolean {
-    // Simple comparison evaluation
-    const parts = expression.split(/\s*(==|!=|<|>|<=|>=)\s*/);
-    if (parts.length !== 3) return false;
-
-    const [left, operator, right] = parts;
-    
-    let leftValue: any = depNode.result?.exitCode;
-    let rightValue: any = right;
-
-    if (left === 'duration') {
-      leftValue = depNode.result?.metrics.duration;
-    } else if (left === 'success') {
-      leftValue = depNode.result?.success;
-    }
-
-    if (variables[right] !== undefined) {
-      rightValue = variables[right];
-    }
+    return this.conditionEvaluator.evaluateBoolean(expression, this.buildConditionContext(depNode, variables));
+  }
 
-    switch (operator) {
-      case '==': return leftValue == rightValue;
-      case '!=': return leftValue != rightValue;
-      case '<': return leftValue < rightValue;
-      case '>': return leftValue > rightValue;
-      case '<=': return leftValue <= rightValue;
-      case '>=': return leftValue >= rightValue;
-      default: return false;
-    }
+  private buildConditionContext(depNode: JobNode, variables: Record<string, any> = {}): Record<string, any> {
+    return {
+      ...variables,
+      success: depNode.result?.success ?? null,
+      failure: depNode.result ? !depNode.result.success : null,
+      exitCode: depNode.result?.exitCode ?? null,
+      exit_code: depNode.result?.exitCode ?? null,
+      output: depNode.result?.output ?? null,
+      error: depNode.result?.error ?? null,
+      duration: depNode.result?.metrics?.duration ?? null,
+      status: depNode.status
+    };
   }
 
   /**
@@ -1300,6 +1309,26 @@ export class DependencyManager extends EventEmitter {
     return this.dependencyGraphs.get(graphId);
   }
 
+  /**
+   * Remove a dependency graph along with its nodes and edges
+   */
+  public removeDependencyGraph(graphId: string): void {
+    const graph = this.dependencyGraphs.get(graphId);
+    if (!graph) return;
+
+    for (const [jobId, node] of graph.nodes.entries()) {
+      if (this.jobNodes.get(jobId) === node) {
+        this.jobNodes.delete(jobId);
+      }
+    }
+    for (const edgeId of graph.edges.keys()) {
+      this.activeDependencies.delete(edgeId);
+    }
+
+    this.dependencyGraphs.delete(graphId);
+    this.executionPlans.delete(graphId);
+  }
+
   public getExecutionPlan(graphId: string): ExecutionPlan | undefined {
     return this.executionPlans.get(graphId);
   }
@@ -83,6 +83,14 @@ export {
   EscalationAction
 } from './dependency-manager';
 
+// Condition Evaluator
+export {
+  SandboxedConditionEvaluator,
+  ConditionEvaluationError,
+  type ConditionLimits,
+  type ConditionValue
+} from './condition-evaluator';
+
 // Add missing type definitions for convenience
 export type RouterConfig = {
   algorithm: RoutingAlgorithm;
@@ -1423,17 +1423,28 @@ class AutoScaler {
   }
 }
 
-class FairShareCalculator {
+/**
+ * Splits capacity between consumers in proportion to their weights. Also used
+ * by the job queue to divide workers between repositories and organizations.
+ */
+export class FairShareCalculator {
   calculateFairShares(request: SchedulingRequest, pools: ResourcePool[]): Map<string, number> {
+    // Pools are weighted equally for now
+    return this.calculateWeightedShares(new Map(pools.map(pool => [pool.id, 1])));
+  }
+
+  calculateWeightedShares(weights: Map<string, number>): Map<string, number> {
     const shares = new Map<string, number>();
-    
-    // Simple equal share for now
-    const equalShare = 1.0 / pools.length;
-    
-    for (const pool of pools) {
-      shares.set(pool.id, equalShare);
+    let total = 0;
+
+    for (const weight of weights.values()) {
+      total += Math.max(weight, 0);
     }
-    
+
+    for (const [id, weight] of weights) {
+      shares.set(id, total > 0 ? Math.max(weight, 0) / total : 0);
+    }
+
     return shares;
   }
 }
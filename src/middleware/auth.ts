@@ -3,6 +3,9 @@ import jwt from 'jsonwebtoken';
 import { createLogger } from '../utils/logger';
 import ServiceManager from '../services/service-manager';
 import VaultService from '../services/vault-service';
+import apiTokenService, { isApiToken, TokenPrincipal } from '../services/api-token-service';
+import authorizationService, { resourceContext } from '../services/authorization-service';
+import type { RbacContext } from '../container-orchestration/security/rbac';
 
 const logger = createLogger('AuthMiddleware');
 
@@ -15,6 +18,8 @@ export interface JWTPayload {
   exp: number;
   iss: string;
   aud: string;
+  tokenId?: string; // Set for API tokens, whose permissions are their scopes
+  repositories?: string[] | null; // Repositories an API token is restricted to
 }
 
 export interface AuthenticatedRequest extends Request {
@@ -151,6 +156,66 @@ export class AuthMiddleware {
     return null;
   }
 
+  /**
+   * Verify a session JWT or an API token. API tokens act as viewers on
+   * routes without a permission check, anything more needs their scopes.
+   */
+  async verifyCredentials(token: string): Promise<JWTPayload> {
+    if (!isApiToken(token)) {
+      return this.verifyToken(token);
+    }
+
+    const principal = await apiTokenService.verify(token);
+    if (!principal) {
+      throw new Error('Invalid or expired API token');
+    }
+
+    return this.toPayload(principal);
+  }
+
+  private toPayload(principal: TokenPrincipal): JWTPayload {
+    return {
+      sub: principal.userId || `service:${principal.id}`,
+      username: principal.username || principal.name,
+      role: 'viewer',
+      permissions: principal.scopes,
+      iat: Math.floor(principal.createdAt.getTime() / 1000),
+      exp: Math.floor(principal.expiresAt.getTime() / 1000),
+      iss: 'github-runnerhub',
+      aud: 'github-runnerhub-api',
+      tokenId: principal.id,
+      repositories: principal.repositories
+    };
+  }
+
+  /**
+   * User a request's token belongs to, or null when it carries no valid
+   * token. Unlike `authenticate()` this never rejects the request, and it
+   * never queries the database: API tokens are only recognised once
+   * `authenticate()` verified them recently.
+   */
+  async identify(req: AuthenticatedRequest): Promise<JWTPayload | null> {
+    if (req.user) {
+      return req.user;
+    }
+
+    const token = this.extractToken(req);
+    if (!token || !this.initialized) {
+      return null;
+    }
+
+    if (isApiToken(token)) {
+      const principal = apiTokenService.getVerified(token);
+      return principal ? this.toPayload(principal) : null;
+    }
+
+    try {
+      return this.verifyToken(token);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Authentication middleware function
    */
@@ -177,7 +242,7 @@ export class AuthMiddleware {
         }
 
         try {
-          const decoded = this.verifyToken(token);
+          const decoded = await this.verifyCredentials(token);
           req.user = decoded;
           req.token = token;
 
@@ -185,6 +250,7 @@ export class AuthMiddleware {
             userId: decoded.sub,
             username: decoded.username,
             role: decoded.role,
+            tokenId: decoded.tokenId,
             endpoint: req.path
           });
 
@@ -210,12 +276,13 @@ export class AuthMiddleware {
   }
 
   /**
-   * Authorization middleware - check if user has required role
+   * Authorization middleware - check if user has required role, directly
+   * or through the RBAC role hierarchy
    */
   authorize(requiredRoles: string | string[]) {
     const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
 
-    return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
+    return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
       if (!req.user) {
         res.status(401).json({
           success: false,
@@ -224,19 +291,28 @@ export class AuthMiddleware {
         return;
       }
 
-      if (!roles.includes(req.user.role)) {
-        logger.warn('Access denied - insufficient role', {
-          userId: req.user.sub,
-          username: req.user.username,
-          userRole: req.user.role,
-          requiredRoles: roles,
-          endpoint: req.path
-        });
+      try {
+        if (!await authorizationService.hasRole(req.user, roles)) {
+          logger.warn('Access denied - insufficient role', {
+            userId: req.user.sub,
+            username: req.user.username,
+            userRole: req.user.role,
+            requiredRoles: roles,
+            endpoint: req.path
+          });
 
-        res.status(403).json({
+          res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: `Required role: ${roles.join(' or ')}, your role: ${req.user.role}`
+          });
+          return;
+        }
+      } catch (error) {
+        logger.error('Authorization middleware error', { error: (error as Error).message });
+        res.status(500).json({
           success: false,
-          error: 'Insufficient permissions',
-          message: `Required role: ${roles.join(' or ')}, your role: ${req.user.role}`
+          error: 'Internal authorization error'
         });
         return;
       }
@@ -253,10 +329,17 @@ export class AuthMiddleware {
   }
 
   /**
-   * Permission-based authorization middleware
+   * Permission-based authorization middleware, decided by the RBAC engine's
+   * roles and policies for the repository the request is for when
+   * `repositoryOf` names one, which may have to look it up first. API tokens
+   * also need the permission among their scopes, and to be allowed on that
+   * repository.
    */
-  requirePermission(permission: string) {
-    return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
+  requirePermission(
+    permission: string,
+    repositoryOf?: (req: AuthenticatedRequest) => string | undefined | Promise<string | undefined>
+  ) {
+    return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
       if (!req.user) {
         res.status(401).json({
           success: false,
@@ -265,28 +348,73 @@ export class AuthMiddleware {
         return;
       }
 
-      if (!req.user.permissions.includes(permission) && req.user.role !== 'admin') {
-        logger.warn('Access denied - missing permission', {
-          userId: req.user.sub,
-          username: req.user.username,
-          userRole: req.user.role,
-          userPermissions: req.user.permissions,
-          requiredPermission: permission,
-          endpoint: req.path
-        });
+      let repository: string | undefined;
+
+      try {
+        repository = repositoryOf ? await repositoryOf(req) : undefined;
+
+        if (!await this.hasPermission(req.user, permission, resourceContext(repository, req.ip))) {
+          logger.warn('Access denied - missing permission', {
+            userId: req.user.sub,
+            username: req.user.username,
+            userRole: req.user.role,
+            userPermissions: req.user.permissions,
+            tokenId: req.user.tokenId,
+            requiredPermission: permission,
+            repository,
+            endpoint: req.path
+          });
 
-        res.status(403).json({
+          res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: repository
+              ? `Required permission: ${permission} on ${repository}`
+              : `Required permission: ${permission}`
+          });
+          return;
+        }
+      } catch (error) {
+        logger.error('Authorization middleware error', { error: (error as Error).message });
+        res.status(500).json({
           success: false,
-          error: 'Insufficient permissions',
-          message: `Required permission: ${permission}`
+          error: 'Internal authorization error'
         });
         return;
       }
 
+      if (req.user.tokenId && req.user.repositories && repositoryOf) {
+        if (!repository || !req.user.repositories.includes(repository.toLowerCase())) {
+          logger.warn('Access denied - repository not allowed for API token', {
+            tokenId: req.user.tokenId,
+            repository,
+            endpoint: req.path
+          });
+
+          res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: `Token is not allowed for repository: ${repository || 'any'}`
+          });
+          return;
+        }
+      }
+
       next();
     };
   }
 
+  /**
+   * Whether a user holds a permission, optionally for a repository. API
+   * tokens hold at most their scopes, which deny policies can still take away.
+   */
+  async hasPermission(user: JWTPayload, permission: string, context: RbacContext = {}): Promise<boolean> {
+    if (user.tokenId && !user.permissions.includes(permission)) {
+      return false;
+    }
+    return authorizationService.check(user, permission, context);
+  }
+
   /**
    * Optional authentication - doesn't fail if no token provided
    */
@@ -301,7 +429,7 @@ export class AuthMiddleware {
       
       if (token) {
         try {
-          const decoded = this.verifyToken(token);
+          const decoded = await this.verifyCredentials(token);
           req.user = decoded;
           req.token = token;
 
@@ -1,52 +1,58 @@
 import { Request, Response, NextFunction } from 'express';
-import config from '../config';
-
-interface RateLimitStore {
-  [key: string]: {
-    count: number;
-    resetTime: number;
-  };
-}
-
-const store: RateLimitStore = {};
-
-export const rateLimiter = (req: Request, res: Response, next: NextFunction): void => {
-  const key = req.ip || 'unknown';
-  const now = Date.now();
-  const windowMs = config.security.apiRateWindow;
-  const limit = config.security.apiRateLimit;
-
-  if (!store[key] || store[key].resetTime < now) {
-    store[key] = {
-      count: 1,
-      resetTime: now + windowMs
-    };
-  } else {
-    store[key].count++;
+import authMiddleware from './auth';
+import apiRateLimiter, { RateLimitCaller } from '../services/api-rate-limiter';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('RateLimiter');
+
+/**
+ * Callers are counted per API token or user when the request carries a
+ * valid token, otherwise per client IP. API tokens count as the IP until
+ * authentication has verified them, so unknown tokens never reach the
+ * database before being limited.
+ */
+const identifyCaller = async (req: Request): Promise<RateLimitCaller> => {
+  const user = await authMiddleware.identify(req);
+  if (user?.tokenId) {
+    return { identity: `token:${user.tokenId}`, role: user.role };
+  }
+  if (user) {
+    return { identity: `user:${user.sub}`, role: user.role };
   }
+  return { identity: `ip:${req.ip || 'unknown'}` };
+};
 
-  if (store[key].count > limit) {
-    res.status(429).json({
-      success: false,
-      error: 'Too many requests'
-    });
+export const rateLimiter = async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  // Routers repeat the limiter mounted on /api, count each request once
+  if (res.locals.rateLimit) {
+    next();
     return;
   }
 
-  // Set rate limit headers
-  res.setHeader('X-RateLimit-Limit', limit.toString());
-  res.setHeader('X-RateLimit-Remaining', (limit - store[key].count).toString());
-  res.setHeader('X-RateLimit-Reset', store[key].resetTime.toString());
+  try {
+    const caller = await identifyCaller(req);
+    const result = await apiRateLimiter.hit(caller, req.method, req.originalUrl.split('?')[0]);
+    res.locals.rateLimit = result;
+
+    const resetSeconds = Math.max(0, Math.ceil(result.resetMs / 1000));
+    res.setHeader('RateLimit-Limit', result.limit.toString());
+    res.setHeader('RateLimit-Remaining', result.remaining.toString());
+    res.setHeader('RateLimit-Reset', resetSeconds.toString());
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`);
+
+    if (!result.allowed) {
+      logger.warn('Rate limit exceeded', { identity: caller.identity, bucket: result.bucket, path: req.originalUrl });
+      res.setHeader('Retry-After', resetSeconds.toString());
+      res.status(429).json({
+        success: false,
+        error: 'Too many requests'
+      });
+      return;
+    }
+  } catch (error) {
+    // A broken limiter must not take the API down with it
+    logger.error('Rate limiting failed, letting request through', { error });
+  }
 
   next();
 };
-
-// Clean up expired entries every minute
-setInterval(() => {
-  const now = Date.now();
-  Object.keys(store).forEach(key => {
-    if (store[key].resetTime < now) {
-      delete store[key];
-    }
-  });
-}, 60000);
\ No newline at end of file
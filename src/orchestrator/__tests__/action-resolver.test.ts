@@ -0,0 +1,234 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ActionResolver, ActionResolutionError } from '../action-resolver';
+import { JobParser } from '../job-parser';
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('ActionResolver', () => {
+  const parser = JobParser.getInstance();
+  let cacheDir: string;
+  let workspaceDir: string;
+  let resolver: ActionResolver;
+
+  const writeFile = async (file: string, content: string) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+  };
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'action-cache-'));
+    workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-'));
+    (ActionResolver as any).instance = undefined;
+    resolver = ActionResolver.getInstance({ actionCacheDir: cacheDir, maxDepth: 3 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+    await fs.rm(workspaceDir, { recursive: true, force: true });
+  });
+
+  it('should inline local composite action steps with inputs', async () => {
+    await writeFile(path.join(workspaceDir, '.github/actions/setup/action.yml'), `
+name: Setup
+inputs:
+  version:
+    default: '18'
+runs:
+  using: composite
+  steps:
+    - id: install
+      run: install-node \${{ inputs.version }}
+      shell: bash
+    - uses: actions/cache@v4
+      with:
+        key: node-\${{ inputs.version }}
+`);
+
+    const job = parser.parseJob({
+      id: 'build',
+      name: 'build',
+      steps: [
+        { id: 'setup', uses: './.github/actions/setup', with: { version: '20' } },
+        { id: 'test', run: 'npm test' }
+      ]
+    });
+
+    const [resolved] = await resolver.resolveJob(job, { workspaceDir });
+
+    expect(resolved.steps.map(step => step.id)).toEqual(['setup/install', 'setup/step-1', 'test']);
+    expect(resolved.steps[0].run).toBe('install-node 20');
+    expect(resolved.steps[1].with).toEqual({ key: 'node-20' });
+  });
+
+  it('should expand reusable workflows from the cache and rewrite needs', async () => {
+    await writeFile(path.join(cacheDir, 'acme/workflows/v1/.github/workflows/deploy.yml'), `
+on:
+  workflow_call:
+    inputs:
+      environment:
+        required: true
+jobs:
+  plan:
+    runs-on: [self-hosted, linux]
+    steps:
+      - run: plan \${{ inputs.environment }}
+  apply:
+    needs: plan
+    runs-on: [self-hosted, linux]
+    timeout-minutes: 30
+    steps:
+      - run: apply \${{ inputs.environment }} \${{ secrets.DEPLOY_KEY }}
+`);
+
+    const jobs = [
+      parser.parseJob({ id: 'build', name: 'build', steps: [{ run: 'make' }] }),
+      parser.parseJob({
+        id: 'deploy',
+        name: 'deploy',
+        needs: ['build'],
+        uses: 'acme/workflows/.github/workflows/deploy.yml@v1',
+        with: { environment: 'prod' },
+        secrets: 'inherit'
+      }),
+      parser.parseJob({ id: 'notify', name: 'notify', needs: ['deploy'], steps: [{ run: 'notify' }] })
+    ];
+
+    const resolved = await resolver.resolveWorkflow(jobs, { secrets: { DEPLOY_KEY: 'key' } });
+
+    expect(resolved.map(job => [job.id, job.needs])).toEqual([
+      ['build', undefined],
+      ['deploy/plan', ['build']],
+      ['deploy/apply', ['deploy/plan']],
+      ['notify', ['deploy/plan', 'deploy/apply']]
+    ]);
+
+    const apply = resolved[2];
+    expect(apply.name).toBe('deploy / apply');
+    expect(apply.timeout_minutes).toBe(30);
+    expect(apply.secrets).toEqual({ DEPLOY_KEY: 'key' });
+    expect(apply.steps[0].run).toBe('apply prod ${{ secrets.DEPLOY_KEY }}');
+  });
+
+  it('should rewrite needs on jobs of nested reusable workflows to their leaf jobs', async () => {
+    await writeFile(path.join(cacheDir, 'acme/workflows/v1/.github/workflows/build.yml'), `
+on: workflow_call
+jobs:
+  compile:
+    runs-on: self-hosted
+    steps:
+      - run: make
+  package:
+    needs: compile
+    runs-on: self-hosted
+    steps:
+      - run: make dist
+`);
+    await writeFile(path.join(cacheDir, 'acme/workflows/v1/.github/workflows/release.yml'), `
+on: workflow_call
+jobs:
+  build:
+    uses: acme/workflows/.github/workflows/build.yml@v1
+  publish:
+    needs: build
+    runs-on: self-hosted
+    steps:
+      - run: publish
+`);
+
+    const jobs = [
+      parser.parseJob({ id: 'release', name: 'release', uses: 'acme/workflows/.github/workflows/release.yml@v1' }),
+      parser.parseJob({ id: 'announce', name: 'announce', needs: ['release'], steps: [{ run: 'announce' }] })
+    ];
+
+    const resolved = await resolver.resolveWorkflow(jobs);
+
+    expect(resolved.map(job => [job.id, job.needs])).toEqual([
+      ['release/build/compile', undefined],
+      ['release/build/package', ['release/build/compile']],
+      ['release/publish', ['release/build/compile', 'release/build/package']],
+      ['announce', ['release/build/compile', 'release/build/package', 'release/publish']]
+    ]);
+  });
+
+  it('should detect cycles between composite actions', async () => {
+    await writeFile(path.join(workspaceDir, 'a/action.yml'), 'runs:\n  using: composite\n  steps:\n    - uses: ./b\n');
+    await writeFile(path.join(workspaceDir, 'b/action.yml'), 'runs:\n  using: composite\n  steps:\n    - uses: ./a\n');
+
+    const job = parser.parseJob({ id: 'cycle', name: 'cycle', steps: [{ uses: './a' }] });
+
+    await expect(resolver.resolveJob(job, { workspaceDir })).rejects.toThrow('Circular reference detected: ./a -> ./b -> ./a');
+  });
+
+  it('should enforce the maximum nesting depth', async () => {
+    for (let level = 0; level < 4; level++) {
+      await writeFile(
+        path.join(workspaceDir, `level${level}/action.yml`),
+        `runs:\n  using: composite\n  steps:\n    - uses: ./level${level + 1}\n`
+      );
+    }
+    await writeFile(path.join(workspaceDir, 'level4/action.yml'), 'runs:\n  using: composite\n  steps:\n    - run: echo done\n');
+
+    const job = parser.parseJob({ id: 'deep', name: 'deep', steps: [{ uses: './level0' }] });
+
+    await expect(resolver.resolveJob(job, { workspaceDir })).rejects.toThrow('Maximum nesting depth of 3 exceeded');
+  });
+
+  it('should leave uncached remote actions to the runner but require local ones', async () => {
+    const remote = parser.parseJob({ id: 'remote', name: 'remote', steps: [{ uses: 'actions/checkout@v4' }] });
+    const [resolved] = await resolver.resolveJob(remote, { workspaceDir });
+    expect(resolved.steps[0].uses).toBe('actions/checkout@v4');
+
+    const local = parser.parseJob({ id: 'local', name: 'local', steps: [{ uses: './missing' }] });
+    await expect(resolver.resolveJob(local, { workspaceDir })).rejects.toBeInstanceOf(ActionResolutionError);
+  });
+
+  it('should pick up edited local actions and leave them to the runner without a workspace', async () => {
+    const file = path.join(workspaceDir, 'setup/action.yml');
+    const job = parser.parseJob({ id: 'build', name: 'build', steps: [{ id: 'setup', uses: './setup' }] });
+
+    await writeFile(file, 'runs:\n  using: composite\n  steps:\n    - run: echo one\n');
+    expect((await resolver.resolveJob(job, { workspaceDir }))[0].steps[0].run).toBe('echo one');
+
+    await writeFile(file, 'runs:\n  using: composite\n  steps:\n    - run: echo two\n');
+    await fs.utimes(file, new Date(), new Date(Date.now() + 1000));
+    expect((await resolver.resolveJob(job, { workspaceDir }))[0].steps[0].run).toBe('echo two');
+
+    expect((await resolver.resolveJob(job))[0].steps[0].uses).toBe('./setup');
+  });
+
+  it('should require pinned remote references when configured', async () => {
+    (ActionResolver as any).instance = undefined;
+    const pinned = ActionResolver.getInstance({ actionCacheDir: cacheDir, maxDepth: 3, requirePinnedRefs: true });
+    const job = parser.parseJob({ id: 'remote', name: 'remote', steps: [{ uses: 'actions/checkout@v4' }] });
+
+    await expect(pinned.resolveJob(job)).rejects.toThrow('must be pinned to a full commit SHA');
+    expect(await pinned.getCachedCheckout('acme/app', 'abc123')).toBeUndefined();
+  });
+
+  it('should reject references escaping the repository', async () => {
+    const job = parser.parseJob({ id: 'escape', name: 'escape', steps: [{ uses: './../outside' }] });
+    await expect(resolver.resolveJob(job, { workspaceDir })).rejects.toThrow('Reference escapes its repository');
+  });
+
+  it('should reject references escaping the action cache', async () => {
+    for (const uses of ['a/../../etc@x', 'a/b/./c@v1', 'a/b@../../..', 'a/b@feature/../..', 'a/b@v1/']) {
+      expect(() => resolver.parseReference(uses)).toThrow(`Invalid action reference: ${uses}`);
+      const job = parser.parseJob({ id: 'escape', name: 'escape', steps: [{ uses }] });
+      await expect(resolver.resolveJob(job)).rejects.toBeInstanceOf(ActionResolutionError);
+    }
+    expect(resolver.parseReference('acme/actions/setup@feature/new-cache')).toMatchObject({ ref: 'feature/new-cache' });
+
+    expect(await resolver.getCachedCheckout('acme/..', '..')).toBeUndefined();
+    expect(await resolver.getCachedCheckout('../..', 'abc')).toBeUndefined();
+    expect(await resolver.getCachedCheckout('acme/app', '../../..')).toBeUndefined();
+  });
+});
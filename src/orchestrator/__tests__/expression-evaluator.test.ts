@@ -0,0 +1,114 @@
+import { ExpressionEvaluator, ExpressionContext, ExpressionError } from '../expression-evaluator';
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('ExpressionEvaluator', () => {
+  const evaluator = ExpressionEvaluator.getInstance();
+
+  const context: ExpressionContext = {
+    github: {
+      ref: 'refs/heads/main',
+      event_name: 'push',
+      event: {
+        pull_request: { labels: [{ name: 'bug' }, { name: 'ci' }] }
+      }
+    },
+    env: { DEPLOY: 'true', COUNT: '3' },
+    matrix: { os: 'ubuntu', node: 20 },
+    needs: { build: { result: 'success', outputs: { version: '1.2.3' } } },
+    runner: { os: 'Linux' },
+    secrets: { TOKEN: 'secret' }
+  };
+
+  describe('parsing', () => {
+    it.each([
+      "github.ref == 'refs/heads/main' && (matrix.node >= 18 || env.DEPLOY)",
+      "contains(github.event.pull_request.labels.*.name, 'bug')",
+      "format('{0}-{{literal}}', matrix.os)",
+      "!startsWith(github.ref, 'refs/tags/')",
+      "fromJSON('[1, 2]')[0] == 1"
+    ])('should accept %s', expression => {
+      expect(evaluator.validate(expression)).toBeNull();
+    });
+
+    it.each([
+      ["github.ref ==", 'Unexpected end of expression'],
+      ["unknown.value == 'x'", "Unrecognized named-value: 'unknown'"],
+      ["doSomething('x')", "Unrecognized function: 'doSomething'"],
+      ["contains('a')", "Invalid number of arguments for 'contains'"],
+      ["'unterminated", 'Unterminated string literal']
+    ])('should reject %s', (expression, message) => {
+      expect(evaluator.validate(expression)).toContain(message);
+    });
+  });
+
+  describe('evaluation', () => {
+    it('should compare strings case-insensitively and coerce mismatched types', () => {
+      expect(evaluator.evaluate("github.event_name == 'PUSH'", context)).toBe(true);
+      expect(evaluator.evaluate('env.COUNT == 3', context)).toBe(true);
+      expect(evaluator.evaluate('matrix.node > env.COUNT', context)).toBe(true);
+      expect(evaluator.evaluate('null == 0', context)).toBe(true);
+    });
+
+    it('should return operand values from logical operators', () => {
+      expect(evaluator.evaluate("matrix.missing || 'fallback'", context)).toBe('fallback');
+      expect(evaluator.evaluate("env.DEPLOY && matrix.os", context)).toBe('ubuntu');
+    });
+
+    it('should support object filters and built-in functions', () => {
+      expect(evaluator.evaluate("contains(github.event.pull_request.labels.*.name, 'CI')", context)).toBe(true);
+      expect(evaluator.evaluate("join(github.event.pull_request.labels.*.name, ', ')", context)).toBe('bug, ci');
+      expect(evaluator.evaluate("format('v{0} on {1}', needs.build.outputs.version, runner.os)", context)).toBe('v1.2.3 on Linux');
+      expect(evaluator.evaluate("fromJSON('{\"a\": [1, 2]}').a[1]", context)).toBe(2);
+      expect(evaluator.evaluate('toJSON(matrix)', context)).toBe(JSON.stringify(context.matrix, null, 2));
+    });
+
+    it('should not expose prototype members', () => {
+      expect(evaluator.evaluate('matrix.constructor', context)).toBeNull();
+      expect(evaluator.evaluate("matrix['__proto__']", context)).toBeNull();
+      expect(evaluator.evaluate("fromJSON('{}').hasOwnProperty", context)).toBeNull();
+    });
+
+    it('should keep the parse cache bounded', () => {
+      for (let index = 0; index < 1100; index++) {
+        evaluator.parse(`matrix.node == ${index}`);
+      }
+      expect((evaluator as any).parseCache.size).toBe(1000);
+      expect((evaluator as any).parseCache.has('matrix.node == 1099')).toBe(true);
+      expect((evaluator as any).parseCache.has('matrix.node == 0')).toBe(false);
+    });
+
+    it('should require a hashFiles implementation', () => {
+      expect(() => evaluator.evaluate("hashFiles('**/package-lock.json')", context)).toThrow(ExpressionError);
+      expect(evaluator.evaluate("hashFiles('**/package-lock.json')", context, {
+        hashFiles: patterns => `hash:${patterns.join(',')}`
+      })).toBe('hash:**/package-lock.json');
+    });
+  });
+
+  describe('conditions', () => {
+    it('should implicitly require success() when no status function is used', () => {
+      expect(evaluator.evaluateCondition("matrix.os == 'ubuntu'", context)).toBe(true);
+      expect(evaluator.evaluateCondition("matrix.os == 'ubuntu'", context, { jobStatus: 'failure' })).toBe(false);
+      expect(evaluator.evaluateCondition("always() && matrix.os == 'ubuntu'", context, { jobStatus: 'failure' })).toBe(true);
+      expect(evaluator.evaluateCondition('${{ failure() }}', context, { jobStatus: 'failure' })).toBe(true);
+    });
+  });
+
+  describe('interpolation', () => {
+    it('should replace resolvable expressions and keep the rest for runtime', () => {
+      const template = 'node ${{ matrix.node }} ${{ steps.build.outputs.path }} ${{ hashFiles(\'*.lock\') }}';
+
+      expect(evaluator.interpolate(template, context)).toBe(
+        "node 20 ${{ steps.build.outputs.path }} ${{ hashFiles('*.lock') }}"
+      );
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { JobParser, ParsedJob } from '../job-parser';
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('JobParser', () => {
+  const parser = JobParser.getInstance();
+
+  const createJob = (strategy?: any): ParsedJob => parser.parseJob({
+    id: 'build',
+    name: 'build',
+    runs_on: ['self-hosted', 'linux'],
+    container: { image: 'node:${{ matrix.node }}' },
+    env: { NODE_VERSION: '${{ matrix.node }}' },
+    steps: [
+      { name: 'Test on ${{ matrix.os }}', run: 'npm test -- --node ${{ matrix.node }}', if: "matrix.node != '16'" }
+    ],
+    strategy
+  });
+
+  describe('matrix expansion', () => {
+    it('should return the job itself when there is no matrix', () => {
+      const job = createJob();
+      const expansion = parser.expandMatrix(job);
+
+      expect(expansion.jobs).toEqual([job]);
+      expect(expansion.maxParallel).toBe(1);
+    });
+
+    it('should expand the cartesian product and substitute matrix values', () => {
+      const expansion = parser.expandMatrix(createJob({
+        matrix: { os: ['ubuntu', 'debian'], node: [18, 20] }
+      }));
+
+      expect(expansion.jobs).toHaveLength(4);
+      expect(expansion.jobs.map(job => job.matrix)).toEqual([
+        { os: 'ubuntu', node: 18 },
+        { os: 'ubuntu', node: 20 },
+        { os: 'debian', node: 18 },
+        { os: 'debian', node: 20 }
+      ]);
+
+      const [first] = expansion.jobs;
+      expect(first.id).toBe('build-1');
+      expect(first.name).toBe('build (ubuntu, 18)');
+      expect(first.container?.image).toBe('node:18');
+      expect(first.env).toEqual({ NODE_VERSION: '18' });
+      expect(first.steps[0].name).toBe('Test on ubuntu');
+      expect(first.steps[0].run).toBe('npm test -- --node 18');
+      expect(first.steps[0].if).toBe("matrix.node != '16'");
+    });
+
+    it('should drop combinations matching an exclude entry', () => {
+      const expansion = parser.expandMatrix(createJob({
+        matrix: {
+          os: ['ubuntu', 'debian'],
+          node: [18, 20],
+          exclude: [{ os: 'debian', node: 18 }]
+        }
+      }));
+
+      expect(expansion.jobs.map(job => job.matrix)).toEqual([
+        { os: 'ubuntu', node: 18 },
+        { os: 'ubuntu', node: 20 },
+        { os: 'debian', node: 20 }
+      ]);
+    });
+
+    it('should extend matching combinations and append unmatched includes', () => {
+      const expansion = parser.expandMatrix(createJob({
+        matrix: {
+          os: ['ubuntu'],
+          node: [18, 20],
+          include: [
+            { node: 20, experimental: true },
+            { os: 'alpine', node: 22 }
+          ]
+        }
+      }));
+
+      expect(expansion.jobs.map(job => job.matrix)).toEqual([
+        { os: 'ubuntu', node: 18 },
+        { os: 'ubuntu', node: 20, experimental: true },
+        { os: 'alpine', node: 22 }
+      ]);
+    });
+
+    it('should honour fail-fast and max-parallel', () => {
+      const expansion = parser.expandMatrix(createJob({
+        matrix: { node: [16, 18, 20] },
+        fail_fast: false,
+        max_parallel: 2
+      }));
+
+      expect(expansion.failFast).toBe(false);
+      expect(expansion.maxParallel).toBe(2);
+    });
+
+    it('should reject oversized matrices without building them', () => {
+      const axes = Object.fromEntries(Array.from({ length: 10 }, (_, axis) => [
+        `axis${axis}`, Array.from({ length: 10 }, (_, value) => value)
+      ]));
+
+      expect(() => parser.expandMatrix(createJob({ matrix: axes }))).toThrow('Matrix has 10000000000 combinations');
+      expect(parser.validateJob(createJob({ matrix: axes }))).toContainEqual(expect.objectContaining({
+        field: 'strategy.matrix',
+        message: 'Matrix has 10000000000 combinations before excludes, maximum is 4096'
+      }));
+    });
+  });
+
+  describe('strategy validation', () => {
+    it('should reject excludes referencing unknown dimensions', () => {
+      const errors = parser.validateJob(createJob({
+        matrix: { node: [18], exclude: [{ os: 'ubuntu' }] }
+      }));
+
+      expect(errors).toContainEqual(expect.objectContaining({
+        field: 'strategy.matrix.exclude[0].os',
+        severity: 'error'
+      }));
+    });
+
+    it('should accept include-only matrices', () => {
+      const errors = parser.validateJob(createJob({
+        matrix: { include: [{ node: 18 }] }
+      }));
+
+      expect(errors.filter(error => error.field.startsWith('strategy'))).toEqual([]);
+    });
+  });
+
+  describe('expressions', () => {
+    it('should reject malformed step conditions and templates', () => {
+      const job = createJob();
+      job.steps.push(
+        { id: 'bad-if', run: 'echo', if: "github.ref ==" },
+        { id: 'bad-template', run: 'echo ${{ nope.value }}' }
+      );
+
+      const fields = parser.validateJob(job).filter(error => error.severity === 'error').map(error => error.field);
+      expect(fields).toEqual(['steps[1].if', 'steps[2]']);
+    });
+
+    it('should resolve expressions and predict which steps run before dispatch', () => {
+      const [job] = parser.expandMatrix(createJob({ matrix: { os: ['ubuntu'], node: [16] } })).jobs;
+      job.steps.push(
+        { id: 'deploy', run: 'deploy ${{ github.ref }}', if: "github.ref == 'refs/heads/main'" },
+        { id: 'notify', run: 'notify ${{ steps.deploy.outputs.url }}', if: 'steps.deploy.outcome == \'failure\'' }
+      );
+
+      const execution = parser.transformForExecution(job, { github: { ref: 'refs/heads/main' } });
+
+      expect(execution.willRun).toBe(true);
+      expect(execution.steps.map((step: any) => step.willRun)).toEqual([false, true, null]);
+      expect(execution.steps[1].script).toBe('deploy refs/heads/main');
+      expect(execution.steps[2].script).toBe('notify ${{ steps.deploy.outputs.url }}');
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should parse group names and cancel-in-progress', () => {
+      const job = parser.parseJob(parser.normalizeWorkflowJob('deploy', {
+        'runs-on': 'self-hosted',
+        concurrency: { group: 'deploy-${{ github.ref }}', 'cancel-in-progress': true },
+        steps: []
+      }));
+
+      expect(job.concurrency).toEqual({ group: 'deploy-${{ github.ref }}', cancel_in_progress: true });
+      expect(parser.parseConcurrency('production')).toEqual({ group: 'production', cancel_in_progress: false });
+      expect(parser.parseConcurrency({ cancel_in_progress: true })).toBeUndefined();
+    });
+  });
+
+  describe('timeouts', () => {
+    it('should parse job and step timeout-minutes', () => {
+      const job = parser.parseJob(parser.normalizeWorkflowJob('build', {
+        'runs-on': 'self-hosted',
+        'timeout-minutes': '30',
+        steps: [
+          { run: 'make', 'timeout-minutes': 45 },
+          { run: 'make test', 'timeout-minutes': '${{ inputs.timeout }}' }
+        ]
+      }));
+
+      expect(job.timeout_minutes).toBe(30);
+      expect(job.steps.map(step => step.timeout_minutes)).toEqual([45, undefined]);
+      expect(parser.validateJob(job)).toContainEqual(expect.objectContaining({
+        field: 'steps[0].timeout_minutes',
+        severity: 'warning'
+      }));
+
+      const execution = parser.transformForExecution(job);
+      expect(execution.timeout).toBe(30 * 60 * 1000);
+      expect(execution.steps[0].timeout).toBe(45 * 60 * 1000);
+      expect(parser.parseJob({ id: 'lint', steps: [] }).timeout_minutes).toBe(360);
+    });
+  });
+});
@@ -1,15 +1,55 @@
 import { StatusReporter, JobStatus, JobStatusType, JobConclusion } from '../status-reporter';
+import { DockerClient } from '../../docker/docker-client';
 
 // Mock dependencies
-jest.mock('../../utils/logger');
-jest.mock('../../services/github-service');
-jest.mock('../../services/database-service');
-jest.mock('../../services/metrics-collector');
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+jest.mock('../../services/github-api', () => ({
+  GitHubAPIService: jest.fn(() => mockGithubApi)
+}));
+jest.mock('../../services/job-status-store', () => ({
+  JobStatusStore: { getInstance: () => mockStatusStore }
+}));
+jest.mock('../../docker/docker-client');
+jest.mock('../../services/job-log-secret-scanner', () => ({
+  __esModule: true,
+  default: {
+    redactSecrets: jest.fn(async (content: string) => content.replace(/ghp_\w+/g, '[REDACTED]'))
+  }
+}));
+jest.mock('../../services/github-rate-budget', () => ({
+  __esModule: true,
+  default: { acquire: jest.fn() }
+}));
+jest.mock('../../services/github-app-auth', () => ({
+  __esModule: true,
+  default: { getCredential: jest.fn(async () => ({ id: 'pat', token: 'ghp_test' })) }
+}));
+
+const mockGithubApi = {
+  createCheckRun: jest.fn(),
+  updateCheckRun: jest.fn()
+};
+const mockStatusStore = {
+  saveJobStatus: jest.fn(),
+  updateJobCheckRunId: jest.fn(),
+  markJobStatusReported: jest.fn(),
+  getPendingStatusUpdates: jest.fn(),
+  appendJobLogs: jest.fn()
+};
 
 describe('StatusReporter', () => {
   let statusReporter: StatusReporter;
 
   beforeEach(() => {
+    mockStatusStore.getPendingStatusUpdates.mockResolvedValue([]);
+
     // Reset singleton instance
     (StatusReporter as any).instance = null;
     statusReporter = StatusReporter.getInstance({
@@ -21,17 +61,18 @@ describe('StatusReporter', () => {
   });
 
   afterEach(() => {
+    // Reporters of earlier tests must not keep reporting their queues
+    clearInterval((statusReporter as any).reportInterval);
     jest.clearAllMocks();
   });
 
   describe('initialization', () => {
     it('should initialize successfully', async () => {
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().getPendingStatusUpdates.mockResolvedValue([]);
+      mockStatusStore.getPendingStatusUpdates.mockResolvedValue([]);
 
       await statusReporter.initialize();
 
-      expect(mockDatabaseService.getInstance().getPendingStatusUpdates).toHaveBeenCalled();
+      expect(mockStatusStore.getPendingStatusUpdates).toHaveBeenCalled();
     });
 
     it('should recover pending status updates', async () => {
@@ -46,8 +87,7 @@ describe('StatusReporter', () => {
         }
       ];
 
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().getPendingStatusUpdates.mockResolvedValue(pendingUpdates);
+      mockStatusStore.getPendingStatusUpdates.mockResolvedValue(pendingUpdates);
 
       await statusReporter.initialize();
 
@@ -75,8 +115,7 @@ describe('StatusReporter', () => {
         }
       };
 
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       let queuedEvent: any = null;
       statusReporter.on('status:queued', (status) => {
@@ -90,8 +129,7 @@ describe('StatusReporter', () => {
     });
 
     it('should report job started', async () => {
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
 
@@ -100,8 +138,7 @@ describe('StatusReporter', () => {
     });
 
     it('should report job completed', async () => {
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       await statusReporter.reportJobCompleted(
         'job-1',
@@ -135,8 +172,7 @@ describe('StatusReporter', () => {
         status: JobStatusType.IN_PROGRESS
       };
 
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       await statusReporter.reportJobStatus(jobStatus);
     });
@@ -192,15 +228,11 @@ describe('StatusReporter', () => {
     });
 
     it('should process status queue in batches', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      const mockMetricsCollector = require('../../services/metrics-collector').MetricsCollector;
 
-      mockGitHubService.getInstance().createCheckRun.mockResolvedValue({ id: 123 });
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().updateJobCheckRunId.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().markJobStatusReported.mockResolvedValue(undefined);
-      mockMetricsCollector.getInstance().recordStatusReports.mockResolvedValue(undefined);
+      mockGithubApi.createCheckRun.mockResolvedValue({ id: 123 });
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.updateJobCheckRunId.mockResolvedValue(undefined);
+      mockStatusStore.markJobStatusReported.mockResolvedValue(undefined);
 
       // Add multiple jobs to trigger batch processing
       const jobStatuses: JobStatus[] = [];
@@ -230,21 +262,19 @@ describe('StatusReporter', () => {
       await new Promise(resolve => setTimeout(resolve, 1100));
 
       expect(reportedCount).toBe(6);
-      expect(mockGitHubService.getInstance().createCheckRun).toHaveBeenCalledTimes(6);
+      expect(mockGithubApi.createCheckRun).toHaveBeenCalledTimes(6);
     });
 
     it('should handle reporting failures with retries', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
 
       // Mock failure then success
-      mockGitHubService.getInstance().createCheckRun
+      mockGithubApi.createCheckRun
         .mockRejectedValueOnce(new Error('API rate limit'))
         .mockResolvedValue({ id: 123 });
 
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().updateJobCheckRunId.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().markJobStatusReported.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.updateJobCheckRunId.mockResolvedValue(undefined);
+      mockStatusStore.markJobStatusReported.mockResolvedValue(undefined);
 
       const jobStatus: JobStatus = {
         id: 'job-1',
@@ -267,16 +297,14 @@ describe('StatusReporter', () => {
       await (statusReporter as any).processStatusQueue();
 
       expect(reportedEvent).toBeTruthy();
-      expect(mockGitHubService.getInstance().createCheckRun).toHaveBeenCalledTimes(2); // Initial failure + retry
+      expect(mockGithubApi.createCheckRun).toHaveBeenCalledTimes(2); // Initial failure + retry
     });
 
     it('should emit failure event after max retries', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
 
       // Mock persistent failure
-      mockGitHubService.getInstance().createCheckRun.mockRejectedValue(new Error('Persistent failure'));
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockGithubApi.createCheckRun.mockRejectedValue(new Error('Persistent failure'));
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       const jobStatus: JobStatus = {
         id: 'job-1',
@@ -300,7 +328,7 @@ describe('StatusReporter', () => {
 
       expect(failedEvent).toBeTruthy();
       expect(failedEvent.status).toEqual(jobStatus);
-      expect(mockGitHubService.getInstance().createCheckRun).toHaveBeenCalledTimes(2); // Max retries
+      expect(mockGithubApi.createCheckRun).toHaveBeenCalledTimes(2); // Max retries
     });
   });
 
@@ -310,13 +338,11 @@ describe('StatusReporter', () => {
     });
 
     it('should create check run for new job', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
 
-      mockGitHubService.getInstance().createCheckRun.mockResolvedValue({ id: 123 });
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().updateJobCheckRunId.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().markJobStatusReported.mockResolvedValue(undefined);
+      mockGithubApi.createCheckRun.mockResolvedValue({ id: 123 });
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.updateJobCheckRunId.mockResolvedValue(undefined);
+      mockStatusStore.markJobStatusReported.mockResolvedValue(undefined);
 
       const jobStatus: JobStatus = {
         id: 'job-1',
@@ -335,7 +361,7 @@ describe('StatusReporter', () => {
       await statusReporter.reportJobStatus(jobStatus);
       await (statusReporter as any).processStatusQueue();
 
-      expect(mockGitHubService.getInstance().createCheckRun).toHaveBeenCalledWith(
+      expect(mockGithubApi.createCheckRun).toHaveBeenCalledWith(
         'test/repo',
         expect.objectContaining({
           name: 'test-job',
@@ -348,12 +374,10 @@ describe('StatusReporter', () => {
     });
 
     it('should update existing check run', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
 
-      mockGitHubService.getInstance().updateCheckRun.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().markJobStatusReported.mockResolvedValue(undefined);
+      mockGithubApi.updateCheckRun.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.markJobStatusReported.mockResolvedValue(undefined);
 
       const jobStatus: JobStatus = {
         id: 'job-1',
@@ -374,7 +398,7 @@ describe('StatusReporter', () => {
       await statusReporter.reportJobStatus(jobStatus);
       await (statusReporter as any).processStatusQueue();
 
-      expect(mockGitHubService.getInstance().updateCheckRun).toHaveBeenCalledWith(
+      expect(mockGithubApi.updateCheckRun).toHaveBeenCalledWith(
         'test/repo',
         123,
         expect.objectContaining({
@@ -393,8 +417,7 @@ describe('StatusReporter', () => {
     });
 
     it('should report logs', async () => {
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().appendJobLogs.mockResolvedValue(undefined);
+      mockStatusStore.appendJobLogs.mockResolvedValue(undefined);
 
       let logsEvent: any = null;
       statusReporter.on('logs:received', (event) => {
@@ -409,7 +432,7 @@ describe('StatusReporter', () => {
         level: 'info'
       });
 
-      expect(mockDatabaseService.getInstance().appendJobLogs).toHaveBeenCalledWith(
+      expect(mockStatusStore.appendJobLogs).toHaveBeenCalledWith(
         'job-1',
         'Test log message',
         'info'
@@ -417,6 +440,125 @@ describe('StatusReporter', () => {
     });
   });
 
+  describe('log streaming', () => {
+    let mockDockerClient: any;
+
+    beforeEach(() => {
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.appendJobLogs.mockResolvedValue(undefined);
+
+      mockDockerClient = {
+        isDockerConnected: jest.fn().mockReturnValue(true),
+        getContainerLogs: jest.fn(async (_containerId: string, options: any) => {
+          options.onData('::group::Run npm test\nusing ghp_abc123\n', 'stdout');
+          options.onData('ok\n::endgroup::\ndone', 'stdout');
+          return { stdout: [], stderr: [], timestamp: new Date() };
+        })
+      };
+      (DockerClient.getInstance as jest.Mock).mockReturnValue(mockDockerClient);
+    });
+
+    it('should stream redacted logs grouped by step into the check run output', async () => {
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      expect(mockDockerClient.getContainerLogs).toHaveBeenCalledWith('container-1', expect.objectContaining({
+        follow: true
+      }));
+
+      const text = (statusReporter as any).statusQueue.get('job-1').output.text;
+      expect(text).toContain('<details><summary>Run npm test</summary>');
+      expect(text).toContain('using [REDACTED]\nok');
+      expect(text).not.toContain('ghp_abc123');
+      expect(text).toContain('```\ndone\n```');
+    });
+
+    it('should keep the check run output under the GitHub size limit', async () => {
+      mockDockerClient.getContainerLogs.mockImplementation(async (_containerId: string, options: any) => {
+        for (let i = 0; i < 100; i++) {
+          options.onData(`${i} ${'x'.repeat(1000)}\n`, 'stdout');
+        }
+        return { stdout: [], stderr: [], timestamp: new Date() };
+      });
+
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      const text = (statusReporter as any).statusQueue.get('job-1').output.text;
+      expect(text.length).toBeLessThanOrEqual(65535);
+      expect(text).toContain('earlier output was truncated');
+      expect(text).toContain('99 xxx');
+    });
+
+    it('should only retain the most recent output of long running jobs', async () => {
+      let retained = 0;
+      mockDockerClient.getContainerLogs.mockImplementation(async (_containerId: string, options: any) => {
+        for (let i = 0; i < 1000; i++) {
+          options.onData(`${i} ${'x'.repeat(1000)}\n`, 'stdout');
+        }
+        // Let the queued chunks be appended while the stream is open
+        await new Promise(resolve => setTimeout(resolve, 10));
+        retained = (statusReporter as any).logStreams.get('job-1').size;
+        return { stdout: [], stderr: [], timestamp: new Date() };
+      });
+
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      expect(retained).toBeGreaterThan(0);
+      expect(retained).toBeLessThanOrEqual(2 * 65535);
+      const text = (statusReporter as any).statusQueue.get('job-1').output.text;
+      expect(text).toContain('earlier output was truncated');
+      expect(text).toContain('999 xxx');
+    });
+
+    it('should redact and store output without newlines once it exceeds the line limit', async () => {
+      let partial = -1;
+      mockDockerClient.getContainerLogs.mockImplementation(async (_containerId: string, options: any) => {
+        options.onData('ghp_abc123 ', 'stdout');
+        for (let i = 0; i < 100; i++) {
+          options.onData('x'.repeat(1000), 'stdout');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        partial = (statusReporter as any).logStreams.get('job-1').partialLine.length;
+        return { stdout: [], stderr: [], timestamp: new Date() };
+      });
+
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      expect(partial).toBeLessThanOrEqual(65535);
+      expect(mockStatusStore.appendJobLogs).toHaveBeenCalledWith('job-1', expect.stringMatching(/^\[REDACTED\] x+$/), 'info');
+    });
+
+    it('should fence logs containing backticks with a longer fence', async () => {
+      mockDockerClient.getContainerLogs.mockImplementation(async (_containerId: string, options: any) => {
+        options.onData('```\n<img src=x>\n````', 'stdout');
+        return { stdout: [], stderr: [], timestamp: new Date() };
+      });
+
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      const text = (statusReporter as any).statusQueue.get('job-1').output.text;
+      expect(text).toContain('`````\n```\n<img src=x>\n````\n`````');
+    });
+
+    it('should escape step names in the group summaries', async () => {
+      mockDockerClient.getContainerLogs.mockImplementation(async (_containerId: string, options: any) => {
+        options.onData('::group::Run <img src=x onerror=alert(1)> & co\nok\n::endgroup::\n', 'stdout');
+        return { stdout: [], stderr: [], timestamp: new Date() };
+      });
+
+      await statusReporter.reportJobStarted('job-1', 'test/repo', 'abc123', 'test-job', 456);
+      await statusReporter.streamJobLogs('job-1', 'container-1');
+
+      const text = (statusReporter as any).statusQueue.get('job-1').output.text;
+      expect(text).toContain('<summary>Run &lt;img src=x onerror=alert(1)&gt; &amp; co</summary>');
+      expect(text).not.toContain('<img');
+    });
+  });
+
   describe('annotations', () => {
     it('should create annotations from test results', () => {
       const testResults = [
@@ -457,8 +599,7 @@ describe('StatusReporter', () => {
     });
 
     it('should return current statistics', async () => {
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
 
       // Add some jobs to the queue
       for (let i = 1; i <= 3; i++) {
@@ -493,13 +634,11 @@ describe('StatusReporter', () => {
     });
 
     it('should process remaining queue during shutdown', async () => {
-      const mockGitHubService = require('../../services/github-service').GitHubService;
-      const mockDatabaseService = require('../../services/database-service').DatabaseService;
 
-      mockGitHubService.getInstance().createCheckRun.mockResolvedValue({ id: 123 });
-      mockDatabaseService.getInstance().saveJobStatus.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().updateJobCheckRunId.mockResolvedValue(undefined);
-      mockDatabaseService.getInstance().markJobStatusReported.mockResolvedValue(undefined);
+      mockGithubApi.createCheckRun.mockResolvedValue({ id: 123 });
+      mockStatusStore.saveJobStatus.mockResolvedValue(undefined);
+      mockStatusStore.updateJobCheckRunId.mockResolvedValue(undefined);
+      mockStatusStore.markJobStatusReported.mockResolvedValue(undefined);
 
       // Add job to queue
       await statusReporter.reportJobStatus({
@@ -513,7 +652,7 @@ describe('StatusReporter', () => {
 
       await statusReporter.shutdown();
 
-      expect(mockGitHubService.getInstance().createCheckRun).toHaveBeenCalled();
+      expect(mockGithubApi.createCheckRun).toHaveBeenCalled();
     });
   });
 });
\ No newline at end of file
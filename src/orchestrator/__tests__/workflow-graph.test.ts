@@ -0,0 +1,115 @@
+import { WorkflowGraphBuilder } from '../workflow-graph';
+
+// The router pulls in the container stack; only its enums are needed here
+jest.mock('../../job-distribution/job-router', () => ({
+  JobPriority: { CRITICAL: 1, HIGH: 2, NORMAL: 3, LOW: 4 },
+  JobType: { CUSTOM: 'custom' },
+  WorkflowType: { CI: 'ci' },
+  JobCriticality: { NORMAL: 'normal' },
+  SecurityLevel: { INTERNAL: 'internal' },
+  PerformanceProfile: { BALANCED: 'balanced' }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('WorkflowGraphBuilder', () => {
+  const builder = WorkflowGraphBuilder.getInstance();
+
+  const workflow = `
+name: CI
+on: push
+jobs:
+  lint:
+    runs-on: [self-hosted, linux]
+    steps:
+      - run: npm run lint
+  build:
+    name: Build
+    runs-on: [self-hosted, linux]
+    strategy:
+      matrix:
+        node: [18, 20]
+    steps:
+      - run: npm ci
+      - run: npm run build
+      - run: npm pack
+  test:
+    needs: build
+    runs-on: [self-hosted, linux]
+    steps:
+      - run: npm test
+      - run: npm run e2e
+  deploy:
+    needs: [lint, test]
+    runs-on: [self-hosted, linux]
+    container: node:20
+    steps:
+      - run: ./deploy.sh
+`;
+
+  afterEach(() => {
+    builder.removeGraph(1);
+  });
+
+  it('should build the needs graph and critical path from the workflow', async () => {
+    const runGraph = await builder.buildFromWorkflow(1, 'test/repo', workflow);
+
+    expect(runGraph.graph.layers).toEqual([['lint', 'build'], ['test'], ['deploy']]);
+    expect(runGraph.graph.criticalPath).toEqual(['build', 'test', 'deploy']);
+    expect(builder.getDependencies(1, 'deploy')).toEqual(['lint', 'test']);
+  });
+
+  it('should map matrix legs to their job', async () => {
+    await builder.buildFromWorkflow(1, 'test/repo', workflow);
+
+    expect(builder.findJobKey(1, 'Build (18)')).toBe('build');
+    expect(builder.getNode(1, 'Build (20)')?.metadata.criticalPath).toBe(true);
+    expect(builder.getNode(1, 'lint')?.metadata.criticalPath).toBe(false);
+    expect(builder.findJobKey(1, 'unknown')).toBeNull();
+  });
+
+  it('should report downstream jobs once their upstream jobs have containers', async () => {
+    await builder.buildFromWorkflow(1, 'test/repo', workflow);
+
+    builder.recordAssignment(1, 'lint');
+    expect(builder.hasAssignedDependencies(1, 'deploy')).toBe(false);
+
+    builder.recordAssignment(1, 'test');
+    expect(builder.hasAssignedDependencies(1, 'deploy')).toBe(true);
+
+    expect(builder.getDownstreamJobs(1, 'test')).toEqual([
+      { jobKey: 'deploy', name: 'deploy', labels: ['self-hosted', 'linux'], image: 'node:20', onCriticalPath: true }
+    ]);
+  });
+
+  it('should drop graphs for completed runs', async () => {
+    await builder.buildFromWorkflow(1, 'test/repo', workflow);
+    builder.removeGraph(1);
+
+    expect(builder.getGraph(1)).toBeUndefined();
+    expect(builder.getDependencies(1, 'deploy')).toEqual([]);
+  });
+
+  it('should prune graphs of runs whose completion never arrived', async () => {
+    await builder.buildFromWorkflow(1, 'test/repo', workflow);
+    await builder.buildFromWorkflow(3, 'test/repo', workflow);
+    builder.getGraph(1)!.createdAt = new Date(Date.now() - 25 * 60 * 60 * 1000);
+
+    builder.pruneGraphs();
+
+    expect(builder.getGraph(1)).toBeUndefined();
+    expect(builder.getGraph(3)).toBeDefined();
+    builder.removeGraph(3);
+  });
+
+  it('should reject workflows without jobs', async () => {
+    await expect(builder.buildFromWorkflow(2, 'test/repo', 'on: push')).rejects.toThrow('Workflow for run 2 has no jobs');
+  });
+});
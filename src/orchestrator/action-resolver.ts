@@ -0,0 +1,462 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as yaml from 'js-yaml';
+import { createLogger } from '../utils/logger';
+import config from '../config';
+import { JobParser, ParsedJob, StepConfig } from './job-parser';
+import { ExpressionEvaluator } from './expression-evaluator';
+
+const logger = createLogger('ActionResolver');
+
+export interface ActionResolverConfig {
+  actionCacheDir: string; // Layout: <dir>/<owner>/<repo>/<ref>/<path>
+  maxDepth: number;
+  requirePinnedRefs: boolean; // Only accept full commit SHAs for remote references
+}
+
+export interface ResolveOptions {
+  workspaceDir?: string; // Repository checkout used for ./ references
+  secrets?: Record<string, string>; // Caller secrets, used for `secrets: inherit`
+}
+
+export interface ActionReference {
+  kind: 'local' | 'remote';
+  owner?: string;
+  repo?: string;
+  path: string;
+  ref?: string;
+  key: string; // Canonical form used for cycle detection
+}
+
+interface ResolutionState extends ResolveOptions {
+  stack: string[];
+}
+
+interface CachedMetadata {
+  metadata: any;
+  mtimeMs: number;
+}
+
+const REMOTE_REFERENCE_REGEX = /^([a-z0-9-]+)\/([a-z0-9\-._]+)((?:\/[a-z0-9\-._]+)*)@([a-z0-9\-._/]+)$/i;
+const COMMIT_SHA_REGEX = /^[a-f0-9]{40}$/i;
+const METADATA_CACHE_SIZE = 500;
+
+export class ActionResolutionError extends Error {
+  constructor(message: string, public readonly reference: string, public readonly chain: string[] = []) {
+    super(message);
+    this.name = 'ActionResolutionError';
+  }
+}
+
+/**
+ * Resolves `uses:` references against a local action cache: inlines
+ * composite action steps and expands reusable (workflow_call) workflows
+ * into their jobs.
+ */
+export class ActionResolver {
+  private static instance: ActionResolver;
+  private config: ActionResolverConfig;
+  private jobParser: JobParser;
+  private expressionEvaluator: ExpressionEvaluator;
+  private metadataCache: Map<string, CachedMetadata> = new Map();
+
+  private constructor(resolverConfig: ActionResolverConfig) {
+    this.config = resolverConfig;
+    this.jobParser = JobParser.getInstance();
+    this.expressionEvaluator = ExpressionEvaluator.getInstance();
+  }
+
+  public static getInstance(resolverConfig?: Partial<ActionResolverConfig>): ActionResolver {
+    if (!ActionResolver.instance) {
+      ActionResolver.instance = new ActionResolver({
+        actionCacheDir: config.runner.actionCacheDir,
+        maxDepth: config.runner.actionMaxDepth,
+        requirePinnedRefs: config.runner.actionRequirePinnedRefs,
+        ...resolverConfig
+      });
+    }
+    return ActionResolver.instance;
+  }
+
+  /**
+   * Resolve all jobs of a workflow. Jobs calling reusable workflows are
+   * replaced by the called jobs, and `needs` on a calling job is rewritten
+   * to the jobs it expanded into.
+   */
+  public async resolveWorkflow(jobs: ParsedJob[], options: ResolveOptions = {}): Promise<ParsedJob[]> {
+    const expansions = new Map<string, ParsedJob[]>();
+
+    for (const job of jobs) {
+      expansions.set(job.id, await this.resolveJob(job, options));
+    }
+
+    return this.rewriteNeeds(expansions);
+  }
+
+  /**
+   * Resolve a single job: inline composite actions in its steps, or expand
+   * it into the jobs of the reusable workflow it calls
+   */
+  public async resolveJob(job: ParsedJob, options: ResolveOptions = {}): Promise<ParsedJob[]> {
+    return this.resolveJobInternal(job, { ...options, stack: [] });
+  }
+
+  /**
+   * Checkout of a repository at a commit in the action cache, used to
+   * resolve its ./ references when no workspace is at hand
+   */
+  public async getCachedCheckout(repository: string, sha: string): Promise<string | undefined> {
+    const [owner, repo] = repository.split('/');
+    const dir = this.resolveCacheDirectory([owner, repo, sha]);
+    if (!dir) {
+      return undefined;
+    }
+    try {
+      return (await fs.stat(dir)).isDirectory() ? dir : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  public parseReference(uses: string): ActionReference | null {
+    if (uses.startsWith('docker://')) {
+      return null;
+    }
+
+    if (uses.startsWith('./')) {
+      const localPath = path.posix.normalize(uses.slice(2)).replace(/\/$/, '');
+      return { kind: 'local', path: localPath, key: `./${localPath}` };
+    }
+
+    const match = uses.match(REMOTE_REFERENCE_REGEX);
+    if (!match) {
+      throw new ActionResolutionError(`Invalid action reference: ${uses}`, uses);
+    }
+
+    const [, owner, repo, subPath, ref] = match;
+    if (!this.isCacheSegments([repo, ...subPath.split('/').slice(1), ...ref.split('/')])) {
+      throw new ActionResolutionError(`Invalid action reference: ${uses}`, uses);
+    }
+
+    return {
+      kind: 'remote',
+      owner,
+      repo,
+      path: subPath.replace(/^\//, ''),
+      ref,
+      key: `${owner}/${repo}${subPath}@${ref}`.toLowerCase()
+    };
+  }
+
+  public clearCache(): void {
+    this.metadataCache.clear();
+  }
+
+  private async resolveJobInternal(job: ParsedJob, state: ResolutionState): Promise<ParsedJob[]> {
+    if (job.uses) {
+      return this.expandWorkflowCall(job, state);
+    }
+
+    return [{ ...job, steps: await this.resolveSteps(job.steps, state) }];
+  }
+
+  private async resolveSteps(steps: StepConfig[], state: ResolutionState): Promise<StepConfig[]> {
+    const resolved: StepConfig[] = [];
+
+    for (const step of steps) {
+      const reference = step.uses ? this.parseReference(step.uses) : null;
+      if (!reference) {
+        resolved.push(step);
+        continue;
+      }
+
+      // Remote actions missing from the cache, and local ones without a workspace, are left for the runner
+      const metadata = await this.loadMetadata(reference, state, 'action', reference.kind === 'local' && !!state.workspaceDir);
+      if (metadata?.runs?.using !== 'composite') {
+        resolved.push(step);
+        continue;
+      }
+
+      const nested = this.enter(reference, state);
+      const inlined = this.inlineCompositeSteps(step, metadata);
+      resolved.push(...await this.resolveSteps(inlined, nested));
+    }
+
+    return resolved;
+  }
+
+  private inlineCompositeSteps(step: StepConfig, metadata: any): StepConfig[] {
+    const inputs = this.resolveInputs(metadata.inputs, step.with, step.uses!);
+    const rawSteps = this.jobParser.normalizeKeys(metadata.runs.steps || []);
+
+    return this.jobParser.parseSteps(rawSteps).map(inner => {
+      const interpolated = this.interpolateInputs(inner, inputs);
+      return {
+        ...interpolated,
+        id: `${step.id}/${inner.id}`,
+        env: { ...step.env, ...interpolated.env },
+        if: this.combineConditions(step.if, interpolated.if)
+      };
+    });
+  }
+
+  private async expandWorkflowCall(job: ParsedJob, state: ResolutionState): Promise<ParsedJob[]> {
+    const reference = this.parseReference(job.uses!);
+    if (!reference) {
+      throw new ActionResolutionError(`Invalid reusable workflow reference: ${job.uses}`, job.uses!);
+    }
+
+    const workflow = await this.loadMetadata(reference, state, 'workflow', true);
+    const trigger = this.getWorkflowCallTrigger(workflow);
+    if (!trigger) {
+      throw new ActionResolutionError(`Workflow ${reference.key} is not callable (missing on.workflow_call)`, job.uses!, state.stack);
+    }
+
+    const nested = this.enter(reference, state);
+    const inputs = this.resolveInputs(trigger.inputs, job.with, job.uses!);
+    const secrets = (job.secrets as unknown) === 'inherit' ? state.secrets : job.secrets;
+    const calledJobs = Object.entries<any>(workflow.jobs || {});
+
+    if (calledJobs.length === 0) {
+      throw new ActionResolutionError(`Workflow ${reference.key} has no jobs`, job.uses!, state.stack);
+    }
+
+    logger.debug('Expanding reusable workflow', { jobId: job.id, workflow: reference.key, jobs: calledJobs.length });
+
+    const expansions = new Map<string, ParsedJob[]>();
+    for (const [key, rawJob] of calledJobs) {
+      const normalized = this.interpolateInputs(this.jobParser.normalizeWorkflowJob(key, rawJob), inputs);
+      const parsed = this.jobParser.parseJob(normalized);
+      const innerNeeds = this.toArray(parsed.needs);
+
+      const calledJob: ParsedJob = {
+        ...parsed,
+        id: `${job.id}/${key}`,
+        name: `${job.name || job.id} / ${parsed.name}`,
+        // Entry jobs of the called workflow wait for the caller's dependencies
+        needs: innerNeeds.length > 0 ? innerNeeds.map(need => `${job.id}/${need}`) : job.needs,
+        if: this.combineConditions(job.if, parsed.if),
+        // Nested calls keep their own `secrets:` declaration (a map or `inherit`)
+        secrets: parsed.uses ? parsed.secrets : secrets
+      };
+
+      expansions.set(calledJob.id, await this.resolveJobInternal(calledJob, { ...nested, secrets }));
+    }
+
+    // Inner jobs may need a job that is itself a nested call
+    return this.rewriteNeeds(expansions);
+  }
+
+  /**
+   * Flatten expanded jobs, pointing `needs` on a job that called a reusable
+   * workflow at the jobs it expanded into
+   */
+  private rewriteNeeds(expansions: Map<string, ParsedJob[]>): ParsedJob[] {
+    const rewrite = (needs: string | string[] | undefined): string[] | undefined => {
+      if (!needs) return undefined;
+
+      return this.toArray(needs).flatMap(need => {
+        const expanded = expansions.get(need);
+        return expanded && expanded.length > 0 && expanded[0].id !== need
+          ? expanded.map(job => job.id)
+          : [need];
+      });
+    };
+
+    return Array.from(expansions.values()).flat().map(job => ({
+      ...job,
+      needs: rewrite(job.needs)
+    }));
+  }
+
+  private enter(reference: ActionReference, state: ResolutionState): ResolutionState {
+    if (state.stack.includes(reference.key)) {
+      throw new ActionResolutionError(
+        `Circular reference detected: ${[...state.stack, reference.key].join(' -> ')}`,
+        reference.key,
+        state.stack
+      );
+    }
+
+    if (state.stack.length >= this.config.maxDepth) {
+      throw new ActionResolutionError(
+        `Maximum nesting depth of ${this.config.maxDepth} exceeded`,
+        reference.key,
+        state.stack
+      );
+    }
+
+    return { ...state, stack: [...state.stack, reference.key] };
+  }
+
+  private async loadMetadata(
+    reference: ActionReference,
+    state: ResolutionState,
+    type: 'action' | 'workflow',
+    required: boolean
+  ): Promise<any | null> {
+    const baseDir = this.getBaseDirectory(reference, state, required);
+    if (!baseDir) {
+      logger.debug('No workspace for local action, leaving it to the runner', { reference: reference.key });
+      return null;
+    }
+    const target = path.resolve(baseDir, reference.path);
+
+    // References must not escape their repository directory
+    if (target !== baseDir && !target.startsWith(baseDir + path.sep)) {
+      throw new ActionResolutionError(`Reference escapes its repository: ${reference.key}`, reference.key, state.stack);
+    }
+
+    const candidates = type === 'workflow'
+      ? [target]
+      : [path.join(target, 'action.yml'), path.join(target, 'action.yaml')];
+
+    for (const file of candidates) {
+      let content: string;
+      let mtimeMs: number;
+      try {
+        // Entries are reused while the file is unchanged, so edited local actions and moved tags are picked up
+        mtimeMs = (await fs.stat(file)).mtimeMs;
+        const cached = this.metadataCache.get(file);
+        if (cached && cached.mtimeMs === mtimeMs) {
+          return cached.metadata;
+        }
+        content = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') continue;
+        throw error;
+      }
+
+      try {
+        const metadata = yaml.load(content);
+        this.metadataCache.delete(file);
+        this.metadataCache.set(file, { metadata, mtimeMs });
+        if (this.metadataCache.size > METADATA_CACHE_SIZE) {
+          this.metadataCache.delete(this.metadataCache.keys().next().value!);
+        }
+        return metadata;
+      } catch (error) {
+        throw new ActionResolutionError(`Failed to parse ${file}: ${(error as Error).message}`, reference.key, state.stack);
+      }
+    }
+
+    if (required) {
+      throw new ActionResolutionError(`Unable to resolve ${type} ${reference.key}`, reference.key, state.stack);
+    }
+
+    logger.debug('Action not found in cache, leaving it to the runner', { reference: reference.key });
+    return null;
+  }
+
+  private getBaseDirectory(reference: ActionReference, state: ResolutionState, required: boolean): string | null {
+    if (reference.kind === 'local') {
+      if (!state.workspaceDir) {
+        if (!required) {
+          return null;
+        }
+        throw new ActionResolutionError(`Local reference ${reference.key} requires a workspace directory`, reference.key, state.stack);
+      }
+      return path.resolve(state.workspaceDir);
+    }
+
+    if (this.config.requirePinnedRefs && !COMMIT_SHA_REGEX.test(reference.ref!)) {
+      throw new ActionResolutionError(`Reference ${reference.key} must be pinned to a full commit SHA`, reference.key, state.stack);
+    }
+
+    const dir = this.resolveCacheDirectory([reference.owner!, reference.repo!, ...reference.ref!.split('/')]);
+    if (!dir) {
+      throw new ActionResolutionError(`Reference escapes the action cache: ${reference.key}`, reference.key, state.stack);
+    }
+    return dir;
+  }
+
+  /**
+   * Directory of the given path segments below the action cache, or null
+   * if a segment is not a plain name or the result lies outside the cache
+   */
+  private resolveCacheDirectory(segments: string[]): string | null {
+    if (!this.isCacheSegments(segments)) {
+      return null;
+    }
+
+    const root = path.resolve(this.config.actionCacheDir);
+    const dir = path.resolve(root, ...segments);
+    return dir.startsWith(root + path.sep) ? dir : null;
+  }
+
+  private isCacheSegments(segments: Array<string | undefined>): boolean {
+    return segments.every(segment =>
+      !!segment && segment !== '.' && segment !== '..' && !segment.includes('/') && !segment.includes(path.sep)
+    );
+  }
+
+  private getWorkflowCallTrigger(workflow: any): { inputs?: Record<string, any> } | null {
+    const on = workflow?.on;
+
+    if (on === 'workflow_call' || (Array.isArray(on) && on.includes('workflow_call'))) {
+      return {};
+    }
+    if (on && typeof on === 'object' && 'workflow_call' in on) {
+      return on.workflow_call || {};
+    }
+    return null;
+  }
+
+  private resolveInputs(
+    definitions: Record<string, any> | undefined,
+    provided: Record<string, any> | undefined,
+    reference: string
+  ): Record<string, any> {
+    const inputs: Record<string, any> = {};
+
+    for (const [name, definition] of Object.entries(definitions || {})) {
+      if (provided && name in provided) {
+        inputs[name] = provided[name];
+      } else if (definition?.default !== undefined) {
+        inputs[name] = definition.default;
+      } else if (definition?.required) {
+        throw new ActionResolutionError(`Missing required input '${name}'`, reference);
+      }
+    }
+
+    // Inputs not declared by the action are still passed through, as the runner does
+    return { ...provided, ...inputs };
+  }
+
+  private interpolateInputs<T>(value: T, inputs: Record<string, any>): T {
+    if (typeof value === 'string') {
+      return (this.expressionEvaluator.isTemplate(value)
+        ? this.expressionEvaluator.interpolate(value, { inputs })
+        : value) as unknown as T;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolateInputs(item, inputs)) as unknown as T;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const result: Record<string, any> = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.interpolateInputs(item, inputs);
+      }
+      return result as T;
+    }
+
+    return value;
+  }
+
+  private combineConditions(outer?: string, inner?: string): string | undefined {
+    if (!outer) return inner;
+    if (!inner) return outer;
+
+    const unwrap = (condition: string) => condition.trim().replace(/^\$\{\{([\s\S]*)\}\}$/, '$1').trim();
+    return `(${unwrap(outer)}) && (${unwrap(inner)})`;
+  }
+
+  private toArray(value: string | string[] | undefined): string[] {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+export default ActionResolver;
@@ -0,0 +1,799 @@
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ExpressionEvaluator');
+
+export type ExpressionValue =
+  | null
+  | boolean
+  | number
+  | string
+  | ExpressionValue[]
+  | { [key: string]: ExpressionValue };
+
+export interface ExpressionContext {
+  github?: Record<string, any>;
+  env?: Record<string, string>;
+  matrix?: Record<string, any>;
+  needs?: Record<string, { result?: string; outputs?: Record<string, string> }>;
+  steps?: Record<string, { outcome?: string; conclusion?: string; outputs?: Record<string, string> }>;
+  runner?: Record<string, any>;
+  secrets?: Record<string, string>;
+  inputs?: Record<string, any>;
+}
+
+export type JobStatusFunctionState = 'success' | 'failure' | 'cancelled';
+
+export interface EvaluationOptions {
+  jobStatus?: JobStatusFunctionState;
+  hashFiles?: (patterns: string[]) => string;
+  namedValues?: string[]; // Names expressions may reference, GitHub's contexts by default
+  maxSteps?: number; // Nodes visited per evaluation, for untrusted expressions
+  timeoutMs?: number;
+}
+
+interface EvaluationBudget {
+  steps: number;
+  maxSteps: number;
+  deadline: number;
+}
+
+export interface ExpressionReferences {
+  contexts: string[];
+  functions: string[];
+}
+
+export type ExpressionNode =
+  | { type: 'literal'; value: ExpressionValue }
+  | { type: 'context'; name: string }
+  | { type: 'property'; object: ExpressionNode; property: string }
+  | { type: 'index'; object: ExpressionNode; index: ExpressionNode }
+  | { type: 'filter'; object: ExpressionNode }
+  | { type: 'call'; name: string; args: ExpressionNode[] }
+  | { type: 'not'; operand: ExpressionNode }
+  | { type: 'binary'; operator: BinaryOperator; left: ExpressionNode; right: ExpressionNode };
+
+type BinaryOperator = '==' | '!=' | '<' | '<=' | '>' | '>=' | '&&' | '||';
+
+interface Token {
+  type: 'number' | 'string' | 'identifier' | 'punctuation' | 'operator' | 'end';
+  value: string;
+  position: number;
+}
+
+export const EXPRESSION_CONTEXTS = ['github', 'env', 'matrix', 'needs', 'steps', 'runner', 'secrets', 'inputs'];
+
+const STATUS_FUNCTIONS = ['success', 'failure', 'always', 'cancelled'];
+
+// Function name -> [min args, max args]
+const FUNCTION_ARITY: Record<string, [number, number]> = {
+  success: [0, 0],
+  failure: [0, 0],
+  always: [0, 0],
+  cancelled: [0, 0],
+  contains: [2, 2],
+  startswith: [2, 2],
+  endswith: [2, 2],
+  format: [1, Number.MAX_SAFE_INTEGER],
+  join: [1, 2],
+  tojson: [1, 1],
+  fromjson: [1, 1],
+  hashfiles: [1, Number.MAX_SAFE_INTEGER]
+};
+
+// Functions whose result is only known once the job is running
+const RUNTIME_FUNCTIONS = ['failure', 'cancelled', 'hashfiles'];
+
+const EXPRESSION_TEMPLATE_REGEX = /\$\{\{([\s\S]*?)\}\}/g;
+const MAX_EXPRESSION_LENGTH = 21000;
+// Parsed expressions kept, least recently used are evicted first
+const PARSE_CACHE_SIZE = 1000;
+
+export class ExpressionError extends Error {
+  constructor(message: string, public readonly expression: string) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+/**
+ * Evaluator for GitHub Actions expressions (`if:` conditions and `${{ }}` templates)
+ */
+export class ExpressionEvaluator {
+  private static instance: ExpressionEvaluator;
+  private parseCache: Map<string, ExpressionNode> = new Map();
+  private filteredArrays: WeakSet<ExpressionValue[]> = new WeakSet();
+
+  private constructor() {}
+
+  public static getInstance(): ExpressionEvaluator {
+    if (!ExpressionEvaluator.instance) {
+      ExpressionEvaluator.instance = new ExpressionEvaluator();
+    }
+    return ExpressionEvaluator.instance;
+  }
+
+  /**
+   * Parse an expression (without the `${{ }}` wrapper) into an AST
+   */
+  public parse(expression: string, namedValues: string[] = EXPRESSION_CONTEXTS): ExpressionNode {
+    const key = namedValues === EXPRESSION_CONTEXTS ? expression : `${namedValues.join(',')}\n${expression}`;
+    const cached = this.parseCache.get(key);
+    if (cached) {
+      // Maps iterate in insertion order, re-inserting marks the entry as recently used
+      this.parseCache.delete(key);
+      this.parseCache.set(key, cached);
+      return cached;
+    }
+
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new ExpressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`, expression);
+    }
+
+    const parser = new Parser(this.tokenize(expression), expression, namedValues.map(name => name.toLowerCase()));
+    const ast = parser.parseExpression();
+    this.parseCache.set(key, ast);
+    if (this.parseCache.size > PARSE_CACHE_SIZE) {
+      this.parseCache.delete(this.parseCache.keys().next().value!);
+    }
+    return ast;
+  }
+
+  /**
+   * Return a validation message for a malformed expression, or null if valid
+   */
+  public validate(expression: string): string | null {
+    try {
+      this.parse(this.unwrap(expression));
+      return null;
+    } catch (error) {
+      return (error as Error).message;
+    }
+  }
+
+  /**
+   * Validate every `${{ }}` expression embedded in a template string
+   */
+  public validateTemplate(template: string): string[] {
+    return this.extractExpressions(template)
+      .map(expression => this.validate(expression))
+      .filter((message): message is string => message !== null);
+  }
+
+  public evaluate(expression: string, context: ExpressionContext, options: EvaluationOptions = {}): ExpressionValue {
+    const ast = this.parse(this.unwrap(expression), options.namedValues);
+    const budget = options.maxSteps || options.timeoutMs
+      ? { steps: 0, maxSteps: options.maxSteps || Infinity, deadline: Date.now() + (options.timeoutMs || Infinity) }
+      : undefined;
+    return this.evaluateNode(ast, context, options, expression, budget);
+  }
+
+  /**
+   * Evaluate an `if:` condition. Conditions without a status function are
+   * implicitly prefixed with `success() &&`, as GitHub does.
+   */
+  public evaluateCondition(condition: string | undefined, context: ExpressionContext, options: EvaluationOptions = {}): boolean {
+    if (condition === undefined || condition.trim() === '') {
+      return (options.jobStatus || 'success') === 'success';
+    }
+
+    const expression = this.unwrap(condition);
+    const references = this.getReferences(expression);
+    const hasStatusFunction = references.functions.some(name => STATUS_FUNCTIONS.includes(name));
+    const result = this.toBoolean(this.evaluate(expression, context, options));
+
+    if (hasStatusFunction) {
+      return result;
+    }
+    return (options.jobStatus || 'success') === 'success' && result;
+  }
+
+  /**
+   * Replace `${{ }}` expressions in a template. Expressions depending on
+   * contexts missing from `context`, or on runtime-only functions, are kept
+   * verbatim so the runner can resolve them later.
+   */
+  public interpolate(template: string, context: ExpressionContext, options: EvaluationOptions = {}): string {
+    return template.replace(EXPRESSION_TEMPLATE_REGEX, (match, expression: string) => {
+      if (!this.canResolve(expression, context, options)) {
+        return match;
+      }
+      return this.toInterpolatedString(this.evaluate(expression, context, options));
+    });
+  }
+
+  /**
+   * Whether an expression can be evaluated with the given context, i.e. it
+   * references only available contexts and no runtime-only functions
+   */
+  public canResolve(expression: string, context: ExpressionContext, options: EvaluationOptions = {}): boolean {
+    const references = this.getReferences(this.unwrap(expression));
+
+    if (references.contexts.some(name => context[name as keyof ExpressionContext] === undefined)) {
+      return false;
+    }
+
+    return !references.functions.some(name =>
+      RUNTIME_FUNCTIONS.includes(name) && !(name === 'hashfiles' && options.hashFiles)
+    );
+  }
+
+  public getReferences(expression: string, namedValues?: string[]): ExpressionReferences {
+    const contexts = new Set<string>();
+    const functions = new Set<string>();
+
+    const visit = (node: ExpressionNode): void => {
+      switch (node.type) {
+        case 'context':
+          contexts.add(node.name);
+          break;
+        case 'property':
+        case 'filter':
+          visit(node.object);
+          break;
+        case 'index':
+          visit(node.object);
+          visit(node.index);
+          break;
+        case 'call':
+          functions.add(node.name);
+          node.args.forEach(visit);
+          break;
+        case 'not':
+          visit(node.operand);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+      }
+    };
+
+    visit(this.parse(this.unwrap(expression), namedValues));
+    return { contexts: Array.from(contexts), functions: Array.from(functions) };
+  }
+
+  public extractExpressions(template: string): string[] {
+    return Array.from(template.matchAll(EXPRESSION_TEMPLATE_REGEX), match => match[1]);
+  }
+
+  public isTemplate(value: string): boolean {
+    return value.includes('${{');
+  }
+
+  private unwrap(expression: string): string {
+    const trimmed = expression.trim();
+    const match = trimmed.match(/^\$\{\{([\s\S]*)\}\}$/);
+    return match && !match[1].includes('${{') ? match[1].trim() : trimmed;
+  }
+
+  private tokenize(expression: string): Token[] {
+    const tokens: Token[] = [];
+    let position = 0;
+
+    while (position < expression.length) {
+      const char = expression[position];
+
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+
+      if (char === "'") {
+        let value = '';
+        let index = position + 1;
+        let closed = false;
+        while (index < expression.length) {
+          if (expression[index] === "'") {
+            if (expression[index + 1] === "'") {
+              value += "'";
+              index += 2;
+              continue;
+            }
+            closed = true;
+            break;
+          }
+          value += expression[index++];
+        }
+        if (!closed) {
+          throw new ExpressionError(`Unterminated string literal at position ${position}`, expression);
+        }
+        tokens.push({ type: 'string', value, position });
+        position = index + 1;
+        continue;
+      }
+
+      const numberMatch = expression.slice(position).match(/^-?(0x[0-9a-f]+|(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)/i);
+      const previous = tokens[tokens.length - 1];
+      const previousIsValue = previous && (['number', 'string', 'identifier'].includes(previous.type) ||
+        previous.value === ')' || previous.value === ']');
+      if (numberMatch && !(char === '-' && previousIsValue) && (char !== '.' || !previousIsValue)) {
+        tokens.push({ type: 'number', value: numberMatch[0], position });
+        position += numberMatch[0].length;
+        continue;
+      }
+
+      // `$` starts the root of JSONPath-style dependency conditions
+      const identifierMatch = expression.slice(position).match(/^([a-z_][a-z0-9_-]*|\$)/i);
+      if (identifierMatch) {
+        tokens.push({ type: 'identifier', value: identifierMatch[0], position });
+        position += identifierMatch[0].length;
+        continue;
+      }
+
+      const operator = ['==', '!=', '<=', '>=', '&&', '||'].find(op => expression.startsWith(op, position));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position });
+        position += 2;
+        continue;
+      }
+
+      if ('<>!'.includes(char)) {
+        tokens.push({ type: 'operator', value: char, position });
+        position++;
+        continue;
+      }
+
+      if ('()[].,*'.includes(char)) {
+        tokens.push({ type: 'punctuation', value: char, position });
+        position++;
+        continue;
+      }
+
+      throw new ExpressionError(`Unexpected character '${char}' at position ${position}`, expression);
+    }
+
+    tokens.push({ type: 'end', value: '', position });
+    return tokens;
+  }
+
+  private evaluateNode(
+    node: ExpressionNode,
+    context: ExpressionContext,
+    options: EvaluationOptions,
+    source: string,
+    budget?: EvaluationBudget
+  ): ExpressionValue {
+    if (budget) {
+      if (++budget.steps > budget.maxSteps) {
+        throw new ExpressionError(`Evaluation exceeded ${budget.maxSteps} steps`, source);
+      }
+      if (Date.now() > budget.deadline) {
+        throw new ExpressionError(`Evaluation exceeded ${options.timeoutMs}ms`, source);
+      }
+    }
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'context':
+        return this.dereference(context as ExpressionValue, node.name) ?? null;
+
+      case 'property':
+        return this.dereference(this.evaluateNode(node.object, context, options, source, budget), node.property);
+
+      case 'index': {
+        const target = this.evaluateNode(node.object, context, options, source, budget);
+        const index = this.evaluateNode(node.index, context, options, source, budget);
+        if (Array.isArray(target) && !this.filteredArrays.has(target) && typeof index === 'number') {
+          return target[Math.trunc(index)] ?? null;
+        }
+        return this.dereference(target, index === null ? '' : this.toExpressionString(index));
+      }
+
+      case 'filter': {
+        const target = this.evaluateNode(node.object, context, options, source, budget);
+        let values: ExpressionValue[] = [];
+        if (Array.isArray(target)) {
+          values = this.filteredArrays.has(target) ? target.flatMap(item => (Array.isArray(item) ? item : [item])) : [...target];
+        } else if (target !== null && typeof target === 'object') {
+          values = Object.values(target);
+        }
+        this.filteredArrays.add(values);
+        return values;
+      }
+
+      case 'not':
+        return !this.toBoolean(this.evaluateNode(node.operand, context, options, source, budget));
+
+      case 'binary':
+        return this.evaluateBinary(node, context, options, source, budget);
+
+      case 'call':
+        return this.callFunction(
+          node.name,
+          node.args.map(arg => this.evaluateNode(arg, context, options, source, budget)),
+          options,
+          source
+        );
+    }
+  }
+
+  private evaluateBinary(
+    node: Extract<ExpressionNode, { type: 'binary' }>,
+    context: ExpressionContext,
+    options: EvaluationOptions,
+    source: string,
+    budget?: EvaluationBudget
+  ): ExpressionValue {
+    const left = this.evaluateNode(node.left, context, options, source, budget);
+
+    if (node.operator === '&&') {
+      return this.toBoolean(left) ? this.evaluateNode(node.right, context, options, source, budget) : left;
+    }
+    if (node.operator === '||') {
+      return this.toBoolean(left) ? left : this.evaluateNode(node.right, context, options, source, budget);
+    }
+
+    const right = this.evaluateNode(node.right, context, options, source, budget);
+
+    switch (node.operator) {
+      case '==':
+        return this.looseEquals(left, right);
+      case '!=':
+        return !this.looseEquals(left, right);
+      default:
+        return this.compare(node.operator, left, right);
+    }
+  }
+
+  private callFunction(name: string, args: ExpressionValue[], options: EvaluationOptions, source: string): ExpressionValue {
+    const jobStatus = options.jobStatus || 'success';
+
+    switch (name) {
+      case 'success':
+        return jobStatus === 'success';
+      case 'failure':
+        return jobStatus === 'failure';
+      case 'cancelled':
+        return jobStatus === 'cancelled';
+      case 'always':
+        return true;
+
+      case 'contains': {
+        const [search, item] = args;
+        if (Array.isArray(search)) {
+          return search.some(element => this.looseEquals(element, item));
+        }
+        return this.toExpressionString(search).toLowerCase().includes(this.toExpressionString(item).toLowerCase());
+      }
+
+      case 'startswith':
+        return this.toExpressionString(args[0]).toLowerCase().startsWith(this.toExpressionString(args[1]).toLowerCase());
+
+      case 'endswith':
+        return this.toExpressionString(args[0]).toLowerCase().endsWith(this.toExpressionString(args[1]).toLowerCase());
+
+      case 'format':
+        return this.format(this.toExpressionString(args[0]), args.slice(1), source);
+
+      case 'join': {
+        const separator = args.length > 1 ? this.toExpressionString(args[1]) : ',';
+        return Array.isArray(args[0])
+          ? args[0].map(item => this.toExpressionString(item)).join(separator)
+          : this.toExpressionString(args[0]);
+      }
+
+      case 'tojson':
+        return JSON.stringify(args[0], null, 2);
+
+      case 'fromjson':
+        try {
+          return JSON.parse(this.toExpressionString(args[0]));
+        } catch (error) {
+          throw new ExpressionError(`fromJSON: ${(error as Error).message}`, source);
+        }
+
+      case 'hashfiles':
+        if (!options.hashFiles) {
+          throw new ExpressionError('hashFiles() is only available while the job is running', source);
+        }
+        return options.hashFiles(args.map(arg => this.toExpressionString(arg)));
+
+      default:
+        throw new ExpressionError(`Unrecognized function: '${name}'`, source);
+    }
+  }
+
+  private format(template: string, args: ExpressionValue[], source: string): string {
+    return template.replace(/\{\{|\}\}|\{(\d+)\}/g, (match, index?: string) => {
+      if (match === '{{') return '{';
+      if (match === '}}') return '}';
+
+      const position = Number(index);
+      if (position >= args.length) {
+        throw new ExpressionError(`format: argument index ${position} is out of range`, source);
+      }
+      return this.toExpressionString(args[position]);
+    });
+  }
+
+  private dereference(target: ExpressionValue, property: string): ExpressionValue {
+    if (Array.isArray(target) && this.filteredArrays.has(target)) {
+      const values = target
+        .map(item => this.dereference(item, property))
+        .filter(value => value !== null);
+      this.filteredArrays.add(values);
+      return values;
+    }
+
+    if (target === null || typeof target !== 'object' || Array.isArray(target)) {
+      return null;
+    }
+
+    // Property names are case-insensitive. Only own properties are reachable,
+    // never prototype members such as constructor or __proto__.
+    if (Object.prototype.hasOwnProperty.call(target, property)) {
+      return target[property];
+    }
+    const key = Object.keys(target).find(candidate => candidate.toLowerCase() === property.toLowerCase());
+    return key === undefined ? null : target[key];
+  }
+
+  private looseEquals(left: ExpressionValue, right: ExpressionValue): boolean {
+    if (typeof left === 'string' && typeof right === 'string') {
+      return left.toLowerCase() === right.toLowerCase();
+    }
+    if (typeof left === typeof right && (left === null || typeof left !== 'object')) {
+      return left === right;
+    }
+    if ((left !== null && typeof left === 'object') || (right !== null && typeof right === 'object')) {
+      return left === right;
+    }
+    return this.toNumber(left) === this.toNumber(right);
+  }
+
+  private compare(operator: BinaryOperator, left: ExpressionValue, right: ExpressionValue): boolean {
+    let a: string | number;
+    let b: string | number;
+
+    if (typeof left === 'string' && typeof right === 'string') {
+      a = left.toLowerCase();
+      b = right.toLowerCase();
+    } else {
+      a = this.toNumber(left);
+      b = this.toNumber(right);
+    }
+
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      default: return false;
+    }
+  }
+
+  public toBoolean(value: ExpressionValue): boolean {
+    if (value === null || value === false || value === '') return false;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    return true;
+  }
+
+  private toNumber(value: ExpressionValue): number {
+    if (value === null) return 0;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      return trimmed === '' ? 0 : Number(trimmed);
+    }
+    return NaN;
+  }
+
+  private toExpressionString(value: ExpressionValue): string {
+    if (value === null) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    return Array.isArray(value) ? 'Array' : 'Object';
+  }
+
+  private toInterpolatedString(value: ExpressionValue): string {
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value, null, 2);
+    }
+    return this.toExpressionString(value);
+  }
+
+  public clearCache(): void {
+    this.parseCache.clear();
+    logger.debug('Expression parse cache cleared');
+  }
+}
+
+/**
+ * Recursive-descent parser. Precedence (lowest first):
+ * ||, &&, == !=, < <= > >=, !, member access / call
+ */
+class Parser {
+  private position = 0;
+
+  constructor(private tokens: Token[], private source: string, private namedValues: string[]) {}
+
+  public parseExpression(): ExpressionNode {
+    if (this.peek().type === 'end') {
+      throw this.error('Expected an expression');
+    }
+
+    const node = this.parseOr();
+    if (this.peek().type !== 'end') {
+      throw this.error(`Unexpected token '${this.peek().value}'`);
+    }
+    return node;
+  }
+
+  private parseOr(): ExpressionNode {
+    let node = this.parseAnd();
+    while (this.matchOperator('||')) {
+      node = { type: 'binary', operator: '||', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  private parseAnd(): ExpressionNode {
+    let node = this.parseEquality();
+    while (this.matchOperator('&&')) {
+      node = { type: 'binary', operator: '&&', left: node, right: this.parseEquality() };
+    }
+    return node;
+  }
+
+  private parseEquality(): ExpressionNode {
+    let node = this.parseComparison();
+    for (let operator = this.matchOperator('==', '!='); operator; operator = this.matchOperator('==', '!=')) {
+      node = { type: 'binary', operator, left: node, right: this.parseComparison() };
+    }
+    return node;
+  }
+
+  private parseComparison(): ExpressionNode {
+    let node = this.parseUnary();
+    for (let operator = this.matchOperator('<', '<=', '>', '>='); operator; operator = this.matchOperator('<', '<=', '>', '>=')) {
+      node = { type: 'binary', operator, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  private parseUnary(): ExpressionNode {
+    if (this.matchOperator('!')) {
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parseMember();
+  }
+
+  private parseMember(): ExpressionNode {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.matchPunctuation('.')) {
+        if (this.matchPunctuation('*')) {
+          node = { type: 'filter', object: node };
+          continue;
+        }
+        const token = this.next();
+        if (token.type !== 'identifier') {
+          throw this.error(`Expected property name after '.' but found '${token.value}'`, token);
+        }
+        node = { type: 'property', object: node, property: token.value };
+      } else if (this.matchPunctuation('[')) {
+        if (this.matchPunctuation('*')) {
+          node = { type: 'filter', object: node };
+        } else {
+          node = { type: 'index', object: node, index: this.parseOr() };
+        }
+        this.expectPunctuation(']');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  private parsePrimary(): ExpressionNode {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number': {
+        const value = Number(token.value);
+        if (Number.isNaN(value)) {
+          throw this.error(`Invalid number '${token.value}'`, token);
+        }
+        return { type: 'literal', value };
+      }
+
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'identifier':
+        return this.parseIdentifier(token);
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const node = this.parseOr();
+          this.expectPunctuation(')');
+          return node;
+        }
+        break;
+    }
+
+    throw this.error(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected token '${token.value}'`, token);
+  }
+
+  private parseIdentifier(token: Token): ExpressionNode {
+    const name = token.value.toLowerCase();
+
+    if (this.matchPunctuation('(')) {
+      const arity = FUNCTION_ARITY[name];
+      if (!arity) {
+        throw this.error(`Unrecognized function: '${token.value}'`, token);
+      }
+
+      const args: ExpressionNode[] = [];
+      if (!this.matchPunctuation(')')) {
+        do {
+          args.push(this.parseOr());
+        } while (this.matchPunctuation(','));
+        this.expectPunctuation(')');
+      }
+
+      if (args.length < arity[0] || args.length > arity[1]) {
+        throw this.error(`Invalid number of arguments for '${token.value}': ${args.length}`, token);
+      }
+      return { type: 'call', name, args };
+    }
+
+    switch (name) {
+      case 'true': return { type: 'literal', value: true };
+      case 'false': return { type: 'literal', value: false };
+      case 'null': return { type: 'literal', value: null };
+      case 'nan': return { type: 'literal', value: NaN };
+      case 'infinity': return { type: 'literal', value: Infinity };
+    }
+
+    if (!this.namedValues.includes(name)) {
+      throw this.error(`Unrecognized named-value: '${token.value}'`, token);
+    }
+    return { type: 'context', name };
+  }
+
+  private peek(): Token {
+    return this.tokens[this.position];
+  }
+
+  private next(): Token {
+    const token = this.tokens[this.position];
+    if (token.type !== 'end') {
+      this.position++;
+    }
+    return token;
+  }
+
+  private matchOperator<T extends string>(...operators: T[]): T | undefined {
+    const token = this.peek();
+    if (token.type === 'operator' && operators.includes(token.value as T)) {
+      this.position++;
+      return token.value as T;
+    }
+    return undefined;
+  }
+
+  private matchPunctuation(value: string): boolean {
+    const token = this.peek();
+    if (token.type === 'punctuation' && token.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  private expectPunctuation(value: string): void {
+    if (!this.matchPunctuation(value)) {
+      throw this.error(`Expected '${value}' but found '${this.peek().value || 'end of expression'}'`);
+    }
+  }
+
+  private error(message: string, token: Token = this.peek()): ExpressionError {
+    return new ExpressionError(`${message} at position ${token.position}`, this.source);
+  }
+}
+
+export default ExpressionEvaluator;
@@ -13,7 +13,10 @@ export { OrchestrationIntegration, IntegrationConfig, SystemHealth, IntegrationM
 // Core Orchestrator Components (Legacy Support)
 export { RunnerOrchestrator, OrchestratorConfig, OrchestratorStatus } from './runner-orchestrator';
 export { ContainerAssignmentManager, ContainerStatus, LoadBalancingStrategy } from './container-assignment';
-export { JobParser, ParsedJob, ValidationError } from './job-parser';
+export { JobParser, ParsedJob, ValidationError, MatrixCombination, MatrixExpansion } from './job-parser';
+export { ExpressionEvaluator, ExpressionContext, ExpressionError, ExpressionValue } from './expression-evaluator';
+export { ActionResolver, ActionResolverConfig, ActionResolutionError, ResolveOptions } from './action-resolver';
+export { WorkflowGraphBuilder, WorkflowRunGraph, DownstreamJob } from './workflow-graph';
 export { StatusReporter, JobStatus, JobStatusType, JobConclusion } from './status-reporter';
 export { OrchestratorWebhookHandler, WebhookEvent } from './webhook-handler';
 export { OrchestratorService, OrchestratorServiceConfig } from './orchestrator-service';
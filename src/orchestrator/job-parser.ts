@@ -1,5 +1,7 @@
 import { createLogger } from '../utils/logger';
 import * as yaml from 'js-yaml';
+import { ExpressionContext, ExpressionError, ExpressionEvaluator } from './expression-evaluator';
+import { parseContainerOptions } from '../docker/container-options';
 
 const logger = createLogger('JobParser');
 
@@ -24,6 +26,15 @@ export interface ParsedJob {
   outputs?: Record<string, string>;
   secrets?: Record<string, string>;
   if?: string;
+  matrix?: MatrixCombination;
+  uses?: string; // Reusable workflow reference (workflow_call)
+  with?: Record<string, any>;
+  concurrency?: ConcurrencyConfig;
+}
+
+export interface ConcurrencyConfig {
+  group: string; // May contain `${{ }}` expressions
+  cancel_in_progress: boolean;
 }
 
 export interface ContainerConfig {
@@ -33,7 +44,7 @@ export interface ContainerConfig {
     password: string;
   };
   env?: Record<string, string>;
-  ports?: number[];
+  ports?: Array<number | string>; // `5432` or `host:container[/protocol]`
   volumes?: string[];
   options?: string;
 }
@@ -45,7 +56,7 @@ export interface ServiceConfig {
     password: string;
   };
   env?: Record<string, string>;
-  ports?: number[];
+  ports?: Array<number | string>;
   volumes?: string[];
   options?: string;
 }
@@ -70,6 +81,30 @@ export interface StrategyConfig {
   max_parallel?: number;
 }
 
+export type MatrixCombination = Record<string, any>;
+
+export interface MatrixExpansion {
+  parentId: string;
+  jobs: ParsedJob[];
+  failFast: boolean;
+  maxParallel: number;
+}
+
+// GitHub rejects workflows whose matrix produces more than 256 jobs
+const MAX_MATRIX_COMBINATIONS = 256;
+// Cartesian products larger than this are rejected before being built, leaving excludes room to trim
+const MAX_MATRIX_PRODUCT = MAX_MATRIX_COMBINATIONS * 16;
+const WORKFLOW_KEY_ALIASES: Record<string, string> = {
+  'runs-on': 'runs_on',
+  'timeout-minutes': 'timeout_minutes',
+  'continue-on-error': 'continue_on_error',
+  'working-directory': 'working_directory',
+  'fail-fast': 'fail_fast',
+  'max-parallel': 'max_parallel',
+  'cancel-in-progress': 'cancel_in_progress'
+};
+const MATRIX_EXPRESSION_REGEX = /\$\{\{\s*matrix\.([A-Za-z0-9_\-.]+)\s*\}\}/g;
+
 export interface ValidationError {
   field: string;
   message: string;
@@ -78,8 +113,11 @@ export interface ValidationError {
 
 export class JobParser {
   private static instance: JobParser;
+  private expressionEvaluator: ExpressionEvaluator;
   
-  private constructor() {}
+  private constructor() {
+    this.expressionEvaluator = ExpressionEvaluator.getInstance();
+  }
   
   public static getInstance(): JobParser {
     if (!JobParser.instance) {
@@ -100,13 +138,19 @@ export class JobParser {
       runs_on: this.parseRunsOn(jobData.labels || jobData.runs_on),
       steps: this.parseSteps(jobData.steps || []),
       env: jobData.env || {},
-      timeout_minutes: jobData.timeout_minutes || 360, // 6 hours default
+      timeout_minutes: this.parseTimeoutMinutes(jobData.timeout_minutes) ?? 360, // 6 hours default
       continue_on_error: jobData.continue_on_error || false,
       needs: jobData.needs,
       outputs: jobData.outputs || {},
       if: jobData.if
     };
     
+    // Reusable workflow call
+    if (jobData.uses) {
+      parsed.uses = jobData.uses;
+      parsed.with = jobData.with || {};
+    }
+    
     // Parse container configuration
     if (jobData.container) {
       parsed.container = this.parseContainer(jobData.container);
@@ -117,6 +161,10 @@ export class JobParser {
       parsed.services = this.parseServices(jobData.services);
     }
     
+    if (jobData.concurrency) {
+      parsed.concurrency = this.parseConcurrency(jobData.concurrency);
+    }
+    
     // Parse strategy (matrix builds)
     if (jobData.strategy) {
       parsed.strategy = this.parseStrategy(jobData.strategy);
@@ -148,7 +196,7 @@ export class JobParser {
     return ['self-hosted', 'linux', 'x64'];
   }
   
-  private parseContainer(container: any): ContainerConfig {
+  public parseContainer(container: any): ContainerConfig {
     if (typeof container === 'string') {
       return { image: container };
     }
@@ -163,7 +211,40 @@ export class JobParser {
     };
   }
   
-  private parseServices(services: any): Record<string, ServiceConfig> {
+  /**
+   * Parse `concurrency:` of a workflow or job, either a group name or
+   * `{ group, cancel-in-progress }` with normalized keys
+   */
+  public parseConcurrency(concurrency: any): ConcurrencyConfig | undefined {
+    if (typeof concurrency === 'string') {
+      return { group: concurrency, cancel_in_progress: false };
+    }
+    
+    if (!this.isPlainObject(concurrency) || !concurrency.group) {
+      return undefined;
+    }
+    
+    return {
+      group: String(concurrency.group),
+      cancel_in_progress: concurrency.cancel_in_progress === true || concurrency.cancel_in_progress === 'true'
+    };
+  }
+  
+  /**
+   * Parse `timeout-minutes` of a job or step. Numeric strings are accepted;
+   * expressions and non-positive values yield undefined so the default applies.
+   */
+  public parseTimeoutMinutes(timeout: any): number | undefined {
+    const minutes = typeof timeout === 'string' && timeout.trim() !== '' ? Number(timeout) : timeout;
+    
+    if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0) {
+      return undefined;
+    }
+    
+    return minutes;
+  }
+  
+  public parseServices(services: any): Record<string, ServiceConfig> {
     const parsed: Record<string, ServiceConfig> = {};
     
     for (const [name, service] of Object.entries(services)) {
@@ -184,7 +265,7 @@ export class JobParser {
     return parsed;
   }
   
-  private parseSteps(steps: any[]): StepConfig[] {
+  public parseSteps(steps: any[]): StepConfig[] {
     return steps.map((step, index) => ({
       id: step.id || `step-${index}`,
       name: step.name || `Step ${index + 1}`,
@@ -193,7 +274,7 @@ export class JobParser {
       with: step.with || {},
       env: step.env || {},
       continue_on_error: step.continue_on_error || false,
-      timeout_minutes: step.timeout_minutes,
+      timeout_minutes: this.parseTimeoutMinutes(step.timeout_minutes),
       if: step.if,
       shell: step.shell,
       working_directory: step.working_directory
@@ -239,7 +320,7 @@ export class JobParser {
       });
     }
     
-    if (!job.steps || job.steps.length === 0) {
+    if (!job.uses && (!job.steps || job.steps.length === 0)) {
       errors.push({
         field: 'steps',
         message: 'Job must have at least one step',
@@ -247,6 +328,14 @@ export class JobParser {
       });
     }
     
+    if (job.uses && !this.isValidWorkflowReference(job.uses)) {
+      errors.push({
+        field: 'uses',
+        message: 'Invalid reusable workflow reference format',
+        severity: 'error'
+      });
+    }
+    
     // Validate container configuration
     if (job.container) {
       const containerErrors = this.validateContainer(job.container);
@@ -285,6 +374,9 @@ export class JobParser {
       })));
     }
     
+    // Validate expressions
+    errors.push(...this.validateExpressions(job));
+    
     // Validate timeout
     if (job.timeout_minutes && (job.timeout_minutes < 1 || job.timeout_minutes > 360)) {
       errors.push({
@@ -294,6 +386,51 @@ export class JobParser {
       });
     }
     
+    job.steps.forEach((step, index) => {
+      if (step.timeout_minutes && job.timeout_minutes && step.timeout_minutes > job.timeout_minutes) {
+        errors.push({
+          field: `steps[${index}].timeout_minutes`,
+          message: 'Step timeout exceeds the job timeout',
+          severity: 'warning'
+        });
+      }
+    });
+    
+    return errors;
+  }
+  
+  private validateExpressions(job: ParsedJob): ValidationError[] {
+    const errors: ValidationError[] = [];
+    
+    const checkCondition = (condition: string | undefined, field: string) => {
+      if (condition === undefined) return;
+      
+      const message = this.expressionEvaluator.validate(condition);
+      if (message) {
+        errors.push({ field, message: `Invalid expression: ${message}`, severity: 'error' });
+      }
+    };
+    
+    const checkTemplates = (value: any, field: string) => {
+      this.mapStrings(value, template => {
+        for (const message of this.expressionEvaluator.validateTemplate(template)) {
+          errors.push({ field, message: `Invalid expression: ${message}`, severity: 'error' });
+        }
+        return template;
+      });
+    };
+    
+    checkCondition(job.if, 'if');
+    checkTemplates(job.env, 'env');
+    checkTemplates(job.container, 'container');
+    checkTemplates(job.services, 'services');
+    
+    job.steps.forEach((step, index) => {
+      const { if: condition, ...templates } = step;
+      checkCondition(condition, `steps[${index}].if`);
+      checkTemplates(templates, `steps[${index}]`);
+    });
+    
     return errors;
   }
   
@@ -306,7 +443,7 @@ export class JobParser {
         message: 'Container image is required',
         severity: 'error'
       });
-    } else if (!this.isValidImageName(container.image)) {
+    } else if (!this.expressionEvaluator.isTemplate(container.image) && !this.isValidImageName(container.image)) {
       errors.push({
         field: 'image',
         message: 'Invalid container image name',
@@ -324,6 +461,18 @@ export class JobParser {
       }
     }
     
+    if (container.options) {
+      try {
+        parseContainerOptions(container.options);
+      } catch (error) {
+        errors.push({
+          field: 'options',
+          message: (error as Error).message,
+          severity: 'error'
+        });
+      }
+    }
+    
     return errors;
   }
   
@@ -336,7 +485,7 @@ export class JobParser {
         message: 'Service image is required',
         severity: 'error'
       });
-    } else if (!this.isValidImageName(service.image)) {
+    } else if (!this.expressionEvaluator.isTemplate(service.image) && !this.isValidImageName(service.image)) {
       errors.push({
         field: 'image',
         message: 'Invalid service image name',
@@ -393,8 +542,10 @@ export class JobParser {
     const errors: ValidationError[] = [];
     
     if (strategy.matrix) {
-      // Validate matrix has at least one dimension
-      if (Object.keys(strategy.matrix).length === 0) {
+      const { include, exclude, ...dimensions } = strategy.matrix;
+      
+      // Validate matrix has at least one dimension (or an include list)
+      if (Object.keys(dimensions).length === 0 && !(Array.isArray(include) && include.length > 0)) {
         errors.push({
           field: 'matrix',
           message: 'Matrix must have at least one dimension',
@@ -403,7 +554,7 @@ export class JobParser {
       }
       
       // Validate each matrix dimension has values
-      for (const [key, values] of Object.entries(strategy.matrix)) {
+      for (const [key, values] of Object.entries(dimensions)) {
         if (!Array.isArray(values) || values.length === 0) {
           errors.push({
             field: `matrix.${key}`,
@@ -412,6 +563,62 @@ export class JobParser {
           });
         }
       }
+      
+      for (const [field, entries] of [['include', include], ['exclude', exclude]] as const) {
+        if (entries === undefined) continue;
+        
+        if (!Array.isArray(entries) || entries.some(entry => !this.isPlainObject(entry))) {
+          errors.push({
+            field: `matrix.${field}`,
+            message: `Matrix ${field} must be a list of objects`,
+            severity: 'error'
+          });
+        }
+      }
+      
+      // Exclude entries may only reference declared dimensions
+      if (Array.isArray(exclude)) {
+        exclude.forEach((entry, index) => {
+          if (!this.isPlainObject(entry)) return;
+          
+          for (const key of Object.keys(entry)) {
+            if (!(key in dimensions)) {
+              errors.push({
+                field: `matrix.exclude[${index}].${key}`,
+                message: `Exclude references unknown matrix dimension '${key}'`,
+                severity: 'error'
+              });
+            }
+          }
+        });
+      }
+      
+      const product = this.matrixProductSize(dimensions);
+      if (errors.length === 0 && product > MAX_MATRIX_PRODUCT) {
+        errors.push({
+          field: 'matrix',
+          message: `Matrix has ${product} combinations before excludes, maximum is ${MAX_MATRIX_PRODUCT}`,
+          severity: 'error'
+        });
+      }
+      
+      if (errors.length === 0) {
+        const combinations = this.buildMatrixCombinations(strategy.matrix);
+        
+        if (combinations.length === 0) {
+          errors.push({
+            field: 'matrix',
+            message: 'Matrix produces no job combinations',
+            severity: 'error'
+          });
+        } else if (combinations.length > MAX_MATRIX_COMBINATIONS) {
+          errors.push({
+            field: 'matrix',
+            message: `Matrix produces ${combinations.length} jobs, maximum is ${MAX_MATRIX_COMBINATIONS}`,
+            severity: 'error'
+          });
+        }
+      }
     }
     
     if (strategy.max_parallel && strategy.max_parallel < 1) {
@@ -433,16 +640,63 @@ export class JobParser {
   
   private isValidActionReference(action: string): boolean {
     // Validate GitHub Action reference format
-    // Examples: actions/checkout@v3, owner/repo@ref, ./path/to/action
-    const actionRegex = /^([a-z0-9\-]+\/[a-z0-9\-._]+@[a-z0-9\-._]+|\.\/[a-z0-9\-._/]+)$/i;
+    // Examples: actions/checkout@v3, owner/repo/path@ref, ./path/to/action, docker://image
+    const actionRegex = /^([a-z0-9-]+\/[a-z0-9\-._]+(\/[a-z0-9\-._/]+)?@[a-z0-9\-._/]+|\.\/[a-z0-9\-._/]+|docker:\/\/\S+)$/i;
     return actionRegex.test(action);
   }
   
+  private isValidWorkflowReference(workflow: string): boolean {
+    // Examples: owner/repo/.github/workflows/build.yml@v1, ./.github/workflows/build.yml
+    const workflowRegex = /^([a-z0-9-]+\/[a-z0-9\-._]+\/|\.\/)\.github\/workflows\/[a-z0-9\-._]+\.ya?ml(@[a-z0-9\-._/]+)?$/i;
+    return workflowRegex.test(workflow) && (workflow.startsWith('./') || workflow.includes('@'));
+  }
+  
   private isValidShell(shell: string): boolean {
     const validShells = ['bash', 'sh', 'cmd', 'powershell', 'pwsh', 'python'];
     return validShells.includes(shell.toLowerCase());
   }
   
+  /**
+   * Parse the jobs of a workflow file, in the order they are declared
+   */
+  public parseWorkflow(content: string): ParsedJob[] {
+    const workflow: any = yaml.load(content);
+    if (!workflow || typeof workflow.jobs !== 'object' || workflow.jobs === null) {
+      throw new Error('Workflow has no jobs');
+    }
+    return Object.entries(workflow.jobs).map(([key, rawJob]) => this.parseJob(this.normalizeWorkflowJob(key, rawJob)));
+  }
+  
+  /**
+   * Convert a job as written in workflow YAML (`runs-on`, `timeout-minutes`, ...)
+   * into the shape accepted by parseJob
+   */
+  public normalizeWorkflowJob(id: string, rawJob: any): any {
+    const normalized = this.normalizeKeys(rawJob);
+    return { ...normalized, id, name: normalized.name || id };
+  }
+  
+  public normalizeKeys(value: any): any {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeKeys(item));
+    }
+    
+    if (!this.isPlainObject(value)) {
+      return value;
+    }
+    
+    const result: Record<string, any> = {};
+    for (const [key, item] of Object.entries(value)) {
+      // Only workflow syntax keys are renamed; user maps keep their keys
+      if (['env', 'with', 'outputs', 'secrets', 'matrix', 'inputs'].includes(key)) {
+        result[key] = item;
+      } else {
+        result[WORKFLOW_KEY_ALIASES[key] || key] = this.normalizeKeys(item);
+      }
+    }
+    return result;
+  }
+  
   /**
    * Check if job can run on this orchestrator
    */
@@ -474,45 +728,287 @@ export class JobParser {
   }
   
   /**
-   * Transform parsed job for execution
+   * Expand a job's strategy matrix into one executable job per combination.
+   * Jobs without a matrix expand to themselves.
    */
-  public transformForExecution(job: ParsedJob): any {
+  public expandMatrix(job: ParsedJob): MatrixExpansion {
+    const matrix = job.strategy?.matrix;
+    const combinations = matrix ? this.buildMatrixCombinations(matrix) : [];
+    
+    if (combinations.length === 0) {
+      return {
+        parentId: job.id,
+        jobs: [job],
+        failFast: job.strategy?.fail_fast !== false,
+        maxParallel: 1
+      };
+    }
+    
+    if (combinations.length > MAX_MATRIX_COMBINATIONS) {
+      throw new Error(`Matrix for job ${job.id} produces ${combinations.length} jobs, maximum is ${MAX_MATRIX_COMBINATIONS}`);
+    }
+    
+    logger.debug('Expanding job matrix', { jobId: job.id, combinations: combinations.length });
+    
+    const jobs = combinations.map((combination, index) => this.createMatrixJob(job, combination, index));
+    const maxParallel = job.strategy?.max_parallel && job.strategy.max_parallel > 0
+      ? Math.min(job.strategy.max_parallel, jobs.length)
+      : jobs.length;
+    
+    return {
+      parentId: job.id,
+      jobs,
+      failFast: job.strategy?.fail_fast !== false,
+      maxParallel
+    };
+  }
+  
+  /**
+   * Build matrix combinations following GitHub semantics: cartesian product
+   * of the dimensions, minus partial-match excludes, then includes either
+   * extend matching combinations or are appended as new ones.
+   */
+  private buildMatrixCombinations(matrix: Record<string, any>): MatrixCombination[] {
+    const { include, exclude, ...dimensions } = matrix;
+    const dimensionKeys = Object.keys(dimensions).filter(key => Array.isArray(dimensions[key]));
+    
+    // Checked before allocating, a hostile matrix would otherwise exhaust memory
+    const product = this.matrixProductSize(dimensions);
+    if (product > MAX_MATRIX_PRODUCT) {
+      throw new Error(`Matrix has ${product} combinations before excludes, maximum is ${MAX_MATRIX_PRODUCT}`);
+    }
+    
+    let combinations: MatrixCombination[] = dimensionKeys.length > 0 ? [{}] : [];
+    for (const key of dimensionKeys) {
+      const next: MatrixCombination[] = [];
+      for (const combination of combinations) {
+        for (const value of dimensions[key]) {
+          next.push({ ...combination, [key]: value });
+        }
+      }
+      combinations = next;
+    }
+    
+    if (Array.isArray(exclude)) {
+      combinations = combinations.filter(combination =>
+        !exclude.some(entry => this.isPlainObject(entry) && this.matchesPartial(combination, entry))
+      );
+    }
+    
+    if (!Array.isArray(include)) {
+      return combinations;
+    }
+    
+    // Includes may only extend a combination without overwriting its original
+    // dimension values; values added by earlier includes can be overwritten.
+    const originals = combinations.map(combination => ({ ...combination }));
+    const extraCombinations: MatrixCombination[] = [];
+    
+    for (const entry of include) {
+      if (!this.isPlainObject(entry)) continue;
+      
+      let matched = false;
+      combinations.forEach((combination, index) => {
+        const original = originals[index];
+        const conflicts = Object.entries(entry).some(([key, value]) =>
+          key in original && !this.matrixValuesEqual(original[key], value)
+        );
+        
+        if (!conflicts) {
+          Object.assign(combination, entry);
+          matched = true;
+        }
+      });
+      
+      if (!matched) {
+        extraCombinations.push({ ...entry });
+      }
+    }
+    
+    return [...combinations, ...extraCombinations];
+  }
+  
+  /**
+   * Size of the cartesian product of the dimensions, without building it
+   */
+  private matrixProductSize(dimensions: Record<string, any>): number {
+    const sizes = Object.values(dimensions).filter(Array.isArray).map(values => values.length);
+    return sizes.length > 0 ? sizes.reduce((product, size) => product * size, 1) : 0;
+  }
+  
+  private createMatrixJob(job: ParsedJob, combination: MatrixCombination, index: number): ParsedJob {
+    const substitute = <T>(value: T): T => this.substituteMatrix(value, combination);
+    const label = Object.values(combination)
+      .map(value => (typeof value === 'object' ? JSON.stringify(value) : String(value)))
+      .join(', ');
+    
+    return {
+      ...job,
+      id: `${job.id}-${index + 1}`,
+      name: label ? `${job.name} (${label})` : job.name,
+      runs_on: substitute(job.runs_on),
+      container: job.container ? substitute(job.container) : undefined,
+      services: job.services ? substitute(job.services) : undefined,
+      // Step conditions are evaluated later with the matrix context, not substituted
+      steps: job.steps.map(({ if: condition, ...step }) => ({ ...substitute(step), if: condition })),
+      env: job.env ? substitute(job.env) : undefined,
+      matrix: combination
+    };
+  }
+  
+  /**
+   * Replace ${{ matrix.* }} expressions in strings, arrays and objects.
+   * Expressions referencing unknown matrix keys are left untouched.
+   */
+  private substituteMatrix<T>(value: T, combination: MatrixCombination): T {
+    return this.mapStrings(value, template =>
+      template.replace(MATRIX_EXPRESSION_REGEX, (expression, path: string) => {
+        const resolved = path.split('.').reduce<any>(
+          (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+          combination
+        );
+        
+        if (resolved === undefined) return expression;
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+      })
+    );
+  }
+  
+  /**
+   * Apply a transform to every string nested in a value
+   */
+  private mapStrings<T>(value: T, transform: (value: string) => string): T {
+    if (typeof value === 'string') {
+      return transform(value) as unknown as T;
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.mapStrings(item, transform)) as unknown as T;
+    }
+    
+    if (this.isPlainObject(value)) {
+      const result: Record<string, any> = {};
+      for (const [key, item] of Object.entries(value as Record<string, any>)) {
+        result[key] = this.mapStrings(item, transform);
+      }
+      return result as T;
+    }
+    
+    return value;
+  }
+  
+  private matchesPartial(combination: MatrixCombination, entry: Record<string, any>): boolean {
+    return Object.entries(entry).every(([key, value]) =>
+      key in combination && this.matrixValuesEqual(combination[key], value)
+    );
+  }
+  
+  private matrixValuesEqual(a: any, b: any): boolean {
+    if (this.isPlainObject(a) && this.isPlainObject(b)) {
+      return this.matchesPartial(a, b) && Object.keys(a).length === Object.keys(b).length;
+    }
+    return a === b;
+  }
+  
+  private isPlainObject(value: any): value is Record<string, any> {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  /**
+   * Transform parsed job for execution. Expressions that can be resolved
+   * before dispatch are evaluated; `willRun` is null when a condition
+   * depends on runtime state (step outcomes, failure(), hashFiles()).
+   */
+  public transformForExecution(job: ParsedJob, context: ExpressionContext = {}): any {
+    const expressionContext: ExpressionContext = {
+      github: context.github,
+      needs: context.needs,
+      matrix: job.matrix || context.matrix || {},
+      runner: { os: 'Linux', arch: 'X64', ...context.runner },
+      secrets: job.secrets || context.secrets,
+      env: {}
+    };
+    
+    // Secrets stay as expressions so the runner can mask them in logs
+    const { secrets: _secrets, ...interpolationContext } = expressionContext;
+    const env = this.interpolate(job.env || {}, interpolationContext);
+    
     return {
       id: job.id,
       name: job.name,
-      container: job.container || { image: 'ubuntu:latest' },
-      services: job.services || {},
-      steps: this.transformSteps(job.steps),
+      container: job.container ? this.interpolate(job.container, interpolationContext) : { image: 'ubuntu:latest' },
+      services: this.interpolate(job.services || {}, interpolationContext),
+      steps: this.transformSteps(job.steps, { ...expressionContext, env }),
       env: {
-        ...job.env,
+        ...env,
         CI: 'true',
         GITHUB_ACTIONS: 'true',
         GITHUB_JOB: job.name,
         RUNNER_OS: 'Linux',
         RUNNER_ARCH: 'X64'
       },
-      timeout: job.timeout_minutes * 60 * 1000, // Convert to milliseconds
+      condition: job.if,
+      willRun: this.predictCondition(job.if, expressionContext),
+      timeout: Math.round(job.timeout_minutes * 60 * 1000), // Convert to milliseconds
       continueOnError: job.continue_on_error,
       shell: job.defaults?.run?.shell || 'bash',
       workingDirectory: job.defaults?.run?.working_directory || '/github/workspace'
     };
   }
   
-  private transformSteps(steps: StepConfig[]): any[] {
-    return steps.map(step => ({
-      id: step.id,
-      name: step.name,
-      type: step.uses ? 'action' : 'run',
-      action: step.uses,
-      script: step.run,
-      inputs: step.with,
-      env: step.env,
-      continueOnError: step.continue_on_error,
-      timeout: step.timeout_minutes ? step.timeout_minutes * 60 * 1000 : undefined,
-      condition: step.if,
-      shell: step.shell,
-      workingDirectory: step.working_directory
-    }));
+  private transformSteps(steps: StepConfig[], context: ExpressionContext): any[] {
+    const { secrets, ...interpolationContext } = context;
+    
+    return steps.map(step => {
+      const env = this.interpolate(step.env || {}, interpolationContext);
+      const stepContext: ExpressionContext = { ...interpolationContext, env: { ...context.env, ...env } };
+      
+      return {
+        id: step.id,
+        name: step.name ? this.interpolate(step.name, stepContext) : step.name,
+        type: step.uses ? 'action' : 'run',
+        action: step.uses,
+        script: step.run ? this.interpolate(step.run, stepContext) : step.run,
+        inputs: this.interpolate(step.with, stepContext),
+        env,
+        continueOnError: step.continue_on_error,
+        timeout: step.timeout_minutes ? Math.round(step.timeout_minutes * 60 * 1000) : undefined,
+        condition: step.if,
+        willRun: this.predictCondition(step.if, { ...stepContext, secrets }),
+        shell: step.shell,
+        workingDirectory: step.working_directory
+      };
+    });
+  }
+  
+  private interpolate<T>(value: T, context: ExpressionContext): T {
+    return this.mapStrings(value, template =>
+      this.expressionEvaluator.isTemplate(template)
+        ? this.expressionEvaluator.interpolate(template, context)
+        : template
+    );
+  }
+  
+  /**
+   * Predict whether a condition passes, assuming all preceding steps succeed
+   */
+  private predictCondition(condition: string | undefined, context: ExpressionContext): boolean | null {
+    if (condition === undefined || condition.trim() === '') {
+      return true;
+    }
+    
+    try {
+      if (!this.expressionEvaluator.canResolve(condition, context)) {
+        return null;
+      }
+      return this.expressionEvaluator.evaluateCondition(condition, context);
+    } catch (error) {
+      if (error instanceof ExpressionError) {
+        logger.warn('Failed to evaluate condition before dispatch', { condition, error: error.message });
+        return null;
+      }
+      throw error;
+    }
   }
 }
 
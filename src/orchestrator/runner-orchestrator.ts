@@ -1,13 +1,16 @@
 import { EventEmitter } from 'events';
+import os from 'os';
 import { createLogger } from '../utils/logger';
 import { QueueManager } from '../queues/queue-manager';
 import { JobRouter } from '../queues/job-router';
 import { JobType, QUEUE_CONFIG } from '../queues/config/redis-config';
 import { DatabaseService } from '../services/database-service';
 import { GitHubService } from '../services/github-service';
-import { ContainerPoolManager } from '../container-orchestration/pool/integrated-pool-orchestrator';
+import IntegratedContainerPoolOrchestrator from '../container-orchestration/pool/integrated-pool-orchestrator';
 import { MetricsCollector } from '../services/metrics-collector';
 import { StatusReporter, JobConclusion } from './status-reporter';
+import { WorkflowGraphBuilder } from './workflow-graph';
+import { getGitHubAPIClient } from '../services/github-api-enhanced';
 
 const logger = createLogger('RunnerOrchestrator');
 
@@ -19,6 +22,7 @@ export interface OrchestratorConfig {
   webhookSecret: string;
   gitHubToken: string;
   gitHubOrg: string;
+  nodeId?: string; // Defaults to RUNNER_NODE_ID or the hostname
 }
 
 export interface JobRequest {
@@ -46,6 +50,15 @@ export interface ContainerAssignment {
   assignedAt: Date;
   estimatedDuration: number;
   priority: number;
+  nodeId?: string;
+}
+
+export interface PrewarmRequest {
+  runId: number;
+  repository: string;
+  jobName: string;
+  labels: string[];
+  image?: string;
 }
 
 export enum OrchestratorStatus {
@@ -66,13 +79,16 @@ export class RunnerOrchestrator extends EventEmitter {
   private jobRouter: JobRouter;
   private databaseService: DatabaseService;
   private githubService: GitHubService;
-  private containerPool: ContainerPoolManager;
+  private containerPool: IntegratedContainerPoolOrchestrator;
   private metricsCollector: MetricsCollector;
   private statusReporter: StatusReporter;
+  private workflowGraph: WorkflowGraphBuilder;
   
   private activeJobs: Map<string, ContainerAssignment> = new Map();
   private pendingJobs: Map<string, JobRequest> = new Map();
   private containerUtilization: Map<string, number> = new Map();
+  private graphLoads: Map<number, Promise<void>> = new Map(); // Builds in flight
+  private nodeId: string;
   
   private healthCheckInterval?: NodeJS.Timer;
   private metricsInterval?: NodeJS.Timer;
@@ -85,9 +101,17 @@ export class RunnerOrchestrator extends EventEmitter {
     this.jobRouter = JobRouter.getInstance();
     this.databaseService = DatabaseService.getInstance();
     this.githubService = GitHubService.getInstance();
-    this.containerPool = ContainerPoolManager.getInstance();
+    this.nodeId = config.nodeId || process.env.RUNNER_NODE_ID || os.hostname();
+    this.containerPool = new IntegratedContainerPoolOrchestrator({
+      nodeId: this.nodeId,
+      minPoolSize: 5,
+      maxPoolSize: config.containerPoolSize
+    });
     this.metricsCollector = MetricsCollector.getInstance();
     this.statusReporter = StatusReporter.getInstance();
+    this.workflowGraph = WorkflowGraphBuilder.getInstance();
+    
+    this.on('job:prewarm', (request: PrewarmRequest) => this.handlePrewarm(request));
   }
 
   public static getInstance(config?: OrchestratorConfig): RunnerOrchestrator {
@@ -105,13 +129,8 @@ export class RunnerOrchestrator extends EventEmitter {
       logger.info('Initializing Runner Orchestrator...');
       
       // Initialize container pool
-      await this.containerPool.initialize({
-        minContainers: 5,
-        maxContainers: this.config.containerPoolSize,
-        targetUtilization: 0.8,
-        scaleUpThreshold: 0.9,
-        scaleDownThreshold: 0.3
-      });
+      await this.containerPool.initialize();
+      await this.containerPool.start();
       
       // Initialize status reporter
       await this.statusReporter.initialize();
@@ -171,7 +190,70 @@ export class RunnerOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Build the run's `needs:` graph when it is requested and drop it once
+   * the run completes.
+   */
+  public async handleWorkflowRunEvent(event: any): Promise<void> {
+    const { action, workflow_run, repository } = event;
+
+    logger.info(`Handling workflow run event: ${action}`, {
+      runId: workflow_run.id,
+      repository: repository.full_name
+    });
+
+    switch (action) {
+      case 'requested':
+      case 'in_progress':
+        await this.ensureWorkflowGraph(repository.full_name, workflow_run);
+        break;
+
+      case 'completed':
+        this.workflowGraph.removeGraph(workflow_run.id);
+        break;
+
+      default:
+        logger.debug(`Unhandled workflow run action: ${action}`);
+    }
+  }
+
+  /**
+   * Load the dependency graph of a run once. Failures are logged and jobs
+   * are then routed on their own.
+   */
+  private async ensureWorkflowGraph(repositoryName: string, workflowRun: any): Promise<void> {
+    const runId = workflowRun.id;
+    if (this.workflowGraph.getGraph(runId)) {
+      return;
+    }
+
+    if (!this.graphLoads.has(runId)) {
+      this.graphLoads.set(runId, this.loadWorkflowGraph(repositoryName, workflowRun)
+        .catch(error => {
+          logger.warn(`Failed to build dependency graph for run ${runId}:`, error);
+        })
+        .finally(() => {
+          this.graphLoads.delete(runId);
+        }));
+    }
+
+    await this.graphLoads.get(runId);
+  }
+
+  private async loadWorkflowGraph(repositoryName: string, workflowRun: any): Promise<void> {
+    const [owner, repo] = repositoryName.split('/');
+    const client = getGitHubAPIClient();
+
+    // workflow_job payloads only carry the run id
+    const run = workflowRun.path ? workflowRun : (await client.getWorkflowRun(owner, repo, workflowRun.id)).data;
+    const content = await client.getFileContent(owner, repo, run.path, run.head_sha);
+
+    await this.workflowGraph.buildFromWorkflow(run.id, repositoryName, content, run.head_sha);
+  }
+
   private async handleJobQueued(workflowJob: any, repository: any): Promise<void> {
+    await this.ensureWorkflowGraph(repository.full_name, { id: workflowJob.run_id });
+
     const jobRequest: JobRequest = {
       id: workflowJob.id.toString(),
       repository: repository.full_name,
@@ -184,6 +266,7 @@ export class RunnerOrchestrator extends EventEmitter {
       environment: {},
       labels: workflowJob.labels,
       steps: workflowJob.steps || [],
+      needs: this.workflowGraph.getDependencies(workflowJob.run_id, workflowJob.name),
       services: workflowJob.services,
       container: workflowJob.container
     };
@@ -276,7 +359,30 @@ export class RunnerOrchestrator extends EventEmitter {
     return false;
   }
 
+  /**
+   * Jobs on the run's critical path are promoted to at least HIGH and jobs
+   * that block others to at least NORMAL, so the run finishes sooner.
+   */
   private calculateJobPriority(jobRequest: JobRequest): number {
+    const priority = this.calculateBasePriority(jobRequest);
+    const node = this.workflowGraph.getNode(jobRequest.runId, jobRequest.jobName);
+
+    if (!node) {
+      return priority;
+    }
+
+    if (node.metadata.criticalPath) {
+      return Math.min(priority, QUEUE_CONFIG.priorities.HIGH);
+    }
+
+    if (node.dependents.length > 0) {
+      return Math.min(priority, QUEUE_CONFIG.priorities.NORMAL);
+    }
+
+    return priority;
+  }
+
+  private calculateBasePriority(jobRequest: JobRequest): number {
     // Priority based on workflow type and labels
     if (jobRequest.workflow.toLowerCase().includes('deploy') || 
         jobRequest.workflow.toLowerCase().includes('release')) {
@@ -305,7 +411,7 @@ export class RunnerOrchestrator extends EventEmitter {
     
     try {
       // Get available container from pool
-      const container = await this.containerPool.acquireContainer({
+      const container = await this.containerPool.getContainer({
         labels: jobRequest.labels,
         image: jobRequest.container?.image || 'ubuntu:latest',
         resources: this.estimateResourceRequirements(jobRequest)
@@ -319,10 +425,11 @@ export class RunnerOrchestrator extends EventEmitter {
       const assignment: ContainerAssignment = {
         jobId,
         containerId: container.id,
-        containerName: container.name,
+        containerName: container.id.substring(0, 12),
         assignedAt: new Date(),
         estimatedDuration: this.estimateJobDuration(jobRequest),
-        priority: this.calculateJobPriority(jobRequest)
+        priority: this.calculateJobPriority(jobRequest),
+        nodeId: container.nodeId || this.nodeId
       };
       
       // Update tracking
@@ -336,6 +443,9 @@ export class RunnerOrchestrator extends EventEmitter {
       logger.info(`Assigned container ${container.id} to job ${jobId}`);
       this.emit('container:assigned', assignment);
       
+      this.workflowGraph.recordAssignment(jobRequest.runId, jobRequest.jobName);
+      this.prewarmDownstreamJobs(jobRequest);
+      
       return assignment;
     } catch (error) {
       logger.error(`Failed to assign container for job ${jobId}:`, error);
@@ -344,6 +454,40 @@ export class RunnerOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Announce downstream jobs whose upstream jobs all have containers, so
+   * capacity can be warmed before they are queued
+   */
+  private prewarmDownstreamJobs(jobRequest: JobRequest): void {
+    for (const downstream of this.workflowGraph.getDownstreamJobs(jobRequest.runId, jobRequest.jobName)) {
+      if (!this.workflowGraph.hasAssignedDependencies(jobRequest.runId, downstream.jobKey)) {
+        continue;
+      }
+      
+      const request: PrewarmRequest = {
+        runId: jobRequest.runId,
+        repository: jobRequest.repository,
+        jobName: downstream.name,
+        labels: downstream.labels,
+        image: downstream.image
+      };
+      
+      logger.debug(`Pre-warming downstream job ${downstream.name} of run ${jobRequest.runId}`, request);
+      this.emit('job:prewarm', request);
+    }
+  }
+
+  /**
+   * Warm a pool container for an expected downstream job
+   */
+  private async handlePrewarm(request: PrewarmRequest): Promise<void> {
+    try {
+      await this.containerPool.prewarm(1);
+    } catch (error) {
+      logger.warn(`Failed to pre-warm a container for ${request.jobName} of run ${request.runId}:`, error);
+    }
+  }
+
   private estimateResourceRequirements(jobRequest: JobRequest): any {
     // Estimate based on job type and history
     const baseRequirements = {
@@ -430,7 +574,9 @@ export class RunnerOrchestrator extends EventEmitter {
     
     try {
       // Release container back to pool
-      await this.containerPool.releaseContainer(assignment.containerId);
+      await this.containerPool.returnContainer(assignment.containerId, {
+        duration: Date.now() - assignment.assignedAt.getTime()
+      });
       
       // Update tracking
       this.activeJobs.delete(jobId);
@@ -661,9 +807,11 @@ export class RunnerOrchestrator extends EventEmitter {
     // Force release remaining containers
     for (const [jobId, assignment] of this.activeJobs) {
       logger.warn(`Force releasing container for job ${jobId}`);
-      await this.containerPool.releaseContainer(assignment.containerId);
+      await this.containerPool.returnContainer(assignment.containerId);
     }
     
+    await this.containerPool.stop();
+    
     // Shutdown status reporter
     await this.statusReporter.shutdown();
     
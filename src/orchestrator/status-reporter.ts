@@ -1,11 +1,25 @@
 import { createLogger } from '../utils/logger';
 import { EventEmitter } from 'events';
-import { GitHubService } from '../services/github-service';
-import { DatabaseService } from '../services/database-service';
-import { MetricsCollector } from '../services/metrics-collector';
+import { GitHubAPIService } from '../services/github-api';
+import { JobStatusStore } from '../services/job-status-store';
+import jobLogSecretScanner from '../services/job-log-secret-scanner';
+import githubRateBudget from '../services/github-rate-budget';
+import githubAppAuth from '../services/github-app-auth';
+import { DockerClient } from '../docker/docker-client';
 
 const logger = createLogger('StatusReporter');
 
+// GitHub rejects check run output text longer than this
+const MAX_OUTPUT_TEXT_LENGTH = 65535;
+
+// Only the most recent output is shown, so older lines are dropped past this
+const MAX_RETAINED_LOG_LENGTH = 2 * MAX_OUTPUT_TEXT_LENGTH;
+
+// Output without a newline is redacted and stored as a line once it grows past this
+const MAX_PARTIAL_LINE_LENGTH = MAX_OUTPUT_TEXT_LENGTH;
+
+const HTML_ESCAPES: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 export interface JobStatus {
   id: string;
   repository: string;
@@ -67,6 +81,20 @@ export interface StepStatus {
   completed_at?: Date;
 }
 
+interface LogGroup {
+  name?: string; // Set for `::group::` sections
+  lines: string[];
+}
+
+interface LogStream {
+  status?: JobStatus;
+  groups: LogGroup[];
+  size: number; // Characters retained in groups
+  truncated: boolean; // Whether older lines were dropped
+  partialLine: string;
+  dirty: boolean;
+}
+
 export interface StatusReporterConfig {
   batchSize: number;
   reportInterval: number;
@@ -76,20 +104,22 @@ export interface StatusReporterConfig {
 
 export class StatusReporter extends EventEmitter {
   private static instance: StatusReporter;
-  private githubService: GitHubService;
-  private databaseService: DatabaseService;
-  private metricsCollector: MetricsCollector;
+  private githubApi: GitHubAPIService;
+  private statusStore: JobStatusStore;
   private config: StatusReporterConfig;
   
   private statusQueue: Map<string, JobStatus> = new Map();
+  private checkRunIds: Map<string, number> = new Map();
+  private logStreams: Map<string, LogStream> = new Map();
   private reportInterval?: NodeJS.Timer;
   private isReporting = false;
+  private reportCounts = { total: 0, successful: 0, failed: 0 };
   
   private constructor(config?: Partial<StatusReporterConfig>) {
     super();
-    this.githubService = GitHubService.getInstance();
-    this.databaseService = DatabaseService.getInstance();
-    this.metricsCollector = MetricsCollector.getInstance();
+    // Check runs are written with the App installation token of the repository's owner
+    this.githubApi = new GitHubAPIService();
+    this.statusStore = JobStatusStore.getInstance();
     
     this.config = {
       batchSize: 10,
@@ -130,11 +160,20 @@ export class StatusReporter extends EventEmitter {
     });
     
     try {
+      // Later updates of a job go to the check run created for it
+      status.checkRunId = status.checkRunId ?? this.checkRunIds.get(status.id);
+      
+      const logStream = this.logStreams.get(status.id);
+      if (logStream) {
+        logStream.status = status;
+        status.output = this.withLogOutput(status, logStream);
+      }
+      
       // Add to queue for batch processing
       this.statusQueue.set(status.id, status);
       
       // Store in database for recovery
-      await this.databaseService.saveJobStatus(status);
+      await this.statusStore.saveJobStatus(status);
       
       // If queue is getting large, trigger immediate report
       if (this.statusQueue.size >= this.config.batchSize) {
@@ -234,6 +273,11 @@ export class StatusReporter extends EventEmitter {
       jobStatus.output.text = stepSummary;
     }
     
+    const logStream = this.logStreams.get(jobId);
+    if (logStream) {
+      jobStatus.output = this.withLogOutput(jobStatus, logStream);
+    }
+    
     // Re-queue the updated status
     this.statusQueue.set(jobId, jobStatus);
   }
@@ -352,11 +396,9 @@ export class StatusReporter extends EventEmitter {
       
       // Update metrics
       const successful = results.filter(r => r.status === 'fulfilled').length;
-      await this.metricsCollector.recordStatusReports({
-        total: batch.length,
-        successful,
-        failed: batch.length - successful
-      });
+      this.reportCounts.total += batch.length;
+      this.reportCounts.successful += successful;
+      this.reportCounts.failed += batch.length - successful;
       
     } catch (error) {
       logger.error('Error processing status queue:', error);
@@ -371,9 +413,12 @@ export class StatusReporter extends EventEmitter {
     
     while (attempts < this.config.retryAttempts) {
       try {
+        const credential = await githubAppAuth.getCredential({ owner: status.repository.split('/')[0] });
+        await githubRateBudget.acquire('status', credential.id, this.config.reportInterval);
+        
         if (!status.checkRunId) {
           // Create new check run
-          const checkRun = await this.githubService.createCheckRun(
+          const checkRun = await this.githubApi.createCheckRun(
             status.repository,
             {
               name: status.name,
@@ -389,10 +434,11 @@ export class StatusReporter extends EventEmitter {
           
           // Save check run ID for future updates
           status.checkRunId = checkRun.id;
-          await this.databaseService.updateJobCheckRunId(status.id, checkRun.id);
+          this.checkRunIds.set(status.id, checkRun.id);
+          await this.statusStore.updateJobCheckRunId(status.id, checkRun.id);
         } else {
           // Update existing check run
-          await this.githubService.updateCheckRun(
+          await this.githubApi.updateCheckRun(
             status.repository,
             status.checkRunId,
             {
@@ -406,7 +452,11 @@ export class StatusReporter extends EventEmitter {
         }
         
         // Mark as reported in database
-        await this.databaseService.markJobStatusReported(status.id);
+        await this.statusStore.markJobStatusReported(status.id);
+        
+        if (status.status === JobStatusType.COMPLETED) {
+          this.checkRunIds.delete(status.id);
+        }
         
         logger.info(`Successfully reported status for job ${status.id}`);
         return;
@@ -440,7 +490,7 @@ export class StatusReporter extends EventEmitter {
   
   private async recoverPendingUpdates(): Promise<void> {
     try {
-      const pendingUpdates = await this.databaseService.getPendingStatusUpdates();
+      const pendingUpdates = await this.statusStore.getPendingStatusUpdates();
       
       for (const status of pendingUpdates) {
         this.statusQueue.set(status.id, status);
@@ -464,7 +514,7 @@ export class StatusReporter extends EventEmitter {
   ): Promise<void> {
     try {
       // Store logs in database
-      await this.databaseService.appendJobLogs(jobId, logs, level);
+      await this.statusStore.appendJobLogs(jobId, logs, level);
       
       // Emit for real-time streaming
       this.emit('logs:received', { jobId, logs, level });
@@ -473,6 +523,195 @@ export class StatusReporter extends EventEmitter {
     }
   }
   
+  /**
+   * Stream a job container's logs into its check run output as they are
+   * written. Output is redacted before it is stored or sent, and resolves
+   * once the container exits.
+   */
+  public async streamJobLogs(jobId: string, containerId: string): Promise<void> {
+    const dockerClient = DockerClient.getInstance();
+    if (!dockerClient.isDockerConnected()) {
+      await dockerClient.initialize();
+    }
+    
+    const logStream: LogStream = {
+      status: this.statusQueue.get(jobId),
+      groups: [{ lines: [] }],
+      size: 0,
+      truncated: false,
+      partialLine: '',
+      dirty: false
+    };
+    this.logStreams.set(jobId, logStream);
+    
+    // Chunks are redacted in order, one at a time
+    let pending = Promise.resolve();
+    const flushInterval = setInterval(() => this.flushLogStream(jobId, logStream), this.config.reportInterval);
+    
+    try {
+      await dockerClient.getContainerLogs(containerId, {
+        follow: true,
+        onData: chunk => {
+          pending = pending.then(() => this.appendLogs(jobId, logStream, chunk));
+        }
+      });
+      
+      pending = pending.then(() => this.appendLogs(jobId, logStream, '\n'));
+      await pending;
+      this.flushLogStream(jobId, logStream);
+    } finally {
+      clearInterval(flushInterval);
+      this.logStreams.delete(jobId);
+    }
+  }
+  
+  private async appendLogs(jobId: string, logStream: LogStream, chunk: string): Promise<void> {
+    const lines = (logStream.partialLine + chunk).split('\n');
+    logStream.partialLine = lines.pop() || '';
+    if (logStream.partialLine.length > MAX_PARTIAL_LINE_LENGTH) {
+      lines.push(logStream.partialLine);
+      logStream.partialLine = '';
+    }
+    if (lines.length === 0) {
+      return;
+    }
+    
+    try {
+      const redacted = await jobLogSecretScanner.redactSecrets(lines.join('\n'));
+      
+      for (const line of redacted.split('\n')) {
+        const group = line.match(/::group::(.*)$/);
+        if (group) {
+          logStream.groups.push({ name: group[1].trim(), lines: [] });
+        } else if (line.includes('::endgroup::')) {
+          logStream.groups.push({ lines: [] });
+        } else {
+          logStream.groups[logStream.groups.length - 1].lines.push(line);
+          logStream.size += line.length + 1;
+        }
+      }
+      this.trimLogStream(logStream);
+      logStream.dirty = true;
+      
+      await this.reportLogs(jobId, redacted);
+    } catch (error) {
+      // Never forward output that could not be redacted
+      logger.error(`Failed to redact logs of job ${jobId}, dropping ${lines.length} lines:`, error);
+    }
+  }
+  
+  /**
+   * Drop the oldest lines once more output is retained than a check run
+   * could show
+   */
+  private trimLogStream(logStream: LogStream): void {
+    while (logStream.size > MAX_RETAINED_LOG_LENGTH && logStream.groups.length > 0) {
+      const group = logStream.groups[0];
+      const line = group.lines.shift();
+      if (line === undefined) {
+        if (logStream.groups.length === 1) {
+          break;
+        }
+        logStream.groups.shift();
+        continue;
+      }
+      logStream.size -= line.length + 1;
+      logStream.truncated = true;
+    }
+  }
+  
+  private flushLogStream(jobId: string, logStream: LogStream): void {
+    const status = this.statusQueue.get(jobId) || logStream.status;
+    if (!logStream.dirty || !status) {
+      return;
+    }
+    
+    logStream.dirty = false;
+    status.output = this.withLogOutput(status, logStream);
+    this.statusQueue.set(jobId, status);
+  }
+  
+  /**
+   * Check run output with the step summary followed by the most recent
+   * chunk of streamed logs that fits into GitHub's size limit
+   */
+  private withLogOutput(status: JobStatus, logStream: LogStream): CheckRunOutput {
+    const output = status.output || { title: status.name, summary: 'Job in progress' };
+    const stepSummary = status.steps ? this.generateStepSummary(status.steps) : '';
+    
+    const chunks = this.chunkLogs(logStream.groups, MAX_OUTPUT_TEXT_LENGTH - stepSummary.length - 200);
+    if (chunks.length === 0) {
+      return output;
+    }
+    
+    const header = chunks.length > 1 || logStream.truncated
+      ? '_Showing the most recent log output, earlier output was truncated._\n\n'
+      : '';
+    
+    return {
+      ...output,
+      text: `${stepSummary}${stepSummary ? '\n' : ''}### Logs\n\n${header}${this.renderLogs(chunks[chunks.length - 1])}`
+    };
+  }
+  
+  /**
+   * Split log groups into chunks whose rendered size stays below `limit`.
+   * Groups spanning chunks are continued under the same name.
+   */
+  private chunkLogs(groups: LogGroup[], limit: number): LogGroup[][] {
+    const chunks: LogGroup[][] = [];
+    let chunk: LogGroup[] = [];
+    let size = 0;
+    
+    for (const group of groups) {
+      if (group.lines.length === 0) {
+        continue;
+      }
+      
+      let current: LogGroup = { name: group.name, lines: [] };
+      chunk.push(current);
+      size += (group.name?.length || 0) + 64; // Markdown around the group
+      
+      for (const line of group.lines) {
+        const text = line.length > limit / 2 ? `${line.slice(0, limit / 2)}…` : line;
+        
+        if (size + text.length + 1 > limit && current.lines.length > 0) {
+          chunks.push(chunk);
+          current = { name: group.name, lines: [] };
+          chunk = [current];
+          size = (group.name?.length || 0) + 64;
+        }
+        
+        current.lines.push(text);
+        size += text.length + 1;
+      }
+    }
+    
+    if (chunk.some(group => group.lines.length > 0)) {
+      chunks.push(chunk);
+    }
+    
+    return chunks;
+  }
+  
+  private renderLogs(groups: LogGroup[]): string {
+    return groups
+      .filter(group => group.lines.length > 0)
+      .map(group => {
+        const text = group.lines.join('\n');
+        // A fence only closes on a run of backticks at least as long as itself
+        const longestRun = (text.match(/`{3,}/g) || []).reduce((longest, run) => Math.max(longest, run.length), 2);
+        const fence = '`'.repeat(longestRun + 1);
+        const block = `${fence}\n${text}\n${fence}`;
+        return group.name ? `<details><summary>${this.escapeHtml(group.name)}</summary>\n\n${block}\n</details>` : block;
+      })
+      .join('\n\n');
+  }
+  
+  private escapeHtml(text: string): string {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+  
   /**
    * Create annotations from test results
    */
@@ -503,6 +742,7 @@ export class StatusReporter extends EventEmitter {
     return {
       queueSize: this.statusQueue.size,
       isReporting: this.isReporting,
+      reports: { ...this.reportCounts },
       config: this.config
     };
   }
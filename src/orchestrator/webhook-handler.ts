@@ -183,6 +183,9 @@ export class OrchestratorWebhookHandler {
       status: workflow_run.status
     });
     
+    // Build or drop the run's job dependency graph
+    await this.orchestrator.handleWorkflowRunEvent(payload);
+    
     // Track workflow run status
     if (action === 'requested') {
       // Prepare for incoming jobs
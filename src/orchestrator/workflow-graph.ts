@@ -0,0 +1,262 @@
+import * as yaml from 'js-yaml';
+import { createLogger } from '../utils/logger';
+import { JobParser, ParsedJob } from './job-parser';
+import { ActionResolver } from './action-resolver';
+import { DependencyManager, DependencyGraph, JobNode } from '../job-distribution/dependency-manager';
+import {
+  JobRoutingRequest,
+  JobPriority,
+  JobType,
+  WorkflowType,
+  JobCriticality,
+  SecurityLevel,
+  PerformanceProfile
+} from '../job-distribution/job-router';
+
+const logger = createLogger('WorkflowGraph');
+
+export interface WorkflowRunGraph {
+  graphId: string;
+  runId: number;
+  repository: string;
+  graph: DependencyGraph;
+  jobNames: Map<string, string>; // Job key -> display name
+  assigned: Set<string>; // Keys of jobs given a container
+  createdAt: Date;
+}
+
+export interface DownstreamJob {
+  jobKey: string;
+  name: string;
+  labels: string[];
+  image?: string;
+  onCriticalPath: boolean;
+}
+
+const DEFAULT_STEP_DURATION = 60; // seconds
+
+// Runs whose completion event never arrives are dropped after this long
+const GRAPH_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_GRAPHS = 1000;
+
+/**
+ * Builds job-level dependency graphs from a workflow run's `needs:`
+ * relationships and tracks which jobs have been given a container, so
+ * downstream jobs can be prioritised and capacity warmed ahead of them.
+ */
+export class WorkflowGraphBuilder {
+  private static instance: WorkflowGraphBuilder;
+  private jobParser: JobParser;
+  private dependencyManager: DependencyManager;
+  private graphs: Map<number, WorkflowRunGraph> = new Map();
+
+  private constructor() {
+    this.jobParser = JobParser.getInstance();
+    this.dependencyManager = DependencyManager.getInstance();
+  }
+
+  public static getInstance(): WorkflowGraphBuilder {
+    if (!WorkflowGraphBuilder.instance) {
+      WorkflowGraphBuilder.instance = new WorkflowGraphBuilder();
+    }
+    return WorkflowGraphBuilder.instance;
+  }
+
+  /**
+   * Build the graph for a workflow run from the workflow file content
+   */
+  public async buildFromWorkflow(runId: number, repository: string, content: string, sha?: string): Promise<WorkflowRunGraph> {
+    const workflow: any = yaml.load(content);
+    if (!workflow || typeof workflow.jobs !== 'object' || workflow.jobs === null) {
+      throw new Error(`Workflow for run ${runId} has no jobs`);
+    }
+
+    // Reusable workflows are expanded so the graph has the jobs GitHub reports
+    const resolver = ActionResolver.getInstance();
+    const jobs = await resolver.resolveWorkflow(this.jobParser.parseWorkflow(content), {
+      workspaceDir: sha ? await resolver.getCachedCheckout(repository, sha) : undefined
+    });
+
+    return this.buildFromJobs(runId, repository, jobs);
+  }
+
+  /**
+   * Build the graph for a workflow run from already parsed jobs
+   */
+  public async buildFromJobs(runId: number, repository: string, jobs: ParsedJob[]): Promise<WorkflowRunGraph> {
+    const graphId = `workflow-run-${runId}`;
+    this.removeGraph(runId); // Re-run attempts rebuild the graph
+    this.pruneGraphs();
+
+    const requests = jobs.map(job => this.createRoutingRequest(graphId, repository, job));
+    const graph = await this.dependencyManager.createDependencyGraph(graphId, requests);
+
+    const runGraph: WorkflowRunGraph = {
+      graphId,
+      runId,
+      repository,
+      graph,
+      jobNames: new Map(jobs.map(job => [job.id, job.name])),
+      assigned: new Set(),
+      createdAt: new Date()
+    };
+
+    this.graphs.set(runId, runGraph);
+
+    logger.info(`Built dependency graph for run ${runId}`, {
+      repository,
+      jobs: jobs.length,
+      criticalPath: graph.criticalPath
+    });
+
+    return runGraph;
+  }
+
+  public getGraph(runId: number): WorkflowRunGraph | undefined {
+    return this.graphs.get(runId);
+  }
+
+  public removeGraph(runId: number): void {
+    const runGraph = this.graphs.get(runId);
+    if (runGraph) {
+      this.dependencyManager.removeDependencyGraph(runGraph.graphId);
+      this.graphs.delete(runId);
+    }
+  }
+
+  /**
+   * Drop graphs past their TTL, and the oldest ones beyond the limit
+   */
+  public pruneGraphs(now: number = Date.now()): void {
+    for (const [runId, runGraph] of this.graphs) {
+      if (now - runGraph.createdAt.getTime() > GRAPH_TTL_MS || this.graphs.size >= MAX_GRAPHS) {
+        logger.debug(`Pruning dependency graph of run ${runId}`);
+        this.removeGraph(runId);
+      }
+    }
+  }
+
+  /**
+   * Map a workflow_job name to its job key. Matrix legs are reported as
+   * `name (a, b)` and reusable workflow jobs as `name / inner`.
+   */
+  public findJobKey(runId: number, jobName: string): string | null {
+    const runGraph = this.graphs.get(runId);
+    if (!runGraph) {
+      return null;
+    }
+
+    const names = Array.from(runGraph.jobNames.entries());
+    const exact = names.find(([, name]) => name === jobName);
+    if (exact) {
+      return exact[0];
+    }
+
+    const prefixed = names.find(([, name]) => jobName.startsWith(`${name} (`) || jobName.startsWith(`${name} / `));
+    if (prefixed) {
+      return prefixed[0];
+    }
+
+    return runGraph.jobNames.has(jobName) ? jobName : null;
+  }
+
+  public getNode(runId: number, jobName: string): JobNode | null {
+    const key = this.findJobKey(runId, jobName);
+    return key ? this.graphs.get(runId)!.graph.nodes.get(key) || null : null;
+  }
+
+  public getDependencies(runId: number, jobName: string): string[] {
+    return [...(this.getNode(runId, jobName)?.dependencies || [])];
+  }
+
+  /**
+   * Jobs that directly depend on the given job
+   */
+  public getDownstreamJobs(runId: number, jobName: string): DownstreamJob[] {
+    const runGraph = this.graphs.get(runId);
+    const node = this.getNode(runId, jobName);
+    if (!runGraph || !node) {
+      return [];
+    }
+
+    return node.dependents.map(key => {
+      const dependent = runGraph.graph.nodes.get(key)!;
+      return {
+        jobKey: key,
+        name: runGraph.jobNames.get(key) || key,
+        labels: dependent.job.labels,
+        image: dependent.job.container?.image,
+        onCriticalPath: dependent.metadata.criticalPath
+      };
+    });
+  }
+
+  /**
+   * Whether every job the given job depends on has been given a container
+   */
+  public hasAssignedDependencies(runId: number, jobKey: string): boolean {
+    const runGraph = this.graphs.get(runId);
+    const node = runGraph?.graph.nodes.get(jobKey);
+    if (!runGraph || !node) {
+      return false;
+    }
+    return node.dependencies.every(dependency => runGraph.assigned.has(dependency));
+  }
+
+  public recordAssignment(runId: number, jobName: string): void {
+    const key = this.findJobKey(runId, jobName);
+    if (key) {
+      this.graphs.get(runId)!.assigned.add(key);
+    }
+  }
+
+  private createRoutingRequest(graphId: string, repository: string, job: ParsedJob): JobRoutingRequest {
+    const needs = job.needs === undefined ? [] : ([] as string[]).concat(job.needs);
+    const timeoutMinutes = job.timeout_minutes || 360;
+
+    return {
+      jobId: job.id,
+      workflowId: graphId,
+      repository,
+      sha: '',
+      ref: '',
+      labels: ([] as string[]).concat(job.runs_on),
+      environment: job.env || {},
+      services: job.services || {},
+      container: job.container || null,
+      strategy: [],
+      matrix: job.strategy?.matrix,
+      needs,
+      timeout: timeoutMinutes * 60,
+      priority: JobPriority.NORMAL,
+      resourceRequirements: {} as any,
+      metadata: {
+        estimatedDuration: this.estimateDuration(job),
+        jobType: JobType.CUSTOM,
+        workflowType: WorkflowType.CI,
+        criticality: JobCriticality.NORMAL,
+        tags: [],
+        constraints: {
+          allowedRunners: [],
+          blockedRunners: [],
+          requiredCapabilities: [],
+          securityLevel: SecurityLevel.INTERNAL
+        },
+        preferences: {
+          preferredRunners: [],
+          affinityRules: [],
+          antiAffinityRules: [],
+          performanceProfile: PerformanceProfile.BALANCED
+        }
+      }
+    };
+  }
+
+  /**
+   * Rough duration estimate in seconds, bounded by the job timeout
+   */
+  private estimateDuration(job: ParsedJob): number {
+    const steps = job.uses ? 1 : job.steps.length;
+    return Math.min((steps + 1) * DEFAULT_STEP_DURATION, (job.timeout_minutes || 360) * 60);
+  }
+}
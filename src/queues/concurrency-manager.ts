@@ -0,0 +1,534 @@
+import Docker from 'dockerode';
+import Redis from 'ioredis';
+import os from 'os';
+import * as yaml from 'js-yaml';
+import { createLogger } from '../utils/logger';
+import { QueueManager } from './queue-manager';
+import { QUEUE_CONFIG } from './config/redis-config';
+import { JobParser, ConcurrencyConfig } from '../orchestrator/job-parser';
+import { ExpressionEvaluator, ExpressionContext } from '../orchestrator/expression-evaluator';
+import { getGitHubAPIClient } from '../services/github-api-enhanced';
+import { createRedisConnection } from '../services/redis-connection';
+
+const logger = createLogger('ConcurrencyManager');
+
+export interface ConcurrencyHolder {
+  runId: number;
+  repository: string;
+  jobId?: number; // Set for job-level groups once the job is queued
+  cancelInProgress: boolean;
+}
+
+export interface ConcurrencyGroup {
+  running?: ConcurrencyHolder;
+  pending?: ConcurrencyHolder;
+}
+
+interface RunConcurrency {
+  runId: number;
+  repository: string;
+  jobGroups: Record<string, ConcurrencyConfig>; // Job display name -> resolved group
+}
+
+interface Execution {
+  runId: number;
+  jobId?: number;
+}
+
+interface StopMessage {
+  origin: string;
+  runId: number;
+  jobId?: number;
+}
+
+// Queue states from which a job can still be removed before it runs
+const QUEUED_STATES = ['waiting', 'delayed', 'prioritized', 'paused'] as const;
+const CANCEL_GRACE_PERIOD = parseInt(process.env.JOB_CANCEL_GRACE_PERIOD || '10000', 10);
+const CANCELLED_RETENTION = 24 * 3600 * 1000;
+// Runs whose completion never arrives leave their groups after this long
+const RUN_TTL = 3 * 24 * 3600 * 1000;
+const RETRY_DELAY = 5000;
+
+const KEY_PREFIX = 'concurrency:';
+const CANCELLED_RUNS_KEY = `${KEY_PREFIX}cancelled:runs`;
+const CANCELLED_JOBS_KEY = `${KEY_PREFIX}cancelled:jobs`;
+const STOP_CHANNEL = `${KEY_PREFIX}stop`;
+
+// Enter a group: returns the holder's position and the holders it superseded
+const ENTER_SCRIPT = `
+local holder, id, cancel, ttl = ARGV[1], ARGV[2], ARGV[3] == '1', ARGV[4]
+local runningId = redis.call('HGET', KEYS[1], 'runningId')
+local superseded = {}
+local position = 'running'
+if runningId and runningId ~= id then
+  local pendingId = redis.call('HGET', KEYS[1], 'pendingId')
+  if pendingId and pendingId ~= id then
+    table.insert(superseded, redis.call('HGET', KEYS[1], 'pending'))
+  end
+  redis.call('HDEL', KEYS[1], 'pending', 'pendingId')
+  if cancel then
+    table.insert(superseded, redis.call('HGET', KEYS[1], 'running'))
+  else
+    position = 'pending'
+  end
+end
+redis.call('HSET', KEYS[1], position, holder, position .. 'Id', id)
+redis.call('PEXPIRE', KEYS[1], ttl)
+return {position, unpack(superseded)}
+`;
+
+// Leave a group: ARGV[1] is the run id, ARGV[2] the job id or '' for all of the run's holders
+const RELEASE_SCRIPT = `
+local function matches(id)
+  if not id then return false end
+  local separator = string.find(id, ':', 1, true)
+  if string.sub(id, 1, separator - 1) ~= ARGV[1] then return false end
+  return ARGV[2] == '' or string.sub(id, separator + 1) == ARGV[2]
+end
+if matches(redis.call('HGET', KEYS[1], 'pendingId')) then
+  redis.call('HDEL', KEYS[1], 'pending', 'pendingId')
+end
+if matches(redis.call('HGET', KEYS[1], 'runningId')) then
+  local pending = redis.call('HGET', KEYS[1], 'pending')
+  if not pending then
+    redis.call('DEL', KEYS[1])
+    return 1
+  end
+  redis.call('HSET', KEYS[1], 'running', pending, 'runningId', redis.call('HGET', KEYS[1], 'pendingId'))
+  redis.call('HDEL', KEYS[1], 'pending', 'pendingId')
+end
+return 0
+`;
+
+/**
+ * Enforces `concurrency:` groups of workflows and jobs. Groups live in Redis
+ * so every node sees the same holders: a group has one running holder, and a
+ * newer one without `cancel-in-progress` waits as pending and is not
+ * dispatched until it takes over. When a newer run takes over with
+ * `cancel-in-progress`, or a run is cancelled on GitHub, its queued jobs are
+ * dropped and every node stops its containers with SIGTERM, followed by
+ * SIGKILL after a grace period.
+ */
+export class ConcurrencyManager {
+  private static instance: ConcurrencyManager;
+  private docker: Docker;
+  private jobParser: JobParser;
+  private evaluator: ExpressionEvaluator;
+  private redis?: Redis;
+  private subscriber?: Redis;
+  private nodeId = `${os.hostname()}-${process.pid}`;
+  private executions: Map<string, Execution> = new Map(); // Container id -> job on this node
+
+  private constructor(redis?: Redis) {
+    this.docker = new Docker();
+    this.jobParser = JobParser.getInstance();
+    this.evaluator = ExpressionEvaluator.getInstance();
+    this.redis = redis;
+  }
+
+  public static getInstance(redis?: Redis): ConcurrencyManager {
+    if (!ConcurrencyManager.instance) {
+      ConcurrencyManager.instance = new ConcurrencyManager(redis);
+    }
+    return ConcurrencyManager.instance;
+  }
+
+  /**
+   * Stop this node's containers when another node cancels their run or job
+   */
+  public async start(): Promise<void> {
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = (await this.getRedis()).duplicate();
+    this.subscriber.on('message', (_channel: string, message: string) => {
+      this.handleStopMessage(message).catch(error => {
+        logger.error('Failed to stop cancelled containers', { error });
+      });
+    });
+    await this.subscriber.subscribe(STOP_CHANNEL);
+  }
+
+  public async stop(): Promise<void> {
+    await this.subscriber?.quit();
+    this.subscriber = undefined;
+  }
+
+  /**
+   * Read the concurrency groups of a requested run from its workflow file
+   * and enter the workflow-level group. Returns the workflow file.
+   */
+  public async registerRun(workflowRun: any, repository: any): Promise<string> {
+    const [owner, repo] = repository.full_name.split('/');
+    const content = await getGitHubAPIClient().getFileContent(owner, repo, workflowRun.path, workflowRun.head_sha);
+
+    await this.registerWorkflow(workflowRun, repository, content);
+    return content;
+  }
+
+  public async registerWorkflow(workflowRun: any, repository: any, content: string): Promise<void> {
+    const workflow: any = yaml.load(content) || {};
+    const context: ExpressionContext = { github: this.createGithubContext(workflowRun, repository), inputs: {} };
+
+    const run: RunConcurrency = {
+      runId: workflowRun.id,
+      repository: repository.full_name,
+      jobGroups: {}
+    };
+
+    const workflowConcurrency = this.resolve(workflow.concurrency, context, workflowRun.id);
+    for (const [key, rawJob] of Object.entries<any>(workflow.jobs || {})) {
+      const job = this.jobParser.normalizeWorkflowJob(key, rawJob);
+      const jobConcurrency = this.resolve(job.concurrency, context, workflowRun.id);
+      if (jobConcurrency) {
+        run.jobGroups[this.evaluator.interpolate(job.name, context)] = jobConcurrency;
+      }
+    }
+
+    const redis = await this.getRedis();
+    await redis.set(this.runKey(run.runId), JSON.stringify(run), 'PX', RUN_TTL);
+    await redis.zrem(CANCELLED_RUNS_KEY, String(run.runId)); // A re-run attempt starts afresh
+
+    if (workflowConcurrency) {
+      await this.enterGroup(workflowConcurrency.group, {
+        runId: run.runId,
+        repository: run.repository,
+        cancelInProgress: workflowConcurrency.cancel_in_progress
+      });
+    }
+  }
+
+  /**
+   * Enter the job-level group of a queued job, if its job declares one
+   */
+  public async enterJobGroup(runId: number, jobName: string, jobId: number): Promise<void> {
+    const stored = await (await this.getRedis()).get(this.runKey(runId));
+    const run: RunConcurrency | undefined = stored ? JSON.parse(stored) : undefined;
+    const concurrency = run && this.findJobGroup(run, jobName);
+    if (!run || !concurrency) {
+      return;
+    }
+
+    await this.enterGroup(concurrency.group, {
+      runId,
+      repository: run.repository,
+      jobId,
+      cancelInProgress: concurrency.cancel_in_progress
+    });
+  }
+
+  /**
+   * Whether a job may be dispatched: neither its run nor the job itself is
+   * waiting as the pending holder of a group
+   */
+  public async mayRun(runId: number, jobId?: number): Promise<boolean> {
+    const redis = await this.getRedis();
+    const groupKeys = await redis.smembers(this.runGroupsKey(runId));
+    const waitingIds = [this.holderId({ runId }), this.holderId({ runId, jobId })];
+
+    for (const groupKey of groupKeys) {
+      const pendingId = await redis.hget(groupKey, 'pendingId');
+      if (pendingId && waitingIds.includes(pendingId)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  public getRetryDelay(): number {
+    return RETRY_DELAY;
+  }
+
+  /**
+   * Cancel every job of a run
+   */
+  public async cancelRun(runId: number, reason: string): Promise<void> {
+    logger.info(`Cancelling workflow run ${runId}: ${reason}`);
+    await this.markCancelled(CANCELLED_RUNS_KEY, runId);
+
+    const dropped = await this.dropQueuedJobs(data => data?.runId === runId);
+    const stopped = await this.stopRunContainers(runId);
+    await this.publishStop({ origin: this.nodeId, runId });
+
+    logger.info(`Cancelled workflow run ${runId}`, { dropped, stopped });
+    await this.releaseRun(runId);
+  }
+
+  /**
+   * Cancel a single job of a run
+   */
+  public async cancelJob(runId: number, jobId: number, reason: string): Promise<void> {
+    logger.info(`Cancelling job ${jobId} of workflow run ${runId}: ${reason}`);
+    await this.markCancelled(CANCELLED_JOBS_KEY, jobId);
+
+    const dropped = await this.dropQueuedJobs(data => data?.jobId === jobId);
+    const stopped = await this.stopJobContainers(jobId);
+    await this.publishStop({ origin: this.nodeId, runId, jobId });
+
+    logger.info(`Cancelled job ${jobId}`, { runId, dropped, stopped });
+    await this.releaseHolder(runId, jobId);
+  }
+
+  public async isCancelled(runId: number, jobId?: number): Promise<boolean> {
+    const redis = await this.getRedis();
+    if (await redis.zscore(CANCELLED_RUNS_KEY, String(runId)) !== null) {
+      return true;
+    }
+    return jobId !== undefined && await redis.zscore(CANCELLED_JOBS_KEY, String(jobId)) !== null;
+  }
+
+  /**
+   * Leave all groups held by a finished run; waiting runs take over
+   */
+  public async releaseRun(runId: number): Promise<void> {
+    await this.releaseHolder(runId);
+    const redis = await this.getRedis();
+    await redis.del(this.runKey(runId), this.runGroupsKey(runId));
+  }
+
+  public async releaseJob(runId: number, jobId: number): Promise<void> {
+    await this.releaseHolder(runId, jobId);
+  }
+
+  /**
+   * Track a container executing a job so it can be stopped on cancellation
+   */
+  public registerExecution(containerId: string, runId: number, jobId?: number): void {
+    this.executions.set(containerId, { runId, jobId });
+  }
+
+  public unregisterExecution(containerId: string): void {
+    this.executions.delete(containerId);
+  }
+
+  public async getGroup(group: string, repository: string): Promise<ConcurrencyGroup | undefined> {
+    const state = await (await this.getRedis()).hgetall(this.groupKey(group, repository));
+    if (!state.running) {
+      return undefined;
+    }
+    return {
+      running: JSON.parse(state.running),
+      pending: state.pending ? JSON.parse(state.pending) : undefined
+    };
+  }
+
+  /**
+   * A group has at most one running and one pending holder. A newer holder
+   * with cancel-in-progress replaces the running one; otherwise it waits and
+   * replaces the previously pending one.
+   */
+  private async enterGroup(group: string, holder: ConcurrencyHolder): Promise<void> {
+    const key = this.groupKey(group, holder.repository);
+    const redis = await this.getRedis();
+
+    await redis.sadd(this.runGroupsKey(holder.runId), key);
+    await redis.pexpire(this.runGroupsKey(holder.runId), RUN_TTL);
+
+    const [position, ...superseded] = await redis.eval(
+      ENTER_SCRIPT, 1, key, JSON.stringify(holder), this.holderId(holder), holder.cancelInProgress ? '1' : '0', RUN_TTL
+    ) as string[];
+
+    if (position === 'running' && superseded.length === 0) {
+      return;
+    }
+
+    const previousHolders: ConcurrencyHolder[] = superseded.map(previous => JSON.parse(previous));
+    logger.info(`Run ${holder.runId} entered concurrency group ${group}`, {
+      repository: holder.repository,
+      waiting: position === 'pending',
+      superseded: previousHolders.map(previous => previous.runId)
+    });
+
+    for (const previous of previousHolders) {
+      const reason = `superseded by run ${holder.runId} in concurrency group ${group}`;
+      if (previous.jobId !== undefined) {
+        await this.cancelJob(previous.runId, previous.jobId, reason);
+      } else {
+        await this.cancelRun(previous.runId, reason);
+      }
+    }
+  }
+
+  private async markCancelled(key: string, id: number): Promise<void> {
+    const redis = await this.getRedis();
+    const now = Date.now();
+    await redis.zremrangebyscore(key, '-inf', now - CANCELLED_RETENTION);
+    await redis.zadd(key, now, String(id));
+  }
+
+  /**
+   * Leave the groups of a run, or of one of its jobs
+   */
+  private async releaseHolder(runId: number, jobId?: number): Promise<void> {
+    const redis = await this.getRedis();
+    for (const groupKey of await redis.smembers(this.runGroupsKey(runId))) {
+      await redis.eval(RELEASE_SCRIPT, 1, groupKey, String(runId), jobId === undefined ? '' : String(jobId));
+    }
+  }
+
+  private async dropQueuedJobs(matches: (data: any) => boolean): Promise<number> {
+    const queue = QueueManager.getInstance().getQueue(QUEUE_CONFIG.queues.JOB_EXECUTION);
+    if (!queue) {
+      return 0;
+    }
+
+    let dropped = 0;
+    for (const job of await queue.getJobs([...QUEUED_STATES])) {
+      if (job && matches(job.data?.data)) {
+        await job.remove();
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  private stopRunContainers(runId: number): Promise<number> {
+    return this.stopContainers(execution => execution.runId === runId, [`runnerhub.run=${runId}`]);
+  }
+
+  private stopJobContainers(jobId: number): Promise<number> {
+    return this.stopContainers(execution => execution.jobId === jobId, [`runnerhub.github-job=${jobId}`]);
+  }
+
+  private async stopContainers(matches: (execution: Execution) => boolean, labels: string[]): Promise<number> {
+    const containerIds = new Set(
+      Array.from(this.executions.entries())
+        .filter(([, execution]) => matches(execution))
+        .map(([containerId]) => containerId)
+    );
+
+    // Runner containers started outside the queue are found by their labels
+    const labelled = await this.docker.listContainers({ filters: { label: labels } });
+    labelled.forEach(info => containerIds.add(info.Id));
+
+    await Promise.all(Array.from(containerIds).map(containerId => this.stopGracefully(containerId)));
+    return containerIds.size;
+  }
+
+  private async publishStop(message: StopMessage): Promise<void> {
+    await (await this.getRedis()).publish(STOP_CHANNEL, JSON.stringify(message));
+  }
+
+  private async handleStopMessage(raw: string): Promise<void> {
+    const message: StopMessage = JSON.parse(raw);
+    if (message.origin === this.nodeId) {
+      return;
+    }
+
+    const stopped = message.jobId !== undefined
+      ? await this.stopJobContainers(message.jobId)
+      : await this.stopRunContainers(message.runId);
+    if (stopped > 0) {
+      logger.info(`Stopped ${stopped} containers cancelled on ${message.origin}`, { runId: message.runId, jobId: message.jobId });
+    }
+  }
+
+  /**
+   * SIGTERM first so the runner can report the cancellation, SIGKILL if it
+   * does not exit within the grace period
+   */
+  private async stopGracefully(containerId: string): Promise<void> {
+    const container = this.docker.getContainer(containerId);
+
+    try {
+      await container.kill({ signal: 'SIGTERM' });
+    } catch (error: any) {
+      // Already stopped or removed
+      if (error.statusCode === 404 || error.statusCode === 409) {
+        return;
+      }
+      throw error;
+    }
+
+    let timer: NodeJS.Timeout | undefined;
+    const exited = await Promise.race([
+      container.wait().then(() => true, () => true),
+      new Promise<boolean>(resolve => {
+        timer = setTimeout(() => resolve(false), CANCEL_GRACE_PERIOD);
+      })
+    ]);
+    clearTimeout(timer);
+
+    if (!exited) {
+      logger.warn(`Container ${containerId.substring(0, 12)} ignored SIGTERM, sending SIGKILL`);
+      await container.kill({ signal: 'SIGKILL' }).catch(() => undefined);
+    }
+  }
+
+  private resolve(concurrency: any, context: ExpressionContext, runId: number): ConcurrencyConfig | undefined {
+    const parsed = this.jobParser.parseConcurrency(this.jobParser.normalizeKeys(concurrency));
+    if (!parsed) {
+      return undefined;
+    }
+
+    const group = this.evaluator.interpolate(parsed.group, context);
+    // e.g. groups using matrix values; GitHub still enforces those itself
+    if (group.includes('${{')) {
+      logger.debug(`Skipping concurrency group ${parsed.group} of run ${runId} that needs runtime contexts`);
+      return undefined;
+    }
+
+    return { group, cancel_in_progress: parsed.cancel_in_progress };
+  }
+
+  private findJobGroup(run: RunConcurrency, jobName: string): ConcurrencyConfig | undefined {
+    if (run.jobGroups[jobName]) {
+      return run.jobGroups[jobName];
+    }
+
+    // Matrix legs are reported as `name (a, b)`
+    const entry = Object.entries(run.jobGroups).find(([name]) => jobName.startsWith(`${name} (`));
+    return entry?.[1];
+  }
+
+  private createGithubContext(workflowRun: any, repository: any): Record<string, any> {
+    const pullRequest = workflowRun.pull_requests?.[0];
+    const isPullRequest = String(workflowRun.event).startsWith('pull_request') && pullRequest;
+
+    return {
+      workflow: workflowRun.name,
+      event_name: workflowRun.event,
+      ref: isPullRequest ? `refs/pull/${pullRequest.number}/merge` : `refs/heads/${workflowRun.head_branch}`,
+      ref_name: isPullRequest ? `${pullRequest.number}/merge` : workflowRun.head_branch,
+      head_ref: isPullRequest ? workflowRun.head_branch : '',
+      base_ref: isPullRequest ? pullRequest.base?.ref || '' : '',
+      sha: workflowRun.head_sha,
+      run_id: workflowRun.id,
+      run_number: workflowRun.run_number,
+      run_attempt: workflowRun.run_attempt,
+      actor: workflowRun.actor?.login,
+      repository: repository.full_name,
+      repository_owner: repository.owner?.login
+    };
+  }
+
+  private holderId(holder: { runId: number; jobId?: number }): string {
+    return `${holder.runId}:${holder.jobId ?? ''}`;
+  }
+
+  private groupKey(group: string, repository: string): string {
+    // Groups are scoped to the repository
+    return `${KEY_PREFIX}group:${repository}:${group}`;
+  }
+
+  private runKey(runId: number): string {
+    return `${KEY_PREFIX}run:${runId}`;
+  }
+
+  private runGroupsKey(runId: number): string {
+    return `${KEY_PREFIX}run:${runId}:groups`;
+  }
+
+  private async getRedis(): Promise<Redis> {
+    if (!this.redis) {
+      this.redis = createRedisConnection({ connectionName: 'concurrency-manager', lazyConnect: true });
+    }
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    return this.redis;
+  }
+}
+
+export default ConcurrencyManager;
@@ -36,8 +36,8 @@ export const getRedisConfig = (): RedisConfig => {
   return config;
 };
 
-// Bull-specific connection options
-export const getBullConnectionOptions = (): ConnectionOptions => {
+// Bull-specific connection options, passed on as the `connection` of queues and workers
+export const getBullConnectionOptions = (): { connection: ConnectionOptions } => {
   const redisConfig = getRedisConfig();
   
   return {
@@ -78,7 +78,9 @@ export const QUEUE_CONFIG = {
     MONITORING: 'monitoring',
     CLEANUP: 'cleanup',
     WEBHOOK_PROCESSING: 'webhook-processing',
-    METRICS_COLLECTION: 'metrics-collection'
+    METRICS_COLLECTION: 'metrics-collection',
+    DEAD_LETTER: 'dead-letter', // No worker, jobs wait here to be replayed
+    SCHEDULED: 'scheduled' // Worker runs on the leader only
   }
 };
 
@@ -88,6 +90,8 @@ export enum JobType {
   EXECUTE_WORKFLOW = 'execute_workflow',
   PREPARE_RUNNER = 'prepare_runner',
   CLEANUP_RUNNER = 'cleanup_runner',
+  WORKFLOW_RUN = 'workflow_run', // Flow parent of a run's jobs
+  WORKFLOW_JOB = 'workflow_job', // Flow parent of a job's stages
   
   // Container management
   CREATE_CONTAINER = 'create_container',
@@ -102,6 +106,7 @@ export enum JobType {
   // Webhook processing
   PROCESS_WEBHOOK = 'process_webhook',
   SYNC_GITHUB_DATA = 'sync_github_data',
+  RECONCILE_WEBHOOKS = 'reconcile_webhooks', // Recover deliveries missing from GitHub's delivery log
   
   // Cleanup
   CLEANUP_OLD_JOBS = 'cleanup_old_jobs',
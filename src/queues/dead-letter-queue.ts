@@ -0,0 +1,277 @@
+import { Job, Queue } from 'bullmq';
+import { createLogger } from '../utils/logger';
+import { QueueManager } from './queue-manager';
+import { WorkflowFlows } from './workflow-flows';
+import { JobType, QUEUE_CONFIG } from './config/redis-config';
+import auditLogger, { AuditEventType } from '../services/audit-logger';
+
+const logger = createLogger('DeadLetterQueue');
+
+// Dead-lettered jobs are never picked up by a worker, they wait to be replayed
+const DEAD_LETTER_STATES = ['waiting', 'paused', 'delayed'] as const;
+
+// Jobs fetched from Redis at a time while filtering
+const LIST_PAGE_SIZE = 500;
+
+export interface FailureRecord {
+  attempt: number;
+  error: string;
+  stacktrace?: string;
+}
+
+export interface DeadLetterEntry {
+  queue: string;
+  jobId: string;
+  data: any;
+  priority?: number;
+  failedReason: string;
+  failures: FailureRecord[];
+  deadLetteredAt: string;
+  updatedAt?: string;
+  updatedBy?: string;
+}
+
+export interface DeadLetterFilter {
+  type?: JobType;
+  error?: string; // Case-insensitive match against the last failure
+  ids?: string[];
+  offset?: number;
+  limit?: number;
+}
+
+export interface AuditActor {
+  userId?: string;
+  username?: string;
+}
+
+export class DeadLetterQueue {
+  private static instance: DeadLetterQueue;
+
+  private constructor() {}
+
+  public static getInstance(): DeadLetterQueue {
+    if (!DeadLetterQueue.instance) {
+      DeadLetterQueue.instance = new DeadLetterQueue();
+    }
+    return DeadLetterQueue.instance;
+  }
+
+  /**
+   * Move a job that will not be retried into the dead-letter queue
+   * together with its failure history
+   */
+  public async add(job: Job, error: Error): Promise<Job<DeadLetterEntry>> {
+    const failures: FailureRecord[] = (job.stacktrace || []).map((stacktrace, index) => ({
+      attempt: index + 1,
+      error: stacktrace.split('\n')[0].replace(/^\w*Error: /, ''),
+      stacktrace
+    }));
+    if (failures.length === 0 || failures[failures.length - 1].error !== error.message) {
+      failures.push({ attempt: job.attemptsMade, error: error.message, stacktrace: error.stack });
+    }
+
+    const entry: DeadLetterEntry = {
+      queue: job.queueName,
+      jobId: job.id!,
+      data: job.data,
+      priority: job.opts?.priority,
+      failedReason: error.message,
+      failures,
+      deadLetteredAt: new Date().toISOString()
+    };
+
+    // One entry per original job, even if it fails again while being moved
+    const deadLetter = await this.getQueue().add(job.name, entry, {
+      jobId: `${job.queueName}-${job.id}`,
+      attempts: 1
+    });
+    // Stages of a flow stay failed in place, removing them would tear apart the run's tree
+    if (!job.parentKey) {
+      await job.remove();
+    }
+
+    logger.warn(`Job ${job.id} of queue ${job.queueName} moved to the dead-letter queue`, {
+      type: job.name,
+      error: error.message
+    });
+    await this.audit(AuditEventType.JOB_DEAD_LETTERED, deadLetter, {}, { attempts: job.attemptsMade });
+
+    return deadLetter;
+  }
+
+  /**
+   * List dead-lettered jobs, newest first. Jobs are read from Redis a page
+   * at a time, so only the requested page is held in memory.
+   */
+  public async list(filter: DeadLetterFilter = {}): Promise<{ total: number; jobs: Job<DeadLetterEntry>[] }> {
+    const offset = filter.offset || 0;
+    const end = filter.limit ? offset + filter.limit : Infinity;
+    const error = filter.error?.toLowerCase();
+
+    if (filter.ids) {
+      const jobs = (await Promise.all(filter.ids.map(id => this.get(id))))
+        .filter((job): job is Job<DeadLetterEntry> => Boolean(job) && this.matches(job!, filter.type, error));
+      return { total: jobs.length, jobs: jobs.slice(offset, end) };
+    }
+
+    if (!filter.type && !error) {
+      return this.listRange(offset, end);
+    }
+
+    const jobs: Job<DeadLetterEntry>[] = [];
+    let total = 0;
+    await this.forEachJob(job => {
+      if (this.matches(job, filter.type, error)) {
+        if (total >= offset && total < end) {
+          jobs.push(job);
+        }
+        total++;
+      }
+    });
+    return { total, jobs };
+  }
+
+  public async get(id: string): Promise<Job<DeadLetterEntry> | undefined> {
+    return this.getQueue().getJob(id);
+  }
+
+  /**
+   * Replace the payload a dead-lettered job is replayed with
+   */
+  public async updatePayload(id: string, data: any, actor: AuditActor = {}): Promise<Job<DeadLetterEntry> | undefined> {
+    const job = await this.get(id);
+    if (!job) {
+      return undefined;
+    }
+
+    await job.updateData({
+      ...job.data,
+      data,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor.username
+    });
+    await this.audit(AuditEventType.JOB_PAYLOAD_UPDATED, job, actor);
+
+    return job;
+  }
+
+  /**
+   * Add a dead-lettered job back to its original queue. A flow stage is
+   * rebuilt with the rest of its workflow job as a flow of its own.
+   */
+  public async replay(id: string, actor: AuditActor = {}): Promise<Job | undefined> {
+    const job = await this.get(id);
+    if (!job) {
+      return undefined;
+    }
+
+    const { queue, jobId, data, priority } = job.data;
+    const replayed = data?.flow
+      ? await WorkflowFlows.getInstance().replayStage(jobId, data)
+      : await QueueManager.getInstance().addJob(queue, job.name as JobType, data, { priority });
+    await job.remove();
+
+    logger.info(`Dead-lettered job ${id} replayed as job ${replayed.id} on queue ${queue}`);
+    await this.audit(AuditEventType.JOB_REPLAYED, job, actor, { replayedJobId: replayed.id });
+
+    return replayed;
+  }
+
+  /**
+   * Replay every dead-lettered job matching the filter
+   */
+  public async requeue(
+    filter: DeadLetterFilter,
+    actor: AuditActor = {}
+  ): Promise<{ requeued: Array<{ id: string; jobId: string }>; failed: Array<{ id: string; error: string }> }> {
+    const { jobs } = await this.list(filter);
+    const requeued: Array<{ id: string; jobId: string }> = [];
+    const failed: Array<{ id: string; error: string }> = [];
+
+    for (const job of jobs) {
+      try {
+        const replayed = await this.replay(job.id!, actor);
+        if (replayed) {
+          requeued.push({ id: job.id!, jobId: replayed.id! });
+        }
+      } catch (error) {
+        logger.error(`Failed to requeue dead-lettered job ${job.id}:`, error);
+        failed.push({ id: job.id!, error: (error as Error).message });
+      }
+    }
+
+    return { requeued, failed };
+  }
+
+  private matches(job: Job<DeadLetterEntry>, type?: JobType, error?: string): boolean {
+    return (!type || job.name === type) && (!error || job.data.failedReason.toLowerCase().includes(error));
+  }
+
+  /**
+   * Unfiltered page, read with one range per state it spans
+   */
+  private async listRange(offset: number, end: number): Promise<{ total: number; jobs: Job<DeadLetterEntry>[] }> {
+    const queue = this.getQueue();
+    const counts = await queue.getJobCounts(...DEAD_LETTER_STATES);
+    const jobs: Job<DeadLetterEntry>[] = [];
+    let first = 0; // Position of the state's first job in the listing
+
+    for (const state of DEAD_LETTER_STATES) {
+      const count = counts[state] || 0;
+      const start = Math.max(offset - first, 0);
+      const stop = Math.min(end - first, count) - 1;
+      if (start <= stop) {
+        jobs.push(...(await queue.getJobs([state], start, stop)).filter(Boolean));
+      }
+      first += count;
+    }
+
+    return { total: first, jobs };
+  }
+
+  private async forEachJob(callback: (job: Job<DeadLetterEntry>) => void): Promise<void> {
+    const queue = this.getQueue();
+
+    for (const state of DEAD_LETTER_STATES) {
+      for (let start = 0; ; start += LIST_PAGE_SIZE) {
+        const jobs: Job<DeadLetterEntry>[] = await queue.getJobs([state], start, start + LIST_PAGE_SIZE - 1);
+        jobs.filter(Boolean).forEach(callback);
+        if (jobs.length < LIST_PAGE_SIZE) {
+          break;
+        }
+      }
+    }
+  }
+
+  private getQueue(): Queue {
+    const queue = QueueManager.getInstance().getQueue(QUEUE_CONFIG.queues.DEAD_LETTER);
+    if (!queue) {
+      throw new Error(`Queue ${QUEUE_CONFIG.queues.DEAD_LETTER} not found`);
+    }
+    return queue;
+  }
+
+  private async audit(
+    eventType: AuditEventType,
+    job: Job<DeadLetterEntry>,
+    actor: AuditActor,
+    details: Record<string, any> = {}
+  ): Promise<void> {
+    await auditLogger.logJobOperation(
+      eventType,
+      job.data.jobId,
+      job.data.data?.data?.repository || '',
+      actor.userId,
+      actor.username,
+      {
+        deadLetterId: job.id,
+        queue: job.data.queue,
+        type: job.name,
+        failedReason: job.data.failedReason,
+        ...details
+      }
+    );
+  }
+}
+
+export default DeadLetterQueue;
@@ -0,0 +1,393 @@
+import Redis from 'ioredis';
+import { createLogger } from '../utils/logger';
+import { FairShareCalculator } from '../job-distribution/resource-scheduler';
+import { QUEUE_CONFIG } from './config/redis-config';
+import { createRedisConnection } from '../services/redis-connection';
+
+const logger = createLogger('FairShareScheduler');
+
+// BullMQ accepts priorities up to 2^21, split into one band per priority class
+const MAX_PRIORITY = 2 ** 21;
+const PRIORITY_BAND = Math.floor(MAX_PRIORITY / (QUEUE_CONFIG.priorities.LOW + 1));
+// Priority steps per unit of virtual time
+const TAG_RESOLUTION = 100;
+
+// Shared by every node: running jobs and last activity per tenant, finish
+// tags per repository and the virtual clock of the current round. Running
+// counts are derived from the leases, one per job holding a slot, scored by
+// the time the lease runs out unless its worker renews it.
+const RUNNING_KEY = 'fair-share:running';
+const LEASES_KEY = 'fair-share:leases';
+const LEASE_TENANTS_KEY = 'fair-share:lease-tenants';
+const LAST_SEEN_KEY = 'fair-share:last-seen';
+const FINISH_TAGS_KEY = 'fair-share:finish-tags';
+const CLOCK_KEY = 'fair-share:clock';
+const TOTAL_FIELD = 'total';
+
+// Next finish tag of a repository: KEYS finish tags, clock; ARGV repository, 1 / share
+const ENQUEUE_SCRIPT = `
+local clock = tonumber(redis.call('GET', KEYS[2]) or '0')
+local tag = math.max(clock, tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')) + tonumber(ARGV[2])
+redis.call('HSET', KEYS[1], ARGV[1], tostring(tag))
+return tostring(tag)
+`;
+
+// Drop a job's lease and its running counts, then the leases of workers that
+// stopped renewing them. KEYS running, leases, lease tenants; ARGV[1] now.
+// Lease tenants hold the running fields of a lease separated by spaces.
+const RELEASE_LEASES = `
+local function releaseLease(holder)
+  local fields = redis.call('HGET', KEYS[3], holder)
+  redis.call('ZREM', KEYS[2], holder)
+  redis.call('HDEL', KEYS[3], holder)
+  if fields then
+    for field in string.gmatch(fields, '%S+') do
+      if tonumber(redis.call('HGET', KEYS[1], field) or '0') > 0 then
+        redis.call('HINCRBY', KEYS[1], field, -1)
+      end
+    end
+  end
+end
+for _, holder in ipairs(redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])) do
+  releaseLease(holder)
+end
+`;
+
+// Claim a slot unless the organization or repository is at its limit. The
+// burst limits apply while fewer jobs than the capacity run. A job that
+// already holds a lease, such as a stalled job picked up again, keeps it.
+// KEYS running, leases, lease tenants, clock; ARGV now, job id, lease
+// deadline, org field, repo field, capacity, org limit, org burst limit,
+// repo limit, repo burst limit, finish tag of the job
+const ACQUIRE_SCRIPT = `
+${RELEASE_LEASES}
+local org = tonumber(redis.call('HGET', KEYS[1], ARGV[4]) or '0')
+local repo = tonumber(redis.call('HGET', KEYS[1], ARGV[5]) or '0')
+if redis.call('ZSCORE', KEYS[2], ARGV[2]) then
+  redis.call('ZADD', KEYS[2], ARGV[3], ARGV[2])
+  return {1, org, repo, 0, 0}
+end
+local spare = tonumber(redis.call('HGET', KEYS[1], '${TOTAL_FIELD}') or '0') < tonumber(ARGV[6])
+local orgLimit = tonumber(spare and ARGV[8] or ARGV[7])
+local repoLimit = tonumber(spare and ARGV[10] or ARGV[9])
+if org >= orgLimit or repo >= repoLimit then
+  return {0, org, repo, orgLimit, repoLimit}
+end
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[2])
+redis.call('HSET', KEYS[3], ARGV[2], ARGV[4] .. ' ' .. ARGV[5] .. ' ${TOTAL_FIELD}')
+redis.call('HINCRBY', KEYS[1], ARGV[4], 1)
+redis.call('HINCRBY', KEYS[1], ARGV[5], 1)
+redis.call('HINCRBY', KEYS[1], '${TOTAL_FIELD}', 1)
+if ARGV[11] ~= '' and tonumber(ARGV[11]) > tonumber(redis.call('GET', KEYS[4]) or '0') then
+  redis.call('SET', KEYS[4], ARGV[11])
+end
+return {1, org + 1, repo + 1, orgLimit, repoLimit}
+`;
+
+// Free a job's slot: KEYS running, leases, lease tenants; ARGV now, job id
+const RELEASE_SCRIPT = `
+${RELEASE_LEASES}
+releaseLease(ARGV[2])
+return 1
+`;
+
+export interface TenantLimits {
+  weight: number;
+  maxConcurrency: number; // 0 means capped by the fair share only
+  burst: number; // Slots a tenant may use above its fair share while others are idle
+}
+
+export interface FairShareConfig {
+  enabled: boolean;
+  capacity: number; // Slots split between tenants, the job worker concurrency
+  retryDelay: number; // ms before a deferred job is offered again
+  leaseTtl: number; // ms a slot stays held without renewal, so slots of crashed workers free up
+  activeWindow: number; // ms a tenant with waiting jobs keeps its share
+  organization: TenantLimits;
+  repository: TenantLimits;
+  tenants: Record<string, Partial<TenantLimits>>; // Overrides keyed by "org" or "org/repo"
+}
+
+interface TenantSnapshot {
+  running: Record<string, number>; // `org:<org>` and `repo:<org/repo>` -> running jobs
+  lastSeen: Record<string, number>;
+}
+
+const parseTenants = (value?: string): Record<string, Partial<TenantLimits>> => {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Invalid FAIR_SHARE_TENANTS, ignoring tenant overrides:', error);
+    return {};
+  }
+};
+
+const defaultConfig = (): FairShareConfig => ({
+  enabled: process.env.FAIR_SHARE_ENABLED !== 'false',
+  capacity: parseInt(process.env.JOB_WORKER_CONCURRENCY || '5', 10),
+  retryDelay: parseInt(process.env.FAIR_SHARE_RETRY_DELAY || '5000', 10),
+  leaseTtl: parseInt(process.env.FAIR_SHARE_LEASE_TTL || '60000', 10),
+  activeWindow: parseInt(process.env.FAIR_SHARE_ACTIVE_WINDOW || '60000', 10),
+  organization: {
+    weight: 1,
+    maxConcurrency: parseInt(process.env.FAIR_SHARE_ORG_MAX_CONCURRENCY || '0', 10),
+    burst: parseInt(process.env.FAIR_SHARE_BURST || '1', 10)
+  },
+  repository: {
+    weight: 1,
+    maxConcurrency: parseInt(process.env.FAIR_SHARE_REPO_MAX_CONCURRENCY || '0', 10),
+    burst: parseInt(process.env.FAIR_SHARE_BURST || '1', 10)
+  },
+  tenants: parseTenants(process.env.FAIR_SHARE_TENANTS)
+});
+
+/**
+ * Shares job execution between organizations and, within an organization,
+ * between its repositories. Jobs are ordered by weighted fair queueing on
+ * enqueue and held back on dispatch while their tenant is over its limit.
+ * The tenant state lives in Redis, so the limits hold across nodes.
+ */
+export class FairShareScheduler {
+  private static instance: FairShareScheduler;
+  private config: FairShareConfig;
+  private calculator = new FairShareCalculator();
+  private redis?: Redis;
+  private renewals = new Map<string, NodeJS.Timeout>(); // Job id -> lease renewal of jobs running here
+
+  private constructor(config: Partial<FairShareConfig> = {}, redis?: Redis) {
+    this.config = { ...defaultConfig(), ...config };
+    this.redis = redis;
+  }
+
+  public static getInstance(config?: Partial<FairShareConfig>, redis?: Redis): FairShareScheduler {
+    if (!FairShareScheduler.instance) {
+      FairShareScheduler.instance = new FairShareScheduler(config, redis);
+    }
+    return FairShareScheduler.instance;
+  }
+
+  public isEnabled(): boolean {
+    return this.config.enabled;
+  }
+
+  public getRetryDelay(): number {
+    return this.config.retryDelay;
+  }
+
+  public configureTenant(tenant: string, limits: Partial<TenantLimits>): void {
+    this.config.tenants[tenant] = { ...this.config.tenants[tenant], ...limits };
+    logger.info(`Fair-share limits updated for ${tenant}`, this.config.tenants[tenant]);
+  }
+
+  /**
+   * Priority for a new job: its class band plus the finish tag of the job
+   * in its repository's weighted round-robin
+   */
+  public async enqueue(repository: string, priority: number = QUEUE_CONFIG.priorities.NORMAL): Promise<number> {
+    const basePriority = FairShareScheduler.toBasePriority(priority);
+    if (!this.config.enabled) {
+      return basePriority;
+    }
+
+    const now = Date.now();
+    const { organization } = FairShareScheduler.parseTenant(repository);
+    const redis = await this.getRedis();
+    const snapshot = await this.getSnapshot();
+
+    // Start a new round once every tenant has gone idle
+    if (this.getActive(snapshot, 'repo', now).length === 0) {
+      await redis.del(FINISH_TAGS_KEY, CLOCK_KEY, LAST_SEEN_KEY);
+      snapshot.lastSeen = {};
+    }
+
+    await this.touch(snapshot, now, organization, repository);
+
+    const share = this.getShare(snapshot, repository, now);
+    const finishTag = Number(await redis.eval(ENQUEUE_SCRIPT, 2, FINISH_TAGS_KEY, CLOCK_KEY, repository, String(1 / share)));
+
+    const offset = Math.min(Math.round(finishTag * TAG_RESOLUTION), PRIORITY_BAND - 1);
+    return basePriority * PRIORITY_BAND + offset;
+  }
+
+  /**
+   * Claim an execution slot for a job of the repository, false while it or
+   * its organization is over its limit. The slot is leased to the job and
+   * renewed until it is released.
+   */
+  public async tryAcquire(repository: string, jobId: string, priority?: number): Promise<boolean> {
+    const now = Date.now();
+    const { organization } = FairShareScheduler.parseTenant(repository);
+    const snapshot = await this.getSnapshot();
+    await this.touch(snapshot, now, organization, repository);
+
+    // Disabled, the counts are still kept for the stats
+    const unlimited = String(Number.MAX_SAFE_INTEGER);
+    const [orgLimit, orgBurstLimit] = this.config.enabled
+      ? this.getLimits(organization, this.config.organization, this.getOrganizationShare(snapshot, organization, now))
+      : [unlimited, unlimited];
+    const [repoLimit, repoBurstLimit] = this.config.enabled
+      ? this.getLimits(repository, this.config.repository, this.getShare(snapshot, repository, now))
+      : [unlimited, unlimited];
+    const finishTag = priority !== undefined && priority >= PRIORITY_BAND
+      ? String((priority % PRIORITY_BAND) / TAG_RESOLUTION)
+      : '';
+
+    const [acquired, orgRunning, repoRunning, orgApplied, repoApplied] = await (await this.getRedis()).eval(
+      ACQUIRE_SCRIPT, 4, RUNNING_KEY, LEASES_KEY, LEASE_TENANTS_KEY, CLOCK_KEY,
+      String(now), jobId, String(now + this.config.leaseTtl),
+      `org:${organization}`, `repo:${repository}`, String(this.config.capacity),
+      String(orgLimit), String(orgBurstLimit), String(repoLimit), String(repoBurstLimit), finishTag
+    ) as number[];
+
+    if (!acquired) {
+      logger.debug(`Deferring job ${jobId} for ${repository}`, {
+        organization: { running: orgRunning, limit: orgApplied },
+        repository: { running: repoRunning, limit: repoApplied }
+      });
+      return false;
+    }
+
+    this.renewLease(jobId);
+    return true;
+  }
+
+  public async release(repository: string, jobId: string): Promise<void> {
+    const { organization } = FairShareScheduler.parseTenant(repository);
+    const redis = await this.getRedis();
+
+    clearInterval(this.renewals.get(jobId));
+    this.renewals.delete(jobId);
+
+    await redis.eval(RELEASE_SCRIPT, 3, RUNNING_KEY, LEASES_KEY, LEASE_TENANTS_KEY, String(Date.now()), jobId);
+    await redis.hset(LAST_SEEN_KEY, `org:${organization}`, Date.now(), `repo:${repository}`, Date.now());
+  }
+
+  public async getStats(): Promise<Record<string, { running: number; share: number; limit: number }>> {
+    const now = Date.now();
+    const snapshot = await this.getSnapshot();
+    const stats: Record<string, { running: number; share: number; limit: number }> = {};
+
+    for (const repository of this.getActive(snapshot, 'repo', now)) {
+      const share = this.getShare(snapshot, repository, now);
+      stats[repository] = {
+        running: snapshot.running[`repo:${repository}`] || 0,
+        share,
+        limit: this.getLimits(repository, this.config.repository, share)[0]
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Split of the capacity for a repository: its organization's share of all
+   * active organizations times its share within the organization
+   */
+  private getShare(snapshot: TenantSnapshot, repository: string, now: number): number {
+    const { organization } = FairShareScheduler.parseTenant(repository);
+    const siblings = this.getActive(snapshot, 'repo', now, repository)
+      .filter(key => FairShareScheduler.parseTenant(key).organization === organization);
+
+    const repoShares = this.calculator.calculateWeightedShares(
+      new Map(siblings.map(key => [key, this.getTenantLimits(key, this.config.repository).weight]))
+    );
+    return this.getOrganizationShare(snapshot, organization, now) * (repoShares.get(repository) || 0);
+  }
+
+  private getOrganizationShare(snapshot: TenantSnapshot, organization: string, now: number): number {
+    const active = this.getActive(snapshot, 'org', now, organization);
+    const shares = this.calculator.calculateWeightedShares(
+      new Map(active.map(key => [key, this.getTenantLimits(key, this.config.organization).weight]))
+    );
+    return shares.get(organization) || 0;
+  }
+
+  /**
+   * The tenant's limit at its fair share, and with its burst allowance,
+   * both capped by its maximum concurrency
+   */
+  private getLimits(tenant: string, defaults: TenantLimits, share: number): [number, number] {
+    const limits = this.getTenantLimits(tenant, defaults);
+    const fairLimit = Math.max(Math.ceil(share * this.config.capacity), 1);
+    const cap = (limit: number) => limits.maxConcurrency > 0 ? Math.min(limits.maxConcurrency, limit) : limit;
+    return [cap(fairLimit), cap(fairLimit + limits.burst)];
+  }
+
+  private getTenantLimits(tenant: string, defaults: TenantLimits): TenantLimits {
+    return { ...defaults, ...this.config.tenants[tenant] };
+  }
+
+  private getActive(snapshot: TenantSnapshot, kind: 'org' | 'repo', now: number, include?: string): string[] {
+    const prefix = `${kind}:`;
+    const keys = new Set(
+      [...Object.keys(snapshot.running), ...Object.keys(snapshot.lastSeen)].filter(field => field.startsWith(prefix))
+    );
+
+    const active: string[] = [];
+    for (const field of keys) {
+      const key = field.substring(prefix.length);
+      if (key === include || (snapshot.running[field] || 0) > 0 || now - (snapshot.lastSeen[field] || 0) < this.config.activeWindow) {
+        active.push(key);
+      }
+    }
+    if (include && !active.includes(include)) {
+      active.push(include);
+    }
+    return active;
+  }
+
+  private async getSnapshot(): Promise<TenantSnapshot> {
+    const redis = await this.getRedis();
+    const [running, lastSeen] = await Promise.all([redis.hgetall(RUNNING_KEY), redis.hgetall(LAST_SEEN_KEY)]);
+    const toNumbers = (values: Record<string, string>) =>
+      Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Number(value)]));
+    return { running: toNumbers(running), lastSeen: toNumbers(lastSeen) };
+  }
+
+  /**
+   * Push the lease deadline out while the job runs on this node
+   */
+  private renewLease(jobId: string): void {
+    if (this.renewals.has(jobId)) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        await (await this.getRedis()).zadd(LEASES_KEY, 'XX', Date.now() + this.config.leaseTtl, jobId);
+      } catch (error) {
+        logger.warn(`Failed to renew the fair-share lease of job ${jobId}:`, error);
+      }
+    }, Math.max(Math.floor(this.config.leaseTtl / 3), 1));
+    timer.unref();
+    this.renewals.set(jobId, timer);
+  }
+
+  private async touch(snapshot: TenantSnapshot, now: number, organization: string, repository: string): Promise<void> {
+    snapshot.lastSeen[`org:${organization}`] = now;
+    snapshot.lastSeen[`repo:${repository}`] = now;
+    await (await this.getRedis()).hset(LAST_SEEN_KEY, `org:${organization}`, now, `repo:${repository}`, now);
+  }
+
+  private async getRedis(): Promise<Redis> {
+    if (!this.redis) {
+      this.redis = createRedisConnection({ connectionName: 'fair-share', lazyConnect: true });
+    }
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    return this.redis;
+  }
+
+  private static toBasePriority(priority: number): number {
+    return priority >= PRIORITY_BAND ? Math.floor(priority / PRIORITY_BAND) : priority;
+  }
+
+  private static parseTenant(repository: string): { organization: string; repository: string } {
+    return { organization: repository.split('/')[0], repository };
+  }
+}
+
+export default FairShareScheduler;
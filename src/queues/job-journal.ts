@@ -0,0 +1,228 @@
+import { FlowChildJob } from 'bullmq';
+import { PoolClient } from 'pg';
+import database from '../services/database';
+import { JobType } from './config/redis-config';
+
+export type JournalStatus = 'pending' | 'enqueued' | 'active' | 'completed' | 'failed' | 'removed';
+
+export interface JournalEntry {
+  jobId: string;
+  queueName: string;
+  jobType: JobType;
+  data: any;
+  opts: any;
+  children?: FlowChildJob[]; // Set on the root of a flow, delivered through the flow producer
+  status: JournalStatus;
+  attemptsMade: number;
+  failedReason?: string;
+  returnvalue?: any;
+  dispatchedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type NewJournalEntry = Pick<JournalEntry, 'jobId' | 'queueName' | 'jobType' | 'data' | 'opts' | 'children'>;
+
+const COLUMNS = `job_id, queue_name, job_type, data, opts, children, status, attempts_made,
+  failed_reason, returnvalue, dispatched_at, created_at, updated_at`;
+
+const toEntry = (row: any): JournalEntry => ({
+  jobId: row.job_id,
+  queueName: row.queue_name,
+  jobType: row.job_type,
+  data: row.data,
+  opts: row.opts,
+  children: row.children || undefined,
+  status: row.status,
+  attemptsMade: row.attempts_made,
+  failedReason: row.failed_reason || undefined,
+  returnvalue: row.returnvalue ?? undefined,
+  dispatchedAt: row.dispatched_at || undefined,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Postgres journal of queued jobs, doubling as the outbox that delivers
+ * them to Redis
+ */
+export class JobJournal {
+  private static instance: JobJournal;
+
+  private constructor() {}
+
+  public static getInstance(): JobJournal {
+    if (!JobJournal.instance) {
+      JobJournal.instance = new JobJournal();
+    }
+    return JobJournal.instance;
+  }
+
+  /**
+   * Add a job to the outbox as part of the caller's transaction
+   */
+  public async record(client: PoolClient, entry: NewJournalEntry): Promise<void> {
+    await client.query(
+      `INSERT INTO runnerhub.job_journal (job_id, queue_name, job_type, data, opts, children)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        entry.jobId,
+        entry.queueName,
+        entry.jobType,
+        JSON.stringify(entry.data),
+        JSON.stringify(entry.opts),
+        entry.children ? JSON.stringify(entry.children) : null
+      ]
+    );
+  }
+
+  public async markDispatched(jobId: string, client?: PoolClient): Promise<void> {
+    const text = `UPDATE runnerhub.job_journal
+       SET status = 'enqueued', dispatched_at = NOW(), updated_at = NOW()
+       WHERE job_id = $1 AND status = 'pending'`;
+
+    if (client) {
+      await client.query(text, [jobId]);
+    } else {
+      await database.query(text, [jobId]);
+    }
+  }
+
+  /**
+   * Hand undelivered jobs older than the grace period to the dispatcher.
+   * Rows are locked so concurrent relays on other nodes skip them.
+   */
+  public async dispatchPending(
+    graceMs: number,
+    limit: number,
+    dispatch: (entry: JournalEntry) => Promise<void>
+  ): Promise<number> {
+    return database.transaction(async client => {
+      const { rows } = await client.query(
+        `SELECT ${COLUMNS} FROM runnerhub.job_journal
+         WHERE status = 'pending' AND created_at < NOW() - $1 * INTERVAL '1 millisecond'
+         ORDER BY created_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [graceMs, limit]
+      );
+
+      for (const row of rows) {
+        const entry = toEntry(row);
+        await dispatch(entry);
+        await this.markDispatched(entry.jobId, client);
+      }
+      return rows.length;
+    });
+  }
+
+  /**
+   * Record the state of a journaled job, returning false when the job has no
+   * entry of its own
+   */
+  public async updateState(
+    jobId: string,
+    status: JournalStatus,
+    details: { attemptsMade?: number; failedReason?: string; returnvalue?: any } = {}
+  ): Promise<boolean> {
+    const rows = await database.query(
+      `UPDATE runnerhub.job_journal
+       SET status = $2,
+           attempts_made = COALESCE($3, attempts_made),
+           failed_reason = COALESCE($4, failed_reason),
+           returnvalue = COALESCE($5, returnvalue),
+           updated_at = NOW()
+       WHERE job_id = $1
+       RETURNING job_id`,
+      [
+        jobId,
+        status,
+        details.attemptsMade ?? null,
+        details.failedReason ?? null,
+        details.returnvalue === undefined ? null : JSON.stringify(details.returnvalue)
+      ]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Record a job that reached Redis without going through the outbox
+   */
+  public async snapshot(
+    entry: NewJournalEntry & Pick<JournalEntry, 'status' | 'attemptsMade' | 'failedReason' | 'returnvalue'>
+  ): Promise<void> {
+    await database.query(
+      `INSERT INTO runnerhub.job_journal
+         (job_id, queue_name, job_type, data, opts, status, attempts_made, failed_reason, returnvalue, dispatched_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (job_id) DO UPDATE
+       SET status = EXCLUDED.status,
+           data = EXCLUDED.data,
+           attempts_made = EXCLUDED.attempts_made,
+           failed_reason = EXCLUDED.failed_reason,
+           returnvalue = EXCLUDED.returnvalue,
+           updated_at = NOW()`,
+      [
+        entry.jobId,
+        entry.queueName,
+        entry.jobType,
+        JSON.stringify(entry.data),
+        JSON.stringify(entry.opts),
+        entry.status,
+        entry.attemptsMade,
+        entry.failedReason ?? null,
+        entry.returnvalue === undefined ? null : JSON.stringify(entry.returnvalue)
+      ]
+    );
+  }
+
+  /**
+   * Return values of the given jobs that completed, by job id
+   */
+  public async getCompleted(jobIds: string[]): Promise<Map<string, any>> {
+    if (jobIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await database.query<{ job_id: string; returnvalue: any }>(
+      `SELECT job_id, returnvalue FROM runnerhub.job_journal
+       WHERE job_id = ANY($1) AND status = 'completed'`,
+      [jobIds]
+    );
+    return new Map(rows.map(row => [row.job_id, row.returnvalue]));
+  }
+
+  /**
+   * Page through unfinished jobs in job id order
+   */
+  public async getRecoverable(
+    statuses: JournalStatus[],
+    after: Date,
+    limit: number,
+    afterJobId = ''
+  ): Promise<JournalEntry[]> {
+    const rows = await database.query(
+      `SELECT ${COLUMNS} FROM runnerhub.job_journal
+       WHERE status = ANY($1) AND updated_at >= $2 AND job_id > $3
+       ORDER BY job_id
+       LIMIT $4`,
+      [statuses, after, afterJobId, limit]
+    );
+    return rows.map(toEntry);
+  }
+
+  /**
+   * Delete finished jobs last updated before the cutoff
+   */
+  public async cleanup(before: Date): Promise<number> {
+    const rows = await database.query(
+      `DELETE FROM runnerhub.job_journal
+       WHERE status IN ('completed', 'removed') AND updated_at < $1
+       RETURNING job_id`,
+      [before]
+    );
+    return rows.length;
+  }
+}
+
+export default JobJournal;
@@ -1,11 +1,38 @@
-import { Queue, Job, QueueEvents } from 'bullmq';
+import { Queue, Job, JobNode, FlowJob, FlowChildJob, QueueEvents } from 'bullmq';
+import { PoolClient } from 'pg';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger';
 import { DatabaseService } from '../services/database-service';
+import database from '../services/database';
 import { QueueManager } from './queue-manager';
+import { JobJournal, JournalStatus, NewJournalEntry } from './job-journal';
 import { JobType, QUEUE_CONFIG } from './config/redis-config';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 
+export type PersistenceMode = 'file' | 'outbox';
+
+// Outbox rows younger than this are still being delivered by the node that wrote them
+const OUTBOX_GRACE_PERIOD = parseInt(process.env.JOB_OUTBOX_GRACE_PERIOD || '30000', 10);
+
+/**
+ * "outbox" journals jobs in Postgres in the transaction that enqueues them,
+ * "file" keeps the snapshots in JOB_PERSISTENCE_DIR
+ */
+export const getPersistenceMode = (): PersistenceMode =>
+  process.env.JOB_PERSISTENCE_MODE === 'outbox' ? 'outbox' : 'file';
+
+const toJournalStatus = (state: string): JournalStatus => {
+  switch (state) {
+    case 'active':
+    case 'completed':
+    case 'failed':
+      return state;
+    default:
+      return 'enqueued';
+  }
+};
+
 export interface PersistedJob {
   id: string;
   queueName: string;
@@ -35,14 +62,20 @@ export class JobPersistence {
   private static instance: JobPersistence;
   private db: DatabaseService;
   private queueManager: QueueManager;
+  private journal: JobJournal;
+  private mode: PersistenceMode;
   private persistenceDir: string;
   private isRecovering = false;
   
   private constructor() {
     this.db = DatabaseService.getInstance();
     this.queueManager = QueueManager.getInstance();
+    this.journal = JobJournal.getInstance();
+    this.mode = getPersistenceMode();
     this.persistenceDir = process.env.JOB_PERSISTENCE_DIR || '/var/lib/github-runnerhub/jobs';
-    this.ensurePersistenceDirectory();
+    if (this.mode === 'file') {
+      this.ensurePersistenceDirectory();
+    }
   }
   
   public static getInstance(): JobPersistence {
@@ -60,8 +93,127 @@ export class JobPersistence {
     }
   }
   
+  /**
+   * Journal a job and the caller's state changes in one transaction, then
+   * deliver it to Redis. Jobs that cannot be delivered now stay in the
+   * outbox for the relay.
+   */
+  public async enqueue(
+    queueName: string,
+    jobType: JobType,
+    data: any,
+    opts: any = {},
+    write?: (client: PoolClient) => Promise<void>
+  ): Promise<Job> {
+    const jobId = opts.jobId || uuidv4();
+    const node = await this.journalAndDeliver({ jobId, queueName, jobType, data, opts: { ...opts, jobId } }, write);
+    return node.job;
+  }
+  
+  /**
+   * Journal a flow as one entry for its root job and deliver it through the
+   * flow producer, so a lost flow is rebuilt from that entry
+   */
+  public async enqueueFlow(flow: FlowJob, write?: (client: PoolClient) => Promise<void>): Promise<JobNode> {
+    const jobId = flow.opts?.jobId || uuidv4();
+    return this.journalAndDeliver({
+      jobId,
+      queueName: flow.queueName,
+      jobType: flow.name as JobType,
+      data: flow.data,
+      opts: { ...flow.opts, jobId },
+      children: flow.children
+    }, write);
+  }
+  
+  private async journalAndDeliver(
+    entry: NewJournalEntry,
+    write?: (client: PoolClient) => Promise<void>
+  ): Promise<JobNode> {
+    const queue = this.queueManager.getQueue(entry.queueName);
+    if (!queue) {
+      throw new Error(`Queue ${entry.queueName} not found`);
+    }
+    
+    await database.transaction(async client => {
+      await this.journal.record(client, entry);
+      if (write) {
+        await write(client);
+      }
+    });
+    
+    let node: JobNode;
+    try {
+      node = await this.deliver(entry);
+    } catch (error) {
+      logger.warn(`Job ${entry.jobId} kept in the outbox until Redis accepts it:`, error);
+      return { job: new Job(queue, entry.jobType, entry.data, entry.opts, entry.jobId) };
+    }
+    
+    try {
+      await this.journal.markDispatched(entry.jobId);
+    } catch (error) {
+      logger.error(`Failed to mark job ${entry.jobId} as dispatched:`, error);
+    }
+    return node;
+  }
+  
+  /**
+   * Add a journaled job to its queue, or its whole flow when it is the root
+   * of one
+   */
+  private async deliver(entry: NewJournalEntry, overrides: any = {}): Promise<JobNode> {
+    const opts = { ...entry.opts, ...overrides, jobId: entry.jobId };
+    
+    if (entry.children) {
+      return this.queueManager.getFlowProducer().add({
+        name: entry.jobType,
+        queueName: entry.queueName,
+        data: entry.data,
+        opts,
+        children: entry.children
+      });
+    }
+    
+    const queue = this.queueManager.getQueue(entry.queueName);
+    if (!queue) {
+      throw new Error(`Queue ${entry.queueName} not found`);
+    }
+    return { job: await queue.add(entry.jobType, entry.data, opts) };
+  }
+  
+  /**
+   * Deliver outbox jobs whose enqueue did not reach Redis
+   */
+  public async dispatchOutbox(limit = 100): Promise<number> {
+    const dispatched = await this.journal.dispatchPending(OUTBOX_GRACE_PERIOD, limit, async entry => {
+      await this.deliver(entry);
+    });
+    
+    if (dispatched > 0) {
+      logger.info(`Dispatched ${dispatched} jobs from the outbox`);
+    }
+    return dispatched;
+  }
+  
   public async persistJob(job: Job): Promise<void> {
     try {
+      if (this.mode === 'outbox') {
+        await this.journal.snapshot({
+          jobId: job.id!,
+          queueName: job.queueName,
+          jobType: job.name as JobType,
+          data: job.data,
+          opts: job.opts,
+          status: toJournalStatus(await job.getState()),
+          attemptsMade: job.attemptsMade,
+          failedReason: job.failedReason,
+          returnvalue: job.returnvalue ?? undefined
+        });
+        logger.debug(`Journaled job ${job.id} from queue ${job.queueName}`);
+        return;
+      }
+      
       const persistedJob: PersistedJob = {
         id: job.id!,
         queueName: job.queueName,
@@ -162,6 +314,12 @@ export class JobPersistence {
     try {
       logger.info('Starting job recovery process...');
       
+      if (this.mode === 'outbox') {
+        const journalResults = await this.recoverFromJournal(options, new Date(Date.now() - maxAge), batchSize);
+        logger.info('Job recovery completed', journalResults);
+        return journalResults;
+      }
+      
       // Recover from database
       const cutoffDate = new Date(Date.now() - maxAge);
       
@@ -226,6 +384,99 @@ export class JobPersistence {
     return statuses;
   }
   
+  /**
+   * Rebuild the queues from unfinished journal entries, skipping jobs that
+   * are still in Redis
+   */
+  private async recoverFromJournal(
+    options: RecoveryOptions,
+    after: Date,
+    batchSize: number
+  ): Promise<Record<string, number>> {
+    const statuses: JournalStatus[] = [];
+    if (options.recoverFailed ?? true) {
+      statuses.push('failed');
+    }
+    if (options.recoverStalled ?? true) {
+      statuses.push('active');
+    }
+    if (options.recoverIncomplete ?? true) {
+      statuses.push('pending', 'enqueued');
+    }
+    
+    const results: Record<string, number> = {};
+    let afterJobId = '';
+    
+    for (;;) {
+      const entries = await this.journal.getRecoverable(statuses, after, batchSize, afterJobId);
+      
+      for (const entry of entries) {
+        try {
+          const queue = this.queueManager.getQueue(entry.queueName);
+          if (!queue) {
+            logger.error(`Queue ${entry.queueName} not found for recovery`);
+            continue;
+          }
+          
+          if (await queue.getJob(entry.jobId)) {
+            logger.debug(`Job ${entry.jobId} already exists in queue ${entry.queueName}`);
+            continue;
+          }
+          
+          const recovered = entry.children
+            ? { ...entry, children: await this.withCompletedStages(entry.children) }
+            : entry;
+          await this.deliver(recovered, { delay: 0 }); // Process immediately
+          await this.journal.updateState(entry.jobId, 'enqueued');
+          
+          results[entry.queueName] = (results[entry.queueName] || 0) + 1;
+          logger.info(`Recovered job ${entry.jobId} to queue ${entry.queueName}`);
+        } catch (error) {
+          logger.error(`Failed to recover job ${entry.jobId}:`, error);
+        }
+      }
+      
+      if (entries.length < batchSize) {
+        break;
+      }
+      afterJobId = entries[entries.length - 1].jobId;
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Children of a lost flow with the stages that completed before it was
+   * lost turned into leaves returning their journaled result, so they are
+   * not run again and their parents still see their values
+   */
+  private async withCompletedStages(children: FlowChildJob[]): Promise<FlowChildJob[]> {
+    const jobIds: string[] = [];
+    const collect = (nodes: FlowChildJob[]) => {
+      for (const node of nodes) {
+        if (node.opts?.jobId) {
+          jobIds.push(node.opts.jobId);
+        }
+        collect(node.children || []);
+      }
+    };
+    collect(children);
+    
+    const completed = await this.journal.getCompleted(jobIds);
+    const rebuild = (nodes: FlowChildJob[]): FlowChildJob[] => nodes.map(node => {
+      const jobId = node.opts?.jobId;
+      if (jobId && completed.has(jobId)) {
+        return { ...node, data: { ...node.data, recovered: { returnvalue: completed.get(jobId) } }, children: undefined };
+      }
+      return node.children ? { ...node, children: rebuild(node.children) } : node;
+    });
+    
+    if (completed.size > 0) {
+      logger.info(`Skipping ${completed.size} completed stages of the recovered flow`);
+    }
+    return rebuild(children);
+  }
+  
   private async recoverQueueJobs(queueName: string, jobs: PersistedJob[]): Promise<number> {
     const queue = this.queueManager.getQueue(queueName);
     if (!queue) {
@@ -340,6 +591,17 @@ export class JobPersistence {
       await this.persistAllQueues();
     });
     
+    // Deliver jobs left in the outbox by a failed enqueue or a dead node
+    if (this.mode === 'outbox') {
+      setInterval(async () => {
+        try {
+          await this.dispatchOutbox();
+        } catch (error) {
+          logger.error('Outbox dispatch failed:', error);
+        }
+      }, parseInt(process.env.JOB_OUTBOX_RELAY_INTERVAL || '5000', 10));
+    }
+    
     // Periodic persistence
     setInterval(async () => {
       try {
@@ -358,17 +620,44 @@ export class JobPersistence {
         connection: queue.opts.connection
       });
       
-      // Persist failed jobs immediately
-      queueEvents.on('failed', async ({ jobId }) => {
-        try {
-          const job = await queue.getJob(jobId);
-          if (job) {
-            await this.persistJob(job);
+      // Keep the journal in step so recovery skips finished jobs. Failed
+      // jobs are journaled from the event since removeOnFail may drop them.
+      if (this.mode === 'outbox') {
+        const track = (status: JournalStatus) => async (
+          { jobId, failedReason, returnvalue }: { jobId: string; failedReason?: string; returnvalue?: any }
+        ) => {
+          try {
+            const journaled = await this.journal.updateState(jobId, status, { failedReason, returnvalue });
+            
+            // Stages of a flow are journaled with its root; the completed ones
+            // get entries of their own so a rebuilt flow skips them
+            if (!journaled && status === 'completed') {
+              const job = await queue.getJob(jobId);
+              if (job?.parentKey) {
+                await this.persistJob(job);
+              }
+            }
+          } catch (error) {
+            logger.error(`Failed to journal ${status} job ${jobId}:`, error);
           }
-        } catch (error) {
-          logger.error(`Failed to persist failed job ${jobId}:`, error);
-        }
-      });
+        };
+        queueEvents.on('active', track('active'));
+        queueEvents.on('completed', track('completed'));
+        queueEvents.on('failed', track('failed'));
+        queueEvents.on('removed', track('removed'));
+      } else {
+        // Persist failed jobs immediately
+        queueEvents.on('failed', async ({ jobId }) => {
+          try {
+            const job = await queue.getJob(jobId);
+            if (job) {
+              await this.persistJob(job);
+            }
+          } catch (error) {
+            logger.error(`Failed to persist failed job ${jobId}:`, error);
+          }
+        });
+      }
       
       // Persist stalled jobs
       queueEvents.on('stalled', async ({ jobId }) => {
@@ -381,6 +670,7 @@ export class JobPersistence {
           logger.error(`Failed to persist stalled job ${jobId}:`, error);
         }
       });
+
     }
     
     logger.info('Automatic job persistence setup complete');
@@ -391,6 +681,12 @@ export class JobPersistence {
     
     // Clean database
     const cutoffDate = new Date(Date.now() - maxAge);
+    if (this.mode === 'outbox') {
+      cleaned = await this.journal.cleanup(cutoffDate);
+      logger.info(`Cleaned up ${cleaned} finished journal entries`);
+      return cleaned;
+    }
+    
     cleaned += await this.db.cleanupPersistedJobs(cutoffDate);
     
     // Clean files
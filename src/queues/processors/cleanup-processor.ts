@@ -4,6 +4,9 @@ import { logger } from '../../utils/logger';
 import { DockerService } from '../../services/docker-service';
 import { DatabaseService } from '../../services/database-service';
 import { QueueManager } from '../queue-manager';
+import containerOrchestrator from '../../services/container-orchestrator-v2';
+import containerLifecycle from '../../services/container-lifecycle';
+import containerCleanup from '../../services/container-cleanup';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 
@@ -109,6 +112,7 @@ export class CleanupProcessor {
   
   private static async cleanupContainers(job: Job, data: any): Promise<any> {
     const { 
+      scope = 'all',
       maxAge = 24 * 60 * 60 * 1000, // 24 hours default
       includeExited = true,
       includeDead = true,
@@ -116,6 +120,22 @@ export class CleanupProcessor {
     } = data;
     
     try {
+      await job.updateProgress(5);
+
+      // Containers tracked by RunnerHub: finished jobs, stopped containers and cleanup policies
+      await containerOrchestrator.cleanupCompletedContainers();
+      const stoppedRemoved = await containerLifecycle.cleanupStoppedContainers();
+      const policyResult = await containerCleanup.runCleanup();
+
+      if (scope === 'jobs') {
+        await job.updateProgress(100);
+        return {
+          success: true,
+          stoppedRemoved,
+          policyCleaned: policyResult.containersCleaned
+        };
+      }
+
       await job.updateProgress(10);
       
       const dockerService = DockerService.getInstance();
@@ -187,6 +207,8 @@ export class CleanupProcessor {
         success: true,
         cutoffDate,
         results,
+        stoppedRemoved,
+        policyCleaned: policyResult.containersCleaned,
         volumesRemoved: volumes.VolumesDeleted?.length || 0,
         spaceReclaimed: volumes.SpaceReclaimed || 0
       };
@@ -1,37 +1,98 @@
-import { Job } from 'bullmq';
+import { DelayedError, Job, UnrecoverableError } from 'bullmq';
 import { JobType } from '../config/redis-config';
 import { logger } from '../../utils/logger';
 import { DockerService } from '../../services/docker-service';
 import { GitHubService } from '../../services/github-service';
 import { DatabaseService } from '../../services/database-service';
+import { ConcurrencyManager } from '../concurrency-manager';
+import { FairShareScheduler } from '../fair-share-scheduler';
+import { WorkflowFlows, FlowConclusion } from '../workflow-flows';
 
 export class JobProcessor {
-  static async process(job: Job): Promise<any> {
+  static async process(job: Job, token?: string): Promise<any> {
     const { type, data } = job.data;
+    const repository: string | undefined = data?.repository;
+    const fairShare = FairShareScheduler.getInstance();
+    const flows = WorkflowFlows.getInstance();
+    
+    // Completed before its flow was lost and rebuilt from the journal
+    if (job.data.recovered) {
+      return job.data.recovered.returnvalue;
+    }
+    
+    // Run and job nodes of a flow only sum up their children
+    if (type === JobType.WORKFLOW_RUN || type === JobType.WORKFLOW_JOB) {
+      return flows.aggregate(job);
+    }
+    
+    // Conclusion of the stage before this one, for stages of a flow
+    let previous: FlowConclusion | undefined;
+    if (job.data.flow) {
+      const stage = await flows.checkStage(job);
+      
+      if (stage.action === 'wait') {
+        await job.moveToDelayed(Date.now() + flows.getPollInterval(), token);
+        throw new DelayedError();
+      }
+      if (stage.action === 'skip') {
+        logger.info(`Skipping ${type} job ${job.id}: ${stage.conclusion}`);
+        return { success: true, conclusion: stage.conclusion };
+      }
+      previous = stage.conclusion;
+    }
+    
+    // Held back while another run or job holds its concurrency group
+    const concurrency = ConcurrencyManager.getInstance();
+    if (data?.runId !== undefined && !(await concurrency.mayRun(data.runId, data.jobId))) {
+      await job.moveToDelayed(Date.now() + concurrency.getRetryDelay(), token);
+      throw new DelayedError();
+    }
+    
+    // Over its share: hand the slot to another repository and retry later
+    if (repository && !(await fairShare.tryAcquire(repository, job.id!, job.opts.priority))) {
+      await job.moveToDelayed(Date.now() + fairShare.getRetryDelay(), token);
+      throw new DelayedError();
+    }
+    
     logger.info(`Processing job ${job.id} of type ${type}`);
     
     try {
-      switch (type) {
-        case JobType.EXECUTE_WORKFLOW:
-          return await JobProcessor.executeWorkflow(job, data);
-          
-        case JobType.PREPARE_RUNNER:
-          return await JobProcessor.prepareRunner(job, data);
-          
-        case JobType.CLEANUP_RUNNER:
-          return await JobProcessor.cleanupRunner(job, data);
-          
-        default:
-          throw new Error(`Unknown job type: ${type}`);
-      }
+      const result = await JobProcessor.processStage(job, type, data);
+      return previous ? { ...result, conclusion: flows.conclude(type, result, previous) } : result;
     } catch (error) {
       logger.error(`Error processing job ${job.id}:`, error);
       throw error;
+    } finally {
+      if (repository) {
+        await fairShare.release(repository, job.id!);
+      }
+    }
+  }
+  
+  private static async processStage(job: Job, type: JobType, data: any): Promise<any> {
+    switch (type) {
+      case JobType.EXECUTE_WORKFLOW:
+        return JobProcessor.executeWorkflow(job, data);
+        
+      case JobType.PREPARE_RUNNER:
+        return JobProcessor.prepareRunner(job, data);
+        
+      case JobType.CLEANUP_RUNNER:
+        return JobProcessor.cleanupRunner(job, data);
+        
+      default:
+        throw new Error(`Unknown job type: ${type}`);
     }
   }
   
   private static async executeWorkflow(job: Job, data: any): Promise<any> {
-    const { workflowId, repository, runId, jobName } = data;
+    const { workflowId, repository, runId, jobId, jobName } = data;
+    const concurrency = ConcurrencyManager.getInstance();
+    let executionContainerId: string | undefined;
+    
+    if (await concurrency.isCancelled(runId, jobId)) {
+      throw new UnrecoverableError(`Workflow run ${runId} was cancelled`);
+    }
     
     // Update job progress
     await job.updateProgress(10);
@@ -50,6 +111,8 @@ export class JobProcessor {
         jobName,
         environment: data.environment || {}
       });
+      concurrency.registerExecution(containerId, runId, jobId);
+      executionContainerId = containerId;
       
       // 3. Execute the workflow
       await job.updateProgress(50);
@@ -88,10 +151,22 @@ export class JobProcessor {
         artifactsCount: artifacts.length
       };
     } catch (error) {
+      const db = DatabaseService.getInstance();
+      
+      // Stopped because the run was cancelled; retrying would restart it
+      if (await concurrency.isCancelled(runId, jobId)) {
+        logger.info(`Workflow execution for ${workflowId} was cancelled`);
+        await db.updateJobStatus(runId, {
+          status: 'cancelled',
+          result: 'cancelled',
+          completedAt: new Date()
+        });
+        throw new UnrecoverableError(`Workflow run ${runId} was cancelled`);
+      }
+      
       logger.error(`Workflow execution failed for ${workflowId}:`, error);
       
       // Update job status in database
-      const db = DatabaseService.getInstance();
       await db.updateJobStatus(runId, {
         status: 'failed',
         result: 'failure',
@@ -100,6 +175,10 @@ export class JobProcessor {
       });
       
       throw error;
+    } finally {
+      if (executionContainerId) {
+        concurrency.unregisterExecution(executionContainerId);
+      }
     }
   }
   
@@ -5,6 +5,8 @@ import { MonitoringService } from '../../services/monitoring-service';
 import { AlertingService } from '../../services/alerting-service';
 import { DatabaseService } from '../../services/database-service';
 import { MetricsCollector } from '../../services/metrics-collector';
+import monitoring from '../../services/monitoring';
+import monitoringEnhanced from '../../services/monitoring-enhanced';
 
 export class MonitoringProcessor {
   static async process(job: Job): Promise<any> {
@@ -73,7 +75,11 @@ export class MonitoringProcessor {
         metrics
       });
       
-      // 6. Check for anomalies
+      // 6. Publish the dashboard metrics
+      await monitoring.emitSystemMetrics();
+      await monitoringEnhanced.emitSystemMetrics();
+
+      // 7. Check for anomalies
       const monitoringService = MonitoringService.getInstance();
       const anomalies = await monitoringService.detectAnomalies(metrics);
       
@@ -1,10 +1,15 @@
 import { Job } from 'bullmq';
+import { PoolClient } from 'pg';
 import { JobType } from '../config/redis-config';
 import { logger } from '../../utils/logger';
 import { GitHubService } from '../../services/github-service';
 import { DatabaseService } from '../../services/database-service';
+import database from '../../services/database';
 import { QueueManager } from '../queue-manager';
+import { ConcurrencyManager } from '../concurrency-manager';
+import { WorkflowFlows } from '../workflow-flows';
 import { QUEUE_CONFIG } from '../config/redis-config';
+import webhookReconciler from '../../services/webhook-reconciler';
 
 export class WebhookProcessor {
   static async process(job: Job): Promise<any> {
@@ -19,6 +24,9 @@ export class WebhookProcessor {
         case JobType.SYNC_GITHUB_DATA:
           return await WebhookProcessor.syncGithubData(job, data);
           
+        case JobType.RECONCILE_WEBHOOKS:
+          return await webhookReconciler.reconcile();
+          
         default:
           throw new Error(`Unknown webhook job type: ${type}`);
       }
@@ -117,81 +125,121 @@ export class WebhookProcessor {
     
     await job.updateProgress(40);
     
-    const db = DatabaseService.getInstance();
+    const concurrency = ConcurrencyManager.getInstance();
+    
+    if (action !== 'completed' && await concurrency.isCancelled(workflow_job.run_id, workflow_job.id)) {
+      logger.info(`Ignoring ${action} event for cancelled job ${workflow_job.id}`);
+      return;
+    }
+    
+    // Stages of runs turned into flows are already queued
+    const inFlow = await WorkflowFlows.getInstance().hasFlow(workflow_job.run_id, workflow_job.run_attempt);
+    
+    // Job records are written with the stage they queue, so neither exists without the other
+    const queueStage = async (
+      jobType: JobType,
+      data: any,
+      priority: number,
+      write: (client: PoolClient) => Promise<void>
+    ): Promise<void> => {
+      if (inFlow) {
+        await database.transaction(write);
+        return;
+      }
+      await queueManager.addJob(
+        QUEUE_CONFIG.queues.JOB_EXECUTION,
+        jobType,
+        { type: jobType, data },
+        { priority },
+        write
+      );
+    };
     
     switch (action) {
       case 'queued':
+        // May cancel the job holding the job's concurrency group
+        await concurrency.enterJobGroup(workflow_job.run_id, workflow_job.name, workflow_job.id);
+        
         // New job queued - prepare runner
-        await queueManager.addJob(
-          QUEUE_CONFIG.queues.JOB_EXECUTION,
+        await queueStage(
           JobType.PREPARE_RUNNER,
           {
-            type: JobType.PREPARE_RUNNER,
-            data: {
-              runnerId: workflow_job.runner_id,
-              labels: workflow_job.labels,
-              workDirectory: `/workspace/${repository.name}/${workflow_job.id}`
-            }
+            runnerId: workflow_job.runner_id,
+            runId: workflow_job.run_id,
+            jobId: workflow_job.id,
+            repository: repository.full_name,
+            labels: workflow_job.labels,
+            workDirectory: `/workspace/${repository.name}/${workflow_job.id}`
           },
-          { priority: QUEUE_CONFIG.priorities.HIGH }
+          QUEUE_CONFIG.priorities.HIGH,
+          async client => {
+            await client.query(
+              `INSERT INTO runnerhub.jobs
+               (github_job_id, repository, workflow_name, job_name, status, labels, metadata, created_at)
+               VALUES ($1, $2, $3, $4, 'queued', $5, $6, $7)
+               ON CONFLICT (github_job_id) DO NOTHING`,
+              [
+                workflow_job.id,
+                repository.full_name,
+                workflow_job.workflow_name || 'unknown',
+                workflow_job.name,
+                workflow_job.labels,
+                JSON.stringify({ runId: workflow_job.run_id }),
+                new Date(workflow_job.created_at)
+              ]
+            );
+          }
         );
-        
-        await db.createJobRecord({
-          jobId: workflow_job.id,
-          runId: workflow_job.run_id,
-          repository: repository.full_name,
-          name: workflow_job.name,
-          status: 'queued',
-          labels: workflow_job.labels,
-          createdAt: new Date(workflow_job.created_at)
-        });
         break;
         
       case 'in_progress':
         // Job started - execute workflow
-        await queueManager.addJob(
-          QUEUE_CONFIG.queues.JOB_EXECUTION,
+        await queueStage(
           JobType.EXECUTE_WORKFLOW,
           {
-            type: JobType.EXECUTE_WORKFLOW,
-            data: {
-              workflowId: workflow_job.id,
-              repository: repository.full_name,
-              runId: workflow_job.run_id,
-              jobName: workflow_job.name,
-              commands: workflow_job.steps,
-              environment: workflow_job.env
-            }
+            workflowId: workflow_job.id,
+            jobId: workflow_job.id,
+            repository: repository.full_name,
+            runId: workflow_job.run_id,
+            jobName: workflow_job.name,
+            commands: workflow_job.steps,
+            environment: workflow_job.env
           },
-          { priority: QUEUE_CONFIG.priorities.CRITICAL }
+          QUEUE_CONFIG.priorities.CRITICAL,
+          async client => {
+            await client.query(
+              `UPDATE runnerhub.jobs
+               SET status = 'in_progress', started_at = $2, updated_at = NOW()
+               WHERE github_job_id = $1`,
+              [workflow_job.id, new Date(workflow_job.started_at)]
+            );
+          }
         );
-        
-        await db.updateJobRecord(workflow_job.id, {
-          status: 'in_progress',
-          startedAt: new Date(workflow_job.started_at)
-        });
         break;
         
       case 'completed':
+        await concurrency.releaseJob(workflow_job.run_id, workflow_job.id);
+        
         // Job completed - cleanup
-        await queueManager.addJob(
-          QUEUE_CONFIG.queues.JOB_EXECUTION,
+        await queueStage(
           JobType.CLEANUP_RUNNER,
           {
-            type: JobType.CLEANUP_RUNNER,
-            data: {
-              runnerId: workflow_job.runner_id,
-              force: false
-            }
+            runnerId: workflow_job.runner_id,
+            force: false
           },
-          { priority: QUEUE_CONFIG.priorities.LOW }
+          QUEUE_CONFIG.priorities.LOW,
+          async client => {
+            await client.query(
+              `UPDATE runnerhub.jobs
+               SET status = 'completed',
+                   completed_at = $2,
+                   metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('conclusion', $3::text),
+                   updated_at = NOW()
+               WHERE github_job_id = $1`,
+              [workflow_job.id, new Date(workflow_job.completed_at), workflow_job.conclusion]
+            );
+          }
         );
-        
-        await db.updateJobRecord(workflow_job.id, {
-          status: 'completed',
-          conclusion: workflow_job.conclusion,
-          completedAt: new Date(workflow_job.completed_at)
-        });
         break;
     }
     
@@ -220,6 +268,32 @@ export class WebhookProcessor {
       updatedAt: new Date(workflow_run.updated_at)
     });
     
+    const concurrency = ConcurrencyManager.getInstance();
+    if (action === 'requested') {
+      let content: string | undefined;
+      try {
+        // Entering the run's concurrency group may cancel older runs
+        content = await concurrency.registerRun(workflow_run, repository);
+      } catch (error) {
+        logger.warn(`Failed to read concurrency groups of run ${workflow_run.id}:`, error);
+      }
+      
+      const flows = WorkflowFlows.getInstance();
+      if (content !== undefined && flows.isEnabled()) {
+        try {
+          await flows.createRunFlow(workflow_run, repository, content);
+        } catch (error) {
+          logger.warn(`Failed to create flow for run ${workflow_run.id}, queueing from job events:`, error);
+        }
+      }
+    } else if (action === 'completed') {
+      if (workflow_run.conclusion === 'cancelled') {
+        await concurrency.cancelRun(workflow_run.id, 'workflow run cancelled');
+      } else {
+        await concurrency.releaseRun(workflow_run.id);
+      }
+    }
+    
     // Queue monitoring update
     await queueManager.addJob(
       QUEUE_CONFIG.queues.MONITORING,
@@ -1,15 +1,20 @@
-import { Queue, Worker, QueueScheduler, FlowProducer, Job } from 'bullmq';
+import { Queue, Worker, QueueScheduler, FlowProducer, FlowJob, Job, JobNode, NodeOpts } from 'bullmq';
+import { PoolClient } from 'pg';
 import { createBullBoard } from '@bull-board/api';
 import { BullMQAdapter } from '@bull-board/api/bullMQAdapter';
 import { ExpressAdapter } from '@bull-board/express';
 import { Express } from 'express';
 import { getBullConnectionOptions, QUEUE_CONFIG, JobType } from './config/redis-config';
 import { logger } from '../utils/logger';
+import database from '../services/database';
 import { JobProcessor } from './processors/job-processor';
 import { ContainerProcessor } from './processors/container-processor';
 import { MonitoringProcessor } from './processors/monitoring-processor';
 import { WebhookProcessor } from './processors/webhook-processor';
 import { CleanupProcessor } from './processors/cleanup-processor';
+import { FairShareScheduler } from './fair-share-scheduler';
+import { JobPersistence, getPersistenceMode } from './job-persistence';
+import { RetryHandler } from './retry-handler';
 
 export interface QueueManagerOptions {
   enableScheduler?: boolean;
@@ -228,6 +233,9 @@ export class QueueManager {
       logger.error(`Job ${job?.id} failed in worker ${name}:`, error);
     });
     
+    // Retry strategies decide which failed jobs are dead-lettered
+    RetryHandler.getInstance().attachToWorker(worker);
+    
     worker.on('error', (error) => {
       logger.error(`Worker ${name} error:`, error);
     });
@@ -238,11 +246,17 @@ export class QueueManager {
   }
 
   // Public methods for job management
+  /**
+   * Queue a job. `write` holds the caller's state changes; in outbox mode
+   * they commit in the transaction that journals the job, otherwise they
+   * commit before the job is queued.
+   */
   public async addJob(
     queueName: string,
     jobType: JobType,
     data: any,
-    options: any = {}
+    options: any = {},
+    write?: (client: PoolClient) => Promise<void>
   ): Promise<Job> {
     const queue = this.queues.get(queueName);
     if (!queue) {
@@ -254,6 +268,20 @@ export class QueueManager {
       ...options
     };
     
+    // Interleave repositories instead of running one repository's backlog first
+    const repository = data?.data?.repository;
+    if (queueName === QUEUE_CONFIG.queues.JOB_EXECUTION && typeof repository === 'string') {
+      jobOptions.priority = await FairShareScheduler.getInstance().enqueue(repository, jobOptions.priority);
+    }
+    
+    // Journal the job in Postgres first so it outlives a Redis loss
+    if (getPersistenceMode() === 'outbox') {
+      return JobPersistence.getInstance().enqueue(queueName, jobType, data, jobOptions, write);
+    }
+    
+    if (write) {
+      await database.transaction(write);
+    }
     const job = await queue.add(jobType, data, jobOptions);
     logger.info(`Job ${job.id} added to queue ${queueName}, type: ${jobType}`);
     
@@ -275,15 +303,80 @@ export class QueueManager {
     return bulkJobs;
   }
 
-  public async createFlow(flowData: any): Promise<any> {
+  public async createFlow(flowData: FlowJob): Promise<JobNode> {
+    // Journaled as a whole so the flow outlives a Redis loss
+    const flow = getPersistenceMode() === 'outbox'
+      ? await JobPersistence.getInstance().enqueueFlow(flowData)
+      : await this.getFlowProducer().add(flowData);
+    logger.info('Flow created successfully');
+    
+    return flow;
+  }
+
+  public getFlowProducer(): FlowProducer {
     if (!this.flowProducer) {
       throw new Error('Flow producer not initialized');
     }
     
-    const flow = await this.flowProducer.add(flowData);
-    logger.info('Flow created successfully');
+    return this.flowProducer;
+  }
+
+  public async getFlow(opts: NodeOpts): Promise<JobNode | undefined> {
+    if (!this.flowProducer) {
+      throw new Error('Flow producer not initialized');
+    }
     
-    return flow;
+    return this.flowProducer.getFlow(opts);
+  }
+
+  /**
+   * Start processing schedules on this node. Only the leader does, so
+   * maintenance jobs run once per cluster
+   */
+  public startScheduledWorker(): void {
+    if (this.workers.has(QUEUE_CONFIG.queues.SCHEDULED)) {
+      return;
+    }
+    
+    const connection = getBullConnectionOptions();
+    const worker = new Worker(
+      QUEUE_CONFIG.queues.SCHEDULED,
+      QueueManager.processScheduledJob,
+      {
+        connection: connection.connection,
+        concurrency: 1
+      }
+    );
+    this.workers.set(QUEUE_CONFIG.queues.SCHEDULED, worker);
+    this.setupWorkerEventListeners(worker, QUEUE_CONFIG.queues.SCHEDULED);
+    logger.info('Scheduled job worker started');
+  }
+
+  public async stopScheduledWorker(): Promise<void> {
+    const worker = this.workers.get(QUEUE_CONFIG.queues.SCHEDULED);
+    if (!worker) {
+      return;
+    }
+    
+    this.workers.delete(QUEUE_CONFIG.queues.SCHEDULED);
+    await worker.close();
+    logger.info('Scheduled job worker stopped');
+  }
+
+  private static async processScheduledJob(job: Job): Promise<any> {
+    switch (job.data.type) {
+      case JobType.COLLECT_METRICS:
+        return MonitoringProcessor.process(job);
+        
+      case JobType.HEALTH_CHECK:
+        return ContainerProcessor.process(job);
+        
+      case JobType.RECONCILE_WEBHOOKS:
+        return WebhookProcessor.process(job);
+        
+      default:
+        return CleanupProcessor.process(job);
+    }
   }
 
   public getQueue(queueName: string): Queue | undefined {
@@ -4,6 +4,8 @@ import { QueueManager } from './queue-manager';
 import { JobType, QUEUE_CONFIG } from './config/redis-config';
 import { AlertingService } from '../services/alerting-service';
 import { DatabaseService } from '../services/database-service';
+import { DeadLetterQueue } from './dead-letter-queue';
+import { ConcurrencyManager } from './concurrency-manager';
 
 export interface RetryStrategy {
   maxAttempts: number;
@@ -204,12 +206,7 @@ export class RetryHandler {
         }
         
         // Check if error is explicitly retryable
-        if (strategy.retryableErrors && !strategy.retryableErrors.includes(error.message)) {
-          return false;
-        }
-        
-        // Check max attempts
-        return job.attemptsMade < strategy.maxAttempts;
+        return !strategy.retryableErrors || strategy.retryableErrors.includes(error.message);
       }
     };
     
@@ -236,6 +233,11 @@ export class RetryHandler {
       onMaxAttemptsReached: async (job: Job, error: Error) => {
         await defaultHandler.onMaxAttemptsReached(job, error);
         
+        // Flow runs clean up in their own CLEANUP_RUNNER stage
+        if (job.data.flow) {
+          return;
+        }
+        
         // Trigger cleanup
         const queueManager = QueueManager.getInstance();
         await queueManager.addJob(
@@ -319,29 +321,45 @@ export class RetryHandler {
     // Execute failure handler
     await handler.onFailure(job, error);
     
-    // Check if should retry
-    const shouldRetry = await handler.shouldRetry(job, error);
+    // BullMQ retries by the job's own attempts and has already scheduled the
+    // next one by the time its failure is handled here
+    const attempts = job.opts?.attempts ?? 1;
+    if (job.attemptsMade < attempts && !(error instanceof UnrecoverableError)) {
+      logger.info(`Job ${job.id} will retry (attempt ${job.attemptsMade + 1}/${attempts})`);
+      throw error;
+    }
     
-    if (!shouldRetry) {
+    if (!(await handler.shouldRetry(job, error))) {
       // Mark as unrecoverable
+      await this.deadLetter(job, error);
       throw new UnrecoverableError(error.message);
     }
     
-    // Check if max attempts reached
-    const strategy = this.getRetryStrategy(job.name as JobType);
-    if (strategy && job.attemptsMade >= strategy.maxAttempts) {
-      await handler.onMaxAttemptsReached(job, error);
-      throw new UnrecoverableError(`Max attempts (${strategy.maxAttempts}) reached`);
+    await handler.onMaxAttemptsReached(job, error);
+    await this.deadLetter(job, error);
+    throw new UnrecoverableError(`Max attempts (${attempts}) reached`);
+  }
+  
+  private async deadLetter(job: Job, error: Error): Promise<void> {
+    const { type, data } = job.data || {};
+
+    // Run and job nodes fail along with one of their stages, which is dead-lettered instead
+    if (type === JobType.WORKFLOW_RUN || type === JobType.WORKFLOW_JOB) {
+      return;
+    }
+
+    try {
+      // Stopped on purpose, there is nothing to replay
+      if (data?.runId !== undefined && await ConcurrencyManager.getInstance().isCancelled(data.runId, data.jobId)) {
+        logger.info(`Not dead-lettering job ${job.id} of cancelled run ${data.runId}`);
+        return;
+      }
+
+      await DeadLetterQueue.getInstance().add(job, error);
+    } catch (dlqError) {
+      // The job stays in the failed set of its queue
+      logger.error(`Failed to dead-letter job ${job.id}:`, dlqError);
     }
-    
-    // Calculate backoff
-    const backoffDelay = this.calculateBackoff(job.name as JobType, job.attemptsMade);
-    
-    // Log retry
-    logger.info(`Job ${job.id} will retry in ${backoffDelay}ms (attempt ${job.attemptsMade + 1}/${strategy?.maxAttempts})`);
-    
-    // Throw error to trigger retry
-    throw error;
   }
   
   public attachToWorker(worker: Worker): void {
@@ -0,0 +1,397 @@
+import { Job, Queue } from 'bullmq';
+import { parseExpression } from 'cron-parser';
+import { createLogger } from '../utils/logger';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors';
+import { QueueManager } from './queue-manager';
+import { JobType, QUEUE_CONFIG } from './config/redis-config';
+import LeaderElectionService from '../services/leader-election';
+
+const logger = createLogger('ScheduleRegistry');
+
+const SCHEDULES_KEY = 'runnerhub:schedules';
+const SEEDED_DEFAULTS_KEY = 'runnerhub:schedules:defaults';
+const SCHEDULE_ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const LEADERSHIP_RETRY_DELAY = 10000;
+
+export const SCHEDULABLE_JOB_TYPES = [
+  JobType.CLEANUP_OLD_JOBS,
+  JobType.CLEANUP_CONTAINERS,
+  JobType.CLEANUP_LOGS,
+  JobType.COLLECT_METRICS,
+  JobType.HEALTH_CHECK,
+  JobType.RECONCILE_WEBHOOKS
+];
+
+export interface Schedule {
+  id: string;
+  type: JobType;
+  cron?: string;
+  every?: number; // ms, instead of a cron pattern
+  timezone?: string;
+  data: Record<string, any>;
+  paused: boolean;
+  createdAt: string;
+  updatedAt: string;
+  updatedBy?: string;
+  nextRunAt?: string;
+}
+
+export type ScheduleInput = Partial<Pick<Schedule, 'type' | 'cron' | 'every' | 'timezone' | 'data'>>;
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+// Seeded once; edits and deletions made through the API are kept
+const DEFAULT_SCHEDULES: Array<ScheduleInput & { id: string }> = [
+  {
+    id: 'collect-metrics',
+    type: JobType.COLLECT_METRICS,
+    every: 60000,
+    data: { targets: ['system', 'containers', 'queues', 'application'] }
+  },
+  {
+    id: 'cleanup-containers',
+    type: JobType.CLEANUP_CONTAINERS,
+    cron: '0 */6 * * *',
+    data: { maxAge: 24 * 60 * 60 * 1000 }
+  },
+  {
+    // Containers of finished jobs and the cleanup policies, without the full Docker sweep
+    id: 'cleanup-job-containers',
+    type: JobType.CLEANUP_CONTAINERS,
+    every: 5 * 60 * 1000,
+    data: { scope: 'jobs' }
+  },
+  {
+    id: 'cleanup-old-jobs',
+    type: JobType.CLEANUP_OLD_JOBS,
+    cron: '0 2 * * *',
+    data: { maxAge: 7 * 24 * 60 * 60 * 1000 }
+  },
+  {
+    id: 'cleanup-logs',
+    type: JobType.CLEANUP_LOGS,
+    cron: '0 3 * * 0',
+    data: { maxAge: 30 * 24 * 60 * 60 * 1000 }
+  },
+  {
+    id: 'reconcile-webhooks',
+    type: JobType.RECONCILE_WEBHOOKS,
+    cron: '*/15 * * * *',
+    data: {}
+  }
+];
+
+// Also run once by a node that becomes leader, catching up on what happened
+// while no node was running them
+const RUN_ON_LEADERSHIP = ['reconcile-webhooks'];
+
+/**
+ * Maintenance schedules backed by BullMQ job schedulers. Definitions are
+ * kept in Redis next to the schedulers so paused schedules survive restarts;
+ * the scheduled queue is only processed on the leader.
+ */
+export class ScheduleRegistry {
+  private static instance: ScheduleRegistry;
+  private leader = false;
+  private election?: LeaderElectionService;
+
+  private constructor() {}
+
+  public static getInstance(): ScheduleRegistry {
+    if (!ScheduleRegistry.instance) {
+      ScheduleRegistry.instance = new ScheduleRegistry();
+    }
+    return ScheduleRegistry.instance;
+  }
+
+  public isLeader(): boolean {
+    return this.leader;
+  }
+
+  /**
+   * Follow the leader election, running schedules while this node leads
+   */
+  public async bindLeaderElection(election: LeaderElectionService): Promise<void> {
+    this.election = election;
+    election.on('leadership:acquired', () => this.onLeadershipChange(true));
+    election.on('leadership:lost', () => this.onLeadershipChange(false));
+    await this.setLeader(election.isCurrentLeader());
+  }
+
+  public async setLeader(leader: boolean): Promise<void> {
+    if (leader === this.leader) {
+      return;
+    }
+
+    const queueManager = QueueManager.getInstance();
+    if (leader) {
+      // Only lead once the schedulers are in place
+      await this.sync();
+      this.leader = true;
+      queueManager.startScheduledWorker();
+      logger.info('Running schedules on this node');
+      await this.runOnLeadership();
+    } else {
+      this.leader = false;
+      await queueManager.stopScheduledWorker();
+      logger.info('Stopped running schedules on this node');
+    }
+  }
+
+  public async list(): Promise<Schedule[]> {
+    const client = await this.getQueue().client;
+    const stored = await client.hgetall(SCHEDULES_KEY);
+    const schedules: Schedule[] = Object.values(stored).map(value => JSON.parse(value));
+
+    const nextRuns = new Map<string, number | undefined>();
+    for (const scheduler of await this.getQueue().getJobSchedulers()) {
+      nextRuns.set(scheduler.key, scheduler.next);
+    }
+
+    return schedules
+      .map(schedule => {
+        const next = nextRuns.get(schedule.id);
+        return next ? { ...schedule, nextRunAt: new Date(next).toISOString() } : schedule;
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  public async get(id: string): Promise<Schedule | undefined> {
+    const client = await this.getQueue().client;
+    const stored = await client.hget(SCHEDULES_KEY, id);
+    return stored ? JSON.parse(stored) : undefined;
+  }
+
+  public async create(id: string, input: ScheduleInput, updatedBy?: string): Promise<Schedule> {
+    if (!id || !SCHEDULE_ID_REGEX.test(id)) {
+      throw new ValidationError('Schedule id must be 1-64 letters, digits, dashes or underscores');
+    }
+    if (await this.get(id)) {
+      throw new ConflictError(`Schedule ${id} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const schedule: Schedule = {
+      id,
+      type: input.type!,
+      cron: input.cron,
+      every: input.every,
+      timezone: input.cron ? input.timezone || DEFAULT_TIMEZONE : undefined,
+      data: input.data || {},
+      paused: false,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy
+    };
+    this.validate(schedule);
+
+    await this.save(schedule);
+    logger.info(`Schedule ${id} created for ${schedule.type}`, { cron: schedule.cron, every: schedule.every });
+    return schedule;
+  }
+
+  public async update(id: string, input: ScheduleInput, updatedBy?: string): Promise<Schedule> {
+    const existing = await this.require(id);
+
+    // Switching between cron and interval replaces the other
+    const timing = input.cron ? { every: undefined } : input.every ? { cron: undefined, timezone: undefined } : {};
+    const changes = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+    const schedule: Schedule = {
+      ...existing,
+      ...timing,
+      ...changes,
+      id,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+    if (schedule.cron && !schedule.timezone) {
+      schedule.timezone = DEFAULT_TIMEZONE;
+    }
+    this.validate(schedule);
+
+    await this.save(schedule);
+    logger.info(`Schedule ${id} updated`);
+    return schedule;
+  }
+
+  public async delete(id: string): Promise<boolean> {
+    const client = await this.getQueue().client;
+    const removed = await client.hdel(SCHEDULES_KEY, id);
+    await this.getQueue().removeJobScheduler(id);
+
+    if (removed > 0) {
+      logger.info(`Schedule ${id} deleted`);
+    }
+    return removed > 0;
+  }
+
+  public async pause(id: string, updatedBy?: string): Promise<Schedule> {
+    return this.setPaused(id, true, updatedBy);
+  }
+
+  public async resume(id: string, updatedBy?: string): Promise<Schedule> {
+    return this.setPaused(id, false, updatedBy);
+  }
+
+  /**
+   * Run a schedule once now, whether it is paused or not
+   */
+  public async runNow(id: string): Promise<Job> {
+    const schedule = await this.require(id);
+    const job = await this.getQueue().add(schedule.type, this.template(schedule), { removeOnComplete: true });
+
+    logger.info(`Schedule ${id} triggered manually as job ${job.id}`);
+    return job;
+  }
+
+  /**
+   * Create the built-in maintenance schedules that were never seeded
+   */
+  public async ensureDefaults(): Promise<void> {
+    const client = await this.getQueue().client;
+
+    for (const { id, ...input } of DEFAULT_SCHEDULES) {
+      if (await client.sismember(SEEDED_DEFAULTS_KEY, id)) {
+        continue;
+      }
+      if (!(await this.get(id))) {
+        await this.create(id, input);
+      }
+      await client.sadd(SEEDED_DEFAULTS_KEY, id);
+    }
+  }
+
+  private async runOnLeadership(): Promise<void> {
+    for (const id of RUN_ON_LEADERSHIP) {
+      const schedule = await this.get(id);
+      if (schedule && !schedule.paused) {
+        await this.runNow(id);
+      }
+    }
+  }
+
+  private async onLeadershipChange(leader: boolean): Promise<void> {
+    try {
+      await this.setLeader(leader);
+    } catch (error) {
+      logger.error('Failed to follow leadership change:', error);
+      if (leader) {
+        // Keep trying to take over the schedules while this node still leads
+        setTimeout(() => {
+          if (this.election?.isCurrentLeader()) {
+            void this.onLeadershipChange(true);
+          }
+        }, LEADERSHIP_RETRY_DELAY).unref();
+      }
+    }
+  }
+
+  /**
+   * Bring the job schedulers in line with the stored definitions
+   */
+  private async sync(): Promise<void> {
+    const schedules = await this.list();
+    const active = new Set(schedules.filter(schedule => !schedule.paused).map(schedule => schedule.id));
+
+    for (const scheduler of await this.getQueue().getJobSchedulers()) {
+      if (!active.has(scheduler.key)) {
+        await this.getQueue().removeJobScheduler(scheduler.key);
+      }
+    }
+    for (const schedule of schedules) {
+      if (!schedule.paused) {
+        await this.apply(schedule);
+      }
+    }
+    logger.info(`Synchronized ${active.size} active schedules`);
+  }
+
+  private async setPaused(id: string, paused: boolean, updatedBy?: string): Promise<Schedule> {
+    const schedule = await this.require(id);
+    const updated = { ...schedule, paused, updatedAt: new Date().toISOString(), updatedBy };
+
+    await this.save(updated);
+    logger.info(`Schedule ${id} ${paused ? 'paused' : 'resumed'}`);
+    return updated;
+  }
+
+  /**
+   * Update the job scheduler first, so a definition is only stored once
+   * BullMQ accepted it
+   */
+  private async save(schedule: Schedule): Promise<void> {
+    if (schedule.paused) {
+      await this.getQueue().removeJobScheduler(schedule.id);
+    } else {
+      await this.apply(schedule);
+    }
+
+    const client = await this.getQueue().client;
+    await client.hset(SCHEDULES_KEY, schedule.id, JSON.stringify({ ...schedule, nextRunAt: undefined }));
+  }
+
+  private async apply(schedule: Schedule): Promise<void> {
+    const repeat = schedule.cron
+      ? { pattern: schedule.cron, tz: schedule.timezone }
+      : { every: schedule.every };
+
+    await this.getQueue().upsertJobScheduler(schedule.id, repeat, {
+      name: schedule.type,
+      data: this.template(schedule),
+      opts: { removeOnComplete: true }
+    });
+  }
+
+  private template(schedule: Schedule): Record<string, any> {
+    return { type: schedule.type, data: schedule.data, scheduleId: schedule.id };
+  }
+
+  private validate(schedule: Schedule): void {
+    if (!SCHEDULABLE_JOB_TYPES.includes(schedule.type)) {
+      throw new ValidationError(`Job type must be one of: ${SCHEDULABLE_JOB_TYPES.join(', ')}`);
+    }
+    if (!schedule.cron === !schedule.every) {
+      throw new ValidationError('Exactly one of cron or every is required');
+    }
+    if (schedule.every !== undefined && (!Number.isInteger(schedule.every) || schedule.every < 1000)) {
+      throw new ValidationError('every must be a whole number of milliseconds, at least 1000');
+    }
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch {
+        throw new ValidationError(`Unknown time zone: ${schedule.timezone}`);
+      }
+    }
+    if (schedule.cron) {
+      // Parsed like BullMQ parses it when scheduling
+      const fields = schedule.cron.trim().split(/\s+/).length;
+      try {
+        if (![5, 6].includes(fields)) {
+          throw new Error(`expected 5 or 6 fields, got ${fields}`);
+        }
+        parseExpression(schedule.cron, { tz: schedule.timezone }).next();
+      } catch (error) {
+        throw new ValidationError(`Invalid cron expression: ${schedule.cron} (${(error as Error).message})`);
+      }
+    }
+  }
+
+  private async require(id: string): Promise<Schedule> {
+    const schedule = await this.get(id);
+    if (!schedule) {
+      throw new NotFoundError(`Schedule ${id} not found`);
+    }
+    return schedule;
+  }
+
+  private getQueue(): Queue {
+    const queue = QueueManager.getInstance().getQueue(QUEUE_CONFIG.queues.SCHEDULED);
+    if (!queue) {
+      throw new Error(`Queue ${QUEUE_CONFIG.queues.SCHEDULED} not found`);
+    }
+    return queue;
+  }
+}
+
+export default ScheduleRegistry;
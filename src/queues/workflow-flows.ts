@@ -0,0 +1,480 @@
+import { FlowJob, Job, JobNode, Queue } from 'bullmq';
+import { createLogger } from '../utils/logger';
+import { QueueManager } from './queue-manager';
+import { ConcurrencyManager } from './concurrency-manager';
+import { FairShareScheduler } from './fair-share-scheduler';
+import { JobType, QUEUE_CONFIG } from './config/redis-config';
+import { JobParser, MatrixExpansion, ParsedJob } from '../orchestrator/job-parser';
+import { ActionResolver } from '../orchestrator/action-resolver';
+
+const logger = createLogger('WorkflowFlows');
+
+export type FlowConclusion = 'success' | 'failure' | 'cancelled' | 'skipped';
+
+export interface FlowMetadata {
+  runId: number;
+  jobKey?: string; // Workflow job key, unset on the run node
+  needs?: string[]; // Job node ids that must succeed first, set on PREPARE_RUNNER
+  matrix?: FlowMatrix; // Set on PREPARE_RUNNER of matrix legs
+}
+
+/**
+ * A matrix leg's place among its siblings, whose job nodes are
+ * `<legs>/1` to `<legs>/<total>`
+ */
+export interface FlowMatrix {
+  legs: string;
+  index: number;
+  total: number;
+  failFast: boolean;
+  maxParallel: number;
+}
+
+/**
+ * What a flow stage should do when picked up: run, wait for the jobs it
+ * needs, or complete right away with a conclusion
+ */
+export type StageCheck =
+  | { action: 'run'; conclusion: FlowConclusion }
+  | { action: 'wait' }
+  | { action: 'skip'; conclusion: FlowConclusion };
+
+export interface FlowTreeNode {
+  id: string;
+  type: string;
+  state: string;
+  conclusion?: FlowConclusion;
+  failedReason?: string;
+  progress: any;
+  createdAt: Date;
+  finishedAt?: Date;
+  children: FlowTreeNode[];
+}
+
+const FLOW_QUEUE = QUEUE_CONFIG.queues.JOB_EXECUTION;
+const NEEDS_POLL_INTERVAL = parseInt(process.env.WORKFLOW_FLOW_NEEDS_POLL_INTERVAL || '5000', 10);
+
+// Kept by age only so a run's tree stays complete while it is shown
+const FLOW_JOB_OPTIONS = {
+  ...QUEUE_CONFIG.defaultJobOptions,
+  removeOnComplete: { age: 24 * 3600 }
+};
+
+/**
+ * Runs GitHub workflow runs as BullMQ flows. The run node waits for one
+ * node per job (one per matrix combination); each job node waits for its
+ * CLEANUP_RUNNER stage, which waits for EXECUTE_WORKFLOW, which waits for
+ * PREPARE_RUNNER, so the stages run in that order. Flows are trees while
+ * `needs:` forms a graph, so PREPARE_RUNNER is held back until the jobs
+ * it needs have succeeded instead.
+ */
+export class WorkflowFlows {
+  private static instance: WorkflowFlows;
+  private jobParser: JobParser;
+
+  private constructor() {
+    this.jobParser = JobParser.getInstance();
+  }
+
+  public static getInstance(): WorkflowFlows {
+    if (!WorkflowFlows.instance) {
+      WorkflowFlows.instance = new WorkflowFlows();
+    }
+    return WorkflowFlows.instance;
+  }
+
+  public static runNodeId(runId: number, attempt = 1): string {
+    return `workflow-run/${runId}/${attempt}`;
+  }
+
+  public isEnabled(): boolean {
+    return process.env.WORKFLOW_FLOWS_ENABLED !== 'false';
+  }
+
+  public getPollInterval(): number {
+    return NEEDS_POLL_INTERVAL;
+  }
+
+  public async createRunFlow(workflowRun: any, repository: any, content: string): Promise<JobNode> {
+    const flow = this.build(workflowRun, repository, await this.resolveJobs(workflowRun, repository, content));
+    await this.applyFairShare(flow, repository.full_name);
+    const node = await QueueManager.getInstance().createFlow(flow);
+
+    logger.info(`Created flow ${flow.opts!.jobId} with ${flow.children!.length} jobs for run ${workflowRun.id}`);
+    return node;
+  }
+
+  /**
+   * Whether the stages of a run attempt are queued as a flow rather than
+   * from workflow_job events
+   */
+  public async hasFlow(runId: number, attempt = 1): Promise<boolean> {
+    return !!(await this.getQueue().getJob(WorkflowFlows.runNodeId(runId, attempt)));
+  }
+
+  /**
+   * Jobs of the run's workflow with composite actions inlined and reusable
+   * workflows expanded, from the action cache
+   */
+  public async resolveJobs(workflowRun: any, repository: any, content: string): Promise<ParsedJob[]> {
+    const resolver = ActionResolver.getInstance();
+    return resolver.resolveWorkflow(this.jobParser.parseWorkflow(content), {
+      workspaceDir: await resolver.getCachedCheckout(repository.full_name, workflowRun.head_sha)
+    });
+  }
+
+  public build(workflowRun: any, repository: any, jobs: ParsedJob[]): FlowJob {
+    const runNodeId = WorkflowFlows.runNodeId(workflowRun.id, workflowRun.run_attempt);
+
+    const expansions = new Map<string, MatrixExpansion>();
+    const nodeIds = new Map<string, string[]>();
+    for (const job of jobs) {
+      const key = job.id;
+      const expansion = this.jobParser.expandMatrix(job);
+
+      expansions.set(key, expansion);
+      nodeIds.set(key, expansion.jobs[0].matrix
+        ? expansion.jobs.map((_, index) => `${runNodeId}/${key}/${index + 1}`)
+        : [`${runNodeId}/${key}`]);
+    }
+
+    const children: FlowJob[] = [];
+    for (const [key, expansion] of expansions) {
+      const { jobs, failFast, maxParallel } = expansion;
+      const needs = this.getNeeds(jobs[0]).flatMap(need => {
+        if (!nodeIds.has(need)) {
+          logger.warn(`Job ${key} of run ${workflowRun.id} needs unknown job ${need}`);
+        }
+        return nodeIds.get(need) || [];
+      });
+
+      jobs.forEach((job, index) => {
+        const matrix = job.matrix
+          ? { legs: `${runNodeId}/${key}`, index, total: jobs.length, failFast, maxParallel }
+          : undefined;
+        children.push(this.buildJobNode(nodeIds.get(key)![index], key, job, needs, matrix, workflowRun, repository));
+      });
+    }
+
+    return {
+      name: JobType.WORKFLOW_RUN,
+      queueName: FLOW_QUEUE,
+      data: {
+        type: JobType.WORKFLOW_RUN,
+        data: { runId: workflowRun.id, workflow: workflowRun.name, repository: repository.full_name },
+        flow: { runId: workflowRun.id }
+      },
+      opts: { ...FLOW_JOB_OPTIONS, jobId: runNodeId },
+      children
+    };
+  }
+
+  /**
+   * Decide whether a flow stage runs, from the stage before it or, for
+   * PREPARE_RUNNER, from the jobs it needs
+   */
+  public async checkStage(job: Job): Promise<StageCheck> {
+    const { type, flow } = job.data as { type: JobType; flow: FlowMetadata };
+
+    if (type === JobType.PREPARE_RUNNER) {
+      if (await ConcurrencyManager.getInstance().isCancelled(flow.runId)) {
+        return { action: 'skip', conclusion: 'cancelled' };
+      }
+      const needs = await this.checkNeeds(flow.needs || []);
+      return needs.action === 'run' && flow.matrix ? this.checkMatrix(flow.matrix) : needs;
+    }
+
+    const previous = await this.getChildConclusion(job, flow.runId);
+    if (type === JobType.EXECUTE_WORKFLOW && previous !== 'success') {
+      return { action: 'skip', conclusion: previous };
+    }
+    // Nothing was prepared for a skipped job; anything else may have left containers behind
+    if (type === JobType.CLEANUP_RUNNER && previous === 'skipped') {
+      return { action: 'skip', conclusion: previous };
+    }
+    return { action: 'run', conclusion: previous };
+  }
+
+  /**
+   * Conclusion of a stage that ran. CLEANUP_RUNNER reports the conclusion
+   * of the execution it cleaned up after.
+   */
+  public conclude(type: JobType, result: any, previous: FlowConclusion): FlowConclusion {
+    switch (type) {
+      case JobType.EXECUTE_WORKFLOW:
+        return result?.exitCode === 0 ? 'success' : 'failure';
+      case JobType.CLEANUP_RUNNER:
+        return previous;
+      default:
+        return 'success';
+    }
+  }
+
+  /**
+   * Process a run or job node once all of its children have finished
+   */
+  public async aggregate(job: Job): Promise<any> {
+    const { type, data, flow } = job.data;
+
+    if (type === JobType.WORKFLOW_JOB) {
+      return {
+        jobKey: flow.jobKey,
+        name: data.jobName,
+        conclusion: await this.getChildConclusion(job, flow.runId)
+      };
+    }
+
+    const values = await job.getChildrenValues();
+    const jobs: Record<string, FlowConclusion> = {};
+    for (const [key, value] of Object.entries<any>(values)) {
+      jobs[key.substring(key.lastIndexOf(':') + 1)] = value?.conclusion || 'failure';
+    }
+
+    const conclusion = this.combine(Object.values(jobs));
+    logger.info(`Workflow run ${data.runId} of ${data.repository} concluded with ${conclusion}`);
+    return { runId: data.runId, conclusion, jobs };
+  }
+
+  /**
+   * The run's flow as a tree, for the latest attempt unless one is given
+   */
+  public async getTree(runId: number, attempt?: number): Promise<FlowTreeNode | undefined> {
+    let id = attempt ? WorkflowFlows.runNodeId(runId, attempt) : undefined;
+    if (!id) {
+      for (let next = 1; await this.hasFlow(runId, next); next++) {
+        id = WorkflowFlows.runNodeId(runId, next);
+      }
+    }
+    if (!id) {
+      return undefined;
+    }
+
+    const node = await QueueManager.getInstance().getFlow({ id, queueName: FLOW_QUEUE });
+    return node?.job ? this.toTreeNode(node) : undefined;
+  }
+
+  /**
+   * Run the workflow job of a dead-lettered stage again, as a flow of its
+   * own starting from PREPARE_RUNNER since the job's runner is gone. Its
+   * needs already succeeded, and the original flow keeps the failed stage.
+   */
+  public async replayStage(stageId: string, data?: any): Promise<Job> {
+    const nodeId = stageId.substring(0, stageId.lastIndexOf('/'));
+    const node = await QueueManager.getInstance().getFlow({ id: nodeId, queueName: FLOW_QUEUE });
+    if (!node?.job) {
+      throw new Error(`Flow job ${nodeId} of stage ${stageId} not found`);
+    }
+
+    const replayId = `${nodeId}/replay-${Date.now()}`;
+    const copy = ({ job, children }: JobNode): FlowJob => {
+      const { runId, jobKey } = job.data.flow as FlowMetadata;
+      const replayed = job.id === stageId && data ? data : job.data;
+
+      return {
+        name: job.name,
+        queueName: FLOW_QUEUE,
+        data: { ...replayed, flow: { runId, jobKey } },
+        opts: {
+          ...FLOW_JOB_OPTIONS,
+          priority: job.opts.priority,
+          failParentOnFailure: job.opts.failParentOnFailure,
+          ignoreDependencyOnFailure: job.opts.ignoreDependencyOnFailure,
+          jobId: replayId + job.id!.substring(nodeId.length)
+        },
+        children: children?.length ? children.map(copy) : undefined
+      };
+    };
+
+    const replayed = await QueueManager.getInstance().createFlow(copy(node));
+    logger.info(`Replaying stage ${stageId} as flow ${replayId}`);
+    return replayed.job;
+  }
+
+  private buildJobNode(
+    nodeId: string,
+    jobKey: string,
+    job: ParsedJob,
+    needs: string[],
+    matrix: FlowMatrix | undefined,
+    workflowRun: any,
+    repository: any
+  ): FlowJob {
+    const runnerId = `runner-${workflowRun.id}-${job.id}`;
+    const common = {
+      runId: workflowRun.id,
+      repository: repository.full_name,
+      jobName: job.name
+    };
+
+    const stage = (type: JobType, suffix: string, data: any, opts: any, child?: FlowJob): FlowJob => ({
+      name: type,
+      queueName: FLOW_QUEUE,
+      data: { type, data: { ...common, ...data }, flow: { runId: workflowRun.id, jobKey } },
+      opts: {
+        ...FLOW_JOB_OPTIONS,
+        ...opts,
+        jobId: `${nodeId}/${suffix}`
+      },
+      children: child ? [child] : undefined
+    });
+
+    const prepare = stage(JobType.PREPARE_RUNNER, 'prepare', {
+      runnerId,
+      labels: Array.isArray(job.runs_on) ? job.runs_on : [job.runs_on],
+      workDirectory: `/workspace/${repository.name}/${workflowRun.id}-${job.id}`
+    }, {
+      priority: QUEUE_CONFIG.priorities.HIGH,
+      failParentOnFailure: true // Nothing to execute without a runner
+    });
+    prepare.data.flow.needs = needs;
+    prepare.data.flow.matrix = matrix;
+
+    const execute = stage(JobType.EXECUTE_WORKFLOW, 'execute', {
+      workflowId: workflowRun.workflow_id,
+      runnerId,
+      commands: job.steps,
+      environment: job.env,
+      timeout: job.timeout_minutes ? job.timeout_minutes * 60000 : undefined
+    }, {
+      priority: QUEUE_CONFIG.priorities.CRITICAL,
+      ignoreDependencyOnFailure: true // Clean up after failed executions too
+    }, prepare);
+
+    const cleanup = stage(JobType.CLEANUP_RUNNER, 'cleanup', { runnerId, force: false }, {
+      priority: QUEUE_CONFIG.priorities.LOW,
+      ignoreDependencyOnFailure: true
+    }, execute);
+
+    return {
+      name: JobType.WORKFLOW_JOB,
+      queueName: FLOW_QUEUE,
+      data: { type: JobType.WORKFLOW_JOB, data: common, flow: { runId: workflowRun.id, jobKey } },
+      opts: { ...FLOW_JOB_OPTIONS, jobId: nodeId },
+      children: [cleanup]
+    };
+  }
+
+  /**
+   * Replace the class priorities of the flow's stages with their fair-share
+   * priorities, in the order the stages run
+   */
+  private async applyFairShare(node: FlowJob, repository: string): Promise<void> {
+    for (const child of node.children || []) {
+      await this.applyFairShare(child, repository);
+    }
+    if (node.opts?.priority !== undefined) {
+      node.opts.priority = await FairShareScheduler.getInstance().enqueue(repository, node.opts.priority);
+    }
+  }
+
+  private getNeeds(job: ParsedJob): string[] {
+    if (!job.needs) {
+      return [];
+    }
+    return Array.isArray(job.needs) ? job.needs : [job.needs];
+  }
+
+  private async checkNeeds(needs: string[]): Promise<StageCheck> {
+    const queue = this.getQueue();
+
+    for (const id of needs) {
+      const needed = await queue.getJob(id);
+      const state = needed ? await needed.getState() : 'unknown';
+
+      if (state === 'completed' && needed!.returnvalue?.conclusion === 'success') {
+        continue;
+      }
+      // Like GitHub, jobs whose needs did not succeed are skipped
+      if (state === 'completed' || state === 'failed' || state === 'unknown') {
+        return { action: 'skip', conclusion: 'skipped' };
+      }
+      return { action: 'wait' };
+    }
+    return { action: 'run', conclusion: 'success' };
+  }
+
+  /**
+   * Apply the matrix strategy to a leg: with fail-fast, legs not started yet
+   * are cancelled once a sibling failed; with max-parallel, a leg waits while
+   * that many earlier legs are unfinished, so legs start in order and never
+   * more than max-parallel run at once
+   */
+  private async checkMatrix(matrix: FlowMatrix): Promise<StageCheck> {
+    if (!matrix.failFast && matrix.maxParallel >= matrix.total) {
+      return { action: 'run', conclusion: 'success' };
+    }
+
+    const queue = this.getQueue();
+    let unfinished = 0;
+    for (let index = 0; index < matrix.total; index++) {
+      if (index === matrix.index) {
+        continue;
+      }
+
+      const leg = await queue.getJob(`${matrix.legs}/${index + 1}`);
+      const state = leg ? await leg.getState() : 'unknown';
+      const failed = state === 'failed' || (state === 'completed' && leg!.returnvalue?.conclusion === 'failure');
+
+      if (matrix.failFast && failed) {
+        return { action: 'skip', conclusion: 'cancelled' };
+      }
+      if (index < matrix.index && state !== 'completed' && state !== 'failed' && state !== 'unknown') {
+        unfinished++;
+      }
+    }
+
+    return unfinished >= matrix.maxParallel ? { action: 'wait' } : { action: 'run', conclusion: 'success' };
+  }
+
+  /**
+   * Conclusion of the single child of a stage or job node. A child that is
+   * gone was dropped along with its cancelled run.
+   */
+  private async getChildConclusion(job: Job, runId: number): Promise<FlowConclusion> {
+    const [value] = Object.values<any>(await job.getChildrenValues());
+    if (value) {
+      return value.conclusion || 'success';
+    }
+
+    const failures = await job.getIgnoredChildrenFailures();
+    if (Object.keys(failures).length > 0) {
+      return await ConcurrencyManager.getInstance().isCancelled(runId) ? 'cancelled' : 'failure';
+    }
+    return 'cancelled';
+  }
+
+  private combine(conclusions: FlowConclusion[]): FlowConclusion {
+    for (const conclusion of ['failure', 'cancelled', 'success'] as FlowConclusion[]) {
+      if (conclusions.includes(conclusion)) {
+        return conclusion;
+      }
+    }
+    return 'skipped';
+  }
+
+  private async toTreeNode(node: JobNode): Promise<FlowTreeNode> {
+    const { job } = node;
+
+    return {
+      id: job.id!,
+      type: job.name,
+      state: await job.getState(),
+      conclusion: job.returnvalue?.conclusion,
+      failedReason: job.failedReason || undefined,
+      progress: job.progress,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : undefined,
+      children: await Promise.all((node.children || []).map(child => this.toTreeNode(child)))
+    };
+  }
+
+  private getQueue(): Queue {
+    const queue = QueueManager.getInstance().getQueue(FLOW_QUEUE);
+    if (!queue) {
+      throw new Error(`Queue ${FLOW_QUEUE} not found`);
+    }
+    return queue;
+  }
+}
+
+export default WorkflowFlows;
@@ -15,12 +15,14 @@ router.use(authMiddleware.authenticate());
 // GET /api/audit/logs - Query audit logs (viewer+)
 router.get('/logs', 
   authMiddleware.authorize(['admin', 'operator', 'viewer']),
+  authMiddleware.requirePermission('audit:read'),
   auditController.queryLogs.bind(auditController)
 );
 
 // GET /api/audit/stats - Get audit statistics (viewer+)
 router.get('/stats',
   authMiddleware.authorize(['admin', 'operator', 'viewer']),
+  authMiddleware.requirePermission('audit:read'),
   auditController.getStats.bind(auditController)
 );
 
@@ -33,6 +35,7 @@ router.get('/export',
 // GET /api/audit/event-types - Get available event types (viewer+)
 router.get('/event-types',
   authMiddleware.authorize(['admin', 'operator', 'viewer']),
+  authMiddleware.requirePermission('audit:read'),
   auditController.getEventTypes.bind(auditController)
 );
 
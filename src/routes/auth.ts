@@ -16,6 +16,15 @@ router.use(rateLimiter);
 // POST /api/auth/login - User login
 router.post('/login', authController.login.bind(authController));
 
+// GET /api/auth/sso/providers - Configured single sign-on providers
+router.get('/sso/providers', authController.ssoProviders.bind(authController));
+
+// GET /api/auth/sso/:provider/login?redirect=/dashboard - Start an SSO login (oidc or github)
+router.get('/sso/:provider/login', authController.ssoLogin.bind(authController));
+
+// GET /api/auth/sso/:provider/callback - Identity provider callback
+router.get('/sso/:provider/callback', authController.ssoCallback.bind(authController));
+
 // POST /api/auth/refresh - Refresh JWT token
 router.post('/refresh', 
   authMiddleware.authenticate(),
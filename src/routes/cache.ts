@@ -12,12 +12,17 @@ router.use(rateLimiter);
 // Get cache metrics
 router.get('/metrics', asyncHandler(cacheController.getMetrics));
 
-// Clear cache operations (require authentication)
-router.delete('/tag/:tag', authMiddleware.authenticate(), asyncHandler(cacheController.clearByTag));
-router.delete('/pattern/:pattern', authMiddleware.authenticate(), asyncHandler(cacheController.clearByPattern));
-router.delete('/all', authMiddleware.authenticate(), asyncHandler(cacheController.clearAll));
-router.delete('/repository/:owner/:repo', authMiddleware.authenticate(), asyncHandler(cacheController.clearRepository));
-router.delete('/organization/:org', authMiddleware.authenticate(), asyncHandler(cacheController.clearOrganization));
+// Clear cache operations (require authentication and the cache:clear permission)
+const canClear = authMiddleware.requirePermission('cache:clear');
+router.delete('/tag/:tag', authMiddleware.authenticate(), canClear, asyncHandler(cacheController.clearByTag));
+router.delete('/pattern/:pattern', authMiddleware.authenticate(), canClear, asyncHandler(cacheController.clearByPattern));
+router.delete('/all', authMiddleware.authenticate(), canClear, asyncHandler(cacheController.clearAll));
+router.delete('/repository/:owner/:repo',
+  authMiddleware.authenticate(),
+  authMiddleware.requirePermission('cache:clear', req => `${req.params.owner}/${req.params.repo}`),
+  asyncHandler(cacheController.clearRepository)
+);
+router.delete('/organization/:org', authMiddleware.authenticate(), canClear, asyncHandler(cacheController.clearOrganization));
 
 // Warm up cache
 router.post('/warmup', authMiddleware.authenticate(), asyncHandler(cacheController.warmUp));
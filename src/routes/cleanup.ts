@@ -30,9 +30,15 @@ router.get('/preview', asyncHandler(cleanupController.previewCleanup));
 router.get('/policies/:id', asyncHandler(cleanupController.getCleanupPolicy));
 
 // Update cleanup policy
-router.put('/policies/:id', asyncHandler(cleanupController.updateCleanupPolicy));
+router.put('/policies/:id',
+  authMiddleware.requirePermission('system:write'),
+  asyncHandler(cleanupController.updateCleanupPolicy)
+);
 
 // Trigger manual cleanup
-router.post('/trigger', asyncHandler(cleanupController.triggerCleanup));
+router.post('/trigger',
+  authMiddleware.requirePermission('system:write'),
+  asyncHandler(cleanupController.triggerCleanup)
+);
 
 export default router;
\ No newline at end of file
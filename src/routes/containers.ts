@@ -1,11 +1,15 @@
 import { Router } from 'express';
 import { ContainerController } from '../controllers/container-controller';
-import authMiddleware from '../middleware/auth';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
 import { rateLimiter } from '../middleware/rate-limiter';
+import containerLifecycle from '../services/container-lifecycle';
 
 const router = Router();
 const containerController = new ContainerController();
 
+const containerRepository = (req: AuthenticatedRequest) =>
+  containerLifecycle.getAllContainers().find(container => container.id === req.params.id)?.repository;
+
 // Apply rate limiting and authentication to all routes
 router.use(rateLimiter);
 router.use(authMiddleware.authenticate());
@@ -13,11 +17,20 @@ router.use(authMiddleware.authenticate());
 // Container management
 router.get('/', containerController.listContainers.bind(containerController));
 router.get('/:id', containerController.getContainer.bind(containerController));
-router.post('/:id/stop', containerController.stopContainer.bind(containerController));
-router.delete('/:id', containerController.removeContainer.bind(containerController));
+router.post('/:id/stop',
+  authMiddleware.requirePermission('runners:write', containerRepository),
+  containerController.stopContainer.bind(containerController)
+);
+router.delete('/:id',
+  authMiddleware.requirePermission('runners:delete', containerRepository),
+  containerController.removeContainer.bind(containerController)
+);
 
 // Container operations
-router.post('/:id/exec', containerController.executeCommand.bind(containerController));
+router.post('/:id/exec',
+  authMiddleware.requirePermission('system:write', containerRepository),
+  containerController.executeCommand.bind(containerController)
+);
 router.get('/:id/stats', containerController.getContainerStats.bind(containerController));
 router.get('/:id/logs', containerController.getContainerLogs.bind(containerController));
 
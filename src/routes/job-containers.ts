@@ -0,0 +1,53 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { asyncHandler } from '../middleware/async-handler';
+import jobContainers from '../services/job-container';
+
+const router = Router();
+
+/**
+ * Job container routes, called by the runner's container hook
+ * (hooks/container-hook.js) to run the steps of jobs that declare
+ * `container:` inside the container RunnerHub prepared. Callers
+ * authenticate with the per-job hook token instead of a user session.
+ */
+const authenticateHook = (req: Request, res: Response, next: NextFunction) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+
+  if (!token || !jobContainers.authorizeHook(req.params.jobId, token)) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid container hook token'
+    });
+    return;
+  }
+  next();
+};
+
+// POST /api/job-containers/:jobId/steps - Run a step in the job container
+router.post('/:jobId/steps', authenticateHook, asyncHandler(async (req: Request, res: Response) => {
+  const { entryPoint, args, env, workingDir, prependPath } = req.body || {};
+
+  if (typeof entryPoint !== 'string' || !entryPoint) {
+    res.status(400).json({
+      success: false,
+      error: 'entryPoint is required'
+    });
+    return;
+  }
+
+  const result = await jobContainers.runStep(
+    req.params.jobId,
+    [entryPoint, ...(Array.isArray(args) ? args.map(String) : [])],
+    env && typeof env === 'object' ? env : {},
+    typeof workingDir === 'string' ? workingDir : undefined,
+    Array.isArray(prependPath) ? prependPath.map(String) : []
+  );
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+export default router;
@@ -1,17 +1,29 @@
 import { Router } from 'express';
 import { JobController } from '../controllers/job-controller';
-import authMiddleware from '../middleware/auth';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
 import { rateLimiter } from '../middleware/rate-limiter';
+import database from '../services/database';
 
 const router = Router();
 const jobController = new JobController();
 
+const jobRepository = async (req: AuthenticatedRequest): Promise<string | undefined> => {
+  const [job] = await database.query<{ repository: string }>(
+    'SELECT repository FROM runnerhub.jobs WHERE id = $1',
+    [req.params.id]
+  );
+  return job?.repository;
+};
+
 // Apply rate limiting and authentication to all routes
 router.use(rateLimiter);
 router.use(authMiddleware.authenticate());
 
 // Delegate a job from proxy runner
-router.post('/delegate', jobController.delegateJob.bind(jobController));
+router.post('/delegate',
+  authMiddleware.requirePermission('jobs:delegate', req => req.body?.repository),
+  jobController.delegateJob.bind(jobController)
+);
 
 // Get job status
 router.get('/:id', jobController.getJob.bind(jobController));
@@ -20,18 +32,30 @@ router.get('/:id', jobController.getJob.bind(jobController));
 router.get('/', jobController.listJobs.bind(jobController));
 
 // Update job status (internal use)
-router.patch('/:id/status', jobController.updateJobStatus.bind(jobController));
+router.patch('/:id/status',
+  authMiddleware.requirePermission('jobs:write', jobRepository),
+  jobController.updateJobStatus.bind(jobController)
+);
 
 // Mark job as complete from proxy runner
-router.post('/:id/proxy-complete', jobController.proxyComplete.bind(jobController));
+router.post('/:id/proxy-complete',
+  authMiddleware.requirePermission('jobs:delegate', jobRepository),
+  jobController.proxyComplete.bind(jobController)
+);
 
 // Get job logs
 router.get('/:id/logs', jobController.getJobLogs.bind(jobController));
 
 // Get secret scan results for a job
-router.get('/:id/secret-scans', jobController.getJobSecretScanResults.bind(jobController));
+router.get('/:id/secret-scans',
+  authMiddleware.requirePermission('security:read', jobRepository),
+  jobController.getJobSecretScanResults.bind(jobController)
+);
 
 // Trigger manual secret scan for job logs
-router.post('/:id/scan-secrets', jobController.scanJobLogs.bind(jobController));
+router.post('/:id/scan-secrets',
+  authMiddleware.requirePermission('security:write', jobRepository),
+  jobController.scanJobLogs.bind(jobController)
+);
 
 export default router;
\ No newline at end of file
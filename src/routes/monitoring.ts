@@ -30,7 +30,13 @@ router.get('/dashboard', monitoringController.getDashboardData.bind(monitoringCo
 
 // Repository tracking management
 router.get('/repositories', monitoringController.getTrackedRepositories.bind(monitoringController));
-router.post('/repositories', monitoringController.addTrackedRepository.bind(monitoringController));
-router.delete('/repositories/:repository', monitoringController.removeTrackedRepository.bind(monitoringController));
+router.post('/repositories',
+  authMiddleware.requirePermission('monitoring:write', req => req.body?.repository),
+  monitoringController.addTrackedRepository.bind(monitoringController)
+);
+router.delete('/repositories/:repository',
+  authMiddleware.requirePermission('monitoring:write', req => req.params.repository.replace('_', '/')),
+  monitoringController.removeTrackedRepository.bind(monitoringController)
+);
 
 export default router;
\ No newline at end of file
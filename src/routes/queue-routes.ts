@@ -3,14 +3,18 @@ import { QueueManager } from '../queues/queue-manager';
 import { JobRouter } from '../queues/job-router';
 import { RetryHandler } from '../queues/retry-handler';
 import { JobPersistence } from '../queues/job-persistence';
+import { DeadLetterQueue, AuditActor } from '../queues/dead-letter-queue';
+import { ScheduleRegistry, ScheduleInput } from '../queues/schedule-registry';
+import { WorkflowFlows } from '../queues/workflow-flows';
 import { JobType } from '../queues/config/redis-config';
-import { authMiddleware } from '../middleware/auth';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
 import { logger } from '../utils/logger';
+import { AppError } from '../utils/errors';
 
 const router = Router();
 
 // Apply auth middleware to all queue routes
-router.use(authMiddleware);
+router.use(authMiddleware.authenticate());
 
 // Queue statistics endpoint
 router.get('/stats', async (req: Request, res: Response) => {
@@ -181,6 +185,43 @@ router.get('/jobs/:jobId', async (req: Request, res: Response) => {
   }
 });
 
+// Flow of a workflow run: the run, its jobs and their stages
+router.get('/workflow-runs/:runId/flow', async (req: Request, res: Response) => {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    const attempt = req.query.attempt ? parseInt(req.query.attempt as string, 10) : undefined;
+    
+    if (isNaN(runId) || (attempt !== undefined && !(attempt > 0))) {
+      res.status(400).json({
+        success: false,
+        error: 'Run id and attempt must be numbers'
+      });
+      return;
+    }
+    
+    const flow = await WorkflowFlows.getInstance().getTree(runId, attempt);
+    
+    if (!flow) {
+      res.status(404).json({
+        success: false,
+        error: 'No flow found for this workflow run'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      flow
+    });
+  } catch (error) {
+    logger.error('Error fetching workflow run flow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow run flow'
+    });
+  }
+});
+
 // Retry failed job
 router.post('/jobs/:jobId/retry', async (req: Request, res: Response) => {
   try {
@@ -406,6 +447,349 @@ router.get('/retry/stats', async (req: Request, res: Response) => {
   }
 });
 
+// Dead-letter queue
+const getActor = (req: Request): AuditActor => {
+  const user = (req as AuthenticatedRequest).user;
+  return { userId: user?.sub, username: user?.username };
+};
+
+const isJobType = (type: unknown): type is JobType =>
+  Object.values(JobType).includes(type as JobType);
+
+const MAX_DEAD_LETTER_PAGE = 500;
+
+// Whole, non-negative numbers only; parseInt would let '10abc' or '' through
+const parseCount = (value: unknown): number | undefined =>
+  typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : undefined;
+
+const formatDeadLetter = (job: any) => ({
+  id: job.id,
+  type: job.name,
+  ...job.data
+});
+
+router.get('/dead-letter', async (req: Request, res: Response) => {
+  try {
+    const { type, error, offset = '0', limit = '50' } = req.query;
+    
+    if (type && !isJobType(type)) {
+      res.status(400).json({
+        success: false,
+        error: `Unknown job type: ${type}`
+      });
+      return;
+    }
+    
+    const from = parseCount(offset);
+    const count = parseCount(limit);
+    if (from === undefined || count === undefined || count < 1 || count > MAX_DEAD_LETTER_PAGE) {
+      res.status(400).json({
+        success: false,
+        error: `offset must be a non-negative integer and limit an integer from 1 to ${MAX_DEAD_LETTER_PAGE}`
+      });
+      return;
+    }
+    
+    const { total, jobs } = await DeadLetterQueue.getInstance().list({
+      type: type as JobType | undefined,
+      error: error as string | undefined,
+      offset: from,
+      limit: count
+    });
+    
+    res.json({
+      success: true,
+      total,
+      jobs: jobs.map(formatDeadLetter)
+    });
+  } catch (error) {
+    logger.error('Error listing dead-lettered jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dead-lettered jobs'
+    });
+  }
+});
+
+router.post('/dead-letter/requeue', authMiddleware.requirePermission('jobs:write'), async (req: Request, res: Response) => {
+  try {
+    const { ids, type, error } = req.body;
+    
+    if (!ids && !type && !error) {
+      res.status(400).json({
+        success: false,
+        error: 'At least one of ids, type or error is required'
+      });
+      return;
+    }
+    
+    if (type && !isJobType(type)) {
+      res.status(400).json({
+        success: false,
+        error: `Unknown job type: ${type}`
+      });
+      return;
+    }
+    
+    const result = await DeadLetterQueue.getInstance().requeue({ ids, type, error }, getActor(req));
+    
+    res.json({
+      success: result.failed.length === 0,
+      requeued: result.requeued,
+      failed: result.failed
+    });
+  } catch (error) {
+    logger.error('Error requeuing dead-lettered jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue dead-lettered jobs'
+    });
+  }
+});
+
+router.get('/dead-letter/:id', async (req: Request, res: Response) => {
+  try {
+    const job = await DeadLetterQueue.getInstance().get(req.params.id);
+    
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        error: 'Dead-lettered job not found'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      job: formatDeadLetter(job)
+    });
+  } catch (error) {
+    logger.error('Error fetching dead-lettered job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead-lettered job'
+    });
+  }
+});
+
+router.patch('/dead-letter/:id', authMiddleware.requirePermission('jobs:write'), async (req: Request, res: Response) => {
+  try {
+    const { data } = req.body;
+    
+    if (data === undefined) {
+      res.status(400).json({
+        success: false,
+        error: 'Missing required field: data'
+      });
+      return;
+    }
+    
+    const job = await DeadLetterQueue.getInstance().updatePayload(req.params.id, data, getActor(req));
+    
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        error: 'Dead-lettered job not found'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      job: formatDeadLetter(job)
+    });
+  } catch (error) {
+    logger.error('Error updating dead-lettered job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update dead-lettered job'
+    });
+  }
+});
+
+router.post('/dead-letter/:id/replay', authMiddleware.requirePermission('jobs:write'), async (req: Request, res: Response) => {
+  try {
+    const job = await DeadLetterQueue.getInstance().replay(req.params.id, getActor(req));
+    
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        error: 'Dead-lettered job not found'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      message: 'Job replayed',
+      jobId: job.id,
+      queue: job.queueName
+    });
+  } catch (error) {
+    logger.error('Error replaying dead-lettered job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay dead-lettered job'
+    });
+  }
+});
+
+// Schedules
+const getScheduleInput = (body: any): ScheduleInput => ({
+  type: body.type,
+  cron: body.cron,
+  every: body.every,
+  timezone: body.timezone,
+  data: body.data
+});
+
+const sendScheduleError = (res: Response, error: unknown, action: string) => {
+  if (error instanceof AppError) {
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+    return;
+  }
+  
+  logger.error(`Error trying to ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`
+  });
+};
+
+router.get('/schedules', async (_req: Request, res: Response) => {
+  try {
+    const registry = ScheduleRegistry.getInstance();
+    const schedules = await registry.list();
+    
+    res.json({
+      success: true,
+      schedules,
+      leader: registry.isLeader()
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'list schedules');
+  }
+});
+
+router.post('/schedules', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const schedule = await ScheduleRegistry.getInstance().create(
+      req.body.id,
+      getScheduleInput(req.body),
+      getActor(req).username
+    );
+    
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'create schedule');
+  }
+});
+
+router.get('/schedules/:id', async (req: Request, res: Response) => {
+  try {
+    const schedule = await ScheduleRegistry.getInstance().get(req.params.id);
+    
+    if (!schedule) {
+      res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'fetch schedule');
+  }
+});
+
+router.patch('/schedules/:id', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const schedule = await ScheduleRegistry.getInstance().update(
+      req.params.id,
+      getScheduleInput(req.body),
+      getActor(req).username
+    );
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'update schedule');
+  }
+});
+
+router.delete('/schedules/:id', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const deleted = await ScheduleRegistry.getInstance().delete(req.params.id);
+    
+    if (!deleted) {
+      res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      message: `Schedule ${req.params.id} deleted`
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'delete schedule');
+  }
+});
+
+router.post('/schedules/:id/pause', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const schedule = await ScheduleRegistry.getInstance().pause(req.params.id, getActor(req).username);
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'pause schedule');
+  }
+});
+
+router.post('/schedules/:id/resume', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const schedule = await ScheduleRegistry.getInstance().resume(req.params.id, getActor(req).username);
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'resume schedule');
+  }
+});
+
+router.post('/schedules/:id/run', authMiddleware.requirePermission('system:write'), async (req: Request, res: Response) => {
+  try {
+    const job = await ScheduleRegistry.getInstance().runNow(req.params.id);
+    
+    res.json({
+      success: true,
+      message: 'Schedule triggered',
+      jobId: job.id
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'run schedule');
+  }
+});
+
 // Queue routing optimization
 router.post('/routing/optimize', async (req: Request, res: Response) => {
   try {
@@ -0,0 +1,60 @@
+import { Router, Request, Response } from 'express';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/async-handler';
+import { rateLimiter } from '../middleware/rate-limiter';
+import apiRateLimiter from '../services/api-rate-limiter';
+import auditLogger, { AuditEventType, AuditCategory, AuditSeverity } from '../services/audit-logger';
+
+const router = Router();
+
+// Rate limit administration is admin only
+router.use(rateLimiter);
+router.use(authMiddleware.authenticate());
+router.use(authMiddleware.authorize('admin'));
+
+// GET /api/rate-limits/policy - Quotas per route and role
+router.get('/policy', (_req: Request, res: Response) => {
+  res.json({
+    success: true,
+    data: apiRateLimiter.getPolicy()
+  });
+});
+
+// GET /api/rate-limits/buckets?identity=user:<id> - Buckets with requests in their window
+router.get('/buckets', asyncHandler(async (req: Request, res: Response) => {
+  const identity = typeof req.query.identity === 'string' ? req.query.identity : undefined;
+  const buckets = await apiRateLimiter.listBuckets(identity);
+
+  res.json({
+    success: true,
+    data: buckets
+  });
+}));
+
+// DELETE /api/rate-limits/buckets/:identity?bucket=<name> - Reset a caller's buckets
+router.delete('/buckets/:identity', asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const bucket = typeof req.query.bucket === 'string' ? req.query.bucket : undefined;
+  const cleared = await apiRateLimiter.resetBuckets(req.params.identity, bucket);
+
+  await auditLogger.log({
+    eventType: AuditEventType.SYSTEM_CONFIG_CHANGED,
+    category: AuditCategory.SYSTEM_MANAGEMENT,
+    severity: AuditSeverity.INFO,
+    userId: req.user?.sub,
+    username: req.user?.username,
+    userRole: req.user?.role,
+    ipAddress: req.ip,
+    resource: 'rate-limit',
+    resourceId: req.params.identity,
+    action: 'reset',
+    details: { bucket, cleared },
+    result: 'success'
+  });
+
+  res.json({
+    success: true,
+    data: { identity: req.params.identity, bucket, cleared }
+  });
+}));
+
+export default router;
@@ -0,0 +1,149 @@
+import { Router, Response } from 'express';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/async-handler';
+import { rateLimiter } from '../middleware/rate-limiter';
+import authorizationService, { resourceContext } from '../services/authorization-service';
+import auditLogger, { AuditEventType, AuditCategory, AuditSeverity } from '../services/audit-logger';
+import { AppError, ValidationError } from '../utils/errors';
+
+const router = Router();
+
+/**
+ * RBAC routes: roles and policies of the authorization engine, and policy
+ * simulation answering whether a user may do something and why
+ */
+router.use(rateLimiter);
+router.use(authMiddleware.authenticate());
+
+const sendRbacError = (res: Response, error: unknown) => {
+  if (error instanceof AppError) {
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+    return;
+  }
+  throw error;
+};
+
+const audit = (req: AuthenticatedRequest, resource: string, resourceId: string, action: string, details?: Record<string, any>) =>
+  auditLogger.log({
+    eventType: AuditEventType.SYSTEM_CONFIG_CHANGED,
+    category: AuditCategory.SYSTEM_MANAGEMENT,
+    severity: AuditSeverity.WARNING,
+    userId: req.user?.sub,
+    username: req.user?.username,
+    userRole: req.user?.role,
+    ipAddress: req.ip,
+    resource,
+    resourceId,
+    action,
+    details,
+    result: 'success'
+  });
+
+// GET /api/rbac/permissions - Permissions roles and policies can refer to
+router.get('/permissions', authMiddleware.requirePermission('security:read'), (_req: AuthenticatedRequest, res: Response) => {
+  res.json({
+    success: true,
+    data: authorizationService.getPermissions()
+  });
+});
+
+// GET /api/rbac/roles - Roles with their permissions, constraints and parents
+router.get('/roles', authMiddleware.requirePermission('security:read'), asyncHandler(async (_req: AuthenticatedRequest, res: Response) => {
+  res.json({
+    success: true,
+    data: await authorizationService.listRoles()
+  });
+}));
+
+// PUT /api/rbac/roles/:id - Create or replace a role
+router.put('/roles/:id', authMiddleware.requirePermission('security:write'), asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const { name, description, permissions, constraints, inherits, priority } = req.body;
+
+  try {
+    if (!name || !Array.isArray(permissions)) {
+      throw new ValidationError('A role needs a name and permissions');
+    }
+
+    const role = await authorizationService.saveRole({
+      id: req.params.id, name, description, permissions, constraints: constraints || {}, inherits, priority
+    });
+    await audit(req, 'rbac-role', role.id, 'save', { permissions: role.permissions, constraints: role.constraints, inherits: role.inherits });
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    sendRbacError(res, error);
+  }
+}));
+
+// GET /api/rbac/policies - Allow and deny policies
+router.get('/policies', authMiddleware.requirePermission('security:read'), asyncHandler(async (_req: AuthenticatedRequest, res: Response) => {
+  res.json({
+    success: true,
+    data: await authorizationService.listPolicies()
+  });
+}));
+
+// PUT /api/rbac/policies/:id - Create or replace a policy
+router.put('/policies/:id', authMiddleware.requirePermission('security:write'), asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const { name, description, effect, roles, users, permissions, conditions } = req.body;
+
+  try {
+    const policy = await authorizationService.savePolicy({
+      id: req.params.id, name, description, effect, roles, users, permissions, conditions
+    });
+    await audit(req, 'rbac-policy', policy.id, 'save', { ...policy });
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    sendRbacError(res, error);
+  }
+}));
+
+// DELETE /api/rbac/policies/:id - Remove a policy
+router.delete('/policies/:id', authMiddleware.requirePermission('security:write'), asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    await authorizationService.removePolicy(req.params.id);
+    await audit(req, 'rbac-policy', req.params.id, 'delete');
+
+    res.json({
+      success: true,
+      message: `Policy ${req.params.id} removed`
+    });
+  } catch (error) {
+    sendRbacError(res, error);
+  }
+}));
+
+// POST /api/rbac/simulate - Whether a user may use a permission, and why
+router.post('/simulate', authMiddleware.requirePermission('security:read'), asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const { user, permission, repository, organization, ipAddress } = req.body;
+
+  try {
+    if (typeof user !== 'string' || typeof permission !== 'string') {
+      throw new ValidationError('user (id or username) and permission are required');
+    }
+
+    const context = resourceContext(repository, ipAddress);
+    if (organization && !context.organization) {
+      context.organization = organization;
+    }
+
+    res.json({
+      success: true,
+      data: await authorizationService.simulate(user, permission, context)
+    });
+  } catch (error) {
+    sendRbacError(res, error);
+  }
+}));
+
+export default router;
@@ -1,11 +1,22 @@
 import { Router } from 'express';
 import { RunnerController } from '../controllers/runner-controller';
-import authMiddleware from '../middleware/auth';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
+import { groupPoolKey } from '../services/runner-pool-manager';
+import database from '../services/database';
 import { rateLimiter } from '../middleware/rate-limiter';
 
 const router = Router();
 const runnerController = new RunnerController();
 
+const runnerRepository = async (req: AuthenticatedRequest): Promise<string | undefined> => {
+  const [runner] = await database.query<{ repository: string }>(
+    'SELECT repository FROM runnerhub.runners WHERE id = $1',
+    [req.params.id]
+  );
+  return runner?.repository;
+};
+const poolRepository = (req: AuthenticatedRequest) => req.params.repository.replace('_', '/');
+
 // Apply rate limiting and authentication to all routes
 router.use(rateLimiter);
 router.use(authMiddleware.authenticate());
@@ -13,13 +24,28 @@ router.use(authMiddleware.authenticate());
 // Runner management
 router.get('/', runnerController.listRunners.bind(runnerController));
 router.get('/:id', runnerController.getRunner.bind(runnerController));
-router.delete('/:id', runnerController.removeRunner.bind(runnerController));
+router.delete('/:id',
+  authMiddleware.requirePermission('runners:delete', runnerRepository),
+  runnerController.removeRunner.bind(runnerController)
+);
 
 // Pool management
 router.get('/pools', runnerController.listPools.bind(runnerController));
+router.post('/pools/groups',
+  authMiddleware.requirePermission('runners:write', req =>
+    req.body?.owner ? groupPoolKey(req.body.scope, req.body.owner, req.body.runnerGroup) : undefined
+  ),
+  runnerController.createGroupPool.bind(runnerController)
+);
 router.get('/pools/:repository', runnerController.getPool.bind(runnerController));
-router.put('/pools/:repository', runnerController.updatePool.bind(runnerController));
-router.post('/pools/:repository/scale', runnerController.scalePool.bind(runnerController));
+router.put('/pools/:repository',
+  authMiddleware.requirePermission('runners:write', poolRepository),
+  runnerController.updatePool.bind(runnerController)
+);
+router.post('/pools/:repository/scale',
+  authMiddleware.requirePermission('runners:scale', poolRepository),
+  runnerController.scalePool.bind(runnerController)
+);
 
 // Metrics
 router.get('/pools/:repository/metrics', runnerController.getPoolMetrics.bind(runnerController));
@@ -0,0 +1,158 @@
+import { Router, Response } from 'express';
+import authMiddleware, { AuthenticatedRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/async-handler';
+import { rateLimiter } from '../middleware/rate-limiter';
+import apiTokenService, { ApiToken, TOKEN_SCOPES } from '../services/api-token-service';
+import auditLogger, { AuditEventType, AuditCategory, AuditSeverity } from '../services/audit-logger';
+import { AppError } from '../utils/errors';
+
+const router = Router();
+
+/**
+ * API token routes. Users manage their personal tokens, admins also manage
+ * service tokens and every user's tokens. Tokens cannot manage tokens.
+ */
+router.use(rateLimiter);
+router.use(authMiddleware.authenticate());
+router.use((req: AuthenticatedRequest, res: Response, next) => {
+  if (req.user?.tokenId) {
+    res.status(403).json({
+      success: false,
+      error: 'API tokens cannot manage API tokens'
+    });
+    return;
+  }
+  next();
+});
+
+const sendTokenError = (res: Response, error: unknown) => {
+  if (error instanceof AppError) {
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+    return;
+  }
+  throw error;
+};
+
+const audit = (req: AuthenticatedRequest, eventType: AuditEventType, apiToken: ApiToken, action: string) =>
+  auditLogger.log({
+    eventType,
+    category: AuditCategory.SECURITY,
+    severity: AuditSeverity.INFO,
+    userId: req.user?.sub,
+    username: req.user?.username,
+    userRole: req.user?.role,
+    ipAddress: req.ip,
+    resource: 'api-token',
+    resourceId: apiToken.id,
+    action,
+    details: {
+      name: apiToken.name,
+      kind: apiToken.kind,
+      owner: apiToken.userId,
+      scopes: apiToken.scopes,
+      repositories: apiToken.repositories,
+      expiresAt: apiToken.expiresAt
+    },
+    result: 'success'
+  });
+
+// GET /api/tokens/scopes - Scopes a token can be granted
+router.get('/scopes', (_req: AuthenticatedRequest, res: Response) => {
+  res.json({
+    success: true,
+    data: Object.keys(TOKEN_SCOPES)
+  });
+});
+
+// GET /api/tokens - Own tokens, or every token for admins with ?all=true
+router.get('/', asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const all = req.query.all === 'true' && req.user!.role === 'admin';
+  const tokens = await apiTokenService.list(all ? undefined : req.user!.sub);
+
+  res.json({
+    success: true,
+    data: tokens
+  });
+}));
+
+// POST /api/tokens - Create a personal token, or a service token (admin only)
+router.post('/', asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const { name, kind = 'personal', scopes, repositories, expiresInDays } = req.body;
+  const user = req.user!;
+
+  if (kind === 'service' && user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Only admins can create service tokens'
+    });
+    return;
+  }
+
+  // A personal token cannot do more than its owner
+  const missing: string[] = [];
+  if (kind === 'personal' && Array.isArray(scopes)) {
+    for (const scope of scopes) {
+      if (typeof scope === 'string' && !await authMiddleware.hasPermission(user, scope)) {
+        missing.push(scope);
+      }
+    }
+  }
+  if (missing.length > 0) {
+    res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      message: `You do not hold the scopes: ${missing.join(', ')}`
+    });
+    return;
+  }
+
+  try {
+    const { token, apiToken } = await apiTokenService.create({
+      name,
+      kind,
+      userId: user.sub,
+      scopes,
+      repositories,
+      expiresInDays,
+      createdBy: user.sub
+    });
+    await audit(req, AuditEventType.API_TOKEN_CREATED, apiToken, 'create');
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiToken, token },
+      message: 'Store the token now, it cannot be shown again'
+    });
+  } catch (error) {
+    sendTokenError(res, error);
+  }
+}));
+
+// DELETE /api/tokens/:id - Revoke an own token, or any token for admins
+router.delete('/:id', asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const existing = await apiTokenService.get(req.params.id);
+    if (req.user!.role !== 'admin' && existing.userId !== req.user!.sub) {
+      res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+      return;
+    }
+
+    const apiToken = await apiTokenService.revoke(req.params.id);
+    await audit(req, AuditEventType.API_TOKEN_REVOKED, apiToken, 'revoke');
+
+    res.json({
+      success: true,
+      data: apiToken
+    });
+  } catch (error) {
+    sendTokenError(res, error);
+  }
+}));
+
+export default router;
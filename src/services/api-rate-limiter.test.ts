@@ -0,0 +1,119 @@
+import { ApiRateLimiter, RateLimitPolicy } from './api-rate-limiter';
+
+jest.mock('./redis-connection', () => ({
+  createRedisConnection: jest.fn()
+}));
+
+jest.mock('../config', () => ({
+  __esModule: true,
+  default: { security: { apiRateLimit: 100, apiRateWindow: 900000 } }
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const policy: RateLimitPolicy = {
+  quota: { limit: 3, windowMs: 60000 },
+  roles: { admin: 10 },
+  routes: [
+    { name: 'jobs', path: '/api/jobs', quota: { limit: 20, windowMs: 60000 } },
+    { name: 'job-delegation', path: '/api/jobs/delegate', method: 'POST', quota: { limit: 5, windowMs: 1000 }, roles: { operator: 50 } }
+  ]
+};
+
+describe('ApiRateLimiter', () => {
+  let limiter: ApiRateLimiter;
+  let redis: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    redis = {
+      status: 'ready',
+      eval: jest.fn().mockResolvedValue([1, 1, 60000]),
+      scan: jest.fn().mockResolvedValue(['0', []]),
+      zrangebyscore: jest.fn().mockResolvedValue([]),
+      del: jest.fn().mockResolvedValue(0)
+    };
+
+    (ApiRateLimiter as any).instance = undefined;
+    limiter = ApiRateLimiter.getInstance(policy, redis);
+  });
+
+  it('should count callers per route bucket with role quotas', async () => {
+    await limiter.hit({ identity: 'user:1', role: 'operator' }, 'POST', '/api/jobs/delegate');
+    await limiter.hit({ identity: 'user:1', role: 'operator' }, 'GET', '/api/jobs/42');
+    await limiter.hit({ identity: 'user:2', role: 'admin' }, 'GET', '/api/runners');
+    const result = await limiter.hit({ identity: 'ip:10.0.0.1' }, 'GET', '/api/runners');
+
+    const calls = redis.eval.mock.calls.map((call: any[]) => [call[2], call[4], call[5]]);
+    expect(calls).toEqual([
+      ['ratelimit:job-delegation:user:1', 1000, 50],
+      ['ratelimit:jobs:user:1', 60000, 20],
+      ['ratelimit:default:user:2', 60000, 10],
+      ['ratelimit:default:ip:10.0.0.1', 60000, 3]
+    ]);
+    expect(result).toEqual({ allowed: true, bucket: 'default', limit: 3, remaining: 2, windowMs: 60000, resetMs: 60000 });
+  });
+
+  it('should reject requests over the limit', async () => {
+    redis.eval.mockResolvedValue([0, 3, 12000]);
+
+    const result = await limiter.hit({ identity: 'ip:10.0.0.1' }, 'GET', '/api/runners');
+
+    expect(result).toMatchObject({ allowed: false, remaining: 0, resetMs: 12000 });
+  });
+
+  it('should limit on the node itself while Redis is unavailable', async () => {
+    redis.eval.mockRejectedValue(new Error('Connection is closed'));
+    redis.scan.mockRejectedValue(new Error('Connection is closed'));
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await limiter.hit({ identity: 'ip:10.0.0.1' }, 'GET', '/api/runners'));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(await limiter.listBuckets('ip:10.0.0.1')).toEqual([
+      expect.objectContaining({ bucket: 'default', identity: 'ip:10.0.0.1', count: 3 })
+    ]);
+
+    expect(await limiter.resetBuckets('ip:10.0.0.1')).toBe(1);
+    expect((await limiter.hit({ identity: 'ip:10.0.0.1' }, 'GET', '/api/runners')).allowed).toBe(true);
+  });
+
+  it('should list and reset buckets of a caller in Redis', async () => {
+    const now = Date.now();
+    redis.scan.mockResolvedValue(['0', ['ratelimit:jobs:user:1', 'ratelimit:default:user:1']]);
+    redis.zrangebyscore.mockImplementation(async (key: string) =>
+      key.includes(':jobs:') ? ['a', String(now - 1000), 'b', String(now)] : []
+    );
+    redis.del.mockResolvedValue(2);
+
+    const buckets = await limiter.listBuckets('user:1');
+
+    expect(redis.scan).toHaveBeenCalledWith('0', 'MATCH', 'ratelimit:*:user:1', 'COUNT', 100);
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0]).toMatchObject({ key: 'ratelimit:jobs:user:1', bucket: 'jobs', identity: 'user:1', count: 2, windowMs: 60000 });
+
+    expect(await limiter.resetBuckets('user:1')).toBe(2);
+    expect(redis.del).toHaveBeenCalledWith('ratelimit:jobs:user:1', 'ratelimit:default:user:1');
+  });
+
+  it('should match glob characters in identities literally when resetting buckets', async () => {
+    redis.scan.mockResolvedValue(['0', []]);
+
+    await limiter.resetBuckets('token:*');
+    await limiter.resetBuckets('ip:[::1]', 'jobs?');
+
+    expect(redis.scan).toHaveBeenCalledWith('0', 'MATCH', 'ratelimit:*:token:\\*', 'COUNT', 100);
+    expect(redis.scan).toHaveBeenCalledWith('0', 'MATCH', 'ratelimit:jobs\\?:ip:\\[::1\\]', 'COUNT', 100);
+    expect(redis.del).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,314 @@
+import Redis from 'ioredis';
+import { randomBytes } from 'crypto';
+import config from '../config';
+import { createLogger } from '../utils/logger';
+import { createRedisConnection } from './redis-connection';
+
+const logger = createLogger('ApiRateLimiter');
+
+export interface RateLimitQuota {
+  limit: number;
+  windowMs: number;
+}
+
+export interface RateLimitRoute {
+  name: string; // Bucket name, shared by requests to the route
+  path: string; // Path prefix, e.g. /api/jobs/delegate
+  method?: string;
+  quota: RateLimitQuota;
+  roles?: Record<string, number>; // Role -> limit within the route's window
+}
+
+export interface RateLimitPolicy {
+  quota: RateLimitQuota; // Requests to routes without their own quota
+  roles: Record<string, number>; // Role -> limit within the default window
+  routes: RateLimitRoute[];
+}
+
+/**
+ * Who a request is counted against: an authenticated user or API token,
+ * otherwise the client IP
+ */
+export interface RateLimitCaller {
+  identity: string; // e.g. user:<id>, token:<id> or ip:<address>
+  role?: string;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  bucket: string;
+  limit: number;
+  remaining: number;
+  windowMs: number;
+  resetMs: number; // Until the oldest counted request leaves the window
+}
+
+export interface RateLimitBucket {
+  key: string;
+  bucket: string;
+  identity: string;
+  count: number;
+  windowMs: number;
+  resetMs: number;
+}
+
+const KEY_PREFIX = 'ratelimit:';
+
+// Identities come from clients, so glob characters in them must match literally in SCAN
+const escapeGlob = (value: string): string => value.replace(/[*?[\]\\]/g, '\\$&');
+
+const defaultPolicy = (): RateLimitPolicy => {
+  const limit = config.security.apiRateLimit;
+  const policy: RateLimitPolicy = {
+    quota: { limit, windowMs: config.security.apiRateWindow },
+    roles: { admin: limit * 5, operator: limit * 2 },
+    routes: [
+      // Proxy runners delegate every job they pick up
+      { name: 'job-delegation', path: '/api/jobs/delegate', method: 'POST', quota: { limit: 600, windowMs: 60000 } },
+      // Dashboards poll monitoring endpoints
+      { name: 'monitoring', path: '/api/monitoring', quota: { limit: 120, windowMs: 60000 }, roles: { admin: 600 } }
+    ]
+  };
+
+  // API_RATE_LIMIT_POLICY overrides parts of the policy as JSON, e.g. {"roles":{"viewer":50}}
+  if (process.env.API_RATE_LIMIT_POLICY) {
+    try {
+      const overrides = JSON.parse(process.env.API_RATE_LIMIT_POLICY);
+      return {
+        quota: { ...policy.quota, ...overrides.quota },
+        roles: { ...policy.roles, ...overrides.roles },
+        routes: overrides.routes || policy.routes
+      };
+    } catch (error) {
+      logger.error('Invalid API_RATE_LIMIT_POLICY, using the default policy', { error });
+    }
+  }
+  return policy;
+};
+
+// Sliding window log: returns whether the request was counted, the count and ms until the oldest entry expires
+const HIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local reset = window
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+return {allowed, count, reset}
+`;
+
+/**
+ * API rate limiting shared by all nodes through Redis. Each caller gets a
+ * sliding window per bucket: a route with its own quota, or the default
+ * bucket. While Redis is unreachable every node limits on its own.
+ */
+export class ApiRateLimiter {
+  private static instance: ApiRateLimiter;
+  private policy: RateLimitPolicy;
+  private redis?: Redis;
+  private local: Map<string, number[]> = new Map(); // Key -> request timestamps, used without Redis
+  private lastFailureLog = 0;
+
+  private constructor(policy?: RateLimitPolicy, redis?: Redis) {
+    this.policy = policy || defaultPolicy();
+    this.redis = redis;
+
+    setInterval(() => this.pruneLocal(), 60000).unref();
+  }
+
+  public static getInstance(policy?: RateLimitPolicy, redis?: Redis): ApiRateLimiter {
+    if (!ApiRateLimiter.instance) {
+      ApiRateLimiter.instance = new ApiRateLimiter(policy, redis);
+    }
+    return ApiRateLimiter.instance;
+  }
+
+  public getPolicy(): RateLimitPolicy {
+    return this.policy;
+  }
+
+  /**
+   * Count a request against the caller's bucket for the route
+   */
+  public async hit(caller: RateLimitCaller, method: string, path: string): Promise<RateLimitResult> {
+    const route = this.matchRoute(method, path);
+    const bucket = route?.name || 'default';
+    const { windowMs } = route?.quota || this.policy.quota;
+    const limit = this.limitFor(route, caller.role);
+    const key = `${KEY_PREFIX}${bucket}:${caller.identity}`;
+
+    let allowed: boolean;
+    let count: number;
+    let resetMs: number;
+    try {
+      const redis = await this.getRedis();
+      const member = `${Date.now()}-${randomBytes(4).toString('hex')}`;
+      const [counted, total, reset] = await redis.eval(
+        HIT_SCRIPT, 1, key, Date.now(), windowMs, limit, member
+      ) as [number, number, number];
+      allowed = counted === 1;
+      count = total;
+      resetMs = reset;
+    } catch (error) {
+      this.logFailure('hit', error);
+      ({ allowed, count, resetMs } = this.hitLocal(key, windowMs, limit));
+    }
+
+    return { allowed, bucket, limit, remaining: Math.max(0, limit - count), windowMs, resetMs };
+  }
+
+  /**
+   * Buckets with requests in their current window, optionally of one caller
+   */
+  public async listBuckets(identity?: string): Promise<RateLimitBucket[]> {
+    const pattern = identity ? `${KEY_PREFIX}*:${escapeGlob(identity)}` : `${KEY_PREFIX}*`;
+    const now = Date.now();
+    const buckets: RateLimitBucket[] = [];
+
+    try {
+      const redis = await this.getRedis();
+      for (const key of await this.scan(redis, pattern)) {
+        const parsed = this.parseKey(key);
+        if (identity && parsed.identity !== identity) {
+          continue;
+        }
+        const windowMs = this.windowFor(parsed.bucket);
+        const entries = await redis.zrangebyscore(key, now - windowMs, '+inf', 'WITHSCORES');
+        if (entries.length > 0) {
+          buckets.push({ ...parsed, key, count: entries.length / 2, windowMs, resetMs: Number(entries[1]) + windowMs - now });
+        }
+      }
+    } catch (error) {
+      this.logFailure('list', error);
+      for (const [key, timestamps] of this.local) {
+        const parsed = this.parseKey(key);
+        const windowMs = this.windowFor(parsed.bucket);
+        const current = timestamps.filter(timestamp => timestamp > now - windowMs);
+        if ((!identity || parsed.identity === identity) && current.length > 0) {
+          buckets.push({ ...parsed, key, count: current.length, windowMs, resetMs: current[0] + windowMs - now });
+        }
+      }
+    }
+
+    return buckets.sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Clear a caller's buckets, or only the named one, returning how many were cleared
+   */
+  public async resetBuckets(identity: string, bucket?: string): Promise<number> {
+    let cleared = 0;
+    for (const key of Array.from(this.local.keys())) {
+      const parsed = this.parseKey(key);
+      if (parsed.identity === identity && (!bucket || parsed.bucket === bucket)) {
+        this.local.delete(key);
+        cleared++;
+      }
+    }
+
+    try {
+      const redis = await this.getRedis();
+      const keys = await this.scan(redis, `${KEY_PREFIX}${bucket ? escapeGlob(bucket) : '*'}:${escapeGlob(identity)}`);
+      cleared = keys.length > 0 ? await redis.del(...keys) : 0;
+    } catch (error) {
+      this.logFailure('reset', error);
+    }
+
+    logger.info('Reset rate limit buckets', { identity, bucket, cleared });
+    return cleared;
+  }
+
+  private matchRoute(method: string, path: string): RateLimitRoute | undefined {
+    // The most specific matching prefix wins
+    return this.policy.routes
+      .filter(route =>
+        (!route.method || route.method.toUpperCase() === method.toUpperCase()) &&
+        (path === route.path || path.startsWith(`${route.path}/`)))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+  }
+
+  private limitFor(route: RateLimitRoute | undefined, role?: string): number {
+    if (route) {
+      return (role && route.roles?.[role]) || route.quota.limit;
+    }
+    return (role && this.policy.roles[role]) || this.policy.quota.limit;
+  }
+
+  private windowFor(bucket: string): number {
+    return this.policy.routes.find(route => route.name === bucket)?.quota.windowMs || this.policy.quota.windowMs;
+  }
+
+  private parseKey(key: string): { bucket: string; identity: string } {
+    const rest = key.slice(KEY_PREFIX.length);
+    const separator = rest.indexOf(':');
+    return { bucket: rest.slice(0, separator), identity: rest.slice(separator + 1) };
+  }
+
+  private hitLocal(key: string, windowMs: number, limit: number): { allowed: boolean; count: number; resetMs: number } {
+    const now = Date.now();
+    const timestamps = (this.local.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+    const allowed = timestamps.length < limit;
+    if (allowed) {
+      timestamps.push(now);
+    }
+    this.local.set(key, timestamps);
+    return { allowed, count: timestamps.length, resetMs: timestamps.length > 0 ? timestamps[0] + windowMs - now : windowMs };
+  }
+
+  private pruneLocal(): void {
+    const now = Date.now();
+    for (const [key, timestamps] of this.local) {
+      const windowMs = this.windowFor(this.parseKey(key).bucket);
+      if (timestamps.length === 0 || timestamps[timestamps.length - 1] <= now - windowMs) {
+        this.local.delete(key);
+      }
+    }
+  }
+
+  private async scan(redis: Redis, pattern: string): Promise<string[]> {
+    const keys: string[] = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  private async getRedis(): Promise<Redis> {
+    if (!this.redis) {
+      this.redis = createRedisConnection({
+        connectionName: 'api-rate-limiter',
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+        lazyConnect: true
+      });
+    }
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    return this.redis;
+  }
+
+  private logFailure(operation: string, error: any): void {
+    // Redis outages would otherwise log once per API request
+    if (Date.now() - this.lastFailureLog > 60000) {
+      this.lastFailureLog = Date.now();
+      logger.warn(`Rate limit ${operation} failed, limiting per node`, { error: error?.message });
+    }
+  }
+}
+
+export default ApiRateLimiter.getInstance();
@@ -0,0 +1,102 @@
+import { ApiTokenService, hashToken } from './api-token-service';
+import database from './database';
+
+jest.mock('./database');
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const mockedQuery = database.query as jest.Mock;
+
+describe('ApiTokenService', () => {
+  let service: ApiTokenService;
+
+  beforeEach(() => {
+    (ApiTokenService as any).instance = undefined;
+    service = ApiTokenService.getInstance();
+    jest.clearAllMocks();
+  });
+
+  it('should store only the hash of created tokens', async () => {
+    mockedQuery.mockImplementation(async (_sql: string, params: any[]) => [{ id: 'token-1', scopes: params[5] }]);
+
+    const { token, apiToken } = await service.create({
+      name: 'ci-bot',
+      kind: 'service',
+      userId: 'user-1',
+      scopes: ['jobs:delegate', 'jobs:delegate', 'runners:scale'],
+      repositories: ['Acme/App']
+    });
+
+    expect(token).toMatch(/^rh_[\w-]{40}$/);
+    const params = mockedQuery.mock.calls[0][1];
+    expect(params).not.toContain(token);
+    expect(params[2]).toBeNull(); // Service tokens have no owner
+    expect(params[3]).toBe(token.slice(0, 10));
+    expect(params[4]).toBe(hashToken(token));
+    expect(params[6]).toEqual(['acme/app']);
+    expect(params[7]).toBe(90);
+    expect(apiToken.scopes).toEqual(['jobs:delegate', 'runners:scale']);
+  });
+
+  it('should reject unknown scopes, bad repositories and lifetimes', async () => {
+    const options = { name: 'ci-bot', kind: 'personal' as const, userId: 'user-1', scopes: ['jobs:delegate'] };
+
+    await expect(service.create({ ...options, scopes: ['users:delete'] })).rejects.toThrow('Unknown scopes: users:delete');
+    await expect(service.create({ ...options, scopes: [] })).rejects.toThrow('At least one scope is required');
+    await expect(service.create({ ...options, repositories: ['acme'] })).rejects.toThrow('owner/name');
+    await expect(service.create({ ...options, expiresInDays: 400 })).rejects.toThrow('1 to 365 days');
+    await expect(service.create({ ...options, userId: undefined })).rejects.toThrow('Personal tokens need an owner');
+    expect(mockedQuery).not.toHaveBeenCalled();
+  });
+
+  it('should look tokens up by hash and record use at most once a minute', async () => {
+    mockedQuery.mockResolvedValue([{ id: 'token-1', scopes: ['audit:read'], expiresAt: new Date(Date.now() + 3600000) }]);
+
+    expect(await service.verify('rh_secret')).toMatchObject({ id: 'token-1' });
+    expect(await service.verify('rh_secret')).toMatchObject({ id: 'token-1' });
+
+    const lookups = mockedQuery.mock.calls.filter(([sql]) => sql.includes('token_hash = $1'));
+    const touches = mockedQuery.mock.calls.filter(([sql]) => sql.includes('last_used_at = NOW()'));
+    expect(lookups).toHaveLength(1);
+    expect(lookups[0][1]).toEqual([hashToken('rh_secret')]);
+    expect(touches).toHaveLength(1);
+  });
+
+  it('should reuse recently verified tokens until they expire or are revoked', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    mockedQuery.mockResolvedValue([{ id: 'token-1', scopes: ['audit:read'], expiresAt: new Date(now + 3600000) }]);
+
+    expect(service.getVerified('rh_secret')).toBeNull();
+    await service.verify('rh_secret');
+    expect(service.getVerified('rh_secret')).toMatchObject({ id: 'token-1' });
+    expect(service.getVerified('rh_other')).toBeNull();
+
+    clock.mockReturnValue(now + 30000);
+    expect(service.getVerified('rh_secret')).toBeNull();
+
+    await service.verify('rh_secret');
+    await service.revoke('token-1');
+    expect(service.getVerified('rh_secret')).toBeNull();
+
+    clock.mockRestore();
+  });
+
+  it('should not query for credentials that are not API tokens', async () => {
+    expect(await service.verify('eyJhbGciOiJIUzI1NiJ9.payload.signature')).toBeNull();
+    expect(mockedQuery).not.toHaveBeenCalled();
+  });
+
+  it('should fail to revoke unknown tokens', async () => {
+    mockedQuery.mockResolvedValue([]);
+
+    await expect(service.revoke('missing')).rejects.toThrow('API token');
+  });
+});
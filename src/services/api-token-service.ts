@@ -0,0 +1,258 @@
+import { createHash, randomBytes } from 'crypto';
+import { createLogger } from '../utils/logger';
+import { ValidationError, NotFoundError } from '../utils/errors';
+import database from './database';
+
+const logger = createLogger('ApiTokenService');
+
+/**
+ * Scopes an API token can be granted, each with the user permission that
+ * grants the same access to a logged-in session
+ */
+export const TOKEN_SCOPES = {
+  'jobs:delegate': 'jobs:write',
+  'runners:scale': 'runners:write',
+  'cache:clear': 'system:write',
+  'audit:read': 'system:read'
+} as const;
+
+export type TokenScope = keyof typeof TOKEN_SCOPES;
+
+export type TokenKind = 'personal' | 'service';
+
+export const TOKEN_PREFIX = 'rh_';
+
+export interface ApiToken {
+  id: string;
+  name: string;
+  kind: TokenKind;
+  userId: string | null;
+  tokenPrefix: string;
+  scopes: TokenScope[];
+  repositories: string[] | null; // null: every repository
+  expiresAt: Date;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+  createdBy: string | null;
+  createdAt: Date;
+}
+
+export interface CreateTokenOptions {
+  name: string;
+  kind: TokenKind;
+  userId?: string; // Owner of a personal token
+  scopes: string[];
+  repositories?: string[];
+  expiresInDays?: number;
+  createdBy?: string;
+}
+
+/**
+ * Verified token, with the username of its owner for personal tokens
+ */
+export interface TokenPrincipal extends ApiToken {
+  username?: string;
+}
+
+const TOKEN_COLUMNS = `t.id, t.name, t.kind, t.user_id AS "userId", t.token_prefix AS "tokenPrefix",
+  t.scopes, t.repositories, t.expires_at AS "expiresAt", t.last_used_at AS "lastUsedAt",
+  t.revoked_at AS "revokedAt", t.created_by AS "createdBy", t.created_at AS "createdAt"`;
+
+const DEFAULT_LIFETIME_DAYS = 90;
+const LAST_USED_INTERVAL = 60000; // Record use at most once a minute per token
+
+export const hashToken = (token: string): string => createHash('sha256').update(token).digest('hex');
+
+export const isApiToken = (token: string): boolean => token.startsWith(TOKEN_PREFIX);
+
+export const isTokenScope = (scope: string): scope is TokenScope => scope in TOKEN_SCOPES;
+
+/**
+ * Long-lived, scoped tokens for CI bots and proxy runners. Personal tokens
+ * belong to a user and stop working with the user's account, service tokens
+ * are created by admins. Tokens are stored hashed, the plaintext is only
+ * returned by `create`.
+ */
+export class ApiTokenService {
+  private static instance: ApiTokenService;
+  private maxLifetimeDays: number;
+  private lastUsed: Map<string, number> = new Map();
+  private verified: Map<string, { principal: TokenPrincipal; until: number }> = new Map(); // Token hash -> principal
+  private verifiedTtl: number;
+
+  private constructor() {
+    this.maxLifetimeDays = parseInt(process.env.API_TOKEN_MAX_LIFETIME_DAYS || '365', 10);
+    this.verifiedTtl = parseInt(process.env.API_TOKEN_VERIFIED_TTL || '30000', 10);
+  }
+
+  public static getInstance(): ApiTokenService {
+    if (!ApiTokenService.instance) {
+      ApiTokenService.instance = new ApiTokenService();
+    }
+    return ApiTokenService.instance;
+  }
+
+  /**
+   * Create a token, returning its plaintext once
+   */
+  public async create(options: CreateTokenOptions): Promise<{ token: string; apiToken: ApiToken }> {
+    const { name, kind, userId, scopes, repositories, expiresInDays = DEFAULT_LIFETIME_DAYS } = options;
+
+    if (!name || name.length > 100) {
+      throw new ValidationError('Token name is required and at most 100 characters');
+    }
+    if (kind === 'personal' && !userId) {
+      throw new ValidationError('Personal tokens need an owner');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('At least one scope is required');
+    }
+    const unknown = scopes.filter(scope => !isTokenScope(scope));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    if (repositories && !repositories.every(repository => /^[\w.-]+\/[\w.-]+$/.test(repository))) {
+      throw new ValidationError('Repositories must be given as owner/name');
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > this.maxLifetimeDays) {
+      throw new ValidationError(`Tokens expire after 1 to ${this.maxLifetimeDays} days`);
+    }
+
+    const token = `${TOKEN_PREFIX}${randomBytes(30).toString('base64url')}`;
+    const [apiToken] = await database.query<ApiToken>(
+      `INSERT INTO api_tokens AS t (name, kind, user_id, token_prefix, token_hash, scopes, repositories, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(days => $8), $9)
+       RETURNING ${TOKEN_COLUMNS}`,
+      [
+        name,
+        kind,
+        kind === 'personal' ? userId : null,
+        token.slice(0, 10),
+        hashToken(token),
+        Array.from(new Set(scopes)),
+        repositories?.length ? repositories.map(repository => repository.toLowerCase()) : null,
+        expiresInDays,
+        options.createdBy || null
+      ]
+    );
+
+    logger.info('Created API token', { id: apiToken.id, name, kind, userId, scopes: apiToken.scopes });
+    return { token, apiToken };
+  }
+
+  /**
+   * Token matching the plaintext, or null when it is unknown, expired,
+   * revoked or its owner is no longer active
+   */
+  public async verify(token: string): Promise<TokenPrincipal | null> {
+    if (!isApiToken(token)) {
+      return null;
+    }
+
+    const cached = this.getVerified(token);
+    if (cached) {
+      this.touch(cached.id);
+      return cached;
+    }
+
+    const [principal] = await database.query<TokenPrincipal>(
+      `SELECT ${TOKEN_COLUMNS}, u.username
+       FROM api_tokens t
+       LEFT JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1
+         AND t.revoked_at IS NULL
+         AND t.expires_at > NOW()
+         AND (t.kind = 'service' OR u.active = true)`,
+      [hashToken(token)]
+    );
+    if (!principal) {
+      return null;
+    }
+
+    this.verified.set(hashToken(token), { principal, until: Date.now() + this.verifiedTtl });
+    this.touch(principal.id);
+    return principal;
+  }
+
+  /**
+   * Principal of a token verified within the last few seconds, without
+   * querying the database. Revocation on another node takes effect here
+   * once the entry expires.
+   */
+  public getVerified(token: string): TokenPrincipal | null {
+    if (!isApiToken(token)) {
+      return null;
+    }
+
+    const hash = hashToken(token);
+    const entry = this.verified.get(hash);
+    if (!entry) {
+      return null;
+    }
+    if (entry.until <= Date.now() || entry.principal.expiresAt.getTime() <= Date.now()) {
+      this.verified.delete(hash);
+      return null;
+    }
+    return entry.principal;
+  }
+
+  /**
+   * Tokens of a user, or every token when no user is given
+   */
+  public async list(userId?: string): Promise<ApiToken[]> {
+    return database.query<ApiToken>(
+      `SELECT ${TOKEN_COLUMNS} FROM api_tokens t
+       WHERE $1::uuid IS NULL OR t.user_id = $1
+       ORDER BY t.created_at DESC`,
+      [userId || null]
+    );
+  }
+
+  public async get(id: string): Promise<ApiToken> {
+    const [apiToken] = await database.query<ApiToken>(
+      `SELECT ${TOKEN_COLUMNS} FROM api_tokens t WHERE t.id = $1`,
+      [id]
+    );
+    if (!apiToken) {
+      throw new NotFoundError('API token');
+    }
+    return apiToken;
+  }
+
+  public async revoke(id: string): Promise<ApiToken> {
+    const [apiToken] = await database.query<ApiToken>(
+      `UPDATE api_tokens AS t SET revoked_at = COALESCE(t.revoked_at, NOW())
+       WHERE t.id = $1
+       RETURNING ${TOKEN_COLUMNS}`,
+      [id]
+    );
+    if (!apiToken) {
+      throw new NotFoundError('API token');
+    }
+
+    for (const [hash, entry] of this.verified) {
+      if (entry.principal.id === id) {
+        this.verified.delete(hash);
+      }
+    }
+
+    logger.info('Revoked API token', { id, name: apiToken.name });
+    return apiToken;
+  }
+
+  /**
+   * Record when a token was last used without writing on every request
+   */
+  private touch(id: string): void {
+    const now = Date.now();
+    if (now - (this.lastUsed.get(id) || 0) < LAST_USED_INTERVAL) {
+      return;
+    }
+    this.lastUsed.set(id, now);
+
+    database.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [id])
+      .catch(error => logger.warn('Failed to record API token use', { id, error: error.message }));
+  }
+}
+
+export default ApiTokenService.getInstance();
@@ -203,6 +203,28 @@ describe('AuditLogger', () => {
     });
   });
 
+  describe('logJobTimeout', () => {
+    beforeEach(async () => {
+      await auditLogger.initialize();
+    });
+
+    it('should log job timeout event', async () => {
+      await auditLogger.logJobTimeout('job-123', 'org/repo', 30, { containerId: 'container-1' });
+
+      expect(auditLogger['buffer']).toHaveLength(1);
+      expect(auditLogger['buffer'][0]).toMatchObject({
+        eventType: AuditEventType.JOB_TIMED_OUT,
+        category: AuditCategory.JOB_MANAGEMENT,
+        severity: AuditSeverity.WARNING,
+        resource: 'job',
+        resourceId: 'job-123',
+        action: 'Job timed out',
+        details: { repository: 'org/repo', timeoutMinutes: 30, containerId: 'container-1' },
+        result: 'failure'
+      });
+    });
+  });
+
   describe('query', () => {
     beforeEach(async () => {
       await auditLogger.initialize();
@@ -32,6 +32,8 @@ export enum AuditEventType {
   USER_LOGIN_FAILED = 'user.login.failed',
   TOKEN_REFRESH = 'token.refresh',
   TOKEN_EXPIRED = 'token.expired',
+  API_TOKEN_CREATED = 'api_token.created',
+  API_TOKEN_REVOKED = 'api_token.revoked',
   
   // User management
   USER_CREATED = 'user.created',
@@ -47,6 +49,10 @@ export enum AuditEventType {
   JOB_COMPLETED = 'job.completed',
   JOB_FAILED = 'job.failed',
   JOB_CANCELLED = 'job.cancelled',
+  JOB_TIMED_OUT = 'job.timed_out',
+  JOB_DEAD_LETTERED = 'job.dead_lettered',
+  JOB_PAYLOAD_UPDATED = 'job.payload_updated',
+  JOB_REPLAYED = 'job.replayed',
   JOB_DELEGATED = 'job.delegated',
   
   // Runner operations
@@ -302,6 +308,28 @@ export class AuditLogger extends EventEmitter {
     });
   }
 
+  /**
+   * Log a job stopped for exceeding its `timeout-minutes`
+   */
+  async logJobTimeout(
+    jobId: string,
+    repository: string,
+    timeoutMinutes: number,
+    details?: Record<string, any>
+  ): Promise<void> {
+    await this.log({
+      eventType: AuditEventType.JOB_TIMED_OUT,
+      category: AuditCategory.JOB_MANAGEMENT,
+      severity: AuditSeverity.WARNING,
+      resource: 'job',
+      resourceId: jobId,
+      action: 'Job timed out',
+      details: { repository, timeoutMinutes, ...details },
+      result: 'failure',
+      errorMessage: `Job exceeded its timeout of ${timeoutMinutes} minutes`
+    });
+  }
+
   /**
    * Log a container operation
    */
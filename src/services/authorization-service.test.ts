@@ -0,0 +1,141 @@
+import { AuthorizationService } from './authorization-service';
+import database from './database';
+
+jest.mock('./database', () => ({
+  __esModule: true,
+  default: { query: jest.fn().mockResolvedValue([]) }
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+// Store stand-in holding roles and policies as Postgres would
+const createStore = (policies: any[] = []) => ({
+  roles: [] as any[],
+  policies,
+  loadRoles: jest.fn(async function (this: any) { return this.roles; }),
+  loadPolicies: jest.fn(async function (this: any) { return this.policies; }),
+  saveRole: jest.fn(async function (this: any, role: any) { this.roles.push(role); }),
+  savePolicy: jest.fn(async function (this: any, policy: any) { this.policies.push(policy); }),
+  deletePolicy: jest.fn(async function (this: any, id: string) {
+    this.policies = this.policies.filter((policy: any) => policy.id !== id);
+  })
+});
+
+const session = (role: 'admin' | 'operator' | 'viewer', permissions: string[] = []) => ({
+  sub: `${role}-1`,
+  username: role,
+  role,
+  permissions,
+  iat: 0,
+  exp: 0,
+  iss: 'github-runnerhub',
+  aud: 'github-runnerhub-api'
+});
+
+const acme = { repository: 'acme/app', organization: 'acme' };
+const other = { repository: 'other/app', organization: 'other' };
+
+describe('AuthorizationService', () => {
+  let store: ReturnType<typeof createStore>;
+
+  const createService = (policies: any[] = []) => {
+    (AuthorizationService as any).instance = undefined;
+    store = createStore(policies);
+    return AuthorizationService.getInstance(store);
+  };
+
+  it('should apply the built-in roles with inheritance', async () => {
+    const service = createService();
+
+    expect(await service.check(session('admin'), 'security:write')).toBe(true);
+    expect(await service.check(session('operator'), 'runners:scale', acme)).toBe(true);
+    expect(await service.check(session('operator'), 'jobs:read')).toBe(true);
+    expect(await service.check(session('viewer'), 'jobs:write')).toBe(false);
+    // Permissions of the users table are granted directly
+    expect(await service.check(session('viewer', ['jobs:write']), 'jobs:write')).toBe(true);
+
+    expect(await service.hasRole(session('admin'), ['operator'])).toBe(true);
+    expect(await service.hasRole(session('viewer'), ['operator'])).toBe(false);
+  });
+
+  it('should let operators scale pools only for allowed organizations', async () => {
+    const service = createService();
+
+    await service.saveRole({
+      id: 'operator',
+      name: 'Operator',
+      permissions: ['jobs:write', 'runners:write', 'runners:scale'],
+      constraints: { organizations: ['acme'] },
+      inherits: ['viewer']
+    });
+    expect(store.saveRole).toHaveBeenCalledWith(expect.objectContaining({ id: 'operator', inherits: ['viewer'] }));
+
+    expect(await service.check(session('operator'), 'runners:scale', acme)).toBe(true);
+    expect(await service.check(session('operator'), 'runners:scale', { repository: 'organization:acme/linux' })).toBe(true);
+    expect(await service.check(session('operator'), 'runners:scale', other)).toBe(false);
+  });
+
+  it('should load policies from the store, with deny winning', async () => {
+    const service = createService([
+      { id: 'viewers-scale-acme', effect: 'allow', roles: ['viewer'], permissions: ['runners:scale'], conditions: { organizations: ['acme'] } },
+      { id: 'freeze-legacy', effect: 'deny', permissions: ['runners:*', 'jobs:write'], conditions: { repositories: ['acme/legacy-*'] } }
+    ]);
+
+    expect(await service.check(session('viewer'), 'runners:scale', acme)).toBe(true);
+    expect(await service.check(session('viewer'), 'runners:scale', other)).toBe(false);
+    expect(await service.check(session('admin'), 'runners:scale', { repository: 'acme/legacy-api', organization: 'acme' })).toBe(false);
+    expect(await service.check(session('admin'), 'runners:scale', acme)).toBe(true);
+  });
+
+  it('should persist and remove policies', async () => {
+    const service = createService();
+
+    await expect(service.savePolicy({ id: 'bad', permissions: ['runners:fly'] })).rejects.toThrow('Invalid permissions: runners:fly');
+    await expect(service.savePolicy({ id: 'bad', effect: 'maybe' as any, permissions: ['jobs:read'] })).rejects.toThrow('Invalid policy effect');
+
+    await service.savePolicy({ id: 'no-jobs', effect: 'deny', users: ['operator-1'], permissions: ['jobs:write'] });
+    expect(store.savePolicy).toHaveBeenCalledTimes(1);
+    expect(await service.listPolicies()).toEqual([expect.objectContaining({ id: 'no-jobs', effect: 'deny' })]);
+    expect(await service.check(session('operator'), 'jobs:write')).toBe(false);
+
+    await service.removePolicy('no-jobs');
+    expect(store.deletePolicy).toHaveBeenCalledWith('no-jobs');
+    expect(await service.check(session('operator'), 'jobs:write')).toBe(true);
+    await expect(service.removePolicy('no-jobs')).rejects.toThrow('Policy no-jobs not found');
+  });
+
+  it('should explain simulated decisions', async () => {
+    const service = createService([
+      { id: 'freeze-legacy', effect: 'deny', permissions: ['runners:*'], conditions: { repositories: ['acme/legacy-*'] } }
+    ]);
+    (database.query as jest.Mock).mockResolvedValueOnce([
+      { id: 'user-7', username: 'carol', role: 'operator', permissions: ['system:read'], active: true }
+    ]);
+
+    const denied = await service.simulate('carol', 'runners:scale', { repository: 'acme/legacy-api' });
+    expect(denied).toMatchObject({
+      allowed: false,
+      reason: 'Denied by policy freeze-legacy',
+      policy: 'freeze-legacy',
+      userId: 'user-7',
+      username: 'carol'
+    });
+    expect(denied.roles).toEqual(['operator', 'viewer']);
+    expect(database.query).toHaveBeenCalledWith(expect.stringContaining('FROM users'), ['carol']);
+
+    (database.query as jest.Mock).mockResolvedValueOnce([
+      { id: 'user-7', username: 'carol', role: 'operator', permissions: ['system:read'], active: true }
+    ]);
+    expect(await service.simulate('user-7', 'audit:read')).toMatchObject({ allowed: true, reason: 'Granted by permission audit:read' });
+
+    (database.query as jest.Mock).mockResolvedValueOnce([]);
+    await expect(service.simulate('nobody', 'jobs:read')).rejects.toThrow('User nobody not found');
+  });
+});
@@ -0,0 +1,286 @@
+import RBACSystem, {
+  RbacContext, RbacExplanation, RbacPolicyDefinition, RbacRole, RbacStore
+} from '../container-orchestration/security/rbac';
+import { createLogger } from '../utils/logger';
+import { NotFoundError, ValidationError } from '../utils/errors';
+import type { JWTPayload } from '../middleware/auth';
+import auditLogger, { AuditEventType, AuditCategory, AuditSeverity } from './audit-logger';
+import { TOKEN_SCOPES } from './api-token-service';
+import database from './database';
+
+const logger = createLogger('AuthorizationService');
+
+const PERMISSIONS = [
+  'users:read', 'users:write', 'users:delete',
+  'jobs:read', 'jobs:write', 'jobs:delete', 'jobs:delegate',
+  'runners:read', 'runners:write', 'runners:delete', 'runners:scale',
+  'system:read', 'system:write',
+  'monitoring:read', 'monitoring:write',
+  'cache:clear', 'audit:read',
+  'security:read', 'security:write'
+];
+
+/**
+ * Roles users.role refers to, used until the stored roles are loaded and
+ * whenever Postgres is unreachable. Migration 014 seeds the same roles.
+ */
+const BUILT_IN_ROLES: Record<string, Omit<RbacRole, 'id'>> = {
+  admin: { name: 'Administrator', description: 'Full system access', permissions: ['*'], constraints: {}, inherits: ['operator', 'viewer'] },
+  operator: {
+    name: 'Operator',
+    description: 'Run jobs and manage runners',
+    permissions: ['jobs:write', 'jobs:delegate', 'runners:write', 'runners:scale'],
+    constraints: {},
+    inherits: ['viewer']
+  },
+  viewer: {
+    name: 'Viewer',
+    description: 'Read-only access',
+    permissions: ['jobs:read', 'runners:read', 'system:read', 'monitoring:read', 'audit:read'],
+    constraints: {},
+    inherits: []
+  }
+};
+
+/**
+ * Roles and policies in Postgres, see migration 014
+ */
+class PostgresRbacStore implements RbacStore {
+  async loadRoles(): Promise<RbacRole[]> {
+    return database.query<RbacRole>(
+      'SELECT id, name, description, permissions, constraints, inherits, priority FROM rbac_roles'
+    );
+  }
+
+  async loadPolicies(): Promise<RbacPolicyDefinition[]> {
+    return database.query<RbacPolicyDefinition>(
+      'SELECT id, name, description, effect, roles, users, permissions, conditions FROM rbac_policies ORDER BY id'
+    );
+  }
+
+  async saveRole(role: RbacRole): Promise<void> {
+    await database.query(
+      `INSERT INTO rbac_roles (id, name, description, permissions, constraints, inherits, priority)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE SET name = $2, description = $3, permissions = $4,
+         constraints = $5, inherits = $6, priority = $7`,
+      [role.id, role.name, role.description || null, role.permissions, JSON.stringify(role.constraints || {}),
+        role.inherits || [], role.priority || 0]
+    );
+  }
+
+  async savePolicy(policy: RbacPolicyDefinition): Promise<void> {
+    await database.query(
+      `INSERT INTO rbac_policies (id, name, description, effect, roles, users, permissions, conditions)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (id) DO UPDATE SET name = $2, description = $3, effect = $4, roles = $5,
+         users = $6, permissions = $7, conditions = $8`,
+      [policy.id, policy.name || null, policy.description || null, policy.effect || 'allow', policy.roles || [],
+        policy.users || [], policy.permissions, JSON.stringify(policy.conditions || {})]
+    );
+  }
+
+  async deletePolicy(policyId: string): Promise<void> {
+    await database.query('DELETE FROM rbac_policies WHERE id = $1', [policyId]);
+  }
+}
+
+/**
+ * Forwards the engine's denials to the audit log. Changes to roles and
+ * policies are audited by the routes making them, which know the user.
+ */
+const auditAdapter = {
+  log: async (event: Record<string, any>): Promise<void> => {
+    if (event.action !== 'permission_check' || event.result !== 'denied') {
+      return;
+    }
+    await auditLogger.log({
+      eventType: AuditEventType.PERMISSION_DENIED,
+      category: AuditCategory.AUTHORIZATION,
+      severity: AuditSeverity.WARNING,
+      userId: event.userId,
+      resource: 'rbac',
+      action: 'permission_check',
+      details: event.details,
+      result: 'failure'
+    });
+  }
+};
+
+/**
+ * Repository and organization a check is about. Group pools are keyed
+ * `<scope>:<owner>/<group>`, see RunnerPoolManager.
+ */
+export const resourceContext = (repository?: string, ipAddress?: string): RbacContext => {
+  const context: RbacContext = {};
+  if (repository) {
+    context.repository = repository;
+    context.organization = repository.replace(/^(organization|enterprise):/, '').split('/')[0];
+  }
+  if (ipAddress) {
+    context.ipAddress = ipAddress;
+  }
+  return context;
+};
+
+/**
+ * Authorization for API routes through the RBAC engine: roles with
+ * inheritance and constraints, plus allow and deny policies, stored in
+ * Postgres and reloaded periodically so changes reach every node
+ */
+export class AuthorizationService {
+  private static instance: AuthorizationService;
+  private engine: RBACSystem;
+  private ready?: Promise<void>;
+
+  private constructor(store: RbacStore = new PostgresRbacStore()) {
+    this.engine = new RBACSystem(auditAdapter, {
+      store,
+      permissions: Object.fromEntries(PERMISSIONS.map(permission => {
+        const [resource, action] = permission.split(':');
+        return [permission, { resource, action }];
+      })),
+      defaultRoles: BUILT_IN_ROLES,
+      roleHierarchy: Object.fromEntries(Object.entries(BUILT_IN_ROLES).map(([id, role]) => [id, role.inherits])),
+      cacheTTL: 60000
+    });
+
+    setInterval(() => {
+      this.engine.reloadFromStore().catch(error => logger.warn('Failed to reload RBAC roles and policies', { error: error.message }));
+    }, parseInt(process.env.RBAC_RELOAD_INTERVAL || '60000', 10)).unref();
+  }
+
+  public static getInstance(store?: RbacStore): AuthorizationService {
+    if (!AuthorizationService.instance) {
+      AuthorizationService.instance = new AuthorizationService(store);
+    }
+    return AuthorizationService.instance;
+  }
+
+  /**
+   * Whether the user may use the permission in the context
+   */
+  public async check(user: JWTPayload, permission: string, context: RbacContext = {}): Promise<boolean> {
+    const userId = await this.sync(user);
+    return this.engine.checkPermission(userId, permission, context);
+  }
+
+  /**
+   * Whether the user holds one of the roles, directly or by inheritance
+   */
+  public async hasRole(user: JWTPayload, roles: string[]): Promise<boolean> {
+    await this.ensureReady();
+    const held = [user.role, ...this.engine.getInheritedRoles(user.role)];
+    return roles.some(role => held.includes(role));
+  }
+
+  /**
+   * Answer "can user U do A on R, and why" for a user of the users table,
+   * given by id or username
+   */
+  public async simulate(userRef: string, permission: string, context: RbacContext = {}): Promise<RbacExplanation & { username: string }> {
+    const [row] = await database.query<{ id: string; username: string; role: JWTPayload['role']; permissions: string[]; active: boolean }>(
+      'SELECT id, username, role, permissions, active FROM users WHERE id::text = $1 OR username = $1',
+      [userRef]
+    );
+    if (!row) {
+      throw new NotFoundError(`User ${userRef} not found`);
+    }
+
+    await this.ensureReady();
+    this.engine.syncUser({ id: row.id, username: row.username, active: row.active, permissions: this.grantsOf(row.permissions) }, [row.role]);
+    const explanation = await this.engine.explainPermission(row.id, permission, context);
+    return { ...explanation, username: row.username };
+  }
+
+  public async listRoles(): Promise<RbacRole[]> {
+    await this.ensureReady();
+    return Array.from(this.engine.roles.values());
+  }
+
+  public async saveRole(role: RbacRole): Promise<RbacRole> {
+    await this.ensureReady();
+    try {
+      return await this.engine.saveRole(role);
+    } catch (error) {
+      throw this.asValidationError(error);
+    }
+  }
+
+  public async listPolicies(): Promise<RbacPolicyDefinition[]> {
+    await this.ensureReady();
+    return Array.from(this.engine.customPolicies.values())
+      .filter(policy => policy.definition)
+      .map(policy => policy.definition!);
+  }
+
+  public async savePolicy(policy: RbacPolicyDefinition): Promise<RbacPolicyDefinition> {
+    await this.ensureReady();
+    const unknown = (policy.permissions || []).filter(permission =>
+      permission !== '*' && !permission.endsWith(':*') && !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Invalid permissions: ${unknown.join(', ')}`);
+    }
+
+    try {
+      return await this.engine.savePolicy(policy);
+    } catch (error) {
+      throw this.asValidationError(error);
+    }
+  }
+
+  public async removePolicy(policyId: string): Promise<void> {
+    await this.ensureReady();
+    if (!await this.engine.removePolicy(policyId)) {
+      throw new NotFoundError(`Policy ${policyId} not found`);
+    }
+  }
+
+  public getPermissions(): string[] {
+    return PERMISSIONS;
+  }
+
+  /**
+   * Mirror the requesting user into the engine. API tokens become engine
+   * users of their own, holding their scopes and no role, so policies for
+   * roles do not widen them and their checks never change their owner's.
+   */
+  private async sync(user: JWTPayload): Promise<string> {
+    await this.ensureReady();
+    if (user.tokenId) {
+      const id = `token:${user.tokenId}`;
+      this.engine.syncUser({ id, username: user.username, permissions: user.permissions }, []);
+      return id;
+    }
+
+    this.engine.syncUser({ id: user.sub, username: user.username, permissions: this.grantsOf(user.permissions) }, [user.role]);
+    return user.sub;
+  }
+
+  /**
+   * Permissions of the users table, with the token scopes they imply
+   */
+  private grantsOf(permissions: string[] = []): string[] {
+    const implied = Object.entries(TOKEN_SCOPES)
+      .filter(([, permission]) => permissions.includes(permission))
+      .map(([scope]) => scope);
+    return Array.from(new Set([...permissions, ...implied]));
+  }
+
+  private ensureReady(): Promise<void> {
+    if (!this.ready) {
+      // Without Postgres the built-in roles apply until a reload succeeds
+      this.ready = this.engine.initialize().catch(error => {
+        logger.error('Failed to load RBAC roles and policies, using built-in roles', { error: error.message });
+      });
+    }
+    return this.ready;
+  }
+
+  private asValidationError(error: unknown): Error {
+    const message = (error as Error).message;
+    return /^(Invalid|Policy needs)/.test(message) ? new ValidationError(message) : error as Error;
+  }
+}
+
+export default AuthorizationService.getInstance();
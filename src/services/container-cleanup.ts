@@ -55,7 +55,6 @@ export interface CleanupDetail {
 export class ContainerCleanupService extends EventEmitter {
   private static instance: ContainerCleanupService;
   private cleanupPolicies: Map<string, CleanupPolicy> = new Map();
-  private cleanupInterval: NodeJS.Timeout | null = null;
   private isRunning: boolean = false;
   private lastCleanupResult: CleanupResult | null = null;
 
@@ -77,12 +76,9 @@ export class ContainerCleanupService extends EventEmitter {
     logger.info('Initializing container cleanup service');
 
     try {
-      // Load cleanup policies
+      // Load cleanup policies, run by the CLEANUP_CONTAINERS schedule
       await this.loadDefaultPolicies();
 
-      // Start cleanup scheduler
-      this.startCleanupScheduler();
-
       logger.info('Container cleanup service initialized', {
         policiesLoaded: this.cleanupPolicies.size
       });
@@ -186,21 +182,6 @@ export class ContainerCleanupService extends EventEmitter {
     }
   }
 
-  /**
-   * Start the cleanup scheduler
-   */
-  private startCleanupScheduler(): void {
-    // Run cleanup every 5 minutes
-    this.cleanupInterval = setInterval(async () => {
-      if (!this.isRunning) {
-        await this.runCleanup();
-      }
-    }, 5 * 60 * 1000);
-
-    // Run initial cleanup after 1 minute
-    setTimeout(() => this.runCleanup(), 60000);
-  }
-
   /**
    * Run cleanup process
    */
@@ -655,11 +636,6 @@ export class ContainerCleanupService extends EventEmitter {
   async shutdown(): Promise<void> {
     logger.info('Shutting down container cleanup service');
 
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
-
     this.cleanupPolicies.clear();
   }
 }
@@ -58,7 +58,6 @@ export class ContainerLifecycleManager extends EventEmitter {
   private docker: Docker;
   private containers: Map<string, ContainerInfo> = new Map();
   private monitoringInterval: NodeJS.Timeout | null = null;
-  private cleanupInterval: NodeJS.Timeout | null = null;
 
   private constructor() {
     super();
@@ -90,7 +89,6 @@ export class ContainerLifecycleManager extends EventEmitter {
 
       // Start monitoring
       this.startMonitoring();
-      this.startCleanup();
 
       logger.info('Container lifecycle manager initialized');
     } catch (error) {
@@ -159,6 +157,9 @@ export class ContainerLifecycleManager extends EventEmitter {
       if (containerConfig.volumes) {
         createOptions.HostConfig!.Binds = containerConfig.volumes;
       }
+      if (containerConfig.entrypoint) {
+        createOptions.Entrypoint = containerConfig.entrypoint;
+      }
 
       // Create container
       const container = await this.docker.createContainer(createOptions);
@@ -561,33 +562,34 @@ export class ContainerLifecycleManager extends EventEmitter {
   }
 
   /**
-   * Start cleanup process
+   * Remove stopped containers older than maxAge, run by the CLEANUP_CONTAINERS schedule
    */
-  private startCleanup(): void {
-    this.cleanupInterval = setInterval(async () => {
-      const stoppedContainers = Array.from(this.containers.values())
-        .filter(c => c.state === ContainerState.STOPPED);
-
-      for (const container of stoppedContainers) {
-        const age = Date.now() - container.created.getTime();
-        
-        // Remove containers older than 1 hour
-        if (age > 3600000) {
-          try {
-            await this.removeContainer(container.id);
-            logger.info('Cleaned up old container', { 
-              containerId: container.id,
-              age: Math.round(age / 60000) + ' minutes'
-            });
-          } catch (error) {
-            logger.error('Failed to cleanup container', { 
-              containerId: container.id,
-              error 
-            });
-          }
+  async cleanupStoppedContainers(maxAge = 3600000): Promise<number> {
+    const stoppedContainers = Array.from(this.containers.values())
+      .filter(c => c.state === ContainerState.STOPPED);
+    let removed = 0;
+
+    for (const container of stoppedContainers) {
+      const age = Date.now() - container.created.getTime();
+
+      if (age > maxAge) {
+        try {
+          await this.removeContainer(container.id);
+          removed++;
+          logger.info('Cleaned up old container', { 
+            containerId: container.id,
+            age: Math.round(age / 60000) + ' minutes'
+          });
+        } catch (error) {
+          logger.error('Failed to cleanup container', { 
+            containerId: container.id,
+            error 
+          });
         }
       }
-    }, 300000); // Every 5 minutes
+    }
+
+    return removed;
   }
 
   /**
@@ -600,10 +602,6 @@ export class ContainerLifecycleManager extends EventEmitter {
       clearInterval(this.monitoringInterval);
     }
 
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-
     // Stop all running containers
     const runningContainers = Array.from(this.containers.values())
       .filter(c => c.state === ContainerState.RUNNING);
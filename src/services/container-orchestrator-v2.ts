@@ -6,13 +6,25 @@ import jobRouter from './job-router';
 import containerCleanup from './container-cleanup';
 import networkIsolation from './network-isolation';
 import securityScanner from './security-scanner';
+import serviceContainers from './service-containers';
+import jobContainers, { JOB_WORKSPACE_PATH } from './job-container';
+import { JobParser } from '../orchestrator/job-parser';
+import { StatusReporter, JobConclusion } from '../orchestrator/status-reporter';
+import auditLogger from './audit-logger';
 import { Runner, RunnerStatus, DelegatedJob, ContainerConfig, JobStatus } from '../types';
-import { GitHubAPIService } from './github-api';
+import { GitHubAPIService, JitRunnerConfig, RunnerTarget } from './github-api';
+import { parsePoolKey } from './runner-pool-manager';
 import monitoringService from './monitoring';
 import config from '../config';
 
 const logger = createLogger('ContainerOrchestratorV2');
 
+// Seconds a timed out runner gets to exit after SIGTERM before it is killed
+const TIMEOUT_GRACE_PERIOD = parseInt(process.env.JOB_TIMEOUT_GRACE_PERIOD || '30', 10);
+
+// Where runner containers see hooks/container-hook.js
+const CONTAINER_HOOKS_PATH = '/opt/runnerhub/hooks';
+
 export interface JobExecutionResult {
   success: boolean;
   exitCode: number;
@@ -20,13 +32,19 @@ export interface JobExecutionResult {
   duration: number;
   containerId: string;
   runnerId: string;
+  timedOut?: boolean;
+}
+
+export class JobTimeoutError extends Error {
+  constructor(public jobId: string, public timeoutMinutes: number) {
+    super(`Job ${jobId} exceeded its timeout of ${timeoutMinutes} minutes`);
+    this.name = 'JobTimeoutError';
+  }
 }
 
 export class ContainerOrchestratorV2 extends EventEmitter {
   private static instance: ContainerOrchestratorV2;
   private githubApi: GitHubAPIService;
-  private cleanupInterval: NodeJS.Timeout | null = null;
-  private healthInterval: NodeJS.Timeout | null = null;
 
   private constructor() {
     super();
@@ -59,12 +77,9 @@ export class ContainerOrchestratorV2 extends EventEmitter {
       // Initialize network isolation service
       await networkIsolation.initialize();
 
-      // Set up event listeners
+      // Set up event listeners, high resource usage is reported by the lifecycle manager
       this.setupEventListeners();
 
-      // Start background tasks
-      this.startBackgroundTasks();
-
       logger.info('Container orchestrator v2 initialized');
     } catch (error) {
       logger.error('Failed to initialize container orchestrator', { error });
@@ -121,8 +136,33 @@ export class ContainerOrchestratorV2 extends EventEmitter {
       }
       containerId = containerInfo.id;
 
+      // Stream the runner's output into the job's check run
+      const statusReporter = StatusReporter.getInstance();
+      await statusReporter.reportJobStarted(
+        job.id,
+        job.repository,
+        job.sha || '',
+        job.workflow,
+        parseInt(job.runId, 10)
+      );
+      statusReporter.streamJobLogs(job.id, containerId).catch(error => {
+        logger.warn('Failed to stream job logs', { jobId: job.id, error });
+      });
+
       // Wait for job completion
-      const result = await this.waitForJobCompletion(job.id, containerId, runnerId);
+      const result = await this.waitForJobCompletion(job, containerId, runnerId);
+
+      // Timed out jobs were reported when they were stopped
+      if (!result.timedOut) {
+        await statusReporter.reportJobCompleted(
+          job.id,
+          job.repository,
+          job.sha || '',
+          job.workflow,
+          parseInt(job.runId, 10),
+          result.success ? JobConclusion.SUCCESS : JobConclusion.FAILURE
+        );
+      }
 
       // Calculate duration
       const duration = Date.now() - startTime;
@@ -159,7 +199,31 @@ export class ContainerOrchestratorV2 extends EventEmitter {
         }
       }
 
+      // The check run is created once the runner container exists
+      if (containerId) {
+        await StatusReporter.getInstance().reportJobCompleted(
+          job.id,
+          job.repository,
+          job.sha || '',
+          job.workflow,
+          parseInt(job.runId, 10),
+          JobConclusion.FAILURE
+        );
+      }
+
       throw error;
+    } finally {
+      // Service containers live exactly as long as the job
+      if (job.services && Object.keys(job.services).length > 0) {
+        try {
+          await serviceContainers.stopServices(job.id, job.repository);
+        } catch (cleanupError) {
+          logger.error('Failed to remove service containers', { jobId: job.id, cleanupError });
+        }
+      }
+      if (job.container) {
+        await jobContainers.cleanup(job.id, job.repository);
+      }
     }
   }
 
@@ -169,7 +233,7 @@ export class ContainerOrchestratorV2 extends EventEmitter {
   private async createEphemeralRunner(
     job: DelegatedJob,
     labels: string[],
-    _poolName?: string
+    poolName?: string
   ): Promise<string> {
     const runnerName = `ephemeral-${job.repository.replace('/', '-')}-${job.id.substring(0, 8)}`;
     
@@ -194,9 +258,6 @@ export class ContainerOrchestratorV2 extends EventEmitter {
         ]
       );
 
-      // Get runner token
-      const runnerToken = await this.githubApi.generateRunnerToken(job.repository);
-
       // Security scan the image before using it
       const imageToUse = config.runner.image || 'myoung34/github-runner:latest';
       
@@ -230,34 +291,69 @@ export class ContainerOrchestratorV2 extends EventEmitter {
         }
       }
 
+      // Start service containers first; the runner only starts once they are healthy
+      if (job.services && Object.keys(job.services).length > 0) {
+        await serviceContainers.startServices(
+          job.id,
+          job.repository,
+          JobParser.getInstance().parseServices(job.services)
+        );
+      }
+
+      // Jobs with `container:` run their steps in that image; the runner
+      // shares its work directory with it through the workspace volume
+      const runnerWorkdir = '/tmp/runner/work';
+      const jobContainer = job.container
+        ? await jobContainers.prepare(job.id, job.repository, JobParser.getInstance().parseContainer(job.container))
+        : undefined;
+
+      const registration = await this.registerRunner(job, runner.id, runnerName, labels, runnerWorkdir, poolName);
+
       // Prepare container configuration
       const containerConfig: ContainerConfig = {
         image: imageToUse,
         name: runnerName,
         env: {
           RUNNER_NAME: runnerName,
-          RUNNER_WORKDIR: '/tmp/runner/work',
+          RUNNER_WORKDIR: runnerWorkdir,
           RUNNER_GROUP: 'default',
           LABELS: labels.join(','),
           EPHEMERAL: 'true',
           DISABLE_AUTO_UPDATE: 'true',
-          RUNNER_TOKEN: runnerToken,
+          ...registration.env,
           REPO_URL: `https://github.com/${job.repository}`,
           // Pass job context
           GITHUB_JOB_ID: job.jobId,
           GITHUB_RUN_ID: job.runId,
-          GITHUB_WORKFLOW: job.workflow
+          GITHUB_WORKFLOW: job.workflow,
+          // The runner hands container steps to the hook, which runs them
+          // in the prepared job container through this node
+          ...(jobContainer && {
+            ACTIONS_RUNNER_CONTAINER_HOOKS: `${CONTAINER_HOOKS_PATH}/container-hook.js`,
+            RUNNERHUB_JOB_ID: job.id,
+            RUNNERHUB_JOB_CONTAINER: jobContainer.containerId,
+            RUNNERHUB_JOB_WORKSPACE: JOB_WORKSPACE_PATH,
+            RUNNERHUB_HOOK_URL: config.runner.hookUrl,
+            RUNNERHUB_HOOK_TOKEN: jobContainer.hookToken
+          })
         },
         labels: {
           'runnerhub.type': 'ephemeral',
           'runnerhub.job': job.id,
+          'runnerhub.run': String(job.runId),
+          'runnerhub.github-job': String(job.jobId),
           'runnerhub.repository': job.repository,
           'repository': job.repository,
           'workflow': job.workflow
         },
+        entrypoint: registration.entrypoint,
         networks: [], // Will be handled by network isolation
         volumes: [
           '/var/run/docker.sock:/var/run/docker.sock', // Allow Docker-in-Docker if needed
+          ...(jobContainer ? [
+            `${jobContainer.volumeId}:${runnerWorkdir}`,
+            `${config.runner.containerHooksDir}:${CONTAINER_HOOKS_PATH}:ro`
+          ] : [])
         ],
         autoRemove: false // We'll handle cleanup manually
       };
@@ -323,21 +419,101 @@ export class ContainerOrchestratorV2 extends EventEmitter {
   }
 
   /**
-   * Wait for job completion
+   * Registration for a runner container. A JIT config registers exactly one
+   * runner, so the container never holds a token that could register more;
+   * when GitHub cannot generate one the runner registers with a token.
+   * Runners of group pools register with the pool's organization or
+   * enterprise, into its runner group.
+   */
+  private async registerRunner(
+    job: DelegatedJob,
+    runnerId: string,
+    runnerName: string,
+    labels: string[],
+    workFolder: string,
+    poolName?: string
+  ): Promise<{ env: Record<string, string>; entrypoint?: string[] }> {
+    const { target, runnerGroup } = parsePoolKey(poolName || job.repository);
+    const registrationTarget: string | RunnerTarget = runnerGroup ? target : job.repository;
+    const groupEnv: Record<string, string> = runnerGroup ? {
+      RUNNER_GROUP: runnerGroup,
+      RUNNER_SCOPE: target.scope === 'enterprise' ? 'ent' : 'org',
+      [target.scope === 'enterprise' ? 'ENTERPRISE_NAME' : 'ORG_NAME']: target.name
+    } : {};
+
+    // Until the group pool's runner group exists, a JIT config would land in the default group
+    let runnerGroupId: number | undefined;
+    if (runnerGroup) {
+      const [pool] = await database.query<{ runnerGroupId: number | null }>(
+        'SELECT runner_group_id::float AS "runnerGroupId" FROM runnerhub.runner_pools WHERE repository = $1',
+        [poolName]
+      );
+      runnerGroupId = pool?.runnerGroupId ?? undefined;
+    }
+
+    if (config.runner.jitConfig && (!runnerGroup || runnerGroupId !== undefined)) {
+      let jitConfig: JitRunnerConfig | undefined;
+      try {
+        jitConfig = await this.githubApi.generateJitConfig(registrationTarget, {
+          name: runnerName,
+          labels: labels.length > 0 ? labels : ['self-hosted'],
+          runnerGroupId,
+          workFolder
+        });
+      } catch (error) {
+        logger.warn('JIT runner config unavailable, falling back to a registration token', {
+          job: job.id,
+          repository: job.repository,
+          error
+        });
+        monitoringService.recordJitFallback(job.repository);
+      }
+
+      if (jitConfig) {
+        await database.query(
+          'UPDATE runnerhub.runners SET github_runner_id = $1 WHERE id = $2',
+          [jitConfig.runnerId, runnerId]
+        );
+
+        // The runner reads --jitconfig from this variable, bypassing the image's configure step
+        return {
+          env: { ACTIONS_RUNNER_INPUT_JITCONFIG: jitConfig.encodedJitConfig },
+          entrypoint: [config.runner.jitEntrypoint]
+        };
+      }
+    }
+
+    return {
+      env: { ...groupEnv, RUNNER_TOKEN: await this.githubApi.generateRunnerToken(registrationTarget) }
+    };
+  }
+
+  /**
+   * Wait for job completion, stopping the runner once the job's
+   * `timeout-minutes` (or the configured default) has elapsed
    */
   private async waitForJobCompletion(
-    jobId: string,
+    job: DelegatedJob,
     containerId: string,
     runnerId: string
-  ): Promise<{ success: boolean; exitCode: number; logs?: string }> {
+  ): Promise<{ success: boolean; exitCode: number; logs?: string; timedOut?: boolean }> {
+    const jobId = job.id;
+    const timeoutMinutes = JobParser.getInstance().parseTimeoutMinutes(job.timeoutMinutes)
+      ?? (config.runner.jobTimeout || 3600000) / 60000; // 1 hour default
+
     return new Promise((resolve, reject) => {
       let resolved = false;
-      const timeout = setTimeout(() => {
+      const timeout = setTimeout(async () => {
         if (!resolved) {
           resolved = true;
-          reject(new Error('Job execution timeout'));
+          clearInterval(checkInterval);
+          try {
+            resolve(await this.handleJobTimeout(job, containerId, runnerId, timeoutMinutes));
+          } catch (error) {
+            reject(error);
+          }
         }
-      }, config.runner.jobTimeout || 3600000); // 1 hour default
+      }, timeoutMinutes * 60 * 1000);
 
       // Check job status periodically
       const checkInterval = setInterval(async () => {
@@ -416,6 +592,54 @@ export class ContainerOrchestratorV2 extends EventEmitter {
     });
   }
 
+  /**
+   * Stop a runner that exceeded the job timeout and report the job as timed out
+   */
+  private async handleJobTimeout(
+    job: DelegatedJob,
+    containerId: string,
+    runnerId: string,
+    timeoutMinutes: number
+  ): Promise<{ success: boolean; exitCode: number; timedOut: boolean }> {
+    logger.warn('Job exceeded its timeout, stopping runner', {
+      jobId: job.id,
+      containerId,
+      timeoutMinutes
+    });
+
+    // `docker stop` sends SIGTERM and kills the runner after the grace period
+    await containerLifecycle.stopContainer(containerId, TIMEOUT_GRACE_PERIOD);
+
+    await this.updateJobStatus(job.id, JobStatus.FAILED, new JobTimeoutError(job.id, timeoutMinutes));
+
+    try {
+      await StatusReporter.getInstance().reportJobCompleted(
+        job.id,
+        job.repository,
+        job.sha || '',
+        job.workflow,
+        parseInt(job.runId, 10),
+        JobConclusion.TIMED_OUT
+      );
+    } catch (error) {
+      logger.error('Failed to report job timeout to GitHub', { jobId: job.id, error });
+    }
+
+    await auditLogger.logJobTimeout(job.id, job.repository, timeoutMinutes, {
+      githubJobId: job.githubJobId,
+      runId: job.runId,
+      containerId
+    });
+
+    this.emit('job:timed_out', { jobId: job.id, timeoutMinutes });
+
+    return {
+      success: false,
+      exitCode: containerLifecycle.getContainerByRunnerId(runnerId)?.exitCode ?? -1,
+      timedOut: true
+    };
+  }
+
   /**
    * Update job status
    */
@@ -479,24 +703,9 @@ export class ContainerOrchestratorV2 extends EventEmitter {
   }
 
   /**
-   * Start background tasks
+   * Clean up containers of completed jobs, run by the CLEANUP_CONTAINERS schedule
    */
-  private startBackgroundTasks(): void {
-    // Cleanup completed containers
-    this.cleanupInterval = setInterval(() => {
-      this.cleanupCompletedContainers();
-    }, 60000); // Every minute
-
-    // Monitor container health
-    this.healthInterval = setInterval(() => {
-      this.monitorContainerHealth();
-    }, 30000); // Every 30 seconds
-  }
-
-  /**
-   * Clean up completed containers
-   */
-  private async cleanupCompletedContainers(): Promise<void> {
+  async cleanupCompletedContainers(): Promise<void> {
     try {
       const completedJobs = await database.query<any>(
         `SELECT j.*, r.container_id, r.id as runner_id
@@ -535,56 +744,12 @@ export class ContainerOrchestratorV2 extends EventEmitter {
     }
   }
 
-  /**
-   * Monitor container health
-   */
-  private async monitorContainerHealth(): Promise<void> {
-    try {
-      const activeContainers = containerLifecycle.getAllContainers()
-        .filter(c => c.state === 'running' && c.jobId);
-
-      for (const container of activeContainers) {
-        if (container.resourceUsage) {
-          // Log high resource usage
-          if (container.resourceUsage.cpuPercent > 90) {
-            logger.warn('Container using high CPU', {
-              containerId: container.id,
-              jobId: container.jobId,
-              cpu: container.resourceUsage.cpuPercent
-            });
-          }
-
-          if (container.resourceUsage.memoryLimit > 0) {
-            const memoryPercent = (container.resourceUsage.memoryUsage / container.resourceUsage.memoryLimit) * 100;
-            if (memoryPercent > 90) {
-              logger.warn('Container using high memory', {
-                containerId: container.id,
-                jobId: container.jobId,
-                memoryPercent: Math.round(memoryPercent)
-              });
-            }
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Health monitoring failed', { error });
-    }
-  }
-
   /**
    * Shutdown the orchestrator
    */
   async shutdown(): Promise<void> {
     logger.info('Shutting down container orchestrator');
 
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-
-    if (this.healthInterval) {
-      clearInterval(this.healthInterval);
-    }
-
     await containerLifecycle.shutdown();
   }
 }
@@ -3,6 +3,8 @@ import { createLogger } from '../utils/logger';
 import config from '../config';
 import * as redis from 'redis';
 import { getGitHubCacheService, GitHubCacheService } from './github-cache-service';
+import githubRateBudget, { BudgetClass } from './github-rate-budget';
+import githubAppAuth from './github-app-auth';
 
 const logger = createLogger('GitHubAPIEnhanced');
 
@@ -18,6 +20,8 @@ interface QueuedRequest {
   id: string;
   function: () => Promise<any>;
   priority: 'critical' | 'high' | 'normal' | 'low';
+  budgetClass: BudgetClass;
+  owner?: string; // Account whose credential the request uses, the configured organization otherwise
   resolve: (value: any) => void;
   reject: (reason: any) => void;
   timestamp: number;
@@ -25,6 +29,14 @@ interface QueuedRequest {
   maxRetries: number;
 }
 
+// Shared budget class of requests that do not name one
+const BUDGET_CLASS_BY_PRIORITY: Record<QueuedRequest['priority'], BudgetClass> = {
+  critical: 'registration',
+  high: 'status',
+  normal: 'analytics',
+  low: 'analytics'
+};
+
 interface RateLimitStrategy {
   shouldDelay(rateLimit: RateLimitInfo): boolean;
   calculateDelay(rateLimit: RateLimitInfo): number;
@@ -50,13 +62,17 @@ export class GitHubAPIEnhanced {
 
   constructor() {
     this.octokit = new Octokit({
-      auth: config.github.token,
       userAgent: 'GitHub-RunnerHub/2.0',
       retry: {
         doNotRetry: [400, 401, 422],
         retries: 3
       }
     });
+    // Authenticate as the App installation on the account owning the resource
+    this.octokit.hook.before('request', async (options: any) => {
+      const token = await githubAppAuth.getToken({ owner: options.owner || options.org });
+      options.headers.authorization = `token ${token}`;
+    });
 
     // Initialize rate limit tracking
     this.rateLimit = {
@@ -155,6 +171,8 @@ export class GitHubAPIEnhanced {
     options: {
       params?: any;
       priority?: 'critical' | 'high' | 'normal' | 'low';
+      budgetClass?: BudgetClass;
+      owner?: string;
       maxRetries?: number;
       strategy?: 'conservative' | 'aggressive' | 'adaptive';
       metadata?: Record<string, any>;
@@ -203,6 +221,8 @@ export class GitHubAPIEnhanced {
     requestFn: () => Promise<T>,
     options: {
       priority?: 'critical' | 'high' | 'normal' | 'low';
+      budgetClass?: BudgetClass;
+      owner?: string;
       maxRetries?: number;
       strategy?: 'conservative' | 'aggressive' | 'adaptive';
       metadata?: Record<string, any>;
@@ -210,6 +230,8 @@ export class GitHubAPIEnhanced {
   ): Promise<T> {
     const {
       priority = 'normal',
+      budgetClass = BUDGET_CLASS_BY_PRIORITY[priority],
+      owner,
       maxRetries = 3,
       strategy = 'adaptive',
       metadata = {}
@@ -220,6 +242,8 @@ export class GitHubAPIEnhanced {
         id: `${Date.now()}-${Math.random()}`,
         function: requestFn,
         priority,
+        budgetClass,
+        owner,
         resolve,
         reject,
         timestamp: Date.now(),
@@ -228,7 +252,7 @@ export class GitHubAPIEnhanced {
       };
 
       this.requestQueue.push(request);
-      logger.debug(`Queued request ${request.id}`, { priority, metadata });
+      logger.debug(`Queued request ${request.id}`, { priority, budgetClass, metadata });
 
       if (!this.processing) {
         this.processQueue(strategy);
@@ -264,6 +288,16 @@ export class GitHubAPIEnhanced {
 
       const request = this.requestQueue.shift()!;
       
+      const credential = await this.findCredential(request.owner);
+      
+      // Requeue instead of blocking, so higher classes queued meanwhile go first
+      const budgetWait = credential ? await githubRateBudget.tryAcquire(request.budgetClass, credential) : 0;
+      if (budgetWait > 0) {
+        this.requestQueue.push(request);
+        await this.sleep(Math.min(budgetWait, 1000));
+        continue;
+      }
+      
       // Check if we should delay based on strategy
       if (strategy.shouldDelay(this.rateLimit)) {
         const delay = strategy.calculateDelay(this.rateLimit);
@@ -289,7 +323,7 @@ export class GitHubAPIEnhanced {
 
         // Extract rate limit from response
         if (result && result.headers) {
-          await this.updateRateLimit(result.headers);
+          await this.updateRateLimit(result.headers, credential);
         }
 
         request.resolve(result);
@@ -299,14 +333,24 @@ export class GitHubAPIEnhanced {
         this.metrics.failedRequests++;
         
         // Handle rate limit errors specially
-        if (error.status === 403 && error.message.includes('rate limit')) {
+        if ((error.status === 403 || error.status === 429) && error.message?.includes('rate limit')) {
           this.metrics.rateLimitHits++;
           logger.warn('Rate limit exceeded, backing off', {
             reset: this.rateLimit.reset
           });
           
+          // Secondary rate limits name their own wait, which every node has to honour
+          const retryAfter = parseInt(error.response?.headers?.['retry-after'] || '', 10);
+          if (retryAfter > 0) {
+            await githubRateBudget.pause(retryAfter * 1000);
+          } else if (error.response?.headers) {
+            await this.updateRateLimit(error.response.headers, credential);
+          }
+
           // Wait until rate limit resets
-          const waitTime = this.rateLimit.reset.getTime() - Date.now();
+          const waitTime = retryAfter > 0
+            ? retryAfter * 1000
+            : this.rateLimit.reset.getTime() - Date.now();
           if (waitTime > 0) {
             await this.sleep(waitTime);
           }
@@ -343,10 +387,22 @@ export class GitHubAPIEnhanced {
     this.processing = false;
   }
 
+  /**
+   * Credential whose hourly quota a request for the owner draws from. Without
+   * credentials the request is not budgeted and left to fail if it calls GitHub.
+   */
+  private async findCredential(owner?: string): Promise<string | undefined> {
+    try {
+      return (await githubAppAuth.getCredential({ owner })).id;
+    } catch {
+      return undefined;
+    }
+  }
+
   /**
    * Update rate limit information from response headers
    */
-  private async updateRateLimit(headers: any) {
+  private async updateRateLimit(headers: any, credential?: string) {
     if (headers['x-ratelimit-remaining'] !== undefined) {
       const newRateLimit: RateLimitInfo = {
         remaining: parseInt(headers['x-ratelimit-remaining']),
@@ -357,6 +413,9 @@ export class GitHubAPIEnhanced {
       };
 
       this.rateLimit = newRateLimit;
+      if (credential) {
+        await githubRateBudget.observe(credential, headers);
+      }
       
       // Save to Redis for distributed tracking
       if (this.redisClient && this.redisClient.isOpen) {
@@ -433,13 +492,14 @@ export class GitHubAPIEnhanced {
     requests: Array<{
       fn: () => Promise<T>;
       priority?: 'critical' | 'high' | 'normal' | 'low';
+      budgetClass?: BudgetClass;
     }>
   ): Promise<T[]> {
     logger.info(`Batching ${requests.length} requests`);
     
     return Promise.all(
       requests.map(req => 
-        this.request(req.fn, { priority: req.priority || 'normal' })
+        this.request(req.fn, { priority: req.priority || 'normal', budgetClass: req.budgetClass })
       )
     );
   }
@@ -502,6 +562,7 @@ export class GitHubAPIEnhanced {
       endpoint,
       () => this.octokit.rest.repos.get({ owner, repo }),
       { 
+        owner,
         priority: 'normal',
         cacheTags: [`repo:${owner}/${repo}`, 'type:repos']
       }
@@ -518,6 +579,7 @@ export class GitHubAPIEnhanced {
       () => this.octokit.rest.actions.listWorkflowRunsForRepo({ owner, repo, ...options }),
       { 
         params: options,
+        owner,
         priority: 'normal',
         cacheTTL: 120, // 2 minutes for dynamic data
         cacheTags: [`repo:${owner}/${repo}`, 'type:runs']
@@ -534,6 +596,7 @@ export class GitHubAPIEnhanced {
       endpoint,
       () => this.octokit.rest.actions.getWorkflowRun({ owner, repo, run_id: runId }),
       { 
+        owner,
         priority: 'high',
         cacheTTL: 60, // 1 minute for run details
         cacheTags: [`repo:${owner}/${repo}`, 'type:runs', `run:${runId}`]
@@ -550,6 +613,7 @@ export class GitHubAPIEnhanced {
       endpoint,
       () => this.octokit.rest.actions.listJobsForWorkflowRun({ owner, repo, run_id: runId }),
       { 
+        owner,
         priority: 'normal',
         cacheTTL: 60, // 1 minute for job lists
         cacheTags: [`repo:${owner}/${repo}`, 'type:jobs', `run:${runId}`]
@@ -557,6 +621,31 @@ export class GitHubAPIEnhanced {
     );
   }
 
+  /**
+   * Get the decoded content of a file at a given ref. Content at a commit
+   * SHA never changes, so it is cached for longer.
+   */
+  async getFileContent(owner: string, repo: string, path: string, ref: string): Promise<string> {
+    const endpoint = `repos/${owner}/${repo}/contents/${path}`;
+    const response = await this.cachedRequest(
+      endpoint,
+      () => this.octokit.rest.repos.getContent({ owner, repo, path, ref }),
+      {
+        params: { ref },
+        owner,
+        priority: 'high',
+        cacheTTL: 3600,
+        cacheTags: [`repo:${owner}/${repo}`, 'type:contents']
+      }
+    );
+
+    const data: any = response.data;
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error(`${path} is not a file`);
+    }
+    return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+  }
+
   /**
    * List repositories for organization with caching
    */
@@ -567,6 +656,7 @@ export class GitHubAPIEnhanced {
       () => this.octokit.rest.repos.listForOrg({ org, ...options }),
       { 
         params: options,
+        owner: org,
         priority: 'normal',
         cacheTTL: 3600, // 1 hour for org repos
         cacheTags: [`org:${org}`, 'type:repos']
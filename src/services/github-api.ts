@@ -1,6 +1,8 @@
 import axios, { AxiosInstance } from 'axios';
-import config from '../config';
 import { createLogger } from '../utils/logger';
+import githubRateBudget, { BudgetClass } from './github-rate-budget';
+import githubAppAuth from './github-app-auth';
+import { RunnerScope } from '../types';
 
 const logger = createLogger('GitHubAPIService');
 
@@ -9,6 +11,11 @@ export interface RunnerToken {
   expires_at: string;
 }
 
+export interface JitRunnerConfig {
+  runnerId: number;
+  encodedJitConfig: string; // Single-use runner configuration, passed to run.sh --jitconfig
+}
+
 export interface GitHubRunner {
   id: number;
   name: string;
@@ -22,6 +29,48 @@ export interface GitHubRunner {
   }>;
 }
 
+/**
+ * Where runners are registered: a repository ("owner/repo"), an
+ * organization or an enterprise. Plain strings are repositories.
+ */
+export interface RunnerTarget {
+  scope: RunnerScope;
+  name: string;
+}
+
+export interface RunnerGroup {
+  id: number;
+  name: string;
+  visibility: 'all' | 'selected' | 'private';
+  default: boolean;
+  allows_public_repositories?: boolean;
+}
+
+const toTarget = (target: string | RunnerTarget): RunnerTarget =>
+  typeof target === 'string' ? { scope: 'repository', name: target } : target;
+
+/**
+ * Base path of the Actions API of a runner target
+ */
+const actionsPath = (target: string | RunnerTarget): string => {
+  const { scope, name } = toTarget(target);
+  switch (scope) {
+    case 'organization':
+      return `/orgs/${name}/actions`;
+    case 'enterprise':
+      return `/enterprises/${name}/actions`;
+    default:
+      return `/repos/${name}/actions`;
+  }
+};
+
+/**
+ * Account owning the resource of an API path, whose App installation
+ * authenticates calls to it
+ */
+const ownerOf = (path?: string): string | undefined =>
+  path?.match(/^\/(?:repos|orgs|users|enterprises)\/([^/]+)/)?.[1];
+
 export class GitHubAPIService {
   private client: AxiosInstance;
 
@@ -29,7 +78,6 @@ export class GitHubAPIService {
     this.client = axios.create({
       baseURL: 'https://api.github.com',
       headers: {
-        Authorization: `Bearer ${config.github.token}`,
         Accept: 'application/vnd.github.v3+json'
       },
       timeout: 30000
@@ -37,11 +85,13 @@ export class GitHubAPIService {
 
     // Add request/response interceptors for logging
     this.client.interceptors.request.use(
-      (config) => {
+      async (config) => {
         logger.debug('GitHub API request', {
           method: config.method,
           url: config.url
         });
+        // Authenticate as the App installation on the account owning the resource
+        config.headers.Authorization = `Bearer ${await githubAppAuth.getToken({ owner: ownerOf(config.url) })}`;
         return config;
       },
       (error) => {
@@ -51,14 +101,16 @@ export class GitHubAPIService {
     );
 
     this.client.interceptors.response.use(
-      (response) => {
+      async (response) => {
         logger.debug('GitHub API response', {
           status: response.status,
           url: response.config.url
         });
+        await this.observeBudget(response.config.url, response.headers);
         return response;
       },
-      (error) => {
+      async (error) => {
+        await this.observeBudget(error.config?.url, error.response?.headers);
         logger.error('GitHub API response error', {
           status: error.response?.status,
           data: error.response?.data
@@ -69,57 +121,227 @@ export class GitHubAPIService {
   }
 
   /**
-   * Generate a registration token for a runner
+   * Wait for budget on the hourly quota of the credential that authenticates
+   * calls under the path
    */
-  async generateRunnerToken(repository: string): Promise<string> {
+  private async acquireBudget(budgetClass: BudgetClass, path: string): Promise<void> {
+    const { id } = await githubAppAuth.getCredential({ owner: ownerOf(path) });
+    await githubRateBudget.acquire(budgetClass, id);
+  }
+
+  private async observeBudget(path?: string, headers?: Record<string, any>): Promise<void> {
+    if (headers?.['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+    const { id } = await githubAppAuth.getCredential({ owner: ownerOf(path) });
+    await githubRateBudget.observe(id, headers);
+  }
+
+  /**
+   * Generate a registration token for a runner of a repository,
+   * organization or enterprise
+   */
+  async generateRunnerToken(target: string | RunnerTarget): Promise<string> {
     try {
-      const [owner, repo] = repository.split('/');
+      await this.acquireBudget('registration', actionsPath(target));
       const response = await this.client.post<RunnerToken>(
-        `/repos/${owner}/${repo}/actions/runners/registration-token`
+        `${actionsPath(target)}/runners/registration-token`
       );
       
-      logger.info('Generated runner token', { repository });
+      logger.info('Generated runner token', { target });
       return response.data.token;
     } catch (error) {
-      logger.error('Failed to generate runner token', { repository, error });
+      logger.error('Failed to generate runner token', { target, error });
       throw new Error(`Failed to generate runner token: ${error}`);
     }
   }
 
   /**
-   * List all runners for a repository
+   * Register an ephemeral runner just in time, returning a configuration
+   * that can start it exactly once instead of a reusable registration token
    */
-  async listRunners(repository: string): Promise<GitHubRunner[]> {
+  async generateJitConfig(
+    target: string | RunnerTarget,
+    options: { name: string; labels: string[]; runnerGroupId?: number; workFolder?: string }
+  ): Promise<JitRunnerConfig> {
     try {
-      const [owner, repo] = repository.split('/');
+      await this.acquireBudget('registration', actionsPath(target));
+      const response = await this.client.post<{ runner: GitHubRunner; encoded_jit_config: string }>(
+        `${actionsPath(target)}/runners/generate-jitconfig`,
+        {
+          name: options.name,
+          labels: options.labels,
+          runner_group_id: options.runnerGroupId ?? 1, // The default group
+          work_folder: options.workFolder || '_work'
+        }
+      );
+
+      logger.info('Generated JIT runner config', { target, name: options.name, runnerId: response.data.runner.id });
+      return {
+        runnerId: response.data.runner.id,
+        encodedJitConfig: response.data.encoded_jit_config
+      };
+    } catch (error) {
+      logger.error('Failed to generate JIT runner config', { target, name: options.name, error });
+      throw new Error(`Failed to generate JIT runner config: ${error}`);
+    }
+  }
+
+  /**
+   * List all runners of a repository, organization or enterprise
+   */
+  async listRunners(target: string | RunnerTarget): Promise<GitHubRunner[]> {
+    try {
+      await this.acquireBudget('analytics', actionsPath(target));
       const response = await this.client.get<{ runners: GitHubRunner[] }>(
-        `/repos/${owner}/${repo}/actions/runners`
+        `${actionsPath(target)}/runners`,
+        { params: { per_page: 100 } }
       );
       
       return response.data.runners;
     } catch (error) {
-      logger.error('Failed to list runners', { repository, error });
+      logger.error('Failed to list runners', { target, error });
       throw new Error(`Failed to list runners: ${error}`);
     }
   }
 
   /**
-   * Remove a runner from a repository
+   * Remove a runner from a repository, organization or enterprise
    */
-  async removeRunner(repository: string, runnerId: number): Promise<void> {
+  async removeRunner(target: string | RunnerTarget, runnerId: number): Promise<void> {
     try {
-      const [owner, repo] = repository.split('/');
+      await this.acquireBudget('registration', actionsPath(target));
       await this.client.delete(
-        `/repos/${owner}/${repo}/actions/runners/${runnerId}`
+        `${actionsPath(target)}/runners/${runnerId}`
       );
       
-      logger.info('Removed runner', { repository, runnerId });
+      logger.info('Removed runner', { target, runnerId });
     } catch (error) {
-      logger.error('Failed to remove runner', { repository, runnerId, error });
+      logger.error('Failed to remove runner', { target, runnerId, error });
       throw new Error(`Failed to remove runner: ${error}`);
     }
   }
 
+  /**
+   * List the runner groups of an organization or enterprise
+   */
+  async listRunnerGroups(target: RunnerTarget): Promise<RunnerGroup[]> {
+    try {
+      await this.acquireBudget('analytics', actionsPath(target));
+      const response = await this.client.get<{ runner_groups: RunnerGroup[] }>(
+        `${actionsPath(target)}/runner-groups`,
+        { params: { per_page: 100 } }
+      );
+
+      return response.data.runner_groups;
+    } catch (error) {
+      logger.error('Failed to list runner groups', { target, error });
+      throw new Error(`Failed to list runner groups: ${error}`);
+    }
+  }
+
+  /**
+   * Create a runner group. `selectedIds` are repository ids for organization
+   * groups and organization ids for enterprise groups; without them the
+   * group is visible to all.
+   */
+  async createRunnerGroup(target: RunnerTarget, name: string, selectedIds?: number[]): Promise<RunnerGroup> {
+    try {
+      await this.acquireBudget('registration', actionsPath(target));
+      const response = await this.client.post<RunnerGroup>(
+        `${actionsPath(target)}/runner-groups`,
+        {
+          name,
+          visibility: selectedIds ? 'selected' : 'all',
+          ...(selectedIds && {
+            [target.scope === 'enterprise' ? 'selected_organization_ids' : 'selected_repository_ids']: selectedIds
+          })
+        }
+      );
+
+      logger.info('Created runner group', { target, name, groupId: response.data.id });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create runner group', { target, name, error });
+      throw new Error(`Failed to create runner group: ${error}`);
+    }
+  }
+
+  /**
+   * Set who may use a runner group, see `createRunnerGroup`
+   */
+  async setRunnerGroupVisibility(target: RunnerTarget, groupId: number, selectedIds?: number[]): Promise<void> {
+    try {
+      await this.acquireBudget('registration', actionsPath(target));
+      await this.client.patch(
+        `${actionsPath(target)}/runner-groups/${groupId}`,
+        { visibility: selectedIds ? 'selected' : 'all' }
+      );
+
+      if (selectedIds) {
+        const [path, field] = target.scope === 'enterprise'
+          ? ['organizations', 'selected_organization_ids']
+          : ['repositories', 'selected_repository_ids'];
+        await this.client.put(
+          `${actionsPath(target)}/runner-groups/${groupId}/${path}`,
+          { [field]: selectedIds }
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to update runner group visibility', { target, groupId, error });
+      throw new Error(`Failed to update runner group visibility: ${error}`);
+    }
+  }
+
+  /**
+   * List the runners in a runner group
+   */
+  async listRunnerGroupRunners(target: RunnerTarget, groupId: number): Promise<GitHubRunner[]> {
+    try {
+      await this.acquireBudget('analytics', actionsPath(target));
+      const response = await this.client.get<{ runners: GitHubRunner[] }>(
+        `${actionsPath(target)}/runner-groups/${groupId}/runners`,
+        { params: { per_page: 100 } }
+      );
+
+      return response.data.runners;
+    } catch (error) {
+      logger.error('Failed to list runner group runners', { target, groupId, error });
+      throw new Error(`Failed to list runner group runners: ${error}`);
+    }
+  }
+
+  /**
+   * Move a runner into a runner group
+   */
+  async addRunnerToGroup(target: RunnerTarget, groupId: number, runnerId: number): Promise<void> {
+    try {
+      await this.acquireBudget('registration', actionsPath(target));
+      await this.client.put(`${actionsPath(target)}/runner-groups/${groupId}/runners/${runnerId}`);
+
+      logger.info('Added runner to runner group', { target, groupId, runnerId });
+    } catch (error) {
+      logger.error('Failed to add runner to runner group', { target, groupId, runnerId, error });
+      throw new Error(`Failed to add runner to runner group: ${error}`);
+    }
+  }
+
+  /**
+   * Numeric id of a repository ("owner/repo") or organization
+   */
+  async getAccountId(scope: 'repository' | 'organization', name: string): Promise<number> {
+    try {
+      const path = scope === 'repository' ? `/repos/${name}` : `/orgs/${name}`;
+      await this.acquireBudget('analytics', path);
+      const response = await this.client.get<{ id: number }>(path);
+
+      return response.data.id;
+    } catch (error) {
+      logger.error('Failed to look up id', { scope, name, error });
+      throw new Error(`Failed to look up id of ${name}: ${error}`);
+    }
+  }
+
   /**
    * Get workflow runs for a repository
    */
@@ -130,6 +352,7 @@ export class GitHubAPIService {
   }) {
     try {
       const [owner, repo] = repository.split('/');
+      await this.acquireBudget('analytics', `/repos/${owner}`);
       const response = await this.client.get(
         `/repos/${owner}/${repo}/actions/runs`,
         { params: options }
@@ -148,6 +371,7 @@ export class GitHubAPIService {
   async getWorkflowJobs(repository: string, runId: number) {
     try {
       const [owner, repo] = repository.split('/');
+      await this.acquireBudget('analytics', `/repos/${owner}`);
       const response = await this.client.get(
         `/repos/${owner}/${repo}/actions/runs/${runId}/jobs`
       );
@@ -159,6 +383,31 @@ export class GitHubAPIService {
     }
   }
 
+  /**
+   * Create a check run, as the App installation on the repository's owner
+   */
+  async createCheckRun(repository: string, checkRun: Record<string, any>): Promise<{ id: number }> {
+    try {
+      const response = await this.client.post<{ id: number }>(`/repos/${repository}/check-runs`, checkRun);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create check run', { repository, name: checkRun.name, error });
+      throw new Error(`Failed to create check run: ${error}`);
+    }
+  }
+
+  /**
+   * Update a check run created with createCheckRun
+   */
+  async updateCheckRun(repository: string, checkRunId: number, checkRun: Record<string, any>): Promise<void> {
+    try {
+      await this.client.patch(`/repos/${repository}/check-runs/${checkRunId}`, checkRun);
+    } catch (error) {
+      logger.error('Failed to update check run', { repository, checkRunId, error });
+      throw new Error(`Failed to update check run: ${error}`);
+    }
+  }
+
   /**
    * Check rate limit status
    */
@@ -0,0 +1,120 @@
+import { generateKeyPairSync } from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { GitHubAppAuth } from './github-app-auth';
+
+jest.mock('axios');
+
+jest.mock('../config', () => ({
+  __esModule: true,
+  default: { github: { token: 'ghp_fallback', org: 'acme' } }
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const mockedAxios = axios as jest.Mocked<typeof axios>;
+
+const tokenResponse = (token: string, expiresIn: number) => ({
+  data: { token, expires_at: new Date(Date.now() + expiresIn).toISOString() }
+});
+
+describe('GitHubAppAuth', () => {
+  const createAuth = (config: Record<string, any> = {}): GitHubAppAuth => {
+    (GitHubAppAuth as any).instance = undefined;
+    return GitHubAppAuth.getInstance({
+      appId: '1234',
+      privateKey,
+      refreshMargin: 600000,
+      discoveryInterval: 60000,
+      ...config
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockedAxios.get.mockResolvedValue({ data: [] });
+  });
+
+  it('should use the personal access token without an App', async () => {
+    const auth = createAuth({ appId: undefined });
+
+    expect(await auth.getToken({ owner: 'acme' })).toBe('ghp_fallback');
+    expect(mockedAxios.post).not.toHaveBeenCalled();
+  });
+
+  it('should mint installation tokens with an App JWT and cache them', async () => {
+    const auth = createAuth();
+    mockedAxios.post.mockResolvedValue(tokenResponse('ghs_first', 3600000));
+
+    const [first, second] = await Promise.all([
+      auth.getToken({ installationId: 42 }),
+      auth.getToken({ installationId: 42 })
+    ]);
+
+    expect([first, second]).toEqual(['ghs_first', 'ghs_first']);
+    expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    const [url, , options] = mockedAxios.post.mock.calls[0] as any[];
+    expect(url).toBe('https://api.github.com/app/installations/42/access_tokens');
+
+    const appJwt = options.headers.Authorization.replace('Bearer ', '');
+    expect(jwt.verify(appJwt, publicKey, { algorithms: ['RS256'] })).toMatchObject({ iss: '1234' });
+  });
+
+  it('should refresh tokens before they expire', async () => {
+    const auth = createAuth();
+    mockedAxios.post
+      .mockResolvedValueOnce(tokenResponse('ghs_expiring', 300000))
+      .mockResolvedValueOnce(tokenResponse('ghs_fresh', 3600000));
+
+    expect(await auth.getToken({ installationId: 42 })).toBe('ghs_expiring');
+    expect(await auth.getToken({ installationId: 42 })).toBe('ghs_fresh');
+    expect(await auth.getToken({ installationId: 42 })).toBe('ghs_fresh');
+    expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('should pick the installation of the account from webhooks', async () => {
+    const auth = createAuth();
+    mockedAxios.post.mockImplementation(async (url: string) =>
+      tokenResponse(`ghs_${url.split('/')[5]}`, 3600000)
+    );
+
+    auth.registerInstallation({ installation: { id: 7 }, repository: { owner: { login: 'Acme' } } });
+    auth.registerInstallation({ installation: { id: 8 }, organization: { login: 'other-org' } });
+
+    expect(await auth.getToken({ owner: 'acme' })).toBe('ghs_7');
+    expect(await auth.getToken({ owner: 'other-org' })).toBe('ghs_8');
+    // Defaults to the configured organization
+    expect(await auth.getToken()).toBe('ghs_7');
+
+    auth.registerInstallation({ action: 'deleted', installation: { id: 8, account: { login: 'other-org' } } });
+    expect(await auth.getToken({ owner: 'other-org' })).toBe('ghp_fallback');
+  });
+
+  it('should discover installations of unknown accounts and fall back to the PAT', async () => {
+    const auth = createAuth();
+    mockedAxios.get.mockResolvedValue({ data: [{ id: 9, account: { login: 'enterprise-org' } }] });
+    mockedAxios.post.mockResolvedValue(tokenResponse('ghs_9', 3600000));
+
+    expect(await auth.getCredential({ owner: 'enterprise-org' })).toEqual({ id: 'installation:9', token: 'ghs_9' });
+    expect(await auth.getCredential({ owner: 'unknown' })).toEqual({ id: 'pat', token: 'ghp_fallback' });
+    // Misses within the discovery interval do not list installations again
+    expect(mockedAxios.get).toHaveBeenCalledTimes(1);
+
+    mockedAxios.post.mockRejectedValue(new Error('Bad credentials'));
+    auth.registerInstallation({ installation: { id: 10 }, organization: { login: 'broken' } });
+    expect(await auth.getCredential({ owner: 'broken' })).toEqual({ id: 'pat', token: 'ghp_fallback' });
+  });
+});
@@ -0,0 +1,301 @@
+import fs from 'fs';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import config from '../config';
+import { createLogger } from '../utils/logger';
+import { VaultService } from './vault-service';
+
+const logger = createLogger('GitHubAppAuth');
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+export interface GitHubAppConfig {
+  appId?: string;
+  privateKey?: string;
+  refreshMargin: number; // ms before expiry an installation token is replaced
+  discoveryInterval: number; // Minimum ms between installation listings on a cache miss
+}
+
+export interface InstallationToken {
+  token: string;
+  expiresAt: Date;
+}
+
+/**
+ * Whose credentials a GitHub call needs: an installation id when known,
+ * e.g. from a webhook, otherwise the account owning the repository
+ */
+export interface TokenTarget {
+  installationId?: number;
+  owner?: string;
+}
+
+export interface GitHubCredential {
+  id: string;
+  token: string;
+}
+
+const PAT_CREDENTIAL = 'pat';
+
+// GITHUB_APP_PRIVATE_KEY holds either the PEM itself or the path to it
+const readPrivateKey = (): string | undefined => {
+  const value = process.env.GITHUB_APP_PRIVATE_KEY;
+  if (!value) {
+    return undefined;
+  }
+  return value.includes('-----BEGIN') ? value.replace(/\\n/g, '\n') : fs.readFileSync(value, 'utf8');
+};
+
+const defaultConfig = (): GitHubAppConfig => ({
+  appId: process.env.GITHUB_APP_ID,
+  privateKey: readPrivateKey(),
+  refreshMargin: parseInt(process.env.GITHUB_APP_TOKEN_REFRESH_MARGIN || '600000', 10),
+  discoveryInterval: parseInt(process.env.GITHUB_APP_DISCOVERY_INTERVAL || '60000', 10)
+});
+
+/**
+ * Credentials for GitHub API calls. With a GitHub App configured, calls for
+ * an account use a token of the App's installation on that account, minted
+ * with an App JWT and cached until shortly before it expires. The personal
+ * access token remains the fallback for accounts without an installation
+ * and for deployments without an App.
+ */
+export class GitHubAppAuth {
+  private static instance: GitHubAppAuth;
+  private config: GitHubAppConfig;
+  private personalToken: string;
+  private appJwt?: { token: string; expiresAt: number };
+  private tokens: Map<number, InstallationToken> = new Map();
+  private pending: Map<number, Promise<InstallationToken>> = new Map();
+  private installations: Map<string, number> = new Map(); // Lower-cased account login -> installation id
+  private lastDiscovery = 0;
+
+  private constructor(appConfig: Partial<GitHubAppConfig> = {}) {
+    this.config = { ...defaultConfig(), ...appConfig };
+    this.personalToken = config.github.token;
+  }
+
+  public static getInstance(appConfig?: Partial<GitHubAppConfig>): GitHubAppAuth {
+    if (!GitHubAppAuth.instance) {
+      GitHubAppAuth.instance = new GitHubAppAuth(appConfig);
+    }
+    return GitHubAppAuth.instance;
+  }
+
+  /**
+   * Load App credentials and the personal access token from Vault where
+   * present, keeping the PAT current when Vault rotates it
+   */
+  public async initialize(vault?: VaultService): Promise<void> {
+    if (vault) {
+      await this.loadSecrets(vault);
+      vault.on('token-rotated', () => {
+        this.loadSecrets(vault).catch(error => logger.error('Failed to reload rotated GitHub token', { error }));
+      });
+    }
+
+    if (this.isAppConfigured()) {
+      logger.info('Using GitHub App authentication', { appId: this.config.appId });
+      await this.discoverInstallations(true);
+    } else {
+      logger.info('No GitHub App configured, using the personal access token');
+    }
+  }
+
+  public isAppConfigured(): boolean {
+    return Boolean(this.config.appId && this.config.privateKey);
+  }
+
+  /**
+   * Token for a call on behalf of the target, falling back to the personal
+   * access token when the App is not installed there
+   */
+  public async getToken(target: TokenTarget = {}): Promise<string> {
+    return (await this.getCredential(target)).token;
+  }
+
+  /**
+   * Token for a call on behalf of the target along with the credential it
+   * belongs to, "installation:<id>" or "pat". GitHub counts the hourly
+   * quota per credential.
+   */
+  public async getCredential(target: TokenTarget = {}): Promise<GitHubCredential> {
+    if (!this.isAppConfigured()) {
+      return { id: PAT_CREDENTIAL, token: this.requirePersonalToken() };
+    }
+
+    const installationId = target.installationId ?? await this.findInstallation(target.owner || config.github.org);
+    if (installationId === undefined) {
+      logger.debug('No GitHub App installation found, using the personal access token', { owner: target.owner });
+      return { id: PAT_CREDENTIAL, token: this.requirePersonalToken() };
+    }
+
+    try {
+      const { token } = await this.getInstallationToken(installationId);
+      return { id: `installation:${installationId}`, token };
+    } catch (error) {
+      if (!this.personalToken) {
+        throw error;
+      }
+      logger.error('Failed to mint installation token, using the personal access token', { installationId, error });
+      return { id: PAT_CREDENTIAL, token: this.personalToken };
+    }
+  }
+
+  /**
+   * Cached installation token, replaced once it is within the refresh margin
+   * of expiring. Concurrent callers share one request.
+   */
+  public async getInstallationToken(installationId: number): Promise<InstallationToken> {
+    const cached = this.tokens.get(installationId);
+    if (cached && cached.expiresAt.getTime() - Date.now() > this.config.refreshMargin) {
+      return cached;
+    }
+
+    let pending = this.pending.get(installationId);
+    if (!pending) {
+      pending = this.mintInstallationToken(installationId).finally(() => this.pending.delete(installationId));
+      this.pending.set(installationId, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Remember the installation a webhook was delivered for
+   */
+  public registerInstallation(payload: any): void {
+    const installationId = payload?.installation?.id;
+    const login = payload?.installation?.account?.login
+      || payload?.organization?.login
+      || payload?.repository?.owner?.login;
+    if (!installationId || !login) {
+      return;
+    }
+
+    // Only installation events carry the account, other events deleting something do not
+    if ((payload.action === 'deleted' || payload.action === 'suspend') && payload.installation.account) {
+      this.installations.delete(login.toLowerCase());
+      this.tokens.delete(installationId);
+      logger.info('GitHub App uninstalled', { account: login, installationId });
+      return;
+    }
+
+    if (this.installations.get(login.toLowerCase()) !== installationId) {
+      this.installations.set(login.toLowerCase(), installationId);
+      logger.info('Registered GitHub App installation', { account: login, installationId });
+    }
+  }
+
+  public getInstallations(): Array<{ account: string; installationId: number; tokenExpiresAt?: Date }> {
+    return Array.from(this.installations.entries()).map(([account, installationId]) => ({
+      account,
+      installationId,
+      tokenExpiresAt: this.tokens.get(installationId)?.expiresAt
+    }));
+  }
+
+  /**
+   * Short-lived JWT identifying the App, reused until a minute before expiry
+   */
+  public createAppJwt(): string {
+    const now = Math.floor(Date.now() / 1000);
+    if (this.appJwt && this.appJwt.expiresAt - 60 > now) {
+      return this.appJwt.token;
+    }
+
+    // Backdated against clock drift, GitHub accepts at most ten minutes
+    const payload = { iat: now - 60, exp: now + 540, iss: this.config.appId };
+    this.appJwt = {
+      token: jwt.sign(payload, this.config.privateKey!, { algorithm: 'RS256' }),
+      expiresAt: payload.exp
+    };
+    return this.appJwt.token;
+  }
+
+  private async mintInstallationToken(installationId: number): Promise<InstallationToken> {
+    const response = await axios.post(
+      `${GITHUB_API_URL}/app/installations/${installationId}/access_tokens`,
+      {},
+      { headers: this.appHeaders(), timeout: 30000 }
+    );
+
+    const token = { token: response.data.token, expiresAt: new Date(response.data.expires_at) };
+    this.tokens.set(installationId, token);
+    logger.debug('Minted installation token', { installationId, expiresAt: token.expiresAt });
+    return token;
+  }
+
+  private async findInstallation(owner?: string): Promise<number | undefined> {
+    if (!owner) {
+      return undefined;
+    }
+
+    const key = owner.toLowerCase();
+    if (!this.installations.has(key)) {
+      await this.discoverInstallations();
+    }
+    return this.installations.get(key);
+  }
+
+  /**
+   * List the App's installations, at most once per discovery interval
+   */
+  private async discoverInstallations(force = false): Promise<void> {
+    if (!force && Date.now() - this.lastDiscovery < this.config.discoveryInterval) {
+      return;
+    }
+    this.lastDiscovery = Date.now();
+
+    try {
+      for (let page = 1; ; page++) {
+        const response = await axios.get(`${GITHUB_API_URL}/app/installations`, {
+          headers: this.appHeaders(),
+          params: { per_page: 100, page },
+          timeout: 30000
+        });
+
+        for (const installation of response.data) {
+          this.installations.set(installation.account.login.toLowerCase(), installation.id);
+        }
+        if (response.data.length < 100) {
+          break;
+        }
+      }
+      logger.debug('Discovered GitHub App installations', { count: this.installations.size });
+    } catch (error) {
+      logger.error('Failed to list GitHub App installations', { error });
+    }
+  }
+
+  private async loadSecrets(vault: VaultService): Promise<void> {
+    try {
+      const secrets = await vault.getGitHubSecrets();
+      if (secrets.token) {
+        this.personalToken = secrets.token;
+      }
+      if (secrets.appId && secrets.privateKey) {
+        this.config.appId = String(secrets.appId);
+        this.config.privateKey = secrets.privateKey;
+        this.appJwt = undefined;
+      }
+    } catch (error) {
+      logger.warn('Failed to load GitHub credentials from Vault, using configuration', { error });
+    }
+  }
+
+  private appHeaders(): Record<string, string> {
+    return {
+      Authorization: `Bearer ${this.createAppJwt()}`,
+      Accept: 'application/vnd.github+json'
+    };
+  }
+
+  private requirePersonalToken(): string {
+    if (!this.personalToken) {
+      throw new Error('No GitHub credentials configured, set GITHUB_TOKEN or a GitHub App');
+    }
+    return this.personalToken;
+  }
+}
+
+export default GitHubAppAuth.getInstance();
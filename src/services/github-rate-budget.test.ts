@@ -0,0 +1,100 @@
+import { GitHubRateBudget } from './github-rate-budget';
+
+jest.mock('./redis-connection', () => ({
+  createRedisConnection: jest.fn()
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+describe('GitHubRateBudget', () => {
+  let budget: GitHubRateBudget;
+  let redis: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    redis = {
+      status: 'ready',
+      eval: jest.fn().mockResolvedValue(0),
+      hmget: jest.fn().mockResolvedValue([null, null, null])
+    };
+
+    (GitHubRateBudget as any).instance = undefined;
+    budget = GitHubRateBudget.getInstance({
+      capacity: 10,
+      refillPerSecond: 5,
+      reserves: { registration: 0, status: 0.1, analytics: 0.3 }
+    }, redis);
+  });
+
+  it('should pass the reserve of the priority class to the shared bucket', async () => {
+    await budget.acquire('analytics', 'pat');
+    await budget.acquire('registration', 'pat');
+
+    expect(redis.eval).toHaveBeenNthCalledWith(
+      1, expect.any(String), 2, 'github:rate-budget', 'github:rate-budget:pat', expect.any(Number), 0.3, 10, 0.005
+    );
+    expect(redis.eval).toHaveBeenNthCalledWith(
+      2, expect.any(String), 2, 'github:rate-budget', 'github:rate-budget:pat', expect.any(Number), 0, 10, 0.005
+    );
+  });
+
+  it('should track the hourly quota of each credential separately', async () => {
+    const headers = { 'x-ratelimit-remaining': '4000', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1700000000' };
+    await budget.observe('installation:7', headers);
+    await budget.observe('installation:8', headers);
+    await budget.tryAcquire('registration', 'installation:8');
+
+    expect(redis.eval.mock.calls.map((call: any[]) => call.slice(1, call[1] + 2))).toEqual([
+      [1, 'github:rate-budget:installation:7'],
+      [1, 'github:rate-budget:installation:8'],
+      [2, 'github:rate-budget', 'github:rate-budget:installation:8']
+    ]);
+  });
+
+  it('should wait for the budget and give up after the maximum wait', async () => {
+    redis.eval.mockResolvedValueOnce(5).mockResolvedValueOnce(0);
+    await budget.acquire('status', 'pat', 1000);
+    expect(redis.eval).toHaveBeenCalledTimes(2);
+
+    redis.eval.mockResolvedValue(60000);
+    await expect(budget.acquire('analytics', 'pat', 1000)).rejects.toThrow('GitHub API budget for analytics requests exhausted');
+  });
+
+  it('should let requests through when Redis is unavailable', async () => {
+    redis.eval.mockRejectedValue(new Error('Connection is closed'));
+
+    await expect(budget.tryAcquire('analytics', 'pat')).resolves.toBe(0);
+    await expect(budget.observe('pat', { 'x-ratelimit-remaining': '10', 'x-ratelimit-reset': '1700000000' })).resolves.toBeUndefined();
+  });
+
+  it('should only record responses carrying rate limit headers', async () => {
+    await budget.observe('pat', { 'content-type': 'application/json' });
+    expect(redis.eval).not.toHaveBeenCalled();
+
+    await budget.observe('pat', { 'x-ratelimit-remaining': '4000', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1700000000' });
+    expect(redis.eval).toHaveBeenCalledWith(expect.any(String), 1, 'github:rate-budget:pat', 4000, 5000, 1700000000000);
+  });
+
+  it('should report the quota left to each class', async () => {
+    const reset = Date.now() + 600000;
+    redis.hmget
+      .mockResolvedValueOnce(['4', String(Date.now()), null])
+      .mockResolvedValueOnce(['2000', '5000', String(reset)]);
+
+    const status = await budget.getStatus('installation:7');
+
+    expect(redis.hmget).toHaveBeenLastCalledWith('github:rate-budget:installation:7', 'remaining', 'limit', 'reset');
+    expect(status.remaining).toBe(2000);
+    expect(status.reset).toEqual(new Date(reset));
+    expect(status.available).toEqual({ registration: 2000, status: 1500, analytics: 500 });
+    expect(status.pausedUntil).toBeUndefined();
+  });
+});
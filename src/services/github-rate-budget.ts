@@ -0,0 +1,282 @@
+import Redis from 'ioredis';
+import { createLogger } from '../utils/logger';
+import { createRedisConnection } from './redis-connection';
+
+const logger = createLogger('GitHubRateBudget');
+
+/**
+ * Callers in the order they are served when the budget runs low: runner
+ * registration beats status reporting, which beats analytics sync
+ */
+export type BudgetClass = 'registration' | 'status' | 'analytics';
+
+export interface RateBudgetConfig {
+  key: string; // Shared bucket; the hourly quota of each credential lives under key:<credential>
+  capacity: number; // Burst size of the token bucket
+  refillPerSecond: number; // Sustained request rate across all nodes
+  reserves: Record<BudgetClass, number>; // Share of bucket and hourly quota a class must leave untouched
+}
+
+export interface RateBudgetStatus {
+  tokens: number;
+  capacity: number;
+  remaining?: number;
+  limit?: number;
+  reset?: Date;
+  pausedUntil?: Date;
+  available: Record<BudgetClass, number>; // Hourly quota each class may still use
+}
+
+const BUDGET_CLASSES: BudgetClass[] = ['registration', 'status', 'analytics'];
+
+const defaultConfig = (): RateBudgetConfig => ({
+  key: 'github:rate-budget',
+  capacity: parseInt(process.env.GITHUB_RATE_BUDGET_CAPACITY || '20', 10),
+  refillPerSecond: parseFloat(process.env.GITHUB_RATE_BUDGET_REFILL_PER_SECOND || '10'),
+  reserves: {
+    registration: 0,
+    status: parseFloat(process.env.GITHUB_RATE_BUDGET_STATUS_RESERVE || '0.1'),
+    analytics: parseFloat(process.env.GITHUB_RATE_BUDGET_ANALYTICS_RESERVE || '0.3')
+  }
+});
+
+// Returns 0 when a request was granted, otherwise the ms to wait before asking again
+const ACQUIRE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local reserve = tonumber(ARGV[2])
+local capacity = tonumber(ARGV[3])
+local refill = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated', 'paused_until')
+local quota = redis.call('HMGET', KEYS[2], 'remaining', 'limit', 'reset')
+local tokens = tonumber(state[1]) or capacity
+local updated = tonumber(state[2]) or now
+local paused_until = tonumber(state[3]) or 0
+local remaining = tonumber(quota[1])
+local limit = tonumber(quota[2])
+local reset = tonumber(quota[3]) or 0
+
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * refill)
+redis.call('HSET', KEYS[1], 'tokens', tokens, 'updated', now)
+redis.call('PEXPIRE', KEYS[1], 3600000)
+
+if paused_until > now then
+  return math.ceil(paused_until - now)
+end
+if remaining and reset > now and remaining - 1 < limit * reserve then
+  return math.ceil(reset - now)
+end
+if tokens - 1 < capacity * reserve then
+  return math.ceil((capacity * reserve + 1 - tokens) / refill)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tokens - 1)
+if remaining and reset > now then
+  redis.call('HSET', KEYS[2], 'remaining', remaining - 1)
+end
+return 0
+`;
+
+// Responses arrive out of order, so within one window the lowest remaining count wins
+const OBSERVE_SCRIPT = `
+local remaining = tonumber(ARGV[1])
+local reset = tonumber(ARGV[3])
+local current = redis.call('HMGET', KEYS[1], 'remaining', 'reset')
+if tonumber(current[2]) == reset and tonumber(current[1]) and tonumber(current[1]) < remaining then
+  return 0
+end
+if tonumber(current[2]) and tonumber(current[2]) > reset then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'remaining', remaining, 'limit', ARGV[2], 'reset', reset)
+redis.call('PEXPIRE', KEYS[1], 3600000)
+return 1
+`;
+
+const PAUSE_SCRIPT = `
+local until_ms = tonumber(ARGV[1])
+if (tonumber(redis.call('HGET', KEYS[1], 'paused_until')) or 0) < until_ms then
+  redis.call('HSET', KEYS[1], 'paused_until', until_ms)
+  redis.call('PEXPIRE', KEYS[1], 3600000)
+end
+return 1
+`;
+
+/**
+ * GitHub API budget shared by all orchestrator nodes through Redis. A token
+ * bucket paces requests to stay clear of secondary rate limits, and the
+ * hourly quota GitHub reports for each credential (App installation or
+ * personal access token) is split between priority classes by reserving
+ * part of it for the classes above. When Redis is unreachable
+ * requests are let through and each node falls back to its own tracking.
+ */
+export class GitHubRateBudget {
+  private static instance: GitHubRateBudget;
+  private config: RateBudgetConfig;
+  private redis?: Redis;
+  private lastFailureLog = 0;
+
+  private constructor(config: Partial<RateBudgetConfig> = {}, redis?: Redis) {
+    this.config = { ...defaultConfig(), ...config };
+    this.redis = redis;
+  }
+
+  public static getInstance(config?: Partial<RateBudgetConfig>, redis?: Redis): GitHubRateBudget {
+    if (!GitHubRateBudget.instance) {
+      GitHubRateBudget.instance = new GitHubRateBudget(config, redis);
+    }
+    return GitHubRateBudget.instance;
+  }
+
+  /**
+   * Wait until a request of the given class made with the credential fits
+   * the budget. Rejects when that would take longer than `maxWait` ms.
+   */
+  public async acquire(budgetClass: BudgetClass, credential: string, maxWait = Infinity): Promise<void> {
+    const deadline = Date.now() + maxWait;
+
+    for (;;) {
+      const wait = await this.tryAcquire(budgetClass, credential);
+      if (wait === 0) {
+        return;
+      }
+      if (Date.now() + wait > deadline) {
+        throw new Error(`GitHub API budget for ${budgetClass} requests exhausted, retry in ${wait}ms`);
+      }
+
+      logger.debug(`Waiting ${wait}ms for GitHub API budget`, { budgetClass, credential });
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Take one request from the budget if possible, returning 0 on success or
+   * the ms to wait otherwise
+   */
+  public async tryAcquire(budgetClass: BudgetClass, credential: string): Promise<number> {
+    try {
+      const redis = await this.getRedis();
+      const wait = await redis.eval(
+        ACQUIRE_SCRIPT,
+        2,
+        this.config.key,
+        this.quotaKey(credential),
+        Date.now(),
+        this.config.reserves[budgetClass],
+        this.config.capacity,
+        this.config.refillPerSecond / 1000
+      );
+      return Number(wait);
+    } catch (error) {
+      this.logFailure('acquire', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record the quota reported in the X-RateLimit-* headers of a response to
+   * a request made with the credential
+   */
+  public async observe(credential: string, headers: Record<string, any> = {}): Promise<void> {
+    if (headers['x-ratelimit-remaining'] === undefined || headers['x-ratelimit-reset'] === undefined) {
+      return;
+    }
+
+    try {
+      const redis = await this.getRedis();
+      await redis.eval(
+        OBSERVE_SCRIPT,
+        1,
+        this.quotaKey(credential),
+        parseInt(headers['x-ratelimit-remaining'], 10),
+        parseInt(headers['x-ratelimit-limit'] || '5000', 10),
+        parseInt(headers['x-ratelimit-reset'], 10) * 1000
+      );
+    } catch (error) {
+      this.logFailure('observe', error);
+    }
+  }
+
+  /**
+   * Stop all nodes from calling GitHub, after a secondary rate limit
+   */
+  public async pause(ms: number): Promise<void> {
+    logger.warn(`Pausing GitHub API requests on all nodes for ${ms}ms`);
+
+    try {
+      const redis = await this.getRedis();
+      await redis.eval(PAUSE_SCRIPT, 1, this.config.key, Date.now() + ms);
+    } catch (error) {
+      this.logFailure('pause', error);
+    }
+  }
+
+  /**
+   * Bucket state and the hourly quota left to the credential
+   */
+  public async getStatus(credential: string): Promise<RateBudgetStatus> {
+    const now = Date.now();
+    let state: Array<string | null> = [];
+    try {
+      const redis = await this.getRedis();
+      state = [
+        ...await redis.hmget(this.config.key, 'tokens', 'updated', 'paused_until'),
+        ...await redis.hmget(this.quotaKey(credential), 'remaining', 'limit', 'reset')
+      ];
+    } catch (error) {
+      this.logFailure('status', error);
+    }
+
+    const [tokens, updated, pausedUntil, remaining, limit, reset] = state.map(value =>
+      value === null || value === undefined ? undefined : Number(value)
+    );
+    const current = reset !== undefined && reset > now ? remaining : undefined;
+
+    const available = {} as Record<BudgetClass, number>;
+    for (const budgetClass of BUDGET_CLASSES) {
+      available[budgetClass] = current === undefined || limit === undefined
+        ? Infinity
+        : Math.max(0, Math.floor(current - limit * this.config.reserves[budgetClass]));
+    }
+
+    return {
+      tokens: tokens === undefined
+        ? this.config.capacity
+        : Math.min(this.config.capacity, tokens + (now - (updated || now)) * this.config.refillPerSecond / 1000),
+      capacity: this.config.capacity,
+      remaining: current,
+      limit,
+      reset: current !== undefined ? new Date(reset!) : undefined,
+      pausedUntil: pausedUntil && pausedUntil > now ? new Date(pausedUntil) : undefined,
+      available
+    };
+  }
+
+  private quotaKey(credential: string): string {
+    return `${this.config.key}:${credential}`;
+  }
+
+  private async getRedis(): Promise<Redis> {
+    if (!this.redis) {
+      this.redis = createRedisConnection({
+        connectionName: 'github-rate-budget',
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+        lazyConnect: true
+      });
+    }
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    return this.redis;
+  }
+
+  private logFailure(operation: string, error: any): void {
+    // Redis outages would otherwise log once per GitHub request
+    if (Date.now() - this.lastFailureLog > 60000) {
+      this.lastFailureLog = Date.now();
+      logger.warn(`GitHub API budget ${operation} failed, using local rate limiting`, { error: error?.message });
+    }
+  }
+}
+
+export default GitHubRateBudget.getInstance();
@@ -5,6 +5,7 @@ import database from './database';
 import jobQueue from './job-queue';
 import runnerPoolManager from './runner-pool-manager';
 import monitoringService from './monitoring';
+import githubAppAuth from './github-app-auth';
 import { Request } from 'express';
 import { Server as SocketIOServer } from 'socket.io';
 
@@ -256,6 +257,8 @@ export class GitHubWebhookEnhancedService extends EventEmitter {
         return result;
       }
 
+      githubAppAuth.registerInstallation(payload);
+
       // 2. Check for duplicate
       const dedupKey = this.generateDedupKey(eventType, deliveryId, payload);
       if (this.isDuplicate(dedupKey)) {
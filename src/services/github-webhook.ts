@@ -3,9 +3,13 @@ import crypto from 'crypto';
 import { createLogger } from '../utils/logger';
 import database from './database';
 import jobQueue from './job-queue';
+import jobIdempotency from './job-idempotency';
 import runnerPoolManager from './runner-pool-manager';
 import monitoringService from './monitoring';
+import githubAppAuth from './github-app-auth';
 import { Request } from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { JobStatus } from '../types';
 
 const logger = createLogger('GitHubWebhook');
 
@@ -27,6 +31,7 @@ export interface WorkflowJobEvent {
     id: number;
     run_id: number;
     run_attempt: number;
+    workflow_name?: string;
     node_id: string;
     head_sha: string;
     url: string;
@@ -167,20 +172,22 @@ export class GitHubWebhookService extends EventEmitter {
   }
 
   /**
-   * Process incoming webhook
+   * Process incoming webhook. Deliveries fetched from GitHub's API are
+   * `verified` and carry no signature to check.
    */
   async processWebhook(
     _req: Request,
     eventType: string,
     signature: string,
     deliveryId: string,
-    payload: any
+    payload: any,
+    options: { verified?: boolean } = {}
   ): Promise<{ success: boolean; message: string }> {
     const startTime = Date.now();
 
     try {
       // Verify signature if secret is configured
-      if (this.webhookSecret && !this.verifySignature(payload, signature)) {
+      if (this.webhookSecret && !options.verified && !this.verifySignature(payload, signature)) {
         logger.warn('Invalid webhook signature', { deliveryId, eventType });
         return {
           success: false,
@@ -188,6 +195,8 @@ export class GitHubWebhookService extends EventEmitter {
         };
       }
 
+      githubAppAuth.registerInstallation(payload);
+
       // Check if event type is supported
       if (!this.supportedEvents.has(eventType)) {
         logger.debug('Unsupported event type', { eventType });
@@ -341,8 +350,31 @@ export class GitHubWebhookService extends EventEmitter {
     const job = jobEvent.workflow_job;
     
     try {
+      // Redelivered webhooks and jobs already delegated by a proxy runner share the record
+      const key = jobIdempotency.resolveKey(job.id, job.run_attempt);
+      const { duplicate, job: record } = await jobIdempotency.claim(key, {
+        id: uuidv4(),
+        githubJobId: job.id,
+        repository: jobEvent.repository.full_name,
+        workflow: job.workflow_name || '',
+        jobName: job.name,
+        status: JobStatus.QUEUED,
+        labels: job.labels,
+        metadata: { runId: job.run_id.toString(), runAttempt: job.run_attempt, source: 'webhook' }
+      }, 'webhook');
+
+      if (duplicate && record.status !== JobStatus.QUEUED) {
+        logger.info('Ignoring queued event for job already delegated', {
+          jobId: job.id,
+          delegationId: record.id,
+          status: record.status
+        });
+        return;
+      }
+
       // Create job in queue for processing
       const jobData = {
+        id: record.id,
         jobId: job.id.toString(),
         runId: job.run_id.toString(),
         repository: jobEvent.repository.full_name,
@@ -356,6 +388,7 @@ export class GitHubWebhookService extends EventEmitter {
 
       // Add to job queue (using BullMQ add method)
       await jobQueue.queue.add('process-github-job', jobData, {
+        jobId: record.idempotency_key || key,
         priority: jobData.priority,
         delay: 0,
         attempts: 3,
@@ -365,6 +398,11 @@ export class GitHubWebhookService extends EventEmitter {
         }
       });
 
+      // The runner was requested when the job was first queued
+      if (duplicate) {
+        return;
+      }
+
       // Request runner from pool
       const runnerRequest = await runnerPoolManager.requestRunner(
         jobEvent.repository.full_name,
@@ -503,6 +503,13 @@ export class HAManager extends EventEmitter {
         };
     }
 
+    /**
+     * Get the leader election service, undefined when election is disabled
+     */
+    getLeaderElection(): LeaderElectionService | undefined {
+        return this.leaderElection;
+    }
+
     /**
      * Get database connection pool (legacy method - use Database HA service for new code)
      */
@@ -0,0 +1,178 @@
+import { JobContainerManager, JobContainerError } from './job-container';
+import { DockerClient } from '../docker/docker-client';
+import { VolumeManager } from '../docker/volumes/volume-manager';
+import { DockerSecurityManager } from '../docker/security/docker-security-manager';
+import networkIsolation from './network-isolation';
+
+jest.mock('../docker/docker-client');
+jest.mock('../docker/volumes/volume-manager');
+jest.mock('../docker/security/docker-security-manager');
+
+jest.mock('./network-isolation', () => ({
+  __esModule: true,
+  default: {
+    attachContainerToNetwork: jest.fn().mockResolvedValue(undefined),
+    detachContainerFromNetwork: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('JobContainerManager', () => {
+  let manager: JobContainerManager;
+  let mockDockerClient: any;
+  let mockVolumeManager: any;
+  let mockSecurityManager: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockDockerClient = {
+      isDockerConnected: jest.fn().mockReturnValue(true),
+      initialize: jest.fn(),
+      pullImage: jest.fn().mockResolvedValue(undefined),
+      createContainer: jest.fn().mockResolvedValue('container1234567890'),
+      startContainer: jest.fn().mockResolvedValue(undefined),
+      removeContainer: jest.fn().mockResolvedValue(undefined),
+      execInContainer: jest.fn().mockResolvedValue({ stdout: 'ok', stderr: '', exitCode: 0 })
+    };
+    mockVolumeManager = {
+      getVolumeConfig: jest.fn().mockReturnValue({ id: 'runner-workspace', name: 'github-runner-workspace', labels: {} }),
+      registerVolumeConfig: jest.fn(),
+      unregisterVolumeConfig: jest.fn(),
+      createVolume: jest.fn().mockResolvedValue('runnerhub-workspace-job-1'),
+      removeVolume: jest.fn().mockResolvedValue(undefined),
+      mountVolume: jest.fn().mockResolvedValue('mount-1'),
+      unmountVolume: jest.fn().mockResolvedValue(undefined)
+    };
+    mockSecurityManager = {
+      validateContainerOptions: jest.fn().mockResolvedValue([])
+    };
+
+    (DockerClient.getInstance as jest.Mock).mockReturnValue(mockDockerClient);
+    (VolumeManager.getInstance as jest.Mock).mockReturnValue(mockVolumeManager);
+    (DockerSecurityManager.getInstance as jest.Mock).mockReturnValue(mockSecurityManager);
+
+    (JobContainerManager as any).instance = null;
+    manager = JobContainerManager.getInstance();
+  });
+
+  it('should pull with credentials and start the container on the shared workspace', async () => {
+    const jobContainer = await manager.prepare('job-1', 'org/repo', {
+      image: 'ghcr.io/org/build:1.2',
+      credentials: { username: 'bot', password: 'token' },
+      env: { NODE_ENV: 'test' },
+      options: '--cpus 2 -e CI=true'
+    });
+
+    expect(mockDockerClient.pullImage).toHaveBeenCalledWith('ghcr.io/org/build', '1.2', {
+      username: 'bot',
+      password: 'token',
+      serveraddress: 'ghcr.io'
+    });
+    expect(mockVolumeManager.registerVolumeConfig).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'workspace-job-1',
+      name: 'runnerhub-workspace-job-1'
+    }));
+
+    const createOptions = mockDockerClient.createContainer.mock.calls[0][0];
+    expect(createOptions.Image).toBe('ghcr.io/org/build:1.2');
+    expect(createOptions.Env).toEqual(['NODE_ENV=test', 'CI=true']);
+    expect(createOptions.HostConfig.NanoCpus).toBe(2e9);
+    expect(createOptions.HostConfig.Mounts).toEqual([
+      { Type: 'volume', Source: 'runnerhub-workspace-job-1', Target: '/__w' }
+    ]);
+
+    expect(networkIsolation.attachContainerToNetwork).toHaveBeenCalledWith('container1234567890', 'org/repo');
+    expect(mockVolumeManager.mountVolume).toHaveBeenCalledWith('runnerhub-workspace-job-1', 'container1234567890', '/__w');
+    expect(jobContainer).toEqual({
+      jobId: 'job-1',
+      containerId: 'container1234567890',
+      image: 'ghcr.io/org/build:1.2',
+      volumeId: 'runnerhub-workspace-job-1',
+      mountId: 'mount-1',
+      user: undefined,
+      hookToken: expect.stringMatching(/^[0-9a-f]{64}$/)
+    });
+    expect(createOptions.name).toBe('runnerhub-job-job-1');
+  });
+
+  it('should pull images pinned by digest', async () => {
+    const digest = `sha256:${'a'.repeat(64)}`;
+    await manager.prepare('job-1', 'org/repo', { image: `registry:5000/org/build@${digest}` });
+
+    expect(mockDockerClient.pullImage).toHaveBeenCalledWith('registry:5000/org/build', digest, undefined);
+  });
+
+  it('should reject options blocked by the security policies before pulling', async () => {
+    mockSecurityManager.validateContainerOptions.mockResolvedValue(['Privileged containers are not allowed']);
+
+    await expect(manager.prepare('job-1', 'org/repo', { image: 'node:20', options: '--privileged' }))
+      .rejects.toThrow('Container options rejected: Privileged containers are not allowed');
+
+    expect(mockSecurityManager.validateContainerOptions).toHaveBeenCalledWith('node:20', {
+      env: [],
+      hostConfig: { Privileged: true }
+    });
+    expect(mockDockerClient.pullImage).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown options', async () => {
+    await expect(manager.prepare('job-1', 'org/repo', { image: 'node:20', options: '--volumes-from other' }))
+      .rejects.toThrow(JobContainerError);
+  });
+
+  it('should remove the workspace when the container fails to start', async () => {
+    mockDockerClient.startContainer.mockRejectedValue(new Error('start failed'));
+
+    await expect(manager.prepare('job-1', 'org/repo', { image: 'node:20' })).rejects.toThrow('start failed');
+
+    expect(mockDockerClient.pullImage).toHaveBeenCalledWith('node', '20', undefined);
+    expect(mockDockerClient.removeContainer).toHaveBeenCalledWith('container1234567890', true);
+    expect(mockVolumeManager.removeVolume).toHaveBeenCalledWith('runnerhub-workspace-job-1', true);
+    expect(mockVolumeManager.unregisterVolumeConfig).toHaveBeenCalledWith('workspace-job-1');
+    expect(manager.getContainer('job-1')).toBeUndefined();
+  });
+
+  it('should run steps in the container and clean up afterwards', async () => {
+    await manager.prepare('job-1', 'org/repo', { image: 'node:20', options: '--user 1001' });
+
+    const result = await manager.runStep('job-1', 'npm test', { CI: 'true' });
+    expect(result.exitCode).toBe(0);
+    expect(mockDockerClient.execInContainer).toHaveBeenCalledWith('container1234567890', ['sh', '-e', '-c', 'npm test'], {
+      workingDir: '/__w',
+      user: '1001',
+      env: ['CI=true']
+    });
+
+    await manager.runStep('job-1', ['bash', '-e', '/__w/_temp/step.sh'], {}, '/__w/repo', ['/opt/tools/bin']);
+    expect(mockDockerClient.execInContainer).toHaveBeenLastCalledWith('container1234567890', [
+      'sh', '-c', 'PATH="$RUNNERHUB_PREPEND_PATH:$PATH" exec "$@"', 'sh', 'bash', '-e', '/__w/_temp/step.sh'
+    ], {
+      workingDir: '/__w/repo',
+      user: '1001',
+      env: ['RUNNERHUB_PREPEND_PATH=/opt/tools/bin']
+    });
+
+    await manager.cleanup('job-1', 'org/repo');
+    expect(mockVolumeManager.unmountVolume).toHaveBeenCalledWith('mount-1');
+    expect(mockDockerClient.removeContainer).toHaveBeenCalledWith('container1234567890', true);
+    await expect(manager.runStep('job-1', 'npm test')).rejects.toThrow('No job container for job job-1');
+  });
+
+  it('should only accept the container hook token of the job', async () => {
+    const jobContainer = await manager.prepare('job-1', 'org/repo', { image: 'node:20' });
+
+    expect(manager.authorizeHook('job-1', jobContainer.hookToken)).toBe(true);
+    expect(manager.authorizeHook('job-1', 'f'.repeat(64))).toBe(false);
+    expect(manager.authorizeHook('job-2', jobContainer.hookToken)).toBe(false);
+    expect(manager.authorizeHook('job-1', '')).toBe(false);
+  });
+});
@@ -0,0 +1,297 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger';
+import networkIsolation from './network-isolation';
+import { DockerClient, RegistryAuth } from '../docker/docker-client';
+import { VolumeManager } from '../docker/volumes/volume-manager';
+import { DockerSecurityManager } from '../docker/security/docker-security-manager';
+import { parseContainerOptions, parseNamedVolumes, splitImageReference } from '../docker/container-options';
+import { ContainerConfig } from '../orchestrator/job-parser';
+
+const logger = createLogger('JobContainer');
+
+export const JOB_WORKSPACE_PATH = '/__w';
+
+export interface JobContainer {
+  jobId: string;
+  containerId: string;
+  image: string;
+  volumeId: string;
+  mountId: string;
+  user?: string;
+  hookToken: string; // Authenticates the runner's container hook for this job
+}
+
+export interface StepResult {
+  stdout: string;
+  stderr: string;
+  exitCode: number;
+}
+
+export class JobContainerError extends Error {
+  constructor(message: string, public readonly jobId: string) {
+    super(message);
+    this.name = 'JobContainerError';
+  }
+}
+
+/**
+ * Runs the steps of jobs that declare `container:` inside that image. The
+ * container shares a workspace volume with the runner and lives on the
+ * repository network next to the job's service containers.
+ */
+export class JobContainerManager extends EventEmitter {
+  private static instance: JobContainerManager;
+  private dockerClient: DockerClient;
+  private volumeManager: VolumeManager;
+  private securityManager: DockerSecurityManager;
+  private containers: Map<string, JobContainer> = new Map();
+
+  private constructor() {
+    super();
+    this.dockerClient = DockerClient.getInstance();
+    this.volumeManager = VolumeManager.getInstance();
+    this.securityManager = DockerSecurityManager.getInstance();
+  }
+
+  public static getInstance(): JobContainerManager {
+    if (!JobContainerManager.instance) {
+      JobContainerManager.instance = new JobContainerManager();
+    }
+    return JobContainerManager.instance;
+  }
+
+  /**
+   * Pull the job image, create the shared workspace and start the container.
+   * Options that the enforced security policies block are rejected before
+   * anything is pulled.
+   */
+  async prepare(jobId: string, repository: string, container: ContainerConfig): Promise<JobContainer> {
+    if (!container.image) {
+      throw new JobContainerError('Job container has no image', jobId);
+    }
+
+    let options;
+    try {
+      options = parseContainerOptions(container.options);
+    } catch (error) {
+      throw new JobContainerError((error as Error).message, jobId);
+    }
+
+    const violations = await this.securityManager.validateContainerOptions(container.image, options);
+    if (violations.length > 0) {
+      throw new JobContainerError(`Container options rejected: ${violations.join('; ')}`, jobId);
+    }
+
+    if (container.ports && container.ports.length > 0) {
+      logger.warn('Ports of job containers are not published', { jobId, ports: container.ports });
+    }
+
+    if (!this.dockerClient.isDockerConnected()) {
+      await this.dockerClient.initialize();
+    }
+
+    const { name, tag } = splitImageReference(container.image);
+    await this.dockerClient.pullImage(name, tag, this.getRegistryAuth(container));
+
+    const volumeId = await this.createWorkspace(jobId, repository);
+    let containerId: string | undefined;
+
+    try {
+      containerId = await this.dockerClient.createContainer({
+        name: `runnerhub-job-${jobId}`,
+        Image: container.image,
+        // Steps are run with exec; keep the container alive until cleanup
+        Entrypoint: ['tail'],
+        Cmd: ['-f', '/dev/null'],
+        WorkingDir: JOB_WORKSPACE_PATH,
+        User: options.user,
+        Env: [
+          ...Object.entries(container.env || {}).map(([key, value]) => `${key}=${value}`),
+          ...options.env
+        ],
+        Labels: {
+          'runnerhub.type': 'job-container',
+          'runnerhub.job': jobId,
+          'runnerhub.repository': repository
+        },
+        HostConfig: {
+          ...options.hostConfig,
+          Mounts: [{ Type: 'volume', Source: volumeId, Target: JOB_WORKSPACE_PATH }],
+          Binds: this.parseVolumes(container.volumes || [], jobId),
+          RestartPolicy: { Name: 'no' }
+        }
+      });
+
+      await networkIsolation.attachContainerToNetwork(containerId, repository);
+      await this.dockerClient.startContainer(containerId);
+
+      const mountId = await this.volumeManager.mountVolume(volumeId, containerId, JOB_WORKSPACE_PATH);
+
+      const jobContainer: JobContainer = {
+        jobId,
+        containerId,
+        image: container.image,
+        volumeId,
+        mountId,
+        user: options.user,
+        hookToken: crypto.randomBytes(32).toString('hex')
+      };
+      this.containers.set(jobId, jobContainer);
+
+      logger.info('Job container started', {
+        jobId,
+        image: container.image,
+        containerId: containerId.substring(0, 12)
+      });
+      this.emit('container:ready', jobContainer);
+
+      return jobContainer;
+    } catch (error) {
+      logger.error('Failed to start job container', { jobId, error: (error as Error).message });
+      await this.removeResources(jobId, repository, containerId, volumeId);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a step inside the job container: a shell command, or an entry point
+   * with its arguments as the runner's container hook passes them
+   */
+  async runStep(
+    jobId: string,
+    command: string | string[],
+    env: Record<string, string> = {},
+    workingDir?: string,
+    prependPath: string[] = []
+  ): Promise<StepResult> {
+    const jobContainer = this.containers.get(jobId);
+    if (!jobContainer) {
+      throw new JobContainerError(`No job container for job ${jobId}`, jobId);
+    }
+
+    let argv = typeof command === 'string' ? ['sh', '-e', '-c', command] : command;
+    const stepEnv = Object.entries(env).map(([key, value]) => `${key}=${value}`);
+
+    // The image's PATH is only known inside the container
+    if (prependPath.length > 0) {
+      argv = ['sh', '-c', 'PATH="$RUNNERHUB_PREPEND_PATH:$PATH" exec "$@"', 'sh', ...argv];
+      stepEnv.push(`RUNNERHUB_PREPEND_PATH=${prependPath.join(':')}`);
+    }
+
+    return this.dockerClient.execInContainer(jobContainer.containerId, argv, {
+      workingDir: workingDir || JOB_WORKSPACE_PATH,
+      user: jobContainer.user,
+      env: stepEnv
+    });
+  }
+
+  /**
+   * Whether a container hook call carries the token of the job's container
+   */
+  authorizeHook(jobId: string, token: string): boolean {
+    const jobContainer = this.containers.get(jobId);
+    if (!jobContainer || token.length !== jobContainer.hookToken.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(jobContainer.hookToken));
+  }
+
+  getContainer(jobId: string): JobContainer | undefined {
+    return this.containers.get(jobId);
+  }
+
+  /**
+   * Remove the job container and its workspace
+   */
+  async cleanup(jobId: string, repository: string): Promise<void> {
+    const jobContainer = this.containers.get(jobId);
+    if (!jobContainer) {
+      return;
+    }
+
+    this.containers.delete(jobId);
+    try {
+      await this.volumeManager.unmountVolume(jobContainer.mountId);
+    } catch (error) {
+      logger.warn('Failed to unmount job workspace', { jobId, error: (error as Error).message });
+    }
+    await this.removeResources(jobId, repository, jobContainer.containerId, jobContainer.volumeId);
+
+    this.emit('container:removed', { jobId });
+  }
+
+  /**
+   * Workspace volume for one job, based on the default runner workspace
+   */
+  private async createWorkspace(jobId: string, repository: string): Promise<string> {
+    const base = this.volumeManager.getVolumeConfig('runner-workspace');
+    if (!base) {
+      throw new JobContainerError('Runner workspace volume configuration is missing', jobId);
+    }
+
+    this.volumeManager.registerVolumeConfig({
+      ...base,
+      id: `workspace-${jobId}`,
+      name: `runnerhub-workspace-${jobId}`,
+      labels: {
+        ...base.labels,
+        'runnerhub.job': jobId,
+        'runnerhub.repository': repository
+      },
+      createdAt: new Date()
+    });
+
+    return this.volumeManager.createVolume(`workspace-${jobId}`);
+  }
+
+  private async removeResources(
+    jobId: string,
+    repository: string,
+    containerId: string | undefined,
+    volumeId: string
+  ): Promise<void> {
+    try {
+      if (containerId) {
+        await networkIsolation.detachContainerFromNetwork(containerId, repository);
+        await this.dockerClient.removeContainer(containerId, true);
+      }
+      await this.volumeManager.removeVolume(volumeId, true);
+    } catch (error) {
+      logger.error('Failed to remove job container resources', {
+        jobId,
+        error: (error as Error).message
+      });
+    } finally {
+      this.volumeManager.unregisterVolumeConfig(`workspace-${jobId}`);
+    }
+  }
+
+  /**
+   * Credentials for the registry the image is pulled from
+   */
+  private getRegistryAuth(container: ContainerConfig): RegistryAuth | undefined {
+    if (!container.credentials) {
+      return undefined;
+    }
+
+    const [first] = container.image.split('/');
+    const hasRegistry = container.image.includes('/') && (first.includes('.') || first.includes(':') || first === 'localhost');
+
+    return {
+      username: container.credentials.username,
+      password: container.credentials.password,
+      serveraddress: hasRegistry ? first : 'https://index.docker.io/v1/'
+    };
+  }
+
+  private parseVolumes(volumes: string[], jobId: string): string[] {
+    try {
+      return parseNamedVolumes(volumes);
+    } catch (error) {
+      throw new JobContainerError((error as Error).message, jobId);
+    }
+  }
+}
+
+export default JobContainerManager.getInstance();
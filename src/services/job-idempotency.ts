@@ -0,0 +1,126 @@
+import { createLogger } from '../utils/logger';
+import database from './database';
+
+const logger = createLogger('JobIdempotency');
+
+export type DelegationSource = 'api' | 'webhook';
+export type DelegationDecision = 'accepted' | 'duplicate';
+
+export interface NewJobRecord {
+  id: string;
+  githubJobId: number;
+  repository: string;
+  workflow: string;
+  jobName: string;
+  status: string;
+  labels: string[];
+  metadata: Record<string, any>;
+}
+
+export interface ClaimResult {
+  duplicate: boolean;
+  job: any; // Row of runnerhub.jobs
+}
+
+// Printable ASCII without spaces, as accepted for BullMQ job ids
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Deduplicates job delegations from the API and from workflow_job webhooks.
+ * The idempotency key is unique in runnerhub.jobs and doubles as the BullMQ
+ * job id, so a redelivered webhook or a retried request neither creates a
+ * second record nor queues a second execution.
+ */
+export class JobIdempotencyService {
+  private static instance: JobIdempotencyService;
+  private decisions: Map<string, number> = new Map(); // `${source}:${decision}` -> count
+
+  private constructor() {}
+
+  public static getInstance(): JobIdempotencyService {
+    if (!JobIdempotencyService.instance) {
+      JobIdempotencyService.instance = new JobIdempotencyService();
+    }
+    return JobIdempotencyService.instance;
+  }
+
+  /**
+   * Keys become BullMQ job ids, which must not be integers
+   */
+  public isValidKey(key: string): boolean {
+    return IDEMPOTENCY_KEY_REGEX.test(key) && `${parseInt(key, 10)}` !== key;
+  }
+
+  /**
+   * The client's Idempotency-Key if given, otherwise one derived from the
+   * GitHub job, which both delegation paths agree on
+   */
+  public resolveKey(githubJobId: number, runAttempt?: number, idempotencyKey?: string): string {
+    return idempotencyKey || `github-job-${githubJobId}-${runAttempt || 1}`;
+  }
+
+  /**
+   * Insert the job record unless its key or GitHub job is already recorded,
+   * in which case the original record is returned
+   */
+  public async claim(key: string, record: NewJobRecord, source: DelegationSource): Promise<ClaimResult> {
+    const [inserted] = await database.query(
+      `INSERT INTO runnerhub.jobs
+       (id, github_job_id, repository, workflow_name, job_name, status, labels, metadata, idempotency_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        record.id,
+        record.githubJobId,
+        record.repository,
+        record.workflow,
+        record.jobName,
+        record.status,
+        record.labels,
+        JSON.stringify(record.metadata),
+        key
+      ]
+    );
+
+    if (inserted) {
+      this.recordDecision(source, 'accepted');
+      return { duplicate: false, job: inserted };
+    }
+
+    const [existing] = await database.query(
+      `SELECT * FROM runnerhub.jobs
+       WHERE idempotency_key = $1 OR github_job_id = $2
+       ORDER BY (idempotency_key = $1) DESC NULLS LAST
+       LIMIT 1`,
+      [key, record.githubJobId]
+    );
+
+    if (!existing) {
+      throw new Error(`Job record for idempotency key ${key} conflicts but was not found`);
+    }
+
+    this.recordDecision(source, 'duplicate');
+    logger.info('Duplicate job delegation', {
+      source,
+      idempotencyKey: key,
+      githubJobId: record.githubJobId,
+      originalId: existing.id
+    });
+    return { duplicate: true, job: existing };
+  }
+
+  public getDecisionCounts(): Array<{ source: DelegationSource; decision: DelegationDecision; count: number }> {
+    return Array.from(this.decisions.entries()).map(([label, count]) => {
+      const [source, decision] = label.split(':') as [DelegationSource, DelegationDecision];
+      return { source, decision, count };
+    });
+  }
+
+  private recordDecision(source: DelegationSource, decision: DelegationDecision): void {
+    const label = `${source}:${decision}`;
+    this.decisions.set(label, (this.decisions.get(label) || 0) + 1);
+  }
+}
+
+export default JobIdempotencyService.getInstance();
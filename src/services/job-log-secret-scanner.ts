@@ -159,7 +159,7 @@ export class JobLogSecretScanner extends EventEmitter {
     try {
       const detectedSecrets = await this.detectSecrets(logContent);
       const redactedContent = this.configuration.autoRedact 
-        ? this.redactSecrets(logContent, detectedSecrets)
+        ? await this.redactSecrets(logContent, detectedSecrets)
         : logContent;
 
       const scanResult: ScanResult = {
@@ -314,10 +314,11 @@ export class JobLogSecretScanner extends EventEmitter {
   }
 
   /**
-   * Redact secrets from log content
+   * Redact secrets from log content, detecting them first when not given
    */
-  private redactSecrets(content: string, secrets: DetectedSecret[]): string {
+  async redactSecrets(content: string, secrets?: DetectedSecret[]): Promise<string> {
     let redactedContent = content;
+    secrets = secrets ?? await this.detectSecrets(content);
 
     // Sort secrets by position (reverse order to maintain indices)
     const sortedSecrets = secrets.sort((a, b) => {
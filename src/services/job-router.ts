@@ -20,6 +20,7 @@ export interface RoutingRule {
   targets: {
     runnerLabels: string[];
     poolOverride?: string;
+    runnerGroup?: string; // Organization or enterprise runner group, takes precedence over poolOverride
     exclusive?: boolean;
   };
   enabled: boolean;
@@ -189,8 +190,19 @@ export class JobRouter extends EventEmitter {
     // Sort by priority (highest first) and return the best match
     candidateRules.sort((a, b) => b.priority - a.priority);
     
-    if (candidateRules.length > 0) {
-      const selected = candidateRules[0];
+    for (const selected of candidateRules) {
+      // Runner groups only serve the repositories they are visible to
+      if (selected.targets.runnerGroup &&
+          !await runnerPoolManager.findGroupPool(selected.targets.runnerGroup, job.repository)) {
+        logger.debug('Skipping routing rule, runner group not visible to repository', {
+          jobId: job.id,
+          ruleId: selected.id,
+          runnerGroup: selected.targets.runnerGroup,
+          repository: job.repository
+        });
+        continue;
+      }
+
       logger.info('Matched routing rule', {
         jobId: job.id,
         ruleId: selected.id,
@@ -272,8 +284,7 @@ export class JobRouter extends EventEmitter {
     job: DelegatedJob,
     rule: RoutingRule
   ): Promise<RoutingDecision> {
-    const poolName = rule.targets.poolOverride || job.repository;
-    await runnerPoolManager.getOrCreatePool(poolName);
+    const poolName = await this.resolvePoolName(job.repository, rule);
 
     // Find runners with matching labels
     const allRunners = await runnerPoolManager.getActiveRunners(poolName);
@@ -316,6 +327,28 @@ export class JobRouter extends EventEmitter {
     };
   }
 
+  /**
+   * Pool a rule sends jobs of the repository to: the runner group pool
+   * visible to it, the pool override or the repository's own pool
+   */
+  private async resolvePoolName(repository: string, rule: RoutingRule): Promise<string> {
+    if (rule.targets.runnerGroup) {
+      const groupPool = await runnerPoolManager.findGroupPool(rule.targets.runnerGroup, repository);
+      if (groupPool) {
+        return groupPool.repository;
+      }
+      logger.warn('Runner group not visible to repository, using its pool', {
+        ruleId: rule.id,
+        runnerGroup: rule.targets.runnerGroup,
+        repository
+      });
+    }
+
+    const poolName = rule.targets.poolOverride || repository;
+    await runnerPoolManager.getOrCreatePool(poolName);
+    return poolName;
+  }
+
   /**
    * Apply default routing when no rules match
    */
@@ -570,7 +603,7 @@ export class JobRouter extends EventEmitter {
     }
 
     // Find target runners
-    const poolName = testRule.targets.poolOverride || testJob.repository;
+    const poolName = await this.resolvePoolName(testJob.repository, testRule);
     const allRunners = await runnerPoolManager.getActiveRunners(poolName);
     
     const targetRunners = allRunners.filter((runner: Runner) => {
@@ -0,0 +1,85 @@
+import database from './database';
+import { JobStatus } from '../orchestrator/status-reporter';
+
+const DATE_FIELDS = ['startedAt', 'completedAt'] as const;
+
+/**
+ * Persists the job statuses queued by the StatusReporter until GitHub has
+ * accepted them, so check run updates survive a restart, and the job logs
+ * reported alongside them.
+ */
+export class JobStatusStore {
+  private static instance: JobStatusStore;
+
+  private constructor() {}
+
+  public static getInstance(): JobStatusStore {
+    if (!JobStatusStore.instance) {
+      JobStatusStore.instance = new JobStatusStore();
+    }
+    return JobStatusStore.instance;
+  }
+
+  /**
+   * Store the latest status of a job, pending until it is reported
+   */
+  public async saveJobStatus(status: JobStatus): Promise<void> {
+    await database.query(
+      `INSERT INTO runnerhub.job_status_reports (job_id, repository, status, check_run_id, reported)
+       VALUES ($1, $2, $3, $4, false)
+       ON CONFLICT (job_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         check_run_id = COALESCE(EXCLUDED.check_run_id, runnerhub.job_status_reports.check_run_id),
+         reported = false,
+         updated_at = CURRENT_TIMESTAMP`,
+      [status.id, status.repository, JSON.stringify(status), status.checkRunId ?? null]
+    );
+  }
+
+  public async updateJobCheckRunId(jobId: string, checkRunId: number): Promise<void> {
+    await database.query(
+      'UPDATE runnerhub.job_status_reports SET check_run_id = $2, updated_at = CURRENT_TIMESTAMP WHERE job_id = $1',
+      [jobId, checkRunId]
+    );
+  }
+
+  public async markJobStatusReported(jobId: string): Promise<void> {
+    await database.query(
+      'UPDATE runnerhub.job_status_reports SET reported = true, updated_at = CURRENT_TIMESTAMP WHERE job_id = $1',
+      [jobId]
+    );
+  }
+
+  /**
+   * Statuses GitHub has not accepted yet, oldest first
+   */
+  public async getPendingStatusUpdates(): Promise<JobStatus[]> {
+    const rows = await database.query<{ status: JobStatus; check_run_id: string | null }>(
+      `SELECT status, check_run_id FROM runnerhub.job_status_reports
+       WHERE reported = false
+       ORDER BY updated_at`
+    );
+
+    return rows.map(row => {
+      const status: JobStatus = { ...row.status };
+      for (const field of DATE_FIELDS) {
+        if (status[field]) {
+          status[field] = new Date(status[field] as Date);
+        }
+      }
+      if (row.check_run_id) {
+        status.checkRunId = Number(row.check_run_id);
+      }
+      return status;
+    });
+  }
+
+  public async appendJobLogs(jobId: string, content: string, level: 'info' | 'warning' | 'error'): Promise<void> {
+    await database.query(
+      'INSERT INTO runnerhub.job_status_logs (job_id, level, content) VALUES ($1, $2, $3)',
+      [jobId, level, content]
+    );
+  }
+}
+
+export default JobStatusStore.getInstance();
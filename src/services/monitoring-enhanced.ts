@@ -3,6 +3,7 @@ import { createLogger } from '../utils/logger';
 import { getGitHubDataService } from './github-data-service';
 import database from './database';
 import runnerPoolManager from './runner-pool-manager';
+import jobIdempotency from './job-idempotency';
 import { Job, Runner, RunnerStatus } from '../types';
 import config from '../config';
 
@@ -62,7 +63,6 @@ export interface GitHubEnhancedMetrics {
 
 export class MonitoringServiceEnhanced extends EventEmitter {
   private static instance: MonitoringServiceEnhanced;
-  private metricsInterval: NodeJS.Timeout | null = null;
   private startTime: Date = new Date();
   private githubService = getGitHubDataService();
   private trackedRepositories: string[] = [];
@@ -121,10 +121,7 @@ export class MonitoringServiceEnhanced extends EventEmitter {
   async start(): Promise<void> {
     logger.info('Starting enhanced monitoring service with GitHub integration');
 
-    // Start metrics collection
-    this.startMetricsCollection();
-
-    // Emit initial metrics
+    // Emit initial metrics, later ones are emitted by the COLLECT_METRICS schedule
     await this.emitSystemMetrics();
   }
 
@@ -133,11 +130,6 @@ export class MonitoringServiceEnhanced extends EventEmitter {
    */
   stop(): void {
     logger.info('Stopping enhanced monitoring service');
-
-    if (this.metricsInterval) {
-      clearInterval(this.metricsInterval);
-      this.metricsInterval = null;
-    }
   }
 
   /**
@@ -598,14 +590,7 @@ export class MonitoringServiceEnhanced extends EventEmitter {
     }
   }
 
-  private startMetricsCollection(): void {
-    // Emit metrics every 10 seconds
-    this.metricsInterval = setInterval(async () => {
-      await this.emitSystemMetrics();
-    }, 10000);
-  }
-
-  private async emitSystemMetrics(): Promise<void> {
+  async emitSystemMetrics(): Promise<void> {
     try {
       const metrics = await this.getSystemMetrics();
       this.emit('metrics', metrics);
@@ -708,6 +693,12 @@ export class MonitoringServiceEnhanced extends EventEmitter {
       '# HELP github_api_rate_limit_used Used GitHub API rate limit',
       '# TYPE github_api_rate_limit_used gauge',
       `github_api_rate_limit_used ${metrics.github.rateLimitStatus.used}`,
+      '',
+      '# HELP runnerhub_job_delegations_total Job delegations by source and idempotency decision',
+      '# TYPE runnerhub_job_delegations_total counter',
+      ...jobIdempotency.getDecisionCounts().map(({ source, decision, count }) =>
+        `runnerhub_job_delegations_total{source="${source}",decision="${decision}"} ${count}`
+      ),
       ''
     ];
 
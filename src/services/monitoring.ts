@@ -56,8 +56,9 @@ export interface RepositoryMetrics {
 
 export class MonitoringService extends EventEmitter {
   private static instance: MonitoringService;
-  private metricsInterval: NodeJS.Timeout | null = null;
   private startTime: Date = new Date();
+  private jitFallbacks: Map<string, number> = new Map(); // Repository -> ephemeral runners registered with a token
+  private missedDeliveries: Map<string, number> = new Map(); // Webhook source -> deliveries found only in GitHub's log
 
   private constructor() {
     super();
@@ -76,10 +77,7 @@ export class MonitoringService extends EventEmitter {
   async start(): Promise<void> {
     logger.info('Starting monitoring service');
 
-    // Start metrics collection
-    this.startMetricsCollection();
-
-    // Emit initial metrics
+    // Emit initial metrics, later ones are emitted by the COLLECT_METRICS schedule
     await this.emitSystemMetrics();
   }
 
@@ -88,11 +86,6 @@ export class MonitoringService extends EventEmitter {
    */
   stop(): void {
     logger.info('Stopping monitoring service');
-
-    if (this.metricsInterval) {
-      clearInterval(this.metricsInterval);
-      this.metricsInterval = null;
-    }
   }
 
   /**
@@ -325,20 +318,10 @@ export class MonitoringService extends EventEmitter {
     }
   }
 
-  /**
-   * Start metrics collection interval
-   */
-  private startMetricsCollection(): void {
-    // Emit metrics every 10 seconds
-    this.metricsInterval = setInterval(async () => {
-      await this.emitSystemMetrics();
-    }, 10000);
-  }
-
   /**
    * Emit system metrics
    */
-  private async emitSystemMetrics(): Promise<void> {
+  async emitSystemMetrics(): Promise<void> {
     try {
       const metrics = await this.getSystemMetrics();
       this.emit('metrics', metrics);
@@ -390,6 +373,22 @@ export class MonitoringService extends EventEmitter {
     logger.info('Scaling event recorded', { repository, action, count, reason });
   }
 
+  /**
+   * Count an ephemeral runner that fell back to a registration token
+   * because no JIT configuration could be generated
+   */
+  recordJitFallback(repository: string): void {
+    this.jitFallbacks.set(repository, (this.jitFallbacks.get(repository) || 0) + 1);
+  }
+
+  /**
+   * Count webhook deliveries GitHub sent that never reached the webhook
+   * tables, as found by the webhook reconciler
+   */
+  recordMissedWebhookDeliveries(source: string, count: number): void {
+    this.missedDeliveries.set(source, (this.missedDeliveries.get(source) || 0) + count);
+  }
+
   /**
    * Record cleanup event
    */
@@ -456,6 +455,18 @@ export class MonitoringService extends EventEmitter {
       output += `github_runnerhub_pool_utilization{repository="${pool.repository}"} ${poolMetrics.utilization}\n`;
     }
 
+    output += '# HELP github_runnerhub_jit_config_fallbacks_total Ephemeral runners registered with a registration token instead of a JIT config\n';
+    output += '# TYPE github_runnerhub_jit_config_fallbacks_total counter\n';
+    for (const [repository, count] of this.jitFallbacks) {
+      output += `github_runnerhub_jit_config_fallbacks_total{repository="${repository}"} ${count}\n`;
+    }
+
+    output += '# HELP github_runnerhub_webhook_deliveries_missed_total Webhook deliveries in GitHub\'s delivery log that never reached RunnerHub\n';
+    output += '# TYPE github_runnerhub_webhook_deliveries_missed_total counter\n';
+    for (const [source, count] of this.missedDeliveries) {
+      output += `github_runnerhub_webhook_deliveries_missed_total{source="${source}"} ${count}\n`;
+    }
+
     // System metrics
     output += '# HELP github_runnerhub_uptime_seconds System uptime\n';
     output += '# TYPE github_runnerhub_uptime_seconds counter\n';
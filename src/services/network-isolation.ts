@@ -217,22 +217,7 @@ export class NetworkIsolationService extends EventEmitter {
         }
       });
 
-      // Update network info
-      network.containers.push(containerId);
-      network.lastUsed = new Date();
-      this.cacheNetworkInfo(network);
-
-      logger.info('Attached container to isolated network', {
-        containerId: containerId.substring(0, 12),
-        repository,
-        networkId: network.id
-      });
-
-      this.emit('container-attached', { 
-        containerId, 
-        repository, 
-        networkId: network.id 
-      });
+      this.recordContainer(network, containerId);
 
     } catch (error) {
       logger.error('Failed to attach container to network', { 
@@ -244,6 +229,37 @@ export class NetworkIsolationService extends EventEmitter {
     }
   }
 
+  /**
+   * Create options that start a container on a repository network under
+   * the given aliases, so it never joins the default bridge. Report the
+   * created container with `registerContainer`.
+   */
+  async getContainerNetworkConfig(
+    repository: string,
+    aliases: string[]
+  ): Promise<{
+    networkId: string;
+    networkMode: string;
+    networkingConfig: { EndpointsConfig: Record<string, { Aliases: string[] }> };
+  }> {
+    const network = await this.getOrCreateRepositoryNetwork(repository);
+    return {
+      networkId: network.id,
+      networkMode: network.name,
+      networkingConfig: { EndpointsConfig: { [network.name]: { Aliases: aliases } } }
+    };
+  }
+
+  /**
+   * Track a container created on a repository network
+   */
+  registerContainer(containerId: string, networkId: string): void {
+    const network = this.networkCache.get(networkId);
+    if (network) {
+      this.recordContainer(network, containerId);
+    }
+  }
+
   /**
    * Detach a container from a repository network
    */
@@ -541,6 +557,24 @@ export class NetworkIsolationService extends EventEmitter {
     return this.createRepositoryNetwork(repository);
   }
 
+  private recordContainer(network: NetworkInfo, containerId: string): void {
+    network.containers.push(containerId);
+    network.lastUsed = new Date();
+    this.cacheNetworkInfo(network);
+
+    logger.info('Attached container to isolated network', {
+      containerId: containerId.substring(0, 12),
+      repository: network.repository,
+      networkId: network.id
+    });
+
+    this.emit('container-attached', { 
+      containerId, 
+      repository: network.repository, 
+      networkId: network.id 
+    });
+  }
+
   private normalizeRepositoryName(repository: string): string {
     // Replace special characters with hyphens
     return repository
@@ -11,6 +11,7 @@ export interface ProxyRunnerConfig {
   url: string;
   token: string;
   labels: string[];
+  runnerGroup?: string; // Organization or enterprise runner group to register into
   orchestratorUrl: string;
   runnerPath: string;
   hooksPath: string;
@@ -67,7 +68,8 @@ export class ProxyRunner {
         '--labels', this.config.labels.join(','),
         '--work', '_work',
         '--unattended',
-        '--replace'
+        '--replace',
+        ...(this.config.runnerGroup ? ['--runnergroup', this.config.runnerGroup] : [])
       ];
 
       await this.executeCommand('./config.sh', configArgs, env);
@@ -1,5 +1,6 @@
 import { RunnerPoolManager } from './runner-pool-manager';
 import database from './database';
+import { GitHubAPIService } from './github-api';
 import { RunnerStatus, RunnerType } from '../types';
 
 // Mock dependencies
@@ -200,4 +201,95 @@ describe('RunnerPoolManager', () => {
       );
     });
   });
-});
\ No newline at end of file
+
+  describe('runner group pools', () => {
+    const orgPool = {
+      repository: 'organization:acme/gpu',
+      scope: 'organization',
+      owner: 'acme',
+      runnerGroup: 'gpu',
+      runnerGroupId: 7,
+      visibleRepositories: ['acme/api']
+    };
+    const enterprisePool = {
+      repository: 'enterprise:megacorp/gpu',
+      scope: 'enterprise',
+      owner: 'megacorp',
+      runnerGroup: 'gpu',
+      runnerGroupId: 8,
+      visibleOrganizations: ['acme', 'initech']
+    };
+    let githubApi: jest.Mocked<GitHubAPIService>;
+
+    beforeEach(() => {
+      githubApi = (manager as any).githubApi;
+      (manager as any).appliedVisibility.clear();
+    });
+
+    it('should prefer organization groups visible to the repository', async () => {
+      (database.query as jest.Mock).mockResolvedValue([orgPool, enterprisePool]);
+
+      expect((await manager.findGroupPool('gpu', 'acme/api'))?.repository).toBe('organization:acme/gpu');
+      expect((await manager.findGroupPool('gpu', 'acme/web'))?.repository).toBe('enterprise:megacorp/gpu');
+      expect(await manager.findGroupPool('gpu', 'globex/api')).toBeNull();
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('runner_group = $1'), ['gpu']);
+    });
+
+    it('should create the runner group with its visibility before storing the pool', async () => {
+      githubApi.listRunnerGroups.mockResolvedValue([]);
+      githubApi.getAccountId.mockResolvedValue(1001);
+      githubApi.createRunnerGroup.mockResolvedValue({ id: 7, name: 'gpu', visibility: 'selected', default: false });
+      (database.query as jest.Mock).mockResolvedValue([orgPool]);
+
+      await manager.createGroupPool({
+        scope: 'organization',
+        owner: 'acme',
+        runnerGroup: 'gpu',
+        visibleRepositories: ['api']
+      });
+
+      expect(githubApi.getAccountId).toHaveBeenCalledWith('repository', 'acme/api');
+      expect(githubApi.createRunnerGroup).toHaveBeenCalledWith({ scope: 'organization', name: 'acme' }, 'gpu', [1001]);
+      expect(database.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO runnerhub.runner_pools'),
+        expect.arrayContaining(['organization:acme/gpu', 'organization', 'acme', 'gpu', 7, ['acme/api']])
+      );
+    });
+
+    it('should move pool runners registered outside their group into it', async () => {
+      githubApi.listRunnerGroups.mockResolvedValue([{ id: 7, name: 'gpu', visibility: 'selected', default: false }]);
+      githubApi.getAccountId.mockResolvedValue(1001);
+      githubApi.listRunners.mockResolvedValue([
+        { id: 11, name: 'runner-acme-gpu-1' },
+        { id: 12, name: 'runner-acme-gpu-2' },
+        { id: 13, name: 'someone-elses-runner' }
+      ] as any);
+      githubApi.listRunnerGroupRunners.mockResolvedValue([{ id: 11, name: 'runner-acme-gpu-1' }] as any);
+      (database.query as jest.Mock).mockImplementation(async (query: string) => {
+        if (query.includes('FROM runnerhub.runner_pools')) {
+          return [orgPool];
+        }
+        if (query.includes('FROM runnerhub.runners')) {
+          return [
+            { id: 'r1', name: 'runner-acme-gpu-1', githubRunnerId: 11 },
+            { id: 'r2', name: 'runner-acme-gpu-2', githubRunnerId: null }
+          ];
+        }
+        return [];
+      });
+
+      const result = await manager.reconcileRunnerGroups();
+
+      expect(result).toEqual({ pools: 1, moved: 1 });
+      expect(githubApi.listRunners).toHaveBeenCalledWith({ scope: 'organization', name: 'acme' });
+      expect(githubApi.addRunnerToGroup).toHaveBeenCalledTimes(1);
+      expect(githubApi.addRunnerToGroup).toHaveBeenCalledWith({ scope: 'organization', name: 'acme' }, 7, 12);
+      expect(database.query).toHaveBeenCalledWith(expect.stringContaining('SET github_runner_id'), ['r2', 12]);
+      // Visibility is pushed once and left alone until the pool changes
+      expect(githubApi.setRunnerGroupVisibility).toHaveBeenCalledWith({ scope: 'organization', name: 'acme' }, 7, [1001]);
+
+      await manager.reconcileRunnerGroups();
+      expect(githubApi.setRunnerGroupVisibility).toHaveBeenCalledTimes(1);
+    });
+  });
+});
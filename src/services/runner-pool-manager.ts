@@ -1,7 +1,7 @@
 import { createLogger } from '../utils/logger';
 import database from './database';
-import { RunnerPool, Runner, RunnerStatus, RunnerType, ScalingDecision } from '../types';
-import { GitHubAPIService } from './github-api';
+import { RunnerPool, Runner, RunnerScope, RunnerStatus, RunnerType, ScalingDecision } from '../types';
+import { GitHubAPIService, RunnerTarget } from './github-api';
 import { ProxyRunnerManager } from './proxy-runner';
 import config from '../config';
 
@@ -14,11 +14,49 @@ export interface PoolMetrics {
   utilization: number;
 }
 
+export interface GroupPoolOptions {
+  scope: Exclude<RunnerScope, 'repository'>;
+  owner: string; // Organization or enterprise slug
+  runnerGroup: string;
+  visibleRepositories?: string[]; // "owner/repo", organization groups only
+  visibleOrganizations?: string[]; // Enterprise groups only
+  minRunners?: number;
+  maxRunners?: number;
+}
+
+const POOL_COLUMNS = `id, repository, min_runners AS "minRunners", max_runners AS "maxRunners",
+  current_runners AS "currentRunners", scale_increment AS "scaleIncrement",
+  scale_threshold::float AS "scaleThreshold", scope, owner, runner_group AS "runnerGroup",
+  runner_group_id::float AS "runnerGroupId", visible_repositories AS "visibleRepositories",
+  visible_organizations AS "visibleOrganizations", last_scaled_at AS "lastScaledAt",
+  created_at AS "createdAt", updated_at AS "updatedAt"`;
+
+/**
+ * Runner group pools share runner_pools with repository pools and are keyed
+ * "<scope>:<owner>/<group>" in its repository column
+ */
+export const groupPoolKey = (scope: RunnerScope, owner: string, runnerGroup: string): string =>
+  `${scope}:${owner}/${runnerGroup}`;
+
+/**
+ * Where the runners of a pool register, and into which group
+ */
+export const parsePoolKey = (poolKey: string): { target: RunnerTarget; runnerGroup?: string } => {
+  const match = poolKey.match(/^(organization|enterprise):([^/]+)\/(.+)$/);
+  return match
+    ? { target: { scope: match[1] as RunnerScope, name: match[2] }, runnerGroup: match[3] }
+    : { target: { scope: 'repository', name: poolKey } };
+};
+
+const includesIgnoreCase = (list: string[], value: string): boolean =>
+  list.some(item => item.toLowerCase() === value.toLowerCase());
+
 export class RunnerPoolManager {
   private static instance: RunnerPoolManager;
   private githubApi: GitHubAPIService;
   private proxyRunnerManager: ProxyRunnerManager;
   private scalingInProgress: Set<string> = new Set();
+  private appliedVisibility: Map<string, string> = new Map(); // Pool key -> visibility last pushed to GitHub
 
   private constructor() {
     this.githubApi = new GitHubAPIService();
@@ -263,16 +301,41 @@ export class RunnerPoolManager {
    * Create a new runner
    */
   private async createRunner(repository: string, pool: RunnerPool): Promise<void> {
-    const runnerName = `runner-${repository.replace('/', '-')}-${Date.now()}`;
+    const { target, runnerGroup } = parsePoolKey(pool.repository);
+    const runnerName = runnerGroup
+      ? `runner-${target.name}-${runnerGroup}-${Date.now()}`.replace(/[^\w-]/g, '-')
+      : `runner-${repository.replace('/', '-')}-${Date.now()}`;
     
     try {
-      // For proxy runners, we need different logic
-      if (pool.repository === '*') {
+      if (runnerGroup) {
+        // Organization or enterprise runner, registered into the pool's runner group
+        const labels = ['self-hosted-proxy', runnerGroup];
+        await this.proxyRunnerManager.createRunner({
+          name: runnerName,
+          url: target.scope === 'enterprise'
+            ? `https://github.com/enterprises/${target.name}`
+            : `https://github.com/${target.name}`,
+          token: await this.githubApi.generateRunnerToken(target),
+          labels,
+          runnerGroup,
+          orchestratorUrl: `http://localhost:${config.app.port}`,
+          runnerPath: `/opt/runners/${runnerName}`,
+          hooksPath: `/opt/runners/${runnerName}/hooks`
+        });
+
+        await database.query(
+          `INSERT INTO runnerhub.runners 
+           (name, type, status, repository, labels)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [runnerName, RunnerType.PROXY, RunnerStatus.IDLE, pool.repository, labels]
+        );
+      } else if (pool.repository === '*') {
+        // For proxy runners, we need different logic
         // This is the default pool, create a proxy runner
         await this.proxyRunnerManager.createRunner({
           name: runnerName,
           url: `https://github.com/${repository}`,
-          token: config.github.token,
+          token: await this.githubApi.generateRunnerToken(repository),
           labels: ['self-hosted-proxy', 'ubuntu-latest'],
           orchestratorUrl: `http://localhost:${config.app.port}`,
           runnerPath: `/opt/runners/${runnerName}`,
@@ -325,7 +388,7 @@ export class RunnerPoolManager {
     try {
       // Remove from GitHub if registered
       if (runner.githubRunnerId) {
-        await this.githubApi.removeRunner(runner.repository!, runner.githubRunnerId);
+        await this.githubApi.removeRunner(parsePoolKey(runner.repository!).target, runner.githubRunnerId);
       }
 
       // Remove from database
@@ -434,6 +497,213 @@ export class RunnerPoolManager {
     );
   }
 
+  /**
+   * Create or update a pool of organization or enterprise runners in a
+   * runner group, creating the group on GitHub if needed
+   */
+  async createGroupPool(options: GroupPoolOptions): Promise<RunnerPool> {
+    const { scope, owner, runnerGroup } = options;
+    if (scope !== 'organization' && scope !== 'enterprise') {
+      throw new Error(`Runner group pools must be organization or enterprise scoped, got ${scope}`);
+    }
+
+    const visibleRepositories = scope === 'organization'
+      ? options.visibleRepositories?.map(repo => (repo.includes('/') ? repo : `${owner}/${repo}`))
+      : undefined;
+    const visibleOrganizations = scope === 'enterprise' ? options.visibleOrganizations : undefined;
+    const pool = {
+      repository: groupPoolKey(scope, owner, runnerGroup),
+      scope,
+      owner,
+      runnerGroup,
+      visibleRepositories,
+      visibleOrganizations
+    } as RunnerPool;
+
+    const runnerGroupId = await this.ensureRunnerGroup(pool);
+
+    const [created] = await database.query<RunnerPool>(
+      `INSERT INTO runnerhub.runner_pools
+       (repository, min_runners, max_runners, scale_increment, scale_threshold,
+        scope, owner, runner_group, runner_group_id, visible_repositories, visible_organizations)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (repository) DO UPDATE SET
+         min_runners = EXCLUDED.min_runners,
+         max_runners = EXCLUDED.max_runners,
+         runner_group_id = EXCLUDED.runner_group_id,
+         visible_repositories = EXCLUDED.visible_repositories,
+         visible_organizations = EXCLUDED.visible_organizations,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING ${POOL_COLUMNS}`,
+      [
+        pool.repository,
+        options.minRunners ?? config.runner.poolMin,
+        options.maxRunners ?? config.runner.poolMax,
+        config.runner.scaleIncrement,
+        config.runner.scaleThreshold,
+        scope,
+        owner,
+        runnerGroup,
+        runnerGroupId,
+        visibleRepositories ?? null,
+        visibleOrganizations ?? null
+      ]
+    );
+
+    logger.info('Created runner group pool', { pool: pool.repository, runnerGroupId });
+    return created;
+  }
+
+  /**
+   * Get all organization and enterprise runner group pools
+   */
+  async getGroupPools(): Promise<RunnerPool[]> {
+    return await database.query<RunnerPool>(
+      `SELECT ${POOL_COLUMNS} FROM runnerhub.runner_pools
+       WHERE scope <> 'repository'
+       ORDER BY repository`
+    );
+  }
+
+  /**
+   * Find the pool serving a runner group that the repository may use.
+   * Organization groups of the repository's owner win over enterprise groups.
+   */
+  async findGroupPool(runnerGroup: string, repository: string): Promise<RunnerPool | null> {
+    const pools = await database.query<RunnerPool>(
+      `SELECT ${POOL_COLUMNS} FROM runnerhub.runner_pools
+       WHERE runner_group = $1 AND scope <> 'repository'
+       ORDER BY scope DESC`,
+      [runnerGroup]
+    );
+
+    return pools.find(pool => this.isVisibleTo(pool, repository)) || null;
+  }
+
+  /**
+   * Whether jobs of the repository may run on runners of a group pool
+   */
+  isVisibleTo(pool: RunnerPool, repository: string): boolean {
+    const owner = repository.split('/')[0];
+
+    if (pool.scope === 'organization') {
+      return owner.toLowerCase() === pool.owner?.toLowerCase() &&
+        (!pool.visibleRepositories || includesIgnoreCase(pool.visibleRepositories, repository));
+    }
+    if (pool.scope === 'enterprise') {
+      return !pool.visibleOrganizations || includesIgnoreCase(pool.visibleOrganizations, owner);
+    }
+    return false;
+  }
+
+  /**
+   * Bring runner groups on GitHub in line with the group pools: create
+   * missing groups, push changed visibility lists and move pool runners
+   * registered outside their group into it
+   */
+  async reconcileRunnerGroups(): Promise<{ pools: number; moved: number }> {
+    const pools = await this.getGroupPools();
+    let moved = 0;
+
+    for (const pool of pools) {
+      try {
+        moved += await this.reconcileGroup(pool);
+      } catch (error) {
+        logger.error('Failed to reconcile runner group', { pool: pool.repository, error });
+      }
+    }
+
+    if (moved > 0) {
+      logger.info('Reconciled runner group membership', { pools: pools.length, moved });
+    }
+    return { pools: pools.length, moved };
+  }
+
+  private async reconcileGroup(pool: RunnerPool): Promise<number> {
+    const target: RunnerTarget = { scope: pool.scope!, name: pool.owner! };
+    const groupId = await this.ensureRunnerGroup(pool);
+    if (groupId !== pool.runnerGroupId) {
+      await database.query(
+        'UPDATE runnerhub.runner_pools SET runner_group_id = $2, updated_at = CURRENT_TIMESTAMP WHERE repository = $1',
+        [pool.repository, groupId]
+      );
+    }
+
+    const [registered, members, runners] = await Promise.all([
+      this.githubApi.listRunners(target),
+      this.githubApi.listRunnerGroupRunners(target, groupId),
+      database.query<Runner>(
+        'SELECT id, name, github_runner_id::float AS "githubRunnerId" FROM runnerhub.runners WHERE repository = $1',
+        [pool.repository]
+      )
+    ]);
+
+    const registeredByName = new Map(registered.map(runner => [runner.name, runner]));
+    const memberIds = new Set(members.map(runner => runner.id));
+    let moved = 0;
+
+    for (const runner of runners) {
+      const githubRunner = registeredByName.get(runner.name);
+      if (!githubRunner) {
+        continue;
+      }
+
+      if (runner.githubRunnerId !== githubRunner.id) {
+        await database.query(
+          'UPDATE runnerhub.runners SET github_runner_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [runner.id, githubRunner.id]
+        );
+      }
+      if (!memberIds.has(githubRunner.id)) {
+        await this.githubApi.addRunnerToGroup(target, groupId, githubRunner.id);
+        moved++;
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Id of the pool's runner group on GitHub, creating the group or updating
+   * its visibility when the pool's lists changed since they were last applied
+   */
+  private async ensureRunnerGroup(pool: RunnerPool): Promise<number> {
+    const target: RunnerTarget = { scope: pool.scope!, name: pool.owner! };
+    const visibility = JSON.stringify(pool.visibleRepositories ?? pool.visibleOrganizations ?? null);
+
+    const groups = await this.githubApi.listRunnerGroups(target);
+    const existing = groups.find(group => group.name.toLowerCase() === pool.runnerGroup!.toLowerCase());
+
+    if (existing && this.appliedVisibility.get(pool.repository) === visibility) {
+      return existing.id;
+    }
+
+    const selectedIds = await this.resolveVisibility(pool);
+    let groupId: number;
+    if (existing) {
+      await this.githubApi.setRunnerGroupVisibility(target, existing.id, selectedIds);
+      groupId = existing.id;
+    } else {
+      groupId = (await this.githubApi.createRunnerGroup(target, pool.runnerGroup!, selectedIds)).id;
+    }
+
+    this.appliedVisibility.set(pool.repository, visibility);
+    return groupId;
+  }
+
+  /**
+   * GitHub ids of the repositories or organizations a group is limited to
+   */
+  private async resolveVisibility(pool: RunnerPool): Promise<number[] | undefined> {
+    if (pool.scope === 'organization' && pool.visibleRepositories) {
+      return Promise.all(pool.visibleRepositories.map(repo => this.githubApi.getAccountId('repository', repo)));
+    }
+    if (pool.scope === 'enterprise' && pool.visibleOrganizations) {
+      return Promise.all(pool.visibleOrganizations.map(org => this.githubApi.getAccountId('organization', org)));
+    }
+    return undefined;
+  }
+
   /**
    * Update pool configuration
    */
@@ -1,4 +1,7 @@
 import { getGitHubAPIClient } from './github-api-enhanced';
+import githubRateBudget from './github-rate-budget';
+import githubAppAuth from './github-app-auth';
+import runnerPoolManager from './runner-pool-manager';
 import { createLogger } from '../utils/logger';
 import { Pool } from 'pg';
 import config from '../config';
@@ -59,10 +62,11 @@ export class RunnerSyncEnhanced {
   }
 
   /**
-   * Schedule sync operations based on current rate limit
+   * Schedule sync operations based on the quota left to analytics in the
+   * budget shared by all nodes
    */
   private async scheduleSyncBasedOnRateLimit() {
-    const status = this.githubClient.getRateLimitStatus();
+    const status = await this.getAvailableRateLimit();
     
     // Calculate optimal sync interval
     let syncInterval: number;
@@ -93,7 +97,7 @@ export class RunnerSyncEnhanced {
    */
   private async performIntelligentSync() {
     try {
-      const status = this.githubClient.getRateLimitStatus();
+      const status = await this.getAvailableRateLimit();
       
       // Process webhook events first (highest priority)
       if (this.webhookQueue.size > 0) {
@@ -128,6 +132,21 @@ export class RunnerSyncEnhanced {
     }
   }
 
+  /**
+   * Remaining requests this node may spend on sync. Falls back to the
+   * node's own tracking until a response reported the shared quota.
+   */
+  private async getAvailableRateLimit(): Promise<{ remaining: number; limit: number }> {
+    const local = this.githubClient.getRateLimitStatus();
+    const credential = await githubAppAuth.getCredential({ owner: config.github.org });
+    const budget = await githubRateBudget.getStatus(credential.id);
+
+    if (budget.limit === undefined || !Number.isFinite(budget.available.analytics)) {
+      return { remaining: local.remaining, limit: local.limit };
+    }
+    return { remaining: budget.available.analytics, limit: budget.limit };
+  }
+
   /**
    * Perform a full sync of all data
    */
@@ -160,7 +179,7 @@ export class RunnerSyncEnhanced {
       const response = await this.githubClient.request(
         async () => {
           const { Octokit } = await import('@octokit/rest');
-          const octokit = new Octokit({ auth: config.github.token });
+          const octokit = new Octokit({ auth: await githubAppAuth.getToken({ owner: config.github.org }) });
           
           return await octokit.rest.actions.listSelfHostedRunnersForOrg({
             org: config.github.org,
@@ -169,6 +188,7 @@ export class RunnerSyncEnhanced {
         },
         { 
           priority,
+          budgetClass: 'analytics',
           strategy: priority === 'critical' ? 'aggressive' : 'adaptive',
           metadata: { operation: 'sync-runners' }
         }
@@ -214,13 +234,20 @@ export class RunnerSyncEnhanced {
         await this.db.query('COMMIT');
         
         logger.info(`Successfully synced ${runners.length} runners`);
-        return runners.length;
-
       } catch (error) {
         await this.db.query('ROLLBACK');
         throw error;
       }
 
+      // Runners of group pools may have registered into the default group
+      try {
+        await runnerPoolManager.reconcileRunnerGroups();
+      } catch (error) {
+        logger.error('Failed to reconcile runner groups', error);
+      }
+
+      return runners.length;
+
     } catch (error) {
       logger.error('Failed to sync runners', error);
       throw error;
@@ -237,7 +264,7 @@ export class RunnerSyncEnhanced {
       const response = await this.githubClient.request(
         async () => {
           const { Octokit } = await import('@octokit/rest');
-          const octokit = new Octokit({ auth: config.github.token });
+          const octokit = new Octokit({ auth: await githubAppAuth.getToken({ owner: config.github.org }) });
           
           // Get repositories first
           const reposResponse = await octokit.rest.repos.listForOrg({
@@ -264,6 +291,7 @@ export class RunnerSyncEnhanced {
         },
         {
           priority: 'high',
+          budgetClass: 'analytics',
           strategy: 'adaptive',
           metadata: { operation: 'sync-active-workflows' }
         }
@@ -289,7 +317,7 @@ export class RunnerSyncEnhanced {
       const reposResponse = await this.githubClient.request(
         async () => {
           const { Octokit } = await import('@octokit/rest');
-          const octokit = new Octokit({ auth: config.github.token });
+          const octokit = new Octokit({ auth: await githubAppAuth.getToken({ owner: config.github.org }) });
           
           return await octokit.rest.repos.listForOrg({
             org: config.github.org,
@@ -297,7 +325,7 @@ export class RunnerSyncEnhanced {
             per_page: 100
           });
         },
-        { priority: 'low' }
+        { priority: 'low', budgetClass: 'analytics' }
       );
 
       const repositories = reposResponse.data;
@@ -312,7 +340,7 @@ export class RunnerSyncEnhanced {
         const batchRequests = batch.map(repo => ({
           fn: async () => {
             const { Octokit } = await import('@octokit/rest');
-            const octokit = new Octokit({ auth: config.github.token });
+            const octokit = new Octokit({ auth: await githubAppAuth.getToken({ owner: config.github.org }) });
             
             return await octokit.rest.actions.listWorkflowRunsForRepo({
               owner: config.github.org,
@@ -320,7 +348,8 @@ export class RunnerSyncEnhanced {
               per_page: 50
             });
           },
-          priority
+          priority,
+          budgetClass: 'analytics' as const
         }));
 
         const results = await this.githubClient.batchRequests(batchRequests);
@@ -334,7 +363,7 @@ export class RunnerSyncEnhanced {
         }
 
         // Check rate limit and adjust if needed
-        const status = this.githubClient.getRateLimitStatus();
+        const status = await this.getAvailableRateLimit();
         if (status.remaining < 100) {
           logger.warn('Rate limit low, pausing workflow sync');
           break;
@@ -360,7 +389,7 @@ export class RunnerSyncEnhanced {
       const response = await this.githubClient.request(
         async () => {
           const { Octokit } = await import('@octokit/rest');
-          const octokit = new Octokit({ auth: config.github.token });
+          const octokit = new Octokit({ auth: await githubAppAuth.getToken({ owner: config.github.org }) });
           
           return await octokit.rest.repos.listForOrg({
             org: config.github.org,
@@ -370,6 +399,7 @@ export class RunnerSyncEnhanced {
         },
         {
           priority,
+          budgetClass: 'analytics',
           strategy: 'conservative',
           metadata: { operation: 'sync-repositories' }
         }
@@ -415,7 +445,7 @@ export class RunnerSyncEnhanced {
     this.webhookQueue.set(event.id, event);
 
     // Process immediately if rate limit allows
-    const status = this.githubClient.getRateLimitStatus();
+    const status = await this.getAvailableRateLimit();
     if (status.remaining > 100) {
       await this.processWebhookQueue();
     }
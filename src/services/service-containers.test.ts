@@ -0,0 +1,151 @@
+import Docker from 'dockerode';
+import { ServiceContainerManager, ServiceContainerError } from './service-containers';
+import networkIsolation from './network-isolation';
+
+jest.mock('dockerode');
+
+jest.mock('./network-isolation', () => ({
+  __esModule: true,
+  default: {
+    getContainerNetworkConfig: jest.fn().mockResolvedValue({
+      networkId: 'net-1',
+      networkMode: 'runnerhub-org-repo',
+      networkingConfig: { EndpointsConfig: { 'runnerhub-org-repo': { Aliases: ['postgres'] } } }
+    }),
+    registerContainer: jest.fn(),
+    detachContainerFromNetwork: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../config', () => ({
+  __esModule: true,
+  default: { runner: { serviceHealthTimeout: 5000 } }
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('ServiceContainerManager', () => {
+  let manager: ServiceContainerManager;
+  let mockDocker: any;
+  let mockContainer: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockContainer = {
+      id: 'abcdef1234567890',
+      start: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      remove: jest.fn().mockResolvedValue(undefined),
+      inspect: jest.fn().mockResolvedValue({
+        State: { Running: true, Health: { Status: 'healthy' } },
+        NetworkSettings: { Ports: { '5432/tcp': [{ HostIp: '0.0.0.0', HostPort: '49153' }] } }
+      })
+    };
+
+    mockDocker = {
+      pull: jest.fn().mockResolvedValue('stream'),
+      modem: { followProgress: jest.fn((_stream, done) => done(null)) },
+      createContainer: jest.fn().mockResolvedValue(mockContainer),
+      getContainer: jest.fn().mockReturnValue(mockContainer),
+      listContainers: jest.fn().mockResolvedValue([])
+    };
+
+    (Docker as jest.MockedClass<typeof Docker>).mockImplementation(() => mockDocker);
+
+    (ServiceContainerManager as any).instance = null;
+    manager = ServiceContainerManager.getInstance();
+  });
+
+  it('should start services on the repository network with aliases, ports and healthchecks', async () => {
+    const services = await manager.startServices('job-12345678', 'org/repo', {
+      postgres: {
+        image: 'postgres:16',
+        env: { POSTGRES_PASSWORD: 'postgres' },
+        ports: [5432],
+        options: '--health-cmd "pg_isready -U postgres" --health-interval 10s --health-retries=5',
+        credentials: { username: 'user', password: 'pass' }
+      }
+    });
+
+    expect(mockDocker.pull).toHaveBeenCalledWith('postgres:16', {
+      authconfig: { username: 'user', password: 'pass' }
+    });
+
+    const createOptions = mockDocker.createContainer.mock.calls[0][0];
+    // Jobs sharing an id prefix must not collide
+    expect(createOptions.name).toBe('runnerhub-svc-job-12345678-postgres');
+    expect(createOptions.Env).toEqual(['POSTGRES_PASSWORD=postgres']);
+    expect(createOptions.Healthcheck).toEqual({
+      Test: ['CMD-SHELL', 'pg_isready -U postgres'],
+      Interval: 10e9,
+      Retries: 5
+    });
+    expect(createOptions.HostConfig.PortBindings).toEqual({ '5432/tcp': [{ HostPort: '' }] });
+    expect(createOptions.Labels['runnerhub.job']).toBe('job-12345678');
+
+    // Created on the repository network, never on the default bridge
+    expect(networkIsolation.getContainerNetworkConfig).toHaveBeenCalledWith('org/repo', ['postgres']);
+    expect(createOptions.HostConfig.NetworkMode).toBe('runnerhub-org-repo');
+    expect(createOptions.NetworkingConfig).toEqual({
+      EndpointsConfig: { 'runnerhub-org-repo': { Aliases: ['postgres'] } }
+    });
+    expect(networkIsolation.registerContainer).toHaveBeenCalledWith(mockContainer.id, 'net-1');
+    expect(services).toEqual([
+      { name: 'postgres', containerId: mockContainer.id, image: 'postgres:16', ports: { '5432': '49153' } }
+    ]);
+  });
+
+  it('should wait for services to become healthy', async () => {
+    mockContainer.inspect
+      .mockResolvedValueOnce({ State: { Running: true }, NetworkSettings: { Ports: {} } })
+      .mockResolvedValueOnce({ State: { Running: true, Health: { Status: 'starting' } } })
+      .mockResolvedValueOnce({ State: { Running: true, Health: { Status: 'healthy' } } });
+
+    await manager.startServices('job-1', 'org/repo', { redis: { image: 'redis:7' } });
+
+    expect(mockContainer.inspect).toHaveBeenCalledTimes(3);
+  });
+
+  it('should tear down started services when one is unhealthy', async () => {
+    mockContainer.inspect
+      .mockResolvedValueOnce({ State: { Running: true }, NetworkSettings: { Ports: {} } })
+      .mockResolvedValueOnce({ State: { Running: true, Health: { Status: 'unhealthy' } } });
+    mockDocker.listContainers.mockResolvedValue([{ Id: mockContainer.id, State: 'running' }]);
+
+    await expect(manager.startServices('job-1', 'org/repo', { redis: { image: 'redis:7' } }))
+      .rejects.toThrow('Service redis is unhealthy');
+
+    expect(mockDocker.listContainers).toHaveBeenCalledWith({
+      all: true,
+      filters: { label: ['runnerhub.type=service', 'runnerhub.job=job-1'] }
+    });
+    expect(networkIsolation.detachContainerFromNetwork).toHaveBeenCalledWith(mockContainer.id, 'org/repo');
+    expect(mockContainer.stop).toHaveBeenCalled();
+    expect(mockContainer.remove).toHaveBeenCalledWith({ force: true, v: true });
+  });
+
+  it('should reject unsupported options and host volumes', async () => {
+    expect(() => manager.parseOptions('--privileged', 'db')).toThrow(ServiceContainerError);
+    expect(() => manager.parseOptions('--health-interval 10parsecs', 'db')).toThrow('Invalid duration 10parsecs');
+
+    await expect(manager.startServices('job-1', 'org/repo', {
+      db: { image: 'mysql:8', volumes: ['/etc:/host-etc'] }
+    })).rejects.toThrow('only named volumes are allowed');
+    expect(mockDocker.createContainer).not.toHaveBeenCalled();
+  });
+
+  it('should parse inline and quoted option values', () => {
+    expect(manager.parseOptions('--health-cmd="redis-cli ping" -e MODE=test --health-timeout 1m30s', 'redis')).toEqual({
+      env: ['MODE=test'],
+      healthcheck: { Test: ['CMD-SHELL', 'redis-cli ping'], Timeout: 90e9 }
+    });
+  });
+});
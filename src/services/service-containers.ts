@@ -0,0 +1,274 @@
+import Docker from 'dockerode';
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger';
+import networkIsolation from './network-isolation';
+import { ServiceConfig } from '../orchestrator/job-parser';
+import { ContainerOptions, ContainerOptionsError, parseContainerOptions, parseNamedVolumes } from '../docker/container-options';
+import config from '../config';
+
+const logger = createLogger('ServiceContainers');
+
+export interface ServiceContainer {
+  name: string;
+  containerId: string;
+  image: string;
+  ports: Record<string, string>; // Container port -> host port
+}
+
+const HEALTH_POLL_INTERVAL = 1000;
+const SERVICE_OPTION_FLAGS = [
+  '--health-cmd',
+  '--health-interval',
+  '--health-timeout',
+  '--health-start-period',
+  '--health-retries',
+  '--no-healthcheck',
+  '-e',
+  '--env'
+];
+
+export class ServiceContainerError extends Error {
+  constructor(message: string, public readonly service: string) {
+    super(message);
+    this.name = 'ServiceContainerError';
+  }
+}
+
+/**
+ * Runs a job's `services:` containers on the repository's isolated network,
+ * reachable by their service name, and tears them down with the job.
+ */
+export class ServiceContainerManager extends EventEmitter {
+  private static instance: ServiceContainerManager;
+  private docker: Docker;
+
+  private constructor() {
+    super();
+    this.docker = new Docker();
+  }
+
+  public static getInstance(): ServiceContainerManager {
+    if (!ServiceContainerManager.instance) {
+      ServiceContainerManager.instance = new ServiceContainerManager();
+    }
+    return ServiceContainerManager.instance;
+  }
+
+  /**
+   * Start all services of a job and wait until each one is healthy. If any
+   * service fails to start, the services already started are removed.
+   */
+  async startServices(
+    jobId: string,
+    repository: string,
+    services: Record<string, ServiceConfig>
+  ): Promise<ServiceContainer[]> {
+    const started: ServiceContainer[] = [];
+
+    try {
+      for (const [name, service] of Object.entries(services)) {
+        started.push(await this.startService(jobId, repository, name, service));
+      }
+
+      const deadline = Date.now() + config.runner.serviceHealthTimeout;
+      await Promise.all(started.map(service => this.waitForHealthy(service, deadline)));
+
+      logger.info('Service containers ready', {
+        jobId,
+        services: started.map(service => service.name)
+      });
+
+      this.emit('services:ready', { jobId, services: started });
+      return started;
+    } catch (error) {
+      logger.error('Failed to start service containers', {
+        jobId,
+        error: (error as Error).message
+      });
+      await this.stopServices(jobId, repository);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop and remove all service containers of a job
+   */
+  async stopServices(jobId: string, repository: string): Promise<void> {
+    const containers = await this.docker.listContainers({
+      all: true,
+      filters: { label: ['runnerhub.type=service', `runnerhub.job=${jobId}`] }
+    });
+
+    for (const info of containers) {
+      try {
+        await networkIsolation.detachContainerFromNetwork(info.Id, repository);
+        const container = this.docker.getContainer(info.Id);
+        if (info.State === 'running') {
+          await container.stop({ t: 10 });
+        }
+        await container.remove({ force: true, v: true });
+      } catch (error) {
+        logger.error('Failed to remove service container', {
+          jobId,
+          containerId: info.Id.substring(0, 12),
+          error: (error as Error).message
+        });
+      }
+    }
+
+    if (containers.length > 0) {
+      logger.info('Removed service containers', { jobId, count: containers.length });
+      this.emit('services:removed', { jobId, count: containers.length });
+    }
+  }
+
+  /**
+   * Parse the supported subset of `docker create` options from `options:`
+   */
+  parseOptions(options: string | undefined, service: string): ContainerOptions {
+    try {
+      return parseContainerOptions(options, SERVICE_OPTION_FLAGS);
+    } catch (error) {
+      if (error instanceof ContainerOptionsError) {
+        throw new ServiceContainerError(error.message, service);
+      }
+      throw error;
+    }
+  }
+
+  private async startService(
+    jobId: string,
+    repository: string,
+    name: string,
+    service: ServiceConfig
+  ): Promise<ServiceContainer> {
+    if (!service.image) {
+      throw new ServiceContainerError(`Service ${name} has no image`, name);
+    }
+
+    const options = this.parseOptions(service.options, name);
+    const { exposedPorts, portBindings } = this.parsePorts(service.ports || [], name);
+
+    await this.pullImage(service);
+
+    // Created on the repository network, reachable from the runner by its service name
+    const network = await networkIsolation.getContainerNetworkConfig(repository, [name]);
+    const container = await this.docker.createContainer({
+      name: `runnerhub-svc-${jobId}-${name}`.replace(/[^a-zA-Z0-9_.-]/g, '-'),
+      Image: service.image,
+      Env: [
+        ...Object.entries(service.env || {}).map(([key, value]) => `${key}=${value}`),
+        ...options.env
+      ],
+      ExposedPorts: exposedPorts,
+      Healthcheck: options.healthcheck,
+      Labels: {
+        'runnerhub.type': 'service',
+        'runnerhub.job': jobId,
+        'runnerhub.service': name,
+        'runnerhub.repository': repository
+      },
+      HostConfig: {
+        PortBindings: portBindings,
+        Binds: this.parseVolumes(service.volumes || [], name),
+        RestartPolicy: { Name: 'no' },
+        NetworkMode: network.networkMode
+      },
+      NetworkingConfig: network.networkingConfig
+    });
+    networkIsolation.registerContainer(container.id, network.networkId);
+    await container.start();
+
+    const inspect = await container.inspect();
+    const ports: Record<string, string> = {};
+    for (const [port, bindings] of Object.entries(inspect.NetworkSettings.Ports || {})) {
+      if (bindings && bindings.length > 0) {
+        ports[port.split('/')[0]] = bindings[0].HostPort;
+      }
+    }
+
+    logger.info('Started service container', {
+      jobId,
+      service: name,
+      containerId: container.id.substring(0, 12),
+      ports
+    });
+
+    return { name, containerId: container.id, image: service.image, ports };
+  }
+
+  private async waitForHealthy(service: ServiceContainer, deadline: number): Promise<void> {
+    const container = this.docker.getContainer(service.containerId);
+
+    while (Date.now() < deadline) {
+      const { State } = await container.inspect();
+
+      if (!State.Running) {
+        throw new ServiceContainerError(
+          `Service ${service.name} exited with code ${State.ExitCode}`,
+          service.name
+        );
+      }
+
+      // Without a healthcheck a running container counts as ready
+      const health = State.Health?.Status;
+      if (!health || health === 'none' || health === 'healthy') {
+        return;
+      }
+      if (health === 'unhealthy') {
+        throw new ServiceContainerError(`Service ${service.name} is unhealthy`, service.name);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, HEALTH_POLL_INTERVAL));
+    }
+
+    throw new ServiceContainerError(`Service ${service.name} did not become healthy in time`, service.name);
+  }
+
+  private async pullImage(service: ServiceConfig): Promise<void> {
+    const stream = await this.docker.pull(service.image, {
+      authconfig: service.credentials
+        ? { username: service.credentials.username, password: service.credentials.password }
+        : undefined
+    });
+
+    await new Promise<void>((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (error: Error | null) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  private parsePorts(
+    ports: Array<number | string>,
+    service: string
+  ): { exposedPorts: Record<string, object>; portBindings: Docker.PortMap } {
+    const exposedPorts: Record<string, object> = {};
+    const portBindings: Docker.PortMap = {};
+
+    for (const port of ports) {
+      const match = /^(?:(\d+):)?(\d+)(?:\/(tcp|udp))?$/.exec(String(port));
+      if (!match) {
+        throw new ServiceContainerError(`Invalid port mapping ${port}`, service);
+      }
+
+      const key = `${match[2]}/${match[3] || 'tcp'}`;
+      exposedPorts[key] = {};
+      // An empty host port lets Docker pick a free one
+      portBindings[key] = [{ HostPort: match[1] || '' }];
+    }
+
+    return { exposedPorts, portBindings };
+  }
+
+  /**
+   * Only named volumes are allowed; host paths would escape the sandbox
+   */
+  private parseVolumes(volumes: string[], service: string): string[] {
+    try {
+      return parseNamedVolumes(volumes);
+    } catch (error) {
+      throw new ServiceContainerError((error as Error).message, service);
+    }
+  }
+}
+
+export default ServiceContainerManager.getInstance();
@@ -6,6 +6,7 @@ import authMiddleware from '../middleware/auth';
 import networkIsolationService from './network-isolation';
 import auditLogger from './audit-logger';
 import securityScanner from './security-scanner';
+import githubAppAuth from './github-app-auth';
 import { EventEmitter } from 'events';
 
 const logger = createLogger('ServiceManager');
@@ -170,6 +171,19 @@ export class ServiceManager extends EventEmitter {
   private async initializeOtherServices(): Promise<void> {
     logger.info('Initializing remaining core services');
 
+    // Initialize GitHub credentials, App installations first with the PAT as fallback
+    try {
+      await githubAppAuth.initialize(this.getService<VaultService>('vault'));
+      this.services.set('github-auth', githubAppAuth);
+      this.updateServiceHealth('github-auth', 'healthy', githubAppAuth.isAppConfigured()
+        ? 'GitHub App authentication initialized'
+        : 'Using GitHub personal access token');
+      logger.info('GitHub authentication initialized successfully');
+    } catch (error) {
+      this.updateServiceHealth('github-auth', 'unhealthy', `GitHub authentication initialization failed: ${(error as Error).message}`);
+      logger.error('Failed to initialize GitHub authentication', { error: (error as Error).message });
+    }
+
     // Initialize audit logger
     try {
       await auditLogger.initialize();
@@ -0,0 +1,222 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import { URL } from 'url';
+import { createHash, generateKeyPairSync } from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { SsoService, mapRole } from './sso-service';
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Redis stand-in holding logins in progress
+const createRedis = () => {
+  const store = new Map<string, string>();
+  return {
+    status: 'ready',
+    set: jest.fn(async (key: string, value: string) => {
+      store.set(key, value);
+      return 'OK';
+    }),
+    multi: () => {
+      const results: Array<[null, any]> = [];
+      const chain = {
+        get: (key: string) => {
+          results.push([null, store.get(key) ?? null]);
+          return chain;
+        },
+        del: (key: string) => {
+          results.push([null, store.delete(key) ? 1 : 0]);
+          return chain;
+        },
+        exec: async () => results
+      };
+      return chain;
+    }
+  };
+};
+
+/**
+ * Local identity provider serving OIDC discovery, JWKS, token and userinfo
+ * endpoints plus GitHub's OAuth and user endpoints
+ */
+const startMockIdp = async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const codes = new Map<string, { challenge: string; nonce?: string; claims: Record<string, any> }>();
+  const server = http.createServer(app);
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  const checkVerifier = (code: string, verifier: string) => {
+    const grant = codes.get(code);
+    codes.delete(code);
+    const challenge = createHash('sha256').update(verifier || '').digest('base64url');
+    return grant && grant.challenge === challenge ? grant : undefined;
+  };
+
+  app.get('/.well-known/openid-configuration', (_req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+  app.get('/jwks', (_req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+  });
+  app.post('/token', (req, res) => {
+    const grant = checkVerifier(req.body.code, req.body.code_verifier);
+    if (!grant || req.body.client_id !== 'runnerhub') {
+      res.status(400).json({ error: 'invalid_grant' });
+      return;
+    }
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256', keyid: 'key-1', issuer, audience: 'runnerhub', expiresIn: 300
+    });
+    res.json({ access_token: 'access-1', id_token: idToken, token_type: 'Bearer' });
+  });
+  app.get('/userinfo', (_req, res) => {
+    res.json({ sub: 'alice-id', groups: ['Platform-Admins'] });
+  });
+
+  app.post('/login/oauth/access_token', (req, res) => {
+    const grant = checkVerifier(req.body.code, req.body.code_verifier);
+    res.json(grant ? { access_token: 'gho_1' } : { error: 'bad_verification_code' });
+  });
+  app.get('/user', (_req, res) => res.json({ id: 42, login: 'octocat', email: null }));
+  app.get('/user/orgs', (_req, res) => res.json([{ login: 'acme' }]));
+  app.get('/user/teams', (_req, res) => res.json([{ slug: 'platform', organization: { login: 'acme' } }]));
+
+  return {
+    issuer,
+    // The user consenting at the IdP, which redirects back with a code
+    authorize: (url: string, claims: Record<string, any> = {}) => {
+      const params = new URL(url).searchParams;
+      const code = `code-${codes.size + 1}`;
+      codes.set(code, { challenge: params.get('code_challenge')!, nonce: params.get('nonce') || undefined, claims });
+      return { code, state: params.get('state')! };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe('SsoService', () => {
+  let idp: Awaited<ReturnType<typeof startMockIdp>>;
+
+  const createService = (config: Record<string, any> = {}) => {
+    (SsoService as any).instance = undefined;
+    return SsoService.getInstance({
+      oidc: {
+        issuer: idp.issuer,
+        clientId: 'runnerhub',
+        redirectUri: 'http://localhost:3001/api/auth/sso/oidc/callback',
+        scopes: ['openid', 'profile', 'email', 'groups'],
+        groupsClaim: 'groups',
+        roleMapping: { 'platform-admins': 'admin', developers: 'operator' }
+      },
+      github: {
+        clientId: 'gh-client',
+        clientSecret: 'gh-secret',
+        redirectUri: 'http://localhost:3001/api/auth/sso/github/callback',
+        webUrl: idp.issuer,
+        apiUrl: idp.issuer,
+        roleMapping: { acme: 'viewer', 'acme/platform': 'operator' }
+      },
+      defaultRole: undefined,
+      stateTtl: 600,
+      ...config
+    }, createRedis() as any);
+  };
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  it('should log in through OIDC with PKCE and map groups to roles', async () => {
+    const service = createService();
+
+    const url = await service.startLogin('oidc', '/dashboard');
+    expect(url.startsWith(`${idp.issuer}/authorize?`)).toBe(true);
+    expect(new URL(url).searchParams.get('code_challenge_method')).toBe('S256');
+
+    const { code, state } = idp.authorize(url, {
+      sub: 'alice-id', preferred_username: 'alice', email: 'alice@example.com', groups: ['developers', 'Platform-Admins']
+    });
+    const login = await service.completeLogin('oidc', state, code);
+
+    expect(login).toEqual({
+      identity: { provider: 'oidc', subject: 'alice-id', username: 'alice', email: 'alice@example.com', groups: ['developers', 'Platform-Admins'] },
+      role: 'admin',
+      redirectTo: '/dashboard'
+    });
+
+    // States are single use
+    await expect(service.completeLogin('oidc', state, code)).rejects.toThrow('Unknown or expired login');
+  });
+
+  it('should read groups from userinfo when the ID token has none', async () => {
+    const service = createService();
+
+    const url = await service.startLogin('oidc');
+    const { code, state } = idp.authorize(url, { sub: 'alice-id', preferred_username: 'alice' });
+
+    expect((await service.completeLogin('oidc', state, code)).role).toBe('admin');
+  });
+
+  it('should refuse users without a mapped group unless there is a default role', async () => {
+    const claims = { sub: 'bob-id', preferred_username: 'bob', groups: ['sales'] };
+
+    let service = createService();
+    let { code, state } = idp.authorize(await service.startLogin('oidc'), claims);
+    await expect(service.completeLogin('oidc', state, code)).rejects.toThrow('None of your groups grants access');
+
+    service = createService({ defaultRole: 'viewer' });
+    ({ code, state } = idp.authorize(await service.startLogin('oidc'), claims));
+    expect((await service.completeLogin('oidc', state, code)).role).toBe('viewer');
+  });
+
+  it('should log in through GitHub with org and team mapping', async () => {
+    const service = createService();
+
+    const { code, state } = idp.authorize(await service.startLogin('github'));
+    const login = await service.completeLogin('github', state, code);
+
+    expect(login.identity).toMatchObject({ provider: 'github', subject: '42', username: 'octocat', groups: ['acme', 'acme/platform'] });
+    expect(login.role).toBe('operator');
+  });
+
+  it('should reject foreign redirects, unknown providers and mismatched states', async () => {
+    const service = createService();
+
+    await expect(service.startLogin('oidc', '//evil.example.com')).rejects.toThrow('Redirect must be a path');
+    await expect(service.startLogin('saml')).rejects.toThrow('SSO provider saml is not configured');
+
+    const { code, state } = idp.authorize(await service.startLogin('github'));
+    await expect(service.completeLogin('oidc', state, code)).rejects.toThrow('Unknown or expired login');
+  });
+
+  it('should pick the highest mapped role', () => {
+    const mapping = { viewers: 'viewer' as const, ops: 'operator' as const };
+
+    expect(mapRole(['Viewers', 'OPS'], mapping)).toBe('operator');
+    expect(mapRole(['other'], mapping)).toBeUndefined();
+    expect(mapRole(['other'], mapping, 'viewer')).toBe('viewer');
+  });
+});
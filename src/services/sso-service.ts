@@ -0,0 +1,453 @@
+import { createHash, createPublicKey, randomBytes, JsonWebKey } from 'crypto';
+import { URLSearchParams } from 'url';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import Redis from 'ioredis';
+import { createLogger } from '../utils/logger';
+import { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } from '../utils/errors';
+import { createRedisConnection } from './redis-connection';
+
+const logger = createLogger('SsoService');
+
+export type UserRole = 'admin' | 'operator' | 'viewer';
+
+/**
+ * IdP group (OIDC group claim, GitHub `org` or `org/team`) -> role
+ */
+export type RoleMapping = Record<string, UserRole>;
+
+export interface OidcProviderConfig {
+  issuer: string;
+  clientId: string;
+  clientSecret?: string; // Public clients rely on PKCE alone
+  redirectUri: string;
+  scopes: string[];
+  groupsClaim: string;
+  roleMapping: RoleMapping;
+}
+
+export interface GitHubOAuthConfig {
+  clientId: string;
+  clientSecret: string;
+  redirectUri: string;
+  webUrl: string;
+  apiUrl: string;
+  roleMapping: RoleMapping;
+}
+
+export interface SsoConfig {
+  oidc?: OidcProviderConfig;
+  github?: GitHubOAuthConfig;
+  defaultRole?: UserRole; // Role of users no group maps, unset to refuse them
+  stateTtl: number; // Seconds a login may take at the IdP
+}
+
+/**
+ * User as asserted by an identity provider
+ */
+export interface SsoIdentity {
+  provider: string;
+  subject: string; // Stable id at the provider
+  username: string;
+  email?: string;
+  groups: string[];
+}
+
+export interface SsoLogin {
+  identity: SsoIdentity;
+  role: UserRole;
+  redirectTo?: string;
+}
+
+interface PendingLogin {
+  provider: string;
+  verifier: string;
+  nonce: string;
+  redirectTo?: string;
+}
+
+interface SsoProvider {
+  readonly name: string;
+  readonly roleMapping: RoleMapping;
+  authorizationUrl(state: string, codeChallenge: string, nonce: string): Promise<string>;
+  exchange(code: string, verifier: string, nonce: string): Promise<SsoIdentity>;
+}
+
+const ROLE_RANK: Record<UserRole, number> = { viewer: 1, operator: 2, admin: 3 };
+
+const parseMapping = (value?: string): RoleMapping => {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Invalid SSO role mapping, no groups are mapped', { value, error });
+    return {};
+  }
+};
+
+const defaultConfig = (): SsoConfig => ({
+  oidc: process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID ? {
+    issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: (process.env.OIDC_SCOPES || 'openid profile email groups').split(/[\s,]+/).filter(Boolean),
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMapping: parseMapping(process.env.OIDC_ROLE_MAPPING)
+  } : undefined,
+  github: process.env.GITHUB_OAUTH_CLIENT_ID && process.env.GITHUB_OAUTH_CLIENT_SECRET ? {
+    clientId: process.env.GITHUB_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GITHUB_OAUTH_CLIENT_SECRET,
+    redirectUri: process.env.GITHUB_OAUTH_REDIRECT_URI || '',
+    webUrl: process.env.GITHUB_OAUTH_URL || 'https://github.com',
+    apiUrl: process.env.GITHUB_OAUTH_API_URL || 'https://api.github.com',
+    roleMapping: parseMapping(process.env.GITHUB_OAUTH_ROLE_MAPPING)
+  } : undefined,
+  defaultRole: process.env.SSO_DEFAULT_ROLE && process.env.SSO_DEFAULT_ROLE in ROLE_RANK
+    ? process.env.SSO_DEFAULT_ROLE as UserRole
+    : undefined,
+  stateTtl: parseInt(process.env.SSO_STATE_TTL || '600', 10)
+});
+
+const base64url = (buffer: Buffer): string => buffer.toString('base64url');
+
+/**
+ * Highest role any of the groups maps to, compared case-insensitively
+ */
+export const mapRole = (groups: string[], mapping: RoleMapping, defaultRole?: UserRole): UserRole | undefined => {
+  const lowered = new Set(groups.map(group => group.toLowerCase()));
+  let role: UserRole | undefined;
+  for (const [group, mapped] of Object.entries(mapping)) {
+    if (lowered.has(group.toLowerCase()) && ROLE_RANK[mapped] && (!role || ROLE_RANK[mapped] > ROLE_RANK[role])) {
+      role = mapped;
+    }
+  }
+  return role || defaultRole;
+};
+
+/**
+ * OpenID Connect provider using discovery, the authorization code flow
+ * with PKCE and ID tokens verified against the provider's JWKS
+ */
+class OidcProvider implements SsoProvider {
+  public readonly name = 'oidc';
+  private discovery?: Record<string, any>;
+  private keys: Map<string, JsonWebKey> = new Map();
+
+  constructor(private config: OidcProviderConfig) {}
+
+  get roleMapping(): RoleMapping {
+    return this.config.roleMapping;
+  }
+
+  async authorizationUrl(state: string, codeChallenge: string, nonce: string): Promise<string> {
+    const { authorization_endpoint } = await this.getDiscovery();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${authorization_endpoint}?${params}`;
+  }
+
+  async exchange(code: string, verifier: string, nonce: string): Promise<SsoIdentity> {
+    const discovery = await this.getDiscovery();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: verifier
+    });
+    if (this.config.clientSecret) {
+      params.set('client_secret', this.config.clientSecret);
+    }
+
+    const { data } = await axios.post(discovery.token_endpoint, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: 10000
+    });
+    if (!data.id_token) {
+      throw new UnauthorizedError('Identity provider returned no ID token');
+    }
+
+    const claims = await this.verifyIdToken(data.id_token, discovery.issuer);
+    if (claims.nonce !== nonce) {
+      throw new UnauthorizedError('ID token nonce does not match the login');
+    }
+
+    // Some providers only release groups and email through the userinfo endpoint
+    let profile = claims;
+    if (claims[this.config.groupsClaim] === undefined && discovery.userinfo_endpoint && data.access_token) {
+      const userinfo = await axios.get(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${data.access_token}` },
+        timeout: 10000
+      });
+      if (userinfo.data.sub === claims.sub) {
+        profile = { ...userinfo.data, ...claims };
+      }
+    }
+
+    const groups = profile[this.config.groupsClaim] || [];
+    return {
+      provider: this.name,
+      subject: claims.sub,
+      username: profile.preferred_username || profile.email || claims.sub,
+      email: profile.email,
+      groups: (Array.isArray(groups) ? groups : [groups]).map(String)
+    };
+  }
+
+  private async verifyIdToken(idToken: string, issuer: string): Promise<Record<string, any>> {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || typeof decoded.payload === 'string') {
+      throw new UnauthorizedError('Malformed ID token');
+    }
+
+    const jwk = await this.getKey(decoded.header.kid);
+    try {
+      return jwt.verify(idToken, createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+        issuer,
+        audience: this.config.clientId
+      }) as Record<string, any>;
+    } catch (error) {
+      throw new UnauthorizedError(`Invalid ID token: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Signing key by id, reloading the JWKS once for keys it does not know yet
+   */
+  private async getKey(kid?: string): Promise<JsonWebKey> {
+    const find = () => kid ? this.keys.get(kid) : this.keys.values().next().value;
+    if (!find()) {
+      const { jwks_uri } = await this.getDiscovery();
+      const { data } = await axios.get(jwks_uri, { timeout: 10000 });
+      this.keys = new Map(data.keys.filter((key: any) => !key.use || key.use === 'sig').map((key: any) => [key.kid, key]));
+    }
+
+    const key = find();
+    if (!key) {
+      throw new UnauthorizedError('ID token is signed with an unknown key');
+    }
+    return key;
+  }
+
+  private async getDiscovery(): Promise<Record<string, any>> {
+    if (!this.discovery) {
+      const { data } = await axios.get(`${this.config.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+      this.discovery = data;
+    }
+    return this.discovery!;
+  }
+}
+
+/**
+ * GitHub OAuth app login. Groups are the user's organizations and teams as
+ * `org` and `org/team`.
+ */
+class GitHubOAuthProvider implements SsoProvider {
+  public readonly name = 'github';
+
+  constructor(private config: GitHubOAuthConfig) {}
+
+  get roleMapping(): RoleMapping {
+    return this.config.roleMapping;
+  }
+
+  async authorizationUrl(state: string, codeChallenge: string): Promise<string> {
+    const params = new URLSearchParams({
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: 'read:org user:email',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${this.config.webUrl}/login/oauth/authorize?${params}`;
+  }
+
+  async exchange(code: string, verifier: string): Promise<SsoIdentity> {
+    const { data } = await axios.post(`${this.config.webUrl}/login/oauth/access_token`, {
+      client_id: this.config.clientId,
+      client_secret: this.config.clientSecret,
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: verifier
+    }, { headers: { Accept: 'application/json' }, timeout: 10000 });
+
+    // GitHub answers failed exchanges with 200 and an error field
+    if (!data.access_token) {
+      throw new UnauthorizedError(`GitHub login failed: ${data.error_description || data.error || 'no access token'}`);
+    }
+
+    const headers = { Authorization: `Bearer ${data.access_token}`, Accept: 'application/vnd.github+json' };
+    const [user, orgs, teams] = await Promise.all([
+      axios.get(`${this.config.apiUrl}/user`, { headers, timeout: 10000 }),
+      axios.get(`${this.config.apiUrl}/user/orgs`, { headers, params: { per_page: 100 }, timeout: 10000 }),
+      axios.get(`${this.config.apiUrl}/user/teams`, { headers, params: { per_page: 100 }, timeout: 10000 })
+    ]);
+
+    return {
+      provider: this.name,
+      subject: String(user.data.id),
+      username: user.data.login,
+      email: user.data.email || undefined,
+      groups: [
+        ...orgs.data.map((org: any) => org.login),
+        ...teams.data.map((team: any) => `${team.organization.login}/${team.slug}`)
+      ]
+    };
+  }
+}
+
+/**
+ * Single sign-on through an OpenID Connect provider or GitHub. Logins in
+ * progress are kept in Redis so the callback may reach any node, and in
+ * memory while Redis is unreachable.
+ */
+export class SsoService {
+  private static instance: SsoService;
+  private config: SsoConfig;
+  private providers: Map<string, SsoProvider> = new Map();
+  private redis?: Redis;
+  private pending: Map<string, { login: PendingLogin; expiresAt: number }> = new Map();
+
+  private constructor(ssoConfig: Partial<SsoConfig> = {}, redis?: Redis) {
+    this.config = { ...defaultConfig(), ...ssoConfig };
+    this.redis = redis;
+
+    if (this.config.oidc) {
+      this.providers.set('oidc', new OidcProvider(this.config.oidc));
+    }
+    if (this.config.github) {
+      this.providers.set('github', new GitHubOAuthProvider(this.config.github));
+    }
+  }
+
+  public static getInstance(ssoConfig?: Partial<SsoConfig>, redis?: Redis): SsoService {
+    if (!SsoService.instance) {
+      SsoService.instance = new SsoService(ssoConfig, redis);
+    }
+    return SsoService.instance;
+  }
+
+  public getProviders(): string[] {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * IdP URL to send the browser to. `redirectTo` is where the callback
+   * forwards the browser with its session token, and must be a local path.
+   */
+  public async startLogin(providerName: string, redirectTo?: string): Promise<string> {
+    const provider = this.getProvider(providerName);
+    if (redirectTo && !/^\/(?![/\\])/.test(redirectTo)) {
+      throw new ValidationError('Redirect must be a path on this server');
+    }
+
+    const state = base64url(randomBytes(24));
+    const verifier = base64url(randomBytes(32));
+    const nonce = base64url(randomBytes(16));
+    const challenge = base64url(createHash('sha256').update(verifier).digest());
+
+    await this.savePending(state, { provider: provider.name, verifier, nonce, redirectTo });
+    return provider.authorizationUrl(state, challenge, nonce);
+  }
+
+  /**
+   * Finish a login on the IdP's callback, resolving the user's role from
+   * their groups. Each state can only be used once.
+   */
+  public async completeLogin(providerName: string, state: string, code: string): Promise<SsoLogin> {
+    const provider = this.getProvider(providerName);
+    if (!state || !code) {
+      throw new ValidationError('Missing state or code');
+    }
+
+    const pending = await this.takePending(state);
+    if (!pending || pending.provider !== provider.name) {
+      throw new UnauthorizedError('Unknown or expired login');
+    }
+
+    const identity = await provider.exchange(code, pending.verifier, pending.nonce);
+    const role = mapRole(identity.groups, provider.roleMapping, this.config.defaultRole);
+    if (!role) {
+      logger.warn('SSO login refused, no group maps to a role', { provider: provider.name, username: identity.username, groups: identity.groups });
+      throw new ForbiddenError('None of your groups grants access to RunnerHub');
+    }
+
+    logger.info('SSO login completed', { provider: provider.name, username: identity.username, role });
+    return { identity, role, redirectTo: pending.redirectTo };
+  }
+
+  private getProvider(name: string): SsoProvider {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new NotFoundError(`SSO provider ${name} is not configured`);
+    }
+    return provider;
+  }
+
+  private async savePending(state: string, login: PendingLogin): Promise<void> {
+    try {
+      const redis = await this.getRedis();
+      await redis.set(`sso:state:${state}`, JSON.stringify(login), 'EX', this.config.stateTtl);
+    } catch (error) {
+      logger.warn('Failed to store SSO login in Redis, keeping it on this node', { error: (error as Error).message });
+      this.prunePending();
+      this.pending.set(state, { login, expiresAt: Date.now() + this.config.stateTtl * 1000 });
+    }
+  }
+
+  private async takePending(state: string): Promise<PendingLogin | undefined> {
+    const local = this.pending.get(state);
+    if (local) {
+      this.pending.delete(state);
+      return local.expiresAt > Date.now() ? local.login : undefined;
+    }
+
+    try {
+      const redis = await this.getRedis();
+      const [[, value]] = await redis.multi().get(`sso:state:${state}`).del(`sso:state:${state}`).exec() as [[Error | null, string | null]];
+      return value ? JSON.parse(value) : undefined;
+    } catch (error) {
+      logger.warn('Failed to read SSO login from Redis', { error: (error as Error).message });
+      return undefined;
+    }
+  }
+
+  private prunePending(): void {
+    const now = Date.now();
+    for (const [state, { expiresAt }] of this.pending) {
+      if (expiresAt <= now) {
+        this.pending.delete(state);
+      }
+    }
+  }
+
+  private async getRedis(): Promise<Redis> {
+    if (!this.redis) {
+      this.redis = createRedisConnection({
+        connectionName: 'sso',
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+        lazyConnect: true
+      });
+    }
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    return this.redis;
+  }
+}
+
+export default SsoService.getInstance();
@@ -331,9 +331,12 @@ export class VaultService extends EventEmitter {
     try {
       const currentSecrets = await this.getGitHubSecrets();
       
+      // Keep the stored key names so App credentials survive the rotation
       await this.putSecret('github/runnerhub', {
-        ...currentSecrets,
         token: newToken,
+        webhook_secret: currentSecrets.webhookSecret,
+        ...(currentSecrets.appId && { app_id: currentSecrets.appId }),
+        ...(currentSecrets.privateKey && { private_key: currentSecrets.privateKey }),
         rotated_at: new Date().toISOString()
       });
 
@@ -0,0 +1,164 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import express from 'express';
+import { WebhookReconciler, parseHookSources } from './webhook-reconciler';
+import database from './database';
+import githubAppAuth from './github-app-auth';
+import githubWebhook from './github-webhook';
+import monitoringService from './monitoring';
+
+jest.mock('./database', () => ({
+  __esModule: true,
+  default: { query: jest.fn() }
+}));
+jest.mock('./github-app-auth', () => ({
+  __esModule: true,
+  default: {
+    isAppConfigured: jest.fn().mockReturnValue(true),
+    createAppJwt: jest.fn().mockReturnValue('app-jwt'),
+    getToken: jest.fn().mockResolvedValue('installation-token')
+  }
+}));
+jest.mock('./github-webhook', () => ({
+  __esModule: true,
+  default: { processWebhook: jest.fn() }
+}));
+jest.mock('./monitoring', () => ({
+  __esModule: true,
+  default: { recordMissedWebhookDeliveries: jest.fn() }
+}));
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const minutesAgo = (minutes: number) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const delivery = (id: number, guid: string, deliveredAt: string, event = 'workflow_job') => ({
+  id, guid, delivered_at: deliveredAt, redelivery: false, status_code: 502, event, action: 'queued'
+});
+
+/**
+ * GitHub's delivery log: the App's webhook spanning two pages, and a
+ * repository webhook
+ */
+const startMockGitHub = async () => {
+  const app = express();
+  const requests: Array<{ method: string; path: string; authorization?: string }> = [];
+  const server = http.createServer(app);
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const apiUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  app.use((req, _res, next) => {
+    requests.push({ method: req.method, path: req.path, authorization: req.headers.authorization });
+    next();
+  });
+
+  app.get('/app/hook/deliveries', (req, res) => {
+    if (req.query.cursor === 'page-2') {
+      res.json([
+        delivery(3, 'guid-old', minutesAgo(60)),
+        delivery(2, 'guid-expired', minutesAgo(48 * 60))
+      ]);
+      return;
+    }
+    res.setHeader('Link', `<${apiUrl}/app/hook/deliveries?per_page=100&cursor=page-2>; rel="next"`);
+    res.json([
+      delivery(7, 'guid-in-flight', minutesAgo(0)),
+      delivery(6, 'guid-push', minutesAgo(5), 'push'),
+      delivery(5, 'guid-stored', minutesAgo(10)),
+      delivery(4, 'guid-new', minutesAgo(20))
+    ]);
+  });
+  app.get(['/app/hook/deliveries/:id', '/repos/acme/app/hooks/9/deliveries/:id'], (req, res) => {
+    res.json({ id: Number(req.params.id), request: { payload: { action: 'queued', workflow_job: { id: Number(req.params.id) } } } });
+  });
+
+  app.get('/repos/acme/app/hooks/9/deliveries', (_req, res) => {
+    res.json([delivery(11, 'guid-repo', minutesAgo(30))]);
+  });
+  app.post('/repos/acme/app/hooks/9/deliveries/:id/attempts', (_req, res) => {
+    res.status(202).json({});
+  });
+
+  app.get('/orgs/broken/hooks/1/deliveries', (_req, res) => {
+    res.status(404).json({ message: 'Not Found' });
+  });
+
+  return { apiUrl, requests, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+describe('WebhookReconciler', () => {
+  let github: Awaited<ReturnType<typeof startMockGitHub>>;
+
+  const createReconciler = (config: Record<string, any> = {}) => {
+    (WebhookReconciler as any).instance = undefined;
+    return WebhookReconciler.getInstance({ apiUrl: github.apiUrl, app: true, hooks: [], lookbackHours: 24, mode: 'process', ...config });
+  };
+
+  beforeAll(async () => {
+    github = await startMockGitHub();
+  });
+
+  afterAll(async () => {
+    await github.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    github.requests.length = 0;
+    (database.query as jest.Mock).mockResolvedValue([{ delivery_id: 'guid-stored' }]);
+    (githubWebhook.processWebhook as jest.Mock).mockResolvedValue({ success: true, message: 'ok' });
+  });
+
+  it('should process missed workflow_job deliveries of the App webhook, oldest first', async () => {
+    const result = await createReconciler().reconcile();
+
+    expect(result).toMatchObject({ checked: 3, missing: 2, recovered: 2, failed: 0 });
+    expect(database.query).toHaveBeenCalledWith(expect.stringContaining('runnerhub.webhook_events'), [['guid-old', 'guid-new', 'guid-stored']]);
+
+    const processed = (githubWebhook.processWebhook as jest.Mock).mock.calls;
+    expect(processed.map(call => call[3])).toEqual(['guid-old', 'guid-new']);
+    expect(processed[0]).toEqual([
+      {}, 'workflow_job', '', 'guid-old', { action: 'queued', workflow_job: { id: 3 } }, { verified: true }
+    ]);
+
+    expect(monitoringService.recordMissedWebhookDeliveries).toHaveBeenCalledWith('app', 2);
+    expect(github.requests.every(request => request.authorization === 'Bearer app-jwt')).toBe(true);
+  });
+
+  it('should request redeliveries of repository webhooks with their owner\'s token', async () => {
+    const result = await createReconciler({ app: false, hooks: parseHookSources('acme/app:9'), mode: 'redeliver' }).reconcile();
+
+    expect(result.sources).toEqual([{ source: 'acme/app:9', checked: 1, missing: 1, recovered: 1, failed: 0 }]);
+    expect(githubAppAuth.getToken).toHaveBeenCalledWith({ owner: 'acme' });
+    expect(github.requests).toContainEqual({
+      method: 'POST', path: '/repos/acme/app/hooks/9/deliveries/11/attempts', authorization: 'Bearer installation-token'
+    });
+    expect(githubWebhook.processWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should keep going when a source or a delivery fails', async () => {
+    (githubWebhook.processWebhook as jest.Mock)
+      .mockResolvedValueOnce({ success: false, message: 'Queue unavailable' });
+
+    const result = await createReconciler({ hooks: parseHookSources('broken:1, acme/app:9, not a hook') }).reconcile();
+
+    expect(result.sources.map(source => source.source)).toEqual(['app', 'broken:1', 'acme/app:9']);
+    expect(result.sources[1].error).toContain('404');
+    expect(result).toMatchObject({ missing: 3, recovered: 2, failed: 1 });
+  });
+
+  it('should share a run between overlapping calls', async () => {
+    const reconciler = createReconciler();
+
+    const [first, second] = await Promise.all([reconciler.reconcile(), reconciler.reconcile()]);
+
+    expect(first).toBe(second);
+    expect(githubWebhook.processWebhook).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,283 @@
+import axios from 'axios';
+import { URL } from 'url';
+import { Request } from 'express';
+import { createLogger } from '../utils/logger';
+import database from './database';
+import githubAppAuth from './github-app-auth';
+import githubWebhook from './github-webhook';
+import monitoringService from './monitoring';
+
+const logger = createLogger('WebhookReconciler');
+
+// Events whose loss leaves jobs without runners
+const RECONCILED_EVENTS = ['workflow_job'];
+
+// Deliveries younger than this may still be in flight to us
+const IN_FLIGHT_MS = 2 * 60 * 1000;
+
+// GitHub keeps deliveries for three days
+const MAX_LOOKBACK_HOURS = 72;
+
+const MAX_PAGES = 50;
+
+/**
+ * A repository (`owner/repo:hookId`) or organization (`org:hookId`) webhook
+ */
+export interface HookSource {
+  owner: string;
+  repo?: string;
+  hookId: number;
+}
+
+export interface WebhookReconcilerConfig {
+  apiUrl: string;
+  app: boolean; // Reconcile the GitHub App's webhook when an App is configured
+  hooks: HookSource[];
+  lookbackHours: number;
+  mode: 'process' | 'redeliver'; // Process missed deliveries here, or have GitHub send them again
+}
+
+export interface Delivery {
+  id: number;
+  guid: string; // The X-GitHub-Delivery header
+  delivered_at: string;
+  redelivery: boolean;
+  status_code: number;
+  event: string;
+  action: string | null;
+}
+
+export interface ReconcileResult {
+  sources: Array<{ source: string; checked: number; missing: number; recovered: number; failed: number; error?: string }>;
+  checked: number;
+  missing: number;
+  recovered: number;
+  failed: number;
+}
+
+interface DeliverySource {
+  name: string;
+  path: string;
+  owner?: string;
+}
+
+export const parseHookSources = (value = ''): HookSource[] => {
+  const hooks: HookSource[] = [];
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^/:\s]+)(?:\/([^/:\s]+))?:(\d+)$/);
+    if (!match) {
+      logger.warn(`Ignoring webhook source ${entry}, expected owner/repo:hookId or org:hookId`);
+      continue;
+    }
+    hooks.push({ owner: match[1], repo: match[2], hookId: parseInt(match[3], 10) });
+  }
+  return hooks;
+};
+
+const defaultConfig = (): WebhookReconcilerConfig => ({
+  apiUrl: 'https://api.github.com',
+  app: process.env.WEBHOOK_RECONCILE_APP !== 'false',
+  hooks: parseHookSources(process.env.WEBHOOK_RECONCILE_HOOKS),
+  lookbackHours: parseInt(process.env.WEBHOOK_RECONCILE_LOOKBACK_HOURS || '24', 10),
+  mode: process.env.WEBHOOK_RECONCILE_MODE === 'redeliver' ? 'redeliver' : 'process'
+});
+
+/**
+ * Recovers webhook deliveries lost while RunnerHub was down or unreachable.
+ * Pages through GitHub's recent deliveries for the App and configured
+ * hooks, finds `workflow_job` deliveries missing from webhook_events and
+ * processes them here or asks GitHub to redeliver them. Runs from the
+ * `reconcile-webhooks` schedule, i.e. on the leader only.
+ */
+export class WebhookReconciler {
+  private static instance: WebhookReconciler;
+  private config: WebhookReconcilerConfig;
+  private running?: Promise<ReconcileResult>;
+
+  private constructor(reconcilerConfig: Partial<WebhookReconcilerConfig> = {}) {
+    this.config = { ...defaultConfig(), ...reconcilerConfig };
+  }
+
+  public static getInstance(reconcilerConfig?: Partial<WebhookReconcilerConfig>): WebhookReconciler {
+    if (!WebhookReconciler.instance) {
+      WebhookReconciler.instance = new WebhookReconciler(reconcilerConfig);
+    }
+    return WebhookReconciler.instance;
+  }
+
+  /**
+   * Reconcile every source. Overlapping calls share one run.
+   */
+  public reconcile(): Promise<ReconcileResult> {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = undefined;
+      });
+    }
+    return this.running;
+  }
+
+  private async run(): Promise<ReconcileResult> {
+    const result: ReconcileResult = { sources: [], checked: 0, missing: 0, recovered: 0, failed: 0 };
+    const hours = Math.min(this.config.lookbackHours, MAX_LOOKBACK_HOURS);
+    const since = Date.now() - hours * 60 * 60 * 1000;
+    const until = Date.now() - IN_FLIGHT_MS;
+
+    for (const source of this.getSources()) {
+      const sourceResult = { source: source.name, checked: 0, missing: 0, recovered: 0, failed: 0 };
+      try {
+        const deliveries = await this.listDeliveries(source, since, until);
+        const missing = await this.findMissing(deliveries);
+        sourceResult.checked = deliveries.length;
+        sourceResult.missing = missing.length;
+
+        if (missing.length > 0) {
+          monitoringService.recordMissedWebhookDeliveries(source.name, missing.length);
+          logger.warn(`Found ${missing.length} webhook deliveries missing from ${source.name}`, {
+            deliveries: missing.map(delivery => delivery.guid)
+          });
+        }
+
+        for (const delivery of missing) {
+          if (await this.recover(source, delivery)) {
+            sourceResult.recovered++;
+          } else {
+            sourceResult.failed++;
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to reconcile webhook deliveries of ${source.name}`, { error });
+        result.sources.push({ ...sourceResult, error: (error as Error).message });
+        continue;
+      }
+      result.sources.push(sourceResult);
+    }
+
+    for (const sourceResult of result.sources) {
+      result.checked += sourceResult.checked;
+      result.missing += sourceResult.missing;
+      result.recovered += sourceResult.recovered;
+      result.failed += sourceResult.failed;
+    }
+
+    logger.info('Reconciled webhook deliveries', {
+      mode: this.config.mode,
+      lookbackHours: hours,
+      checked: result.checked,
+      missing: result.missing,
+      recovered: result.recovered,
+      failed: result.failed
+    });
+    return result;
+  }
+
+  private getSources(): DeliverySource[] {
+    const sources: DeliverySource[] = [];
+    if (this.config.app && githubAppAuth.isAppConfigured()) {
+      sources.push({ name: 'app', path: '/app/hook/deliveries' });
+    }
+    for (const hook of this.config.hooks) {
+      sources.push(hook.repo
+        ? { name: `${hook.owner}/${hook.repo}:${hook.hookId}`, path: `/repos/${hook.owner}/${hook.repo}/hooks/${hook.hookId}/deliveries`, owner: hook.owner }
+        : { name: `${hook.owner}:${hook.hookId}`, path: `/orgs/${hook.owner}/hooks/${hook.hookId}/deliveries`, owner: hook.owner });
+    }
+    return sources;
+  }
+
+  /**
+   * Reconciled deliveries between `since` and `until`, oldest first and one
+   * per GUID. Pages are newest first and followed by cursor.
+   */
+  private async listDeliveries(source: DeliverySource, since: number, until: number): Promise<Delivery[]> {
+    const byGuid = new Map<string, Delivery>();
+    let cursor: string | undefined;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await axios.get<Delivery[]>(`${this.config.apiUrl}${source.path}`, {
+        headers: await this.headers(source),
+        params: { per_page: 100, cursor },
+        timeout: 30000
+      });
+
+      for (const delivery of response.data) {
+        const deliveredAt = new Date(delivery.delivered_at).getTime();
+        if (deliveredAt >= since && deliveredAt <= until && RECONCILED_EVENTS.includes(delivery.event)) {
+          byGuid.set(delivery.guid, delivery);
+        }
+      }
+
+      const oldest = response.data[response.data.length - 1];
+      cursor = this.nextCursor(response.headers.link);
+      if (!cursor || !oldest || new Date(oldest.delivered_at).getTime() < since) {
+        break;
+      }
+    }
+
+    return Array.from(byGuid.values())
+      .sort((a, b) => new Date(a.delivered_at).getTime() - new Date(b.delivered_at).getTime());
+  }
+
+  private async findMissing(deliveries: Delivery[]): Promise<Delivery[]> {
+    if (deliveries.length === 0) {
+      return [];
+    }
+
+    const rows = await database.query<{ delivery_id: string }>(
+      'SELECT delivery_id FROM runnerhub.webhook_events WHERE delivery_id = ANY($1)',
+      [deliveries.map(delivery => delivery.guid)]
+    );
+    const stored = new Set(rows.map(row => row.delivery_id));
+    return deliveries.filter(delivery => !stored.has(delivery.guid));
+  }
+
+  /**
+   * Process a missed delivery with the payload GitHub recorded, through the
+   * same service as the webhook endpoint so it claims the job's idempotency
+   * key, or request a redelivery, which reaches the endpoint like the original
+   */
+  private async recover(source: DeliverySource, delivery: Delivery): Promise<boolean> {
+    const url = `${this.config.apiUrl}${source.path}/${delivery.id}`;
+
+    try {
+      if (this.config.mode === 'redeliver') {
+        await axios.post(`${url}/attempts`, {}, { headers: await this.headers(source), timeout: 30000 });
+        logger.info('Requested webhook redelivery', { source: source.name, deliveryId: delivery.guid });
+        return true;
+      }
+
+      const response = await axios.get(url, { headers: await this.headers(source), timeout: 30000 });
+      const result = await githubWebhook.processWebhook(
+        {} as Request, // Not received over HTTP
+        delivery.event,
+        '',
+        delivery.guid,
+        response.data.request.payload,
+        { verified: true }
+      );
+      if (!result.success) {
+        logger.error('Failed to process missed webhook delivery', { source: source.name, deliveryId: delivery.guid, message: result.message });
+      }
+      return result.success;
+    } catch (error) {
+      logger.error('Failed to recover missed webhook delivery', { source: source.name, deliveryId: delivery.guid, error });
+      return false;
+    }
+  }
+
+  private async headers(source: DeliverySource): Promise<Record<string, string>> {
+    // The App's webhook is managed with the App JWT, other hooks with a token of their owner
+    const token = source.owner ? await githubAppAuth.getToken({ owner: source.owner }) : githubAppAuth.createAppJwt();
+    return {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/vnd.github+json'
+    };
+  }
+
+  private nextCursor(link?: string): string | undefined {
+    const next = link?.split(',').find(part => /rel="next"/.test(part));
+    const target = next?.match(/<([^>]+)>/)?.[1];
+    return target ? new URL(target).searchParams.get('cursor') || undefined : undefined;
+  }
+}
+
+export default WebhookReconciler.getInstance();
@@ -17,7 +17,9 @@ export interface Job {
 
 export interface JobContext {
   jobId: string;
+  jobName?: string; // Job key from the workflow, jobId is the numeric GitHub job id
   runId: string;
+  runAttempt?: number;
   repository: string;
   workflow: string;
   runnerName: string;
@@ -30,6 +32,9 @@ export interface JobContext {
   secrets?: Record<string, string>;
   matrix?: Record<string, any>;
   needs?: string[];
+  services?: Record<string, any>; // Raw `services:` definitions of the job
+  container?: string | Record<string, any>; // Raw `container:` definition of the job
+  timeoutMinutes?: number | string; // Raw `timeout-minutes` of the job
 }
 
 export interface DelegatedJob extends JobContext {
@@ -86,14 +91,22 @@ export enum RunnerStatus {
 }
 
 // Runner pool types
+export type RunnerScope = 'repository' | 'organization' | 'enterprise';
+
 export interface RunnerPool {
   id: string;
-  repository: string;
+  repository: string; // Repository, or "<scope>:<owner>/<group>" for runner group pools
   minRunners: number;
   maxRunners: number;
   currentRunners: number;
   scaleIncrement: number;
   scaleThreshold: number;
+  scope?: RunnerScope;
+  owner?: string; // Organization or enterprise of a runner group pool
+  runnerGroup?: string;
+  runnerGroupId?: number;
+  visibleRepositories?: string[]; // Unset: every repository of the organization
+  visibleOrganizations?: string[]; // Unset: every organization of the enterprise
   lastScaledAt?: Date;
   createdAt: Date;
   updatedAt: Date;
@@ -131,6 +144,7 @@ export interface ContainerConfig {
   labels: Record<string, string>;
   networks: string[];
   volumes?: string[];
+  entrypoint?: string[]; // Overrides the image's entrypoint
   cpuLimit?: number;
   memoryLimit?: string;
   autoRemove?: boolean;
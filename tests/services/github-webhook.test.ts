@@ -3,6 +3,7 @@ import database from '../../src/services/database';
 import jobQueue from '../../src/services/job-queue';
 import runnerPoolManager from '../../src/services/runner-pool-manager';
 import monitoringService from '../../src/services/monitoring';
+import jobIdempotency from '../../src/services/job-idempotency';
 import crypto from 'crypto';
 
 // Mock dependencies
@@ -10,6 +11,13 @@ jest.mock('../../src/services/database');
 jest.mock('../../src/services/job-queue');
 jest.mock('../../src/services/runner-pool-manager');
 jest.mock('../../src/services/monitoring');
+jest.mock('../../src/services/job-idempotency', () => ({
+  __esModule: true,
+  default: {
+    resolveKey: jest.fn((githubJobId: number, runAttempt?: number) => `github-job-${githubJobId}-${runAttempt || 1}`),
+    claim: jest.fn()
+  }
+}));
 jest.mock('../../src/utils/logger', () => ({
   createLogger: () => ({
     info: jest.fn(),
@@ -19,6 +27,9 @@ jest.mock('../../src/utils/logger', () => ({
   })
 }));
 
+const sign = (payload: any) =>
+  `sha256=${crypto.createHmac('sha256', 'test-secret').update(JSON.stringify(payload)).digest('hex')}`;
+
 describe('GitHubWebhookService', () => {
   let webhookService: GitHubWebhookService;
   const mockRequest = {
@@ -40,6 +51,11 @@ describe('GitHubWebhookService', () => {
     
     // Mock database queries
     (database.query as jest.Mock).mockResolvedValue([]);
+    
+    (jobIdempotency.claim as jest.Mock).mockResolvedValue({
+      duplicate: false,
+      job: { id: 'record-1', status: 'queued', idempotency_key: 'github-job-12345-1' }
+    });
   });
 
   afterEach(async () => {
@@ -195,12 +211,13 @@ describe('GitHubWebhookService', () => {
       expect(jobQueue.queue.add).toHaveBeenCalledWith(
         'process-github-job',
         expect.objectContaining({
+          id: 'record-1',
           jobId: '12345',
           runId: '67890',
           repository: 'test/repo',
           labels: ['ubuntu-latest', 'self-hosted']
         }),
-        expect.any(Object)
+        expect.objectContaining({ jobId: 'github-job-12345-1' })
       );
 
       // Should request runner
@@ -210,6 +227,49 @@ describe('GitHubWebhookService', () => {
       );
     });
 
+    it('should not queue a redelivered queued event twice', async () => {
+      (jobIdempotency.claim as jest.Mock).mockResolvedValue({
+        duplicate: true,
+        job: { id: 'record-1', status: 'running', idempotency_key: 'github-job-12345-1' }
+      });
+
+      const result = await webhookService.processWebhook(
+        mockRequest,
+        'workflow_job',
+        sign(mockWorkflowJobEvent),
+        'delivery-125',
+        mockWorkflowJobEvent
+      );
+
+      expect(result.success).toBe(true);
+      expect(jobIdempotency.claim).toHaveBeenCalledWith(
+        'github-job-12345-1',
+        expect.objectContaining({ githubJobId: 12345, repository: 'test/repo' }),
+        'webhook'
+      );
+      expect(jobQueue.queue.add).not.toHaveBeenCalled();
+      expect(runnerPoolManager.requestRunner).not.toHaveBeenCalled();
+    });
+
+    it('should claim the idempotency key of verified deliveries without a signature', async () => {
+      const result = await webhookService.processWebhook(
+        mockRequest,
+        'workflow_job',
+        '',
+        'delivery-126',
+        mockWorkflowJobEvent,
+        { verified: true }
+      );
+
+      expect(result.success).toBe(true);
+      expect(jobIdempotency.claim).toHaveBeenCalledWith(
+        'github-job-12345-1',
+        expect.objectContaining({ githubJobId: 12345 }),
+        'webhook'
+      );
+      expect(jobQueue.queue.add).toHaveBeenCalledTimes(1);
+    });
+
     it('should handle in-progress workflow job', async () => {
       const inProgressEvent = {
         ...mockWorkflowJobEvent,
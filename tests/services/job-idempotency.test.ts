@@ -0,0 +1,32 @@
+import { JobIdempotencyService } from '../../src/services/job-idempotency';
+
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+describe('JobIdempotencyService', () => {
+  const idempotency = JobIdempotencyService.getInstance();
+
+  it('should derive the same key for both delegation paths', () => {
+    expect(idempotency.resolveKey(12345, 2)).toBe('github-job-12345-2');
+    expect(idempotency.resolveKey(12345)).toBe('github-job-12345-1');
+    expect(idempotency.resolveKey(12345, 1, 'client-key')).toBe('client-key');
+  });
+
+  it('should reject keys BullMQ cannot use as job ids', () => {
+    expect(idempotency.isValidKey('github-job-12345-1')).toBe(true);
+    expect(idempotency.isValidKey('0042')).toBe(true);
+
+    expect(idempotency.isValidKey('42')).toBe(false);
+    expect(idempotency.isValidKey('-7')).toBe(false);
+    expect(idempotency.isValidKey('has space')).toBe(false);
+    expect(idempotency.isValidKey('')).toBe(false);
+    expect(idempotency.isValidKey('x'.repeat(256))).toBe(false);
+  });
+});
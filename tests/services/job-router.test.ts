@@ -288,6 +288,76 @@ describe('JobRouter', () => {
     });
   });
 
+  describe('runner group targets', () => {
+    const job: DelegatedJob = {
+      id: 'job-456',
+      githubJobId: 456,
+      jobId: 'job-id-456',
+      repository: 'acme/api',
+      workflow: 'build',
+      runnerName: 'build-runner',
+      runId: '1',
+      status: JobStatus.PENDING,
+      labels: ['gpu']
+    };
+
+    beforeEach(async () => {
+      (database.query as jest.Mock).mockResolvedValue([
+        {
+          id: 'rule-group',
+          name: 'Shared GPU Group',
+          priority: 100,
+          conditions: { labels: ['gpu'] },
+          targets: { runnerLabels: [], runnerGroup: 'gpu' },
+          enabled: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        },
+        {
+          id: 'rule-pool',
+          name: 'GPU Pool',
+          priority: 50,
+          conditions: { labels: ['gpu'] },
+          targets: { runnerLabels: [], poolOverride: 'gpu-pool' },
+          enabled: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      ]);
+
+      await jobRouter.initialize();
+
+      (runnerPoolManager.getOrCreatePool as jest.Mock).mockResolvedValue({});
+      (runnerPoolManager.getActiveRunners as jest.Mock).mockResolvedValue([]);
+    });
+
+    it('should route to the pool of a runner group visible to the repository', async () => {
+      (runnerPoolManager.findGroupPool as jest.Mock).mockResolvedValue({
+        repository: 'organization:acme/gpu',
+        scope: 'organization',
+        owner: 'acme',
+        runnerGroup: 'gpu'
+      });
+
+      const decision = await jobRouter.routeJob(job);
+
+      expect(decision.matchedRule?.id).toBe('rule-group');
+      expect(decision.poolName).toBe('organization:acme/gpu');
+      expect(runnerPoolManager.findGroupPool).toHaveBeenCalledWith('gpu', 'acme/api');
+      expect(runnerPoolManager.getOrCreatePool).not.toHaveBeenCalled();
+      expect(runnerPoolManager.getActiveRunners).toHaveBeenCalledWith('organization:acme/gpu');
+    });
+
+    it('should skip rules whose runner group is not visible to the repository', async () => {
+      (runnerPoolManager.findGroupPool as jest.Mock).mockResolvedValue(null);
+
+      const decision = await jobRouter.routeJob(job);
+
+      expect(decision.matchedRule?.id).toBe('rule-pool');
+      expect(decision.poolName).toBe('gpu-pool');
+    });
+  });
+
   describe('CRUD operations', () => {
     it('should create a new routing rule', async () => {
       const newRule = {
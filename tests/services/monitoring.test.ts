@@ -231,6 +231,32 @@ describe('MonitoringService', () => {
       expect(metrics).toContain('github_runnerhub_runners_total 5');
       expect(metrics).toContain('github_runnerhub_pool_utilization{repository="owner/repo"} 0.75');
     });
+
+    it('should count JIT config fallbacks per repository', async () => {
+      (database.query as jest.Mock).mockResolvedValue([{}]);
+      (runnerPoolManager.getAllPools as jest.Mock).mockResolvedValue([]);
+
+      monitoringService.recordJitFallback('owner/repo');
+      monitoringService.recordJitFallback('owner/repo');
+
+      const metrics = await monitoringService.getPrometheusMetrics();
+
+      expect(metrics).toContain('# TYPE github_runnerhub_jit_config_fallbacks_total counter');
+      expect(metrics).toContain('github_runnerhub_jit_config_fallbacks_total{repository="owner/repo"} 2');
+    });
+
+    it('should count missed webhook deliveries per source', async () => {
+      (database.query as jest.Mock).mockResolvedValue([{}]);
+      (runnerPoolManager.getAllPools as jest.Mock).mockResolvedValue([]);
+
+      monitoringService.recordMissedWebhookDeliveries('app', 2);
+      monitoringService.recordMissedWebhookDeliveries('app', 1);
+
+      const metrics = await monitoringService.getPrometheusMetrics();
+
+      expect(metrics).toContain('# TYPE github_runnerhub_webhook_deliveries_missed_total counter');
+      expect(metrics).toContain('github_runnerhub_webhook_deliveries_missed_total{source="app"} 3');
+    });
   });
 
   describe('Event recording', () => {
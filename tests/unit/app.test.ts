@@ -0,0 +1,51 @@
+import request from 'supertest';
+import RedisMock from 'ioredis-mock';
+
+// Load the whole application without Redis or Postgres
+jest.mock('../../src/services/redis-connection', () => ({
+  ...jest.requireActual('../../src/services/redis-connection'),
+  createRedisConnection: jest.fn(() => new RedisMock()),
+  createBullMQConnection: jest.fn(() => new RedisMock()),
+  createQueueEventsConnection: jest.fn(() => new RedisMock()),
+  createGeneralConnection: jest.fn(() => new RedisMock())
+}));
+jest.mock('../../src/services/database', () => ({
+  __esModule: true,
+  default: { query: jest.fn().mockResolvedValue([]) }
+}));
+// The queue routes depend on services missing from this tree
+jest.mock('../../src/routes/queue-routes', () => ({
+  __esModule: true,
+  default: jest.requireActual('express').Router()
+}));
+
+describe('App', () => {
+  it('should load every route module and serve requests', async () => {
+    const { App } = await import('../../src/app');
+    const app = new App();
+
+    const response = await request(app.getApp()).get('/api');
+
+    expect(response.status).toBe(200);
+    expect(response.body.endpoints).toMatchObject({ jobs: '/api/jobs', runners: '/api/runners' });
+  });
+
+  it('should mount the job container hook routes in every app', async () => {
+    const { App } = await import('../../src/app');
+    const { App: AppWithQueues } = await import('../../src/app-with-queues');
+    const { AppEnhanced } = await import('../../src/app-enhanced');
+    const apps = [new App(), new AppWithQueues({} as any, undefined as any), new AppEnhanced()];
+
+    for (const app of apps) {
+      const response = await request(app.getApp()).post('/api/job-containers/job-1/steps').send({});
+
+      // The hook token is checked, so the route exists
+      expect(response.status).toBe(401);
+    }
+  });
+
+  it('should load the entry points depending on the status reporter', async () => {
+    await expect(import('../../src/orchestrator/status-reporter')).resolves.toHaveProperty('StatusReporter');
+    await expect(import('../../src/routes/jobs')).resolves.toHaveProperty('default');
+  });
+});
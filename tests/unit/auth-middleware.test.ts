@@ -1,5 +1,12 @@
 import jwt from 'jsonwebtoken';
 import { AuthMiddleware } from '../../src/middleware/auth';
+import database from '../../src/services/database';
+
+// No stored roles or policies, so the built-in roles decide
+jest.mock('../../src/services/database', () => ({
+  __esModule: true,
+  default: { query: jest.fn().mockResolvedValue([]) }
+}));
 
 describe('AuthMiddleware', () => {
   let authMiddleware: AuthMiddleware;
@@ -247,4 +254,114 @@ describe('AuthMiddleware', () => {
       expect(decoded.permissions).not.toContain('jobs:write');
     });
   });
-});
\ No newline at end of file
+
+  describe('API Token Scopes', () => {
+    const createResponse = () => ({
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    });
+
+    const tokenUser = (permissions: string[], repositories: string[] | null = null) => ({
+      sub: 'service:token-1',
+      username: 'ci-bot',
+      role: 'viewer' as const,
+      permissions,
+      iat: 0,
+      exp: 0,
+      iss: 'github-runnerhub',
+      aud: 'github-runnerhub-api',
+      tokenId: 'token-1',
+      repositories
+    });
+
+    it('should require the scope from API tokens', async () => {
+      const middleware = authMiddleware.requirePermission('jobs:delegate');
+      const next = jest.fn();
+      const res = createResponse();
+
+      await middleware({ user: tokenUser(['jobs:delegate']) } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await middleware({ user: tokenUser(['audit:read']) } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should restrict API tokens to their repositories', async () => {
+      const middleware = authMiddleware.requirePermission('runners:scale', req => req.params.repository);
+      const next = jest.fn();
+      const res = createResponse();
+      const user = tokenUser(['runners:scale'], ['acme/app']);
+
+      await middleware({ user, params: { repository: 'Acme/App' } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await middleware({ user, params: { repository: 'acme/other' } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should wait for the repository of a request to be looked up', async () => {
+      const middleware = authMiddleware.requirePermission('runners:delete', async req => req.params.id === 'runner-1' ? 'acme/app' : undefined);
+      const next = jest.fn();
+      const res = createResponse();
+      const user = tokenUser(['runners:delete'], ['acme/app']);
+
+      await middleware({ user, params: { id: 'runner-1' } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await middleware({ user, params: { id: 'runner-2' } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+
+      const failing = authMiddleware.requirePermission('runners:delete', () => Promise.reject(new Error('connection lost')));
+      await failing({ user, params: { id: 'runner-1' } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should grant scopes to sessions through their role or the matching permission', async () => {
+      const session = { sub: 'op123', username: 'operator', role: 'operator' as const, permissions: ['jobs:write', 'system:read'] };
+
+      expect(await authMiddleware.hasPermission(session as any, 'jobs:delegate')).toBe(true);
+      expect(await authMiddleware.hasPermission(session as any, 'audit:read')).toBe(true);
+      expect(await authMiddleware.hasPermission(session as any, 'cache:clear')).toBe(false);
+      // Admin sessions hold every permission, admin-owned tokens only their scopes
+      expect(await authMiddleware.hasPermission({ ...session, sub: 'admin123', role: 'admin' } as any, 'cache:clear')).toBe(true);
+      expect(await authMiddleware.hasPermission({ ...tokenUser(['jobs:delegate']), role: 'admin' } as any, 'cache:clear')).toBe(false);
+    });
+
+    it('should identify API tokens without a database lookup once authentication verified them', async () => {
+      const query = database.query as jest.Mock;
+      const request = () => ({ headers: { authorization: 'Bearer rh_identify' }, path: '/api/jobs' }) as any;
+      const lookups = () => query.mock.calls.filter(([sql]) => sql.includes('token_hash = $1'));
+
+      expect(await authMiddleware.identify(request())).toBeNull();
+      expect(lookups()).toHaveLength(0);
+
+      query.mockResolvedValueOnce([{
+        id: 'token-2', name: 'ci-bot', scopes: ['audit:read'], repositories: null,
+        createdAt: new Date(), expiresAt: new Date(Date.now() + 3600000)
+      }]);
+      const next = jest.fn();
+      await authMiddleware.authenticate()(request(), createResponse() as any, next);
+      expect(next).toHaveBeenCalled();
+
+      expect(await authMiddleware.identify(request())).toMatchObject({ tokenId: 'token-2', role: 'viewer' });
+      expect(lookups()).toHaveLength(1);
+    });
+
+    it('should authorize roles through the role hierarchy', async () => {
+      const middleware = authMiddleware.authorize('viewer');
+      const next = jest.fn();
+      const res = createResponse();
+
+      await middleware({ user: { sub: 'op123', username: 'operator', role: 'operator', permissions: [] } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await authMiddleware.authorize('admin')({ user: { sub: 'op123', username: 'operator', role: 'operator', permissions: [] } } as any, res as any, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
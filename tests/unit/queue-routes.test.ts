@@ -0,0 +1,132 @@
+import express from 'express';
+import request from 'supertest';
+import authMiddleware from '../../src/middleware/auth';
+import queueRoutes from '../../src/routes/queue-routes';
+
+jest.mock('../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../src/queues/job-router', () => ({
+  JobRouter: { getInstance: jest.fn() }
+}));
+jest.mock('../../src/queues/retry-handler', () => ({
+  RetryHandler: { getInstance: jest.fn() }
+}));
+jest.mock('../../src/queues/job-persistence', () => ({
+  JobPersistence: { getInstance: jest.fn() }
+}));
+jest.mock('../../src/queues/workflow-flows', () => ({
+  WorkflowFlows: { getInstance: jest.fn() }
+}));
+jest.mock('../../src/queues/dead-letter-queue', () => ({
+  DeadLetterQueue: { getInstance: jest.fn(() => mockDeadLetterQueue) }
+}));
+jest.mock('../../src/queues/schedule-registry', () => ({
+  ScheduleRegistry: { getInstance: jest.fn(() => mockScheduleRegistry) }
+}));
+// No stored roles or policies, so the built-in roles decide
+jest.mock('../../src/services/database', () => ({
+  __esModule: true,
+  default: { query: jest.fn().mockResolvedValue([]) }
+}));
+
+const mockDeadLetterQueue = {
+  list: jest.fn(),
+  requeue: jest.fn(),
+  updatePayload: jest.fn(),
+  replay: jest.fn()
+};
+const mockScheduleRegistry = {
+  list: jest.fn(),
+  isLeader: jest.fn(),
+  update: jest.fn()
+};
+
+describe('queue routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/queues', queueRoutes);
+
+  const tokenFor = (role: 'admin' | 'operator' | 'viewer') => `Bearer ${authMiddleware.generateToken({
+    sub: `${role}-1`,
+    username: role,
+    role,
+    permissions: []
+  })}`;
+
+  beforeAll(() => {
+    (authMiddleware as any).jwtSecret = 'test-secret-key-for-jwt-testing';
+    (authMiddleware as any).initialized = true;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDeadLetterQueue.list.mockResolvedValue({ total: 0, jobs: [] });
+    mockDeadLetterQueue.requeue.mockResolvedValue({ requeued: ['dlq-1'], failed: [] });
+    mockDeadLetterQueue.replay.mockResolvedValue({ id: 'job-2', name: 'execute_workflow', data: {} });
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app).get('/api/queues/dead-letter');
+
+    expect(response.status).toBe(401);
+    expect(mockDeadLetterQueue.list).not.toHaveBeenCalled();
+  });
+
+  it('should let viewers list dead-lettered jobs but not requeue or replay them', async () => {
+    const list = await request(app).get('/api/queues/dead-letter').set('Authorization', tokenFor('viewer'));
+    expect(list.status).toBe(200);
+
+    const requeue = await request(app)
+      .post('/api/queues/dead-letter/requeue')
+      .set('Authorization', tokenFor('viewer'))
+      .send({ ids: ['dlq-1'] });
+    const edit = await request(app)
+      .patch('/api/queues/dead-letter/dlq-1')
+      .set('Authorization', tokenFor('viewer'))
+      .send({ data: {} });
+    const replay = await request(app).post('/api/queues/dead-letter/dlq-1/replay').set('Authorization', tokenFor('viewer'));
+
+    expect([requeue.status, edit.status, replay.status]).toEqual([403, 403, 403]);
+    expect(mockDeadLetterQueue.requeue).not.toHaveBeenCalled();
+    expect(mockDeadLetterQueue.updatePayload).not.toHaveBeenCalled();
+    expect(mockDeadLetterQueue.replay).not.toHaveBeenCalled();
+  });
+
+  it('should let operators requeue and replay dead-lettered jobs as themselves', async () => {
+    const requeue = await request(app)
+      .post('/api/queues/dead-letter/requeue')
+      .set('Authorization', tokenFor('operator'))
+      .send({ ids: ['dlq-1'] });
+    const replay = await request(app).post('/api/queues/dead-letter/dlq-1/replay').set('Authorization', tokenFor('operator'));
+
+    expect(requeue.status).toBe(200);
+    expect(replay.status).toBe(200);
+    expect(mockDeadLetterQueue.requeue).toHaveBeenCalledWith(
+      { ids: ['dlq-1'], type: undefined, error: undefined },
+      { userId: 'operator-1', username: 'operator' }
+    );
+  });
+
+  it('should let only admins change schedules', async () => {
+    mockScheduleRegistry.list.mockResolvedValue([]);
+    mockScheduleRegistry.update.mockResolvedValue({ id: 'cleanup-logs', cron: '0 * * * *' });
+
+    const list = await request(app).get('/api/queues/schedules').set('Authorization', tokenFor('operator'));
+    expect(list.status).toBe(200);
+
+    const denied = await request(app)
+      .patch('/api/queues/schedules/cleanup-logs')
+      .set('Authorization', tokenFor('operator'))
+      .send({ cron: '* * * * *' });
+    expect(denied.status).toBe(403);
+    expect(mockScheduleRegistry.update).not.toHaveBeenCalled();
+
+    const allowed = await request(app)
+      .patch('/api/queues/schedules/cleanup-logs')
+      .set('Authorization', tokenFor('admin'))
+      .send({ cron: '0 * * * *' });
+    expect(allowed.status).toBe(200);
+    expect(mockScheduleRegistry.update).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+import Docker from 'dockerode';
+import RedisMock from 'ioredis-mock';
+import { ConcurrencyManager } from '../../../src/queues/concurrency-manager';
+import { QueueManager } from '../../../src/queues/queue-manager';
+
+jest.mock('dockerode');
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/services/github-api-enhanced', () => ({
+  getGitHubAPIClient: jest.fn()
+}));
+jest.mock('../../../src/services/redis-connection', () => ({
+  createRedisConnection: jest.fn()
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const repository = { full_name: 'org/repo', owner: { login: 'org' } };
+
+const workflow = (cancelInProgress: boolean) => `
+name: CI
+on: push
+concurrency:
+  group: ci-\${{ github.ref }}
+  cancel-in-progress: ${cancelInProgress}
+jobs:
+  deploy:
+    name: Deploy
+    runs-on: self-hosted
+    concurrency: production
+    steps:
+      - run: ./deploy.sh
+  test:
+    runs-on: self-hosted
+    strategy:
+      matrix:
+        node: [18, 20]
+    concurrency: test-\${{ matrix.node }}
+    steps:
+      - run: npm test
+`;
+
+const run = (id: number) => ({ id, name: 'CI', event: 'push', head_branch: 'main', head_sha: 'abc' });
+
+describe('ConcurrencyManager', () => {
+  let manager: ConcurrencyManager;
+  let mockContainer: any;
+  let mockDocker: any;
+  let queuedJobs: any[];
+  let redis: any;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+
+    mockContainer = {
+      kill: jest.fn().mockResolvedValue(undefined),
+      wait: jest.fn().mockResolvedValue({ StatusCode: 143 })
+    };
+    mockDocker = {
+      getContainer: jest.fn().mockReturnValue(mockContainer),
+      listContainers: jest.fn().mockResolvedValue([])
+    };
+    (Docker as jest.MockedClass<typeof Docker>).mockImplementation(() => mockDocker);
+
+    queuedJobs = [
+      { data: { type: 'execute-workflow', data: { runId: 1, jobId: 11 } }, remove: jest.fn() },
+      { data: { type: 'execute-workflow', data: { runId: 2, jobId: 21 } }, remove: jest.fn() }
+    ];
+    const queue = { getJobs: jest.fn().mockResolvedValue(queuedJobs) };
+    (QueueManager.getInstance as jest.Mock).mockReturnValue({ getQueue: jest.fn().mockReturnValue(queue) });
+
+    redis = new RedisMock();
+    await redis.flushall();
+
+    (ConcurrencyManager as any).instance = undefined;
+    manager = ConcurrencyManager.getInstance(redis);
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+  });
+
+  it('should cancel the running run when a newer run enters with cancel-in-progress', async () => {
+    await manager.registerWorkflow(run(1), repository, workflow(true));
+    manager.registerExecution('container-1', 1, 11);
+
+    await manager.registerWorkflow(run(2), repository, workflow(true));
+
+    expect(queuedJobs[0].remove).toHaveBeenCalled();
+    expect(queuedJobs[1].remove).not.toHaveBeenCalled();
+    expect(mockDocker.listContainers).toHaveBeenCalledWith({ filters: { label: ['runnerhub.run=1'] } });
+    expect(mockContainer.kill).toHaveBeenCalledWith({ signal: 'SIGTERM' });
+    expect(mockContainer.kill).not.toHaveBeenCalledWith({ signal: 'SIGKILL' });
+
+    expect(await manager.isCancelled(1)).toBe(true);
+    expect(await manager.isCancelled(2)).toBe(false);
+    expect((await manager.getGroup('ci-refs/heads/main', 'org/repo'))?.running?.runId).toBe(2);
+  });
+
+  it('should keep one pending run without cancel-in-progress', async () => {
+    await manager.registerWorkflow(run(1), repository, workflow(false));
+    await manager.registerWorkflow(run(2), repository, workflow(false));
+
+    expect(await manager.isCancelled(1)).toBe(false);
+    expect((await manager.getGroup('ci-refs/heads/main', 'org/repo'))?.pending?.runId).toBe(2);
+
+    await manager.registerWorkflow(run(3), repository, workflow(false));
+    expect(await manager.isCancelled(2)).toBe(true);
+
+    await manager.releaseRun(1);
+    expect(await manager.getGroup('ci-refs/heads/main', 'org/repo')).toEqual({ running: expect.objectContaining({ runId: 3 }), pending: undefined });
+  });
+
+  it('should send SIGKILL when a container ignores SIGTERM', async () => {
+    jest.useFakeTimers();
+    mockContainer.wait.mockReturnValue(new Promise(() => undefined));
+    manager.registerExecution('container-1', 1, 11);
+
+    const cancelled = manager.cancelRun(1, 'workflow run cancelled');
+    await jest.advanceTimersByTimeAsync(10000);
+    await cancelled;
+
+    expect(mockContainer.kill).toHaveBeenNthCalledWith(1, { signal: 'SIGTERM' });
+    expect(mockContainer.kill).toHaveBeenNthCalledWith(2, { signal: 'SIGKILL' });
+  });
+
+  it('should cancel only the job holding a job-level group', async () => {
+    await manager.registerWorkflow(run(1), repository, workflow(false));
+    await manager.registerWorkflow(run(2), repository, workflow(false));
+
+    await manager.enterJobGroup(1, 'Deploy', 11);
+    await manager.enterJobGroup(2, 'Deploy', 21);
+    expect((await manager.getGroup('production', 'org/repo'))?.pending?.jobId).toBe(21);
+
+    // Groups depending on the matrix cannot be resolved ahead of time
+    await manager.enterJobGroup(1, 'test (18)', 12);
+    expect(await manager.getGroup('test-${{ matrix.node }}', 'org/repo')).toBeUndefined();
+
+    await manager.releaseJob(1, 11);
+    expect((await manager.getGroup('production', 'org/repo'))?.running?.jobId).toBe(21);
+  });
+
+  it('should hold back pending runs and jobs until they take over the group', async () => {
+    await manager.registerWorkflow(run(1), repository, workflow(false));
+    await manager.registerWorkflow(run(2), repository, workflow(false));
+
+    expect(await manager.mayRun(1, 11)).toBe(true);
+    expect(await manager.mayRun(2, 21)).toBe(false);
+
+    await manager.releaseRun(1);
+    expect(await manager.mayRun(2, 21)).toBe(true);
+
+    await manager.registerWorkflow(run(3), repository, workflow(true));
+    await manager.enterJobGroup(3, 'Deploy', 31);
+    await manager.enterJobGroup(3, 'Deploy', 32);
+    expect(await manager.mayRun(3, 31)).toBe(true);
+    expect(await manager.mayRun(3, 32)).toBe(false);
+  });
+
+  it('should share groups between nodes and stop containers cancelled elsewhere', async () => {
+    const otherNode = new (ConcurrencyManager as any)(redis) as ConcurrencyManager;
+    (otherNode as any).nodeId = 'other-node';
+    await manager.start();
+    manager.registerExecution('container-1', 1, 11);
+
+    await manager.registerWorkflow(run(1), repository, workflow(true));
+    await otherNode.registerWorkflow(run(2), repository, workflow(true));
+
+    expect(await manager.isCancelled(1)).toBe(true);
+    expect((await manager.getGroup('ci-refs/heads/main', 'org/repo'))?.running?.runId).toBe(2);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(mockDocker.getContainer).toHaveBeenCalledWith('container-1');
+    expect(mockContainer.kill).toHaveBeenCalledWith({ signal: 'SIGTERM' });
+  });
+});
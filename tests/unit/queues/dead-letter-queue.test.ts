@@ -0,0 +1,202 @@
+import { DeadLetterQueue } from '../../../src/queues/dead-letter-queue';
+import { QueueManager } from '../../../src/queues/queue-manager';
+import { WorkflowFlows } from '../../../src/queues/workflow-flows';
+import { JobType } from '../../../src/queues/config/redis-config';
+import auditLogger, { AuditEventType } from '../../../src/services/audit-logger';
+
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/queues/workflow-flows', () => ({
+  WorkflowFlows: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/services/audit-logger', () => ({
+  __esModule: true,
+  default: { logJobOperation: jest.fn() },
+  AuditEventType: {
+    JOB_DEAD_LETTERED: 'job.dead_lettered',
+    JOB_PAYLOAD_UPDATED: 'job.payload_updated',
+    JOB_REPLAYED: 'job.replayed'
+  }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const deadLetter = (id: string, name: JobType, failedReason: string, timestamp: number) => ({
+  id,
+  name,
+  timestamp,
+  data: {
+    queue: 'job-execution',
+    jobId: id.split('-').pop(),
+    data: { type: name, data: { repository: 'org/repo' } },
+    priority: 2,
+    failedReason,
+    failures: [],
+    deadLetteredAt: new Date(timestamp).toISOString()
+  },
+  remove: jest.fn(),
+  updateData: jest.fn()
+});
+
+describe('DeadLetterQueue', () => {
+  let dlq: DeadLetterQueue;
+  let deadLetterQueue: any;
+  let queueManager: any;
+  let entries: any[];
+  let workflowFlows: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    entries = [
+      deadLetter('job-execution-1', JobType.EXECUTE_WORKFLOW, 'AUTHENTICATION_FAILED', 1000),
+      deadLetter('job-execution-2', JobType.PREPARE_RUNNER, 'DISK_SPACE_ERROR', 2000),
+      deadLetter('job-execution-3', JobType.EXECUTE_WORKFLOW, 'Max attempts (3) reached', 3000)
+    ];
+    deadLetterQueue = {
+      add: jest.fn(async (name: string, data: any, opts: any) => ({ id: opts.jobId, name, data })),
+      // Dead-lettered jobs wait in the list, newest first
+      getJobs: jest.fn(async ([state]: string[], start: number, end: number) =>
+        state === 'waiting' ? [...entries].reverse().slice(start, end + 1) : []),
+      getJobCounts: jest.fn(async () => ({ waiting: entries.length, paused: 0, delayed: 0 })),
+      getJob: jest.fn(async (id: string) => entries.find(entry => entry.id === id))
+    };
+    queueManager = {
+      getQueue: jest.fn().mockReturnValue(deadLetterQueue),
+      addJob: jest.fn(async (queue: string) => ({ id: 'new-job', queueName: queue }))
+    };
+    (QueueManager.getInstance as jest.Mock).mockReturnValue(queueManager);
+    workflowFlows = { replayStage: jest.fn(async (stageId: string) => ({ id: `${stageId}-replay` })) };
+    (WorkflowFlows.getInstance as jest.Mock).mockReturnValue(workflowFlows);
+
+    (DeadLetterQueue as any).instance = undefined;
+    dlq = DeadLetterQueue.getInstance();
+  });
+
+  it('should move an exhausted job with its failure history', async () => {
+    const job: any = {
+      id: '42',
+      name: JobType.EXECUTE_WORKFLOW,
+      queueName: 'job-execution',
+      data: { type: JobType.EXECUTE_WORKFLOW, data: { repository: 'org/repo' } },
+      opts: { priority: 1 },
+      attemptsMade: 2,
+      stacktrace: ['Error: NETWORK_TIMEOUT\n    at run', 'Error: AUTHENTICATION_FAILED\n    at run'],
+      remove: jest.fn()
+    };
+
+    await dlq.add(job, new Error('AUTHENTICATION_FAILED'));
+
+    expect(queueManager.getQueue).toHaveBeenCalledWith('dead-letter');
+    const [name, entry, opts] = deadLetterQueue.add.mock.calls[0];
+    expect(name).toBe(JobType.EXECUTE_WORKFLOW);
+    expect(opts.jobId).toBe('job-execution-42');
+    expect(entry).toMatchObject({
+      queue: 'job-execution',
+      jobId: '42',
+      priority: 1,
+      failedReason: 'AUTHENTICATION_FAILED',
+      data: job.data
+    });
+    expect(entry.failures.map((failure: any) => failure.error)).toEqual(['NETWORK_TIMEOUT', 'AUTHENTICATION_FAILED']);
+    expect(job.remove).toHaveBeenCalled();
+    expect(auditLogger.logJobOperation).toHaveBeenCalledWith(
+      AuditEventType.JOB_DEAD_LETTERED, '42', 'org/repo', undefined, undefined,
+      expect.objectContaining({ deadLetterId: 'job-execution-42', attempts: 2 })
+    );
+  });
+
+  it('should replay a dead-lettered EXECUTE_WORKFLOW stage through its flow', async () => {
+    const flow = { runId: 42, jobKey: 'deploy' };
+    const stage: any = {
+      id: 'workflow-run/42/1/deploy/execute',
+      name: JobType.EXECUTE_WORKFLOW,
+      queueName: 'job-execution',
+      parentKey: 'bull:job-execution:workflow-run/42/1/deploy/cleanup',
+      data: { type: JobType.EXECUTE_WORKFLOW, data: { runId: 42, repository: 'org/repo' }, flow },
+      opts: { priority: 1 },
+      attemptsMade: 3,
+      stacktrace: [],
+      remove: jest.fn()
+    };
+
+    await dlq.add(stage, new Error('NETWORK_TIMEOUT'));
+
+    // Left in its flow so the run's tree stays intact
+    expect(stage.remove).not.toHaveBeenCalled();
+    const [, entry, opts] = deadLetterQueue.add.mock.calls[0];
+    const deadLettered = { ...deadLetter(opts.jobId, JobType.EXECUTE_WORKFLOW, 'NETWORK_TIMEOUT', 4000), data: entry };
+    entries.push(deadLettered);
+
+    const replayed = await dlq.replay(opts.jobId);
+
+    expect(workflowFlows.replayStage).toHaveBeenCalledWith('workflow-run/42/1/deploy/execute', stage.data);
+    expect(queueManager.addJob).not.toHaveBeenCalled();
+    expect(deadLettered.remove).toHaveBeenCalled();
+    expect(replayed?.id).toBe('workflow-run/42/1/deploy/execute-replay');
+  });
+
+  it('should filter by job type and error, newest first', async () => {
+    const byType = await dlq.list({ type: JobType.EXECUTE_WORKFLOW });
+    expect(byType.jobs.map(job => job.id)).toEqual(['job-execution-3', 'job-execution-1']);
+
+    const byError = await dlq.list({ error: 'disk_space' });
+    expect(byError.total).toBe(1);
+    expect(byError.jobs[0].id).toBe('job-execution-2');
+  });
+
+  it('should read only the requested page from Redis', async () => {
+    const page = await dlq.list({ offset: 1, limit: 1 });
+
+    expect(page.total).toBe(3);
+    expect(page.jobs.map(job => job.id)).toEqual(['job-execution-2']);
+    expect(deadLetterQueue.getJobs).toHaveBeenCalledTimes(1);
+    expect(deadLetterQueue.getJobs).toHaveBeenCalledWith(['waiting'], 1, 1);
+
+    const filtered = await dlq.list({ type: JobType.EXECUTE_WORKFLOW, offset: 1, limit: 5 });
+    expect(filtered).toEqual({ total: 2, jobs: [entries[0]] });
+    expect(deadLetterQueue.getJobs).toHaveBeenCalledWith(['waiting'], 0, 499);
+  });
+
+  it('should replay an edited payload on the original queue', async () => {
+    const payload = { type: JobType.EXECUTE_WORKFLOW, data: { repository: 'org/other' } };
+    await dlq.updatePayload('job-execution-1', payload, { userId: 'u1', username: 'admin' });
+
+    expect(entries[0].updateData).toHaveBeenCalledWith(expect.objectContaining({ data: payload, updatedBy: 'admin' }));
+    expect(auditLogger.logJobOperation).toHaveBeenCalledWith(
+      AuditEventType.JOB_PAYLOAD_UPDATED, '1', 'org/repo', 'u1', 'admin', expect.any(Object)
+    );
+
+    entries[0].data.data = payload;
+    const replayed = await dlq.replay('job-execution-1', { userId: 'u1', username: 'admin' });
+
+    expect(queueManager.addJob).toHaveBeenCalledWith('job-execution', JobType.EXECUTE_WORKFLOW, payload, { priority: 2 });
+    expect(entries[0].remove).toHaveBeenCalled();
+    expect(replayed?.id).toBe('new-job');
+    expect(await dlq.replay('missing')).toBeUndefined();
+  });
+
+  it('should bulk requeue matching jobs and report failures', async () => {
+    entries[2].data.queue = 'removed-queue';
+    queueManager.addJob.mockImplementation(async (queue: string) => {
+      if (queue === 'removed-queue') {
+        throw new Error('Queue removed-queue not found');
+      }
+      return { id: 'new-job', queueName: queue };
+    });
+
+    const result = await dlq.requeue({ type: JobType.EXECUTE_WORKFLOW });
+
+    expect(result.requeued).toEqual([{ id: 'job-execution-1', jobId: 'new-job' }]);
+    expect(result.failed).toEqual([{ id: 'job-execution-3', error: 'Queue removed-queue not found' }]);
+    expect(entries[2].remove).not.toHaveBeenCalled();
+    expect(entries[1].remove).not.toHaveBeenCalled();
+  });
+});
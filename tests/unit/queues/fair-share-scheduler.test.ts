@@ -0,0 +1,200 @@
+import RedisMock from 'ioredis-mock';
+import { FairShareScheduler } from '../../../src/queues/fair-share-scheduler';
+import { FairShareCalculator } from '../../../src/job-distribution/resource-scheduler';
+import { QUEUE_CONFIG } from '../../../src/queues/config/redis-config';
+
+jest.mock('../../../src/job-distribution/job-router', () => ({
+  JobPriority: { CRITICAL: 0, HIGH: 1, NORMAL: 2, LOW: 3 }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+jest.mock('../../../src/services/redis-connection', () => ({
+  createRedisConnection: jest.fn()
+}));
+
+const config = {
+  enabled: true,
+  capacity: 4,
+  retryDelay: 1000,
+  leaseTtl: 30000,
+  activeWindow: 60000,
+  organization: { weight: 1, maxConcurrency: 0, burst: 0 },
+  repository: { weight: 1, maxConcurrency: 0, burst: 0 },
+  tenants: {}
+};
+
+describe('FairShareScheduler', () => {
+  let scheduler: FairShareScheduler;
+  let redis: any;
+  let held: Map<string, string[]>;
+  let nextJobId: number;
+
+  // Claims a slot for a new job, released again first in first out
+  const acquire = async (node: FairShareScheduler, repository: string): Promise<boolean> => {
+    const jobId = `job-${++nextJobId}`;
+    const acquired = await node.tryAcquire(repository, jobId);
+    if (acquired) {
+      held.set(repository, [...(held.get(repository) || []), jobId]);
+    }
+    return acquired;
+  };
+  const release = (node: FairShareScheduler, repository: string) => node.release(repository, held.get(repository)!.shift()!);
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    redis = new RedisMock();
+    await redis.flushall();
+    held = new Map();
+    nextJobId = 0;
+
+    (FairShareScheduler as any).instance = undefined;
+    scheduler = FairShareScheduler.getInstance({ ...config, tenants: {} }, redis);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('should split shares by weight', () => {
+    const shares = new FairShareCalculator().calculateWeightedShares(new Map([['a', 3], ['b', 1]]));
+
+    expect(shares.get('a')).toBe(0.75);
+    expect(shares.get('b')).toBe(0.25);
+  });
+
+  it('should interleave a newer repository with an existing backlog', async () => {
+    const monorepo: number[] = [];
+    for (let i = 0; i < 5; i++) {
+      monorepo.push(await scheduler.enqueue('big/monorepo'));
+    }
+    const other = await scheduler.enqueue('team/service');
+
+    expect(other).toBeLessThan(monorepo[2]);
+    expect(Math.max(...monorepo)).toBeLessThan(await scheduler.enqueue('big/monorepo', QUEUE_CONFIG.priorities.LOW));
+    expect(await scheduler.enqueue('team/service', QUEUE_CONFIG.priorities.CRITICAL)).toBeLessThan(monorepo[0]);
+  });
+
+  it('should keep the priority class when a job is enqueued again', async () => {
+    const priority = await scheduler.enqueue('org/repo', QUEUE_CONFIG.priorities.HIGH);
+    const requeued = await scheduler.enqueue('org/repo', priority);
+
+    expect(requeued).toBeGreaterThan(priority);
+    expect(requeued).toBeLessThan(await scheduler.enqueue('org/repo', QUEUE_CONFIG.priorities.NORMAL));
+  });
+
+  it('should hold back a repository over its fair share', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    }
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+
+    // A second organization takes half of the capacity once slots free up
+    expect(await acquire(scheduler, 'team/service')).toBe(true);
+    await release(scheduler, 'big/monorepo');
+    await release(scheduler, 'big/monorepo');
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+    expect(await acquire(scheduler, 'team/service')).toBe(true);
+    expect((await scheduler.getStats())['big/monorepo']).toEqual({ running: 2, share: 0.5, limit: 2 });
+  });
+
+  it('should apply burst allowance and per-tenant caps', async () => {
+    scheduler.configureTenant('big', { burst: 2 });
+    scheduler.configureTenant('big/monorepo', { maxConcurrency: 5, burst: 2 });
+    await scheduler.enqueue('team/service');
+
+    // Half of 4 slots plus a burst of 2
+    for (let i = 0; i < 4; i++) {
+      expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    }
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+
+    scheduler.configureTenant('big/monorepo', { maxConcurrency: 1 });
+    await release(scheduler, 'big/monorepo');
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+  });
+
+  it('should only grant the burst allowance while slots are idle', async () => {
+    scheduler.configureTenant('big', { burst: 2 });
+    scheduler.configureTenant('big/monorepo', { burst: 2 });
+    await scheduler.enqueue('big/monorepo');
+
+    // The other organization fills its half, leaving no spare capacity
+    expect(await acquire(scheduler, 'team/service')).toBe(true);
+    expect(await acquire(scheduler, 'team/service')).toBe(true);
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+
+    await release(scheduler, 'team/service');
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+  });
+
+  it('should share running jobs and finish tags between nodes', async () => {
+    const otherNode = new (FairShareScheduler as any)({ ...config, tenants: {} }, redis) as FairShareScheduler;
+
+    for (let i = 0; i < 2; i++) {
+      expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+      expect(await acquire(otherNode, 'big/monorepo')).toBe(true);
+    }
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+    expect(await acquire(otherNode, 'big/monorepo')).toBe(false);
+
+    const first = await scheduler.enqueue('org/repo');
+    expect(await otherNode.enqueue('org/repo')).toBeGreaterThan(first);
+  });
+
+  it('should not limit dispatch when disabled', async () => {
+    (FairShareScheduler as any).instance = undefined;
+    scheduler = FairShareScheduler.getInstance({ ...config, enabled: false }, redis);
+
+    expect(await scheduler.enqueue('org/repo', QUEUE_CONFIG.priorities.HIGH)).toBe(QUEUE_CONFIG.priorities.HIGH);
+    for (let i = 0; i < 10; i++) {
+      expect(await acquire(scheduler, 'org/repo')).toBe(true);
+    }
+  });
+
+  it('should free the slots of jobs whose leases ran out', async () => {
+    const crashedNode = new (FairShareScheduler as any)({ ...config, tenants: {} }, redis) as FairShareScheduler;
+
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    for (let i = 0; i < 3; i++) {
+      expect(await acquire(crashedNode, 'big/monorepo')).toBe(true);
+    }
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(false);
+
+    // The crashed node stops renewing its leases and never releases them
+    (crashedNode as any).renewals.forEach((timer: NodeJS.Timeout) => clearInterval(timer));
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(10000);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    expect(await acquire(scheduler, 'big/monorepo')).toBe(true);
+    expect((await scheduler.getStats())['big/monorepo'].running).toBe(2);
+    expect(await redis.zrange('fair-share:leases', 0, -1)).toEqual(['job-1', 'job-6']);
+  });
+
+  it('should renew leases of running jobs and count a job picked up again once', async () => {
+    expect(await scheduler.tryAcquire('org/repo', 'job-1')).toBe(true);
+    const deadline = Number(await redis.zscore('fair-share:leases', 'job-1'));
+
+    jest.advanceTimersByTime(10000);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(Number(await redis.zscore('fair-share:leases', 'job-1'))).toBeGreaterThan(deadline);
+
+    expect(await scheduler.tryAcquire('org/repo', 'job-1')).toBe(true);
+    expect((await scheduler.getStats())['org/repo'].running).toBe(1);
+
+    await scheduler.release('org/repo', 'job-1');
+    await scheduler.release('org/repo', 'job-1');
+    expect((await scheduler.getStats())['org/repo'].running).toBe(0);
+  });
+});
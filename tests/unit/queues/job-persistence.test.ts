@@ -0,0 +1,263 @@
+import { JobPersistence } from '../../../src/queues/job-persistence';
+import { JobJournal } from '../../../src/queues/job-journal';
+import { QueueManager } from '../../../src/queues/queue-manager';
+import { QueueEvents } from 'bullmq';
+import { JobType } from '../../../src/queues/config/redis-config';
+import database from '../../../src/services/database';
+
+jest.mock('bullmq', () => ({
+  ...jest.requireActual('bullmq'),
+  Job: jest.fn().mockImplementation((_queue, name, data, opts, id) => ({ id, name, data, opts })),
+  QueueEvents: jest.fn()
+}));
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/queues/job-journal', () => ({
+  JobJournal: { getInstance: jest.fn() }
+}));
+// Only file mode uses DatabaseService; the module is not in this tree, so
+// it is mocked virtually to let job-persistence load
+jest.mock('../../../src/services/database-service', () => ({
+  DatabaseService: { getInstance: jest.fn() }
+}), { virtual: true });
+jest.mock('../../../src/services/database', () => ({
+  __esModule: true,
+  default: { transaction: jest.fn() }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const entry = (jobId: string, status: string) => ({
+  jobId,
+  queueName: 'job-execution',
+  jobType: JobType.EXECUTE_WORKFLOW,
+  data: { type: JobType.EXECUTE_WORKFLOW, data: { repository: 'org/repo' } },
+  opts: { priority: 1, jobId },
+  status,
+  attemptsMade: 0
+});
+
+describe('JobPersistence outbox mode', () => {
+  let persistence: JobPersistence;
+  let journal: any;
+  let queue: any;
+  let flowProducer: any;
+  let client: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JOB_PERSISTENCE_MODE = 'outbox';
+
+    queue = {
+      opts: { connection: {} },
+      add: jest.fn(async (name: string, data: any, opts: any) => ({ id: opts.jobId, name, data, opts })),
+      getJob: jest.fn().mockResolvedValue(undefined)
+    };
+    flowProducer = {
+      add: jest.fn(async (flow: any) => ({ job: { id: flow.opts.jobId }, children: [] }))
+    };
+    (QueueManager.getInstance as jest.Mock).mockReturnValue({
+      getQueue: jest.fn().mockReturnValue(queue),
+      getFlowProducer: jest.fn().mockReturnValue(flowProducer)
+    });
+
+    journal = {
+      record: jest.fn(),
+      markDispatched: jest.fn(),
+      updateState: jest.fn(),
+      getRecoverable: jest.fn().mockResolvedValue([]),
+      getCompleted: jest.fn().mockResolvedValue(new Map()),
+      snapshot: jest.fn(),
+      dispatchPending: jest.fn()
+    };
+    (JobJournal.getInstance as jest.Mock).mockReturnValue(journal);
+
+    client = { query: jest.fn() };
+    (database.transaction as jest.Mock).mockImplementation(async (callback: any) => callback(client));
+
+    (JobPersistence as any).instance = undefined;
+    persistence = JobPersistence.getInstance();
+  });
+
+  afterAll(() => {
+    delete process.env.JOB_PERSISTENCE_MODE;
+  });
+
+  it('should journal the job and the state write in one transaction before enqueueing', async () => {
+    const write = jest.fn();
+    const job = await persistence.enqueue('job-execution', JobType.EXECUTE_WORKFLOW, { run: 1 }, { priority: 2 }, write);
+
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(journal.record).toHaveBeenCalledWith(client, expect.objectContaining({
+      jobId: job.id,
+      queueName: 'job-execution',
+      opts: { priority: 2, jobId: job.id }
+    }));
+    expect(write).toHaveBeenCalledWith(client);
+    expect(queue.add).toHaveBeenCalledWith(JobType.EXECUTE_WORKFLOW, { run: 1 }, { priority: 2, jobId: job.id });
+    expect(journal.markDispatched).toHaveBeenCalledWith(job.id);
+  });
+
+  it('should not enqueue when the transaction fails', async () => {
+    const write = jest.fn().mockRejectedValue(new Error('constraint violation'));
+
+    await expect(persistence.enqueue('job-execution', JobType.EXECUTE_WORKFLOW, {}, {}, write))
+      .rejects.toThrow('constraint violation');
+    expect(queue.add).not.toHaveBeenCalled();
+  });
+
+  it('should keep the job in the outbox when Redis is unavailable', async () => {
+    queue.add.mockRejectedValue(new Error('Connection is closed'));
+
+    const job = await persistence.enqueue('job-execution', JobType.EXECUTE_WORKFLOW, {}, { jobId: 'job-1' });
+
+    expect(job.id).toBe('job-1');
+    expect(journal.markDispatched).not.toHaveBeenCalled();
+  });
+
+  it('should rebuild the queues from the journal without duplicating jobs', async () => {
+    journal.getRecoverable
+      .mockResolvedValueOnce([entry('a', 'enqueued'), entry('b', 'active')])
+      .mockResolvedValueOnce([entry('c', 'pending')]);
+    queue.getJob.mockImplementation(async (id: string) => (id === 'b' ? { id } : undefined));
+
+    const results = await persistence.recoverJobs({ batchSize: 2 });
+
+    expect(journal.getRecoverable).toHaveBeenNthCalledWith(
+      1, ['failed', 'active', 'pending', 'enqueued'], expect.any(Date), 2, ''
+    );
+    expect(journal.getRecoverable).toHaveBeenNthCalledWith(2, expect.any(Array), expect.any(Date), 2, 'b');
+    expect(queue.add.mock.calls.map((call: any[]) => call[2].jobId)).toEqual(['a', 'c']);
+    expect(journal.updateState).toHaveBeenCalledWith('a', 'enqueued');
+    expect(results).toEqual({ 'job-execution': 2 });
+  });
+
+  it('should journal a flow as one entry and deliver it through the flow producer', async () => {
+    const children = [{ name: JobType.WORKFLOW_JOB, queueName: 'job-execution', opts: { jobId: 'run/build' } }];
+
+    const node = await persistence.enqueueFlow({
+      name: JobType.WORKFLOW_RUN,
+      queueName: 'job-execution',
+      data: { runId: 1 },
+      opts: { jobId: 'run' },
+      children
+    });
+
+    expect(journal.record).toHaveBeenCalledWith(client, expect.objectContaining({
+      jobId: 'run',
+      jobType: JobType.WORKFLOW_RUN,
+      children
+    }));
+    expect(flowProducer.add).toHaveBeenCalledWith(expect.objectContaining({ opts: { jobId: 'run' }, children }));
+    expect(queue.add).not.toHaveBeenCalled();
+    expect(journal.markDispatched).toHaveBeenCalledWith('run');
+    expect(node.job.id).toBe('run');
+  });
+
+  it('should rebuild a lost flow from its journal entry', async () => {
+    const children = [{ name: JobType.WORKFLOW_JOB, queueName: 'job-execution', opts: { jobId: 'run/build' } }];
+    journal.getRecoverable.mockResolvedValueOnce([{ ...entry('run', 'enqueued'), children }]);
+
+    await persistence.recoverJobs();
+
+    expect(flowProducer.add).toHaveBeenCalledWith(expect.objectContaining({
+      opts: expect.objectContaining({ jobId: 'run', delay: 0 }),
+      children
+    }));
+    expect(queue.add).not.toHaveBeenCalled();
+  });
+
+  it('should not run the completed stages of a lost flow again', async () => {
+    const stage = (suffix: string, child?: any) => ({
+      name: suffix,
+      queueName: 'job-execution',
+      data: { type: suffix },
+      opts: { jobId: `run/build/${suffix}` },
+      children: child ? [child] : undefined
+    });
+    const children = [{
+      name: JobType.WORKFLOW_JOB,
+      queueName: 'job-execution',
+      opts: { jobId: 'run/build' },
+      children: [stage('cleanup', stage('execute', stage('prepare')))]
+    }];
+    journal.getRecoverable.mockResolvedValueOnce([{ ...entry('run', 'enqueued'), children }]);
+    journal.getCompleted.mockResolvedValue(new Map([['run/build/execute', { conclusion: 'failure' }], ['run/build/prepare', null]]));
+
+    await persistence.recoverJobs();
+
+    expect(journal.getCompleted).toHaveBeenCalledWith(['run/build', 'run/build/cleanup', 'run/build/execute', 'run/build/prepare']);
+    const [cleanup] = flowProducer.add.mock.calls[0][0].children[0].children;
+    expect(cleanup.data.recovered).toBeUndefined();
+    expect(cleanup.children).toEqual([{
+      ...stage('execute'),
+      data: { type: 'execute', recovered: { returnvalue: { conclusion: 'failure' } } }
+    }]);
+  });
+
+  it('should journal completed stages of flows from queue events', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(process, 'on').mockReturnValue(process);
+    const listeners = new Map<string, (event: any) => Promise<void>>();
+    (QueueEvents as unknown as jest.Mock).mockImplementation(() => ({
+      on: (event: string, listener: any) => listeners.set(event, listener)
+    }));
+    journal.updateState.mockResolvedValue(false);
+    queue.getJob.mockImplementation(async (id: string) => ({
+      id,
+      name: JobType.EXECUTE_WORKFLOW,
+      queueName: 'job-execution',
+      data: {},
+      opts: { jobId: id },
+      attemptsMade: 1,
+      returnvalue: { conclusion: 'success' },
+      parentKey: id === 'run/build/execute' ? 'bull:job-execution:run/build/cleanup' : undefined,
+      getState: jest.fn().mockResolvedValue('completed')
+    }));
+
+    try {
+      await persistence.setupAutoPersistence();
+      await listeners.get('completed')!({ jobId: 'run/build/execute', returnvalue: { conclusion: 'success' } });
+      await listeners.get('completed')!({ jobId: 'unjournaled' });
+
+      expect(journal.updateState).toHaveBeenCalledWith('run/build/execute', 'completed', { returnvalue: { conclusion: 'success' } });
+      expect(journal.snapshot).toHaveBeenCalledTimes(1);
+      expect(journal.snapshot).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: 'run/build/execute',
+        status: 'completed',
+        returnvalue: { conclusion: 'success' }
+      }));
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+      (process.on as jest.Mock).mockRestore();
+    }
+  });
+
+  it('should journal failed jobs from queue events', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(process, 'on').mockReturnValue(process);
+    const listeners = new Map<string, (event: any) => Promise<void>>();
+    (QueueEvents as unknown as jest.Mock).mockImplementation(() => ({
+      on: (event: string, listener: any) => listeners.set(event, listener)
+    }));
+
+    try {
+      await persistence.setupAutoPersistence();
+      await listeners.get('failed')!({ jobId: 'job-1', failedReason: 'exit code 1' });
+
+      expect(journal.updateState).toHaveBeenCalledWith('job-1', 'failed', { failedReason: 'exit code 1' });
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+      (process.on as jest.Mock).mockRestore();
+    }
+  });
+});
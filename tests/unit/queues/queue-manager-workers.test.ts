@@ -0,0 +1,73 @@
+import { Worker } from 'bullmq';
+import { QueueManager } from '../../../src/queues/queue-manager';
+import { QUEUE_CONFIG } from '../../../src/queues/config/redis-config';
+import { RetryHandler } from '../../../src/queues/retry-handler';
+
+jest.mock('bullmq', () => ({
+  ...jest.requireActual('bullmq'),
+  Queue: jest.fn().mockImplementation(() => ({ on: jest.fn() })),
+  Worker: jest.fn().mockImplementation(() => ({ on: jest.fn() }))
+}));
+// The processors and the fair-share scheduler depend on services missing from this tree
+jest.mock('../../../src/queues/processors/job-processor', () => ({ JobProcessor: {} }));
+jest.mock('../../../src/queues/processors/container-processor', () => ({ ContainerProcessor: {} }));
+jest.mock('../../../src/queues/processors/monitoring-processor', () => ({ MonitoringProcessor: {} }));
+jest.mock('../../../src/queues/processors/webhook-processor', () => ({ WebhookProcessor: {} }));
+jest.mock('../../../src/queues/processors/cleanup-processor', () => ({ CleanupProcessor: {} }));
+jest.mock('../../../src/queues/fair-share-scheduler', () => ({
+  FairShareScheduler: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/queues/job-persistence', () => ({
+  JobPersistence: { getInstance: jest.fn() },
+  getPersistenceMode: jest.fn()
+}));
+jest.mock('../../../src/queues/retry-handler', () => ({
+  RetryHandler: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/services/database', () => ({
+  __esModule: true,
+  default: { query: jest.fn() }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('QueueManager workers', () => {
+  let retryHandler: { attachToWorker: jest.Mock };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (QueueManager as any).instance = undefined;
+    retryHandler = { attachToWorker: jest.fn() };
+    (RetryHandler.getInstance as jest.Mock).mockReturnValue(retryHandler);
+  });
+
+  it('should hand failed jobs of every worker to the retry handler', async () => {
+    const queueManager = QueueManager.getInstance({
+      enableScheduler: false,
+      enableFlowProducer: false,
+      enableDashboard: false
+    });
+    await queueManager.initialize();
+
+    const workers = (Worker as unknown as jest.Mock).mock.results.map(result => result.value);
+    expect(workers).toHaveLength(5);
+    expect((Worker as unknown as jest.Mock).mock.calls.map(([queueName]) => queueName).sort())
+      .toEqual([
+        QUEUE_CONFIG.queues.JOB_EXECUTION,
+        QUEUE_CONFIG.queues.CONTAINER_MANAGEMENT,
+        QUEUE_CONFIG.queues.MONITORING,
+        QUEUE_CONFIG.queues.WEBHOOK_PROCESSING,
+        QUEUE_CONFIG.queues.CLEANUP
+      ].sort());
+    expect(retryHandler.attachToWorker).toHaveBeenCalledTimes(workers.length);
+    for (const worker of workers) {
+      expect(retryHandler.attachToWorker).toHaveBeenCalledWith(worker);
+    }
+  });
+});
@@ -2,9 +2,23 @@ import { RetryHandler } from '../../../src/queues/retry-handler';
 import { JobType } from '../../../src/queues/config/redis-config';
 import { Job, UnrecoverableError } from 'bullmq';
 
-// Mock dependencies
-jest.mock('../../../src/services/alerting-service');
-jest.mock('../../../src/services/database-service');
+// Mock dependencies. alerting-service and database-service are not in this
+// tree, so they are mocked virtually to let the retry handler load
+jest.mock('../../../src/services/alerting-service', () => ({
+  AlertingService: { getInstance: jest.fn(() => mockAlertingService) }
+}), { virtual: true });
+jest.mock('../../../src/services/database-service', () => ({
+  DatabaseService: { getInstance: jest.fn(() => mockDatabaseService) }
+}), { virtual: true });
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn(() => mockQueueManager) }
+}));
+jest.mock('../../../src/queues/dead-letter-queue', () => ({
+  DeadLetterQueue: { getInstance: jest.fn(() => mockDeadLetterQueue) }
+}));
+jest.mock('../../../src/queues/concurrency-manager', () => ({
+  ConcurrencyManager: { getInstance: jest.fn(() => ({ isCancelled: jest.fn().mockResolvedValue(false) })) }
+}));
 jest.mock('../../../src/utils/logger', () => ({
   logger: {
     info: jest.fn(),
@@ -14,6 +28,16 @@ jest.mock('../../../src/utils/logger', () => ({
   }
 }));
 
+const mockDatabaseService = {
+  recordJobFailure: jest.fn(),
+  recordJobEvent: jest.fn(),
+  updateJobStatus: jest.fn(),
+  getJobFailureStats: jest.fn()
+};
+const mockAlertingService = { sendAlert: jest.fn(), sendFallbackAlert: jest.fn() };
+const mockQueueManager = { addJob: jest.fn() };
+const mockDeadLetterQueue = { add: jest.fn() };
+
 describe('RetryHandler', () => {
   let retryHandler: RetryHandler;
   let mockJob: Partial<Job>;
@@ -31,6 +55,7 @@ describe('RetryHandler', () => {
       name: JobType.EXECUTE_WORKFLOW,
       data: { type: JobType.EXECUTE_WORKFLOW, data: { test: true } },
       attemptsMade: 1,
+      opts: { attempts: 3 },
       queue: {
         add: jest.fn()
       } as any
@@ -150,10 +175,36 @@ describe('RetryHandler', () => {
     it('should throw UnrecoverableError for non-retryable errors', async () => {
       const error = new Error('AUTHENTICATION_FAILED');
       mockJob.name = JobType.EXECUTE_WORKFLOW;
+      mockJob.attemptsMade = 3;
       
       await expect(
         retryHandler.handleJobFailure(mockJob as Job, error)
       ).rejects.toThrow(UnrecoverableError);
+      expect(mockAlertingService.sendAlert).not.toHaveBeenCalled();
+      expect(mockDeadLetterQueue.add).toHaveBeenCalledWith(mockJob, error);
+    });
+    
+    it('should dead-letter jobs only once BullMQ has used up their attempts', async () => {
+      const error = new Error('DOCKER_PULL_ERROR');
+      
+      // The strategy allows 5 attempts, BullMQ stops after the job's 3
+      const prepare = { ...mockJob, name: JobType.PREPARE_RUNNER, attemptsMade: 3, opts: { attempts: 3 } };
+      await expect(retryHandler.handleJobFailure(prepare as Job, error)).rejects.toThrow('Max attempts (3) reached');
+      expect(mockDeadLetterQueue.add).toHaveBeenCalledWith(prepare, error);
+      
+      // The strategy allows 2 attempts, BullMQ still retries the third
+      jest.clearAllMocks();
+      const cleanup = { ...mockJob, name: JobType.CLEANUP_RUNNER, attemptsMade: 2, opts: { attempts: 3 } };
+      await expect(retryHandler.handleJobFailure(cleanup as Job, error)).rejects.toThrow(error);
+      expect(mockDeadLetterQueue.add).not.toHaveBeenCalled();
+      expect(mockAlertingService.sendAlert).not.toHaveBeenCalled();
+    });
+    
+    it('should dead-letter unrecoverable errors with attempts left', async () => {
+      const error = new UnrecoverableError('Workflow run 42 was cancelled');
+      
+      await expect(retryHandler.handleJobFailure(mockJob as Job, error)).rejects.toThrow(UnrecoverableError);
+      expect(mockDeadLetterQueue.add).toHaveBeenCalledWith(mockJob, error);
     });
     
     it('should throw UnrecoverableError when max attempts reached', async () => {
@@ -174,8 +225,9 @@ describe('RetryHandler', () => {
       const error = new Error('Health check failed');
       mockJob.name = JobType.HEALTH_CHECK;
       mockJob.attemptsMade = 1;
+      mockJob.opts = { attempts: 1 };
       
-      // Health checks have maxAttempts = 1
+      // Health checks are queued with a single attempt
       await expect(
         retryHandler.handleJobFailure(mockJob as Job, error)
       ).rejects.toThrow(UnrecoverableError);
@@ -196,7 +248,9 @@ describe('RetryHandler', () => {
       await handler.onMaxAttemptsReached(mockJob as Job, error);
       
       // Should trigger cleanup
-      expect(mockJob.queue?.add).toHaveBeenCalled();
+      expect(mockQueueManager.addJob).toHaveBeenCalledWith(
+        expect.any(String), JobType.CLEANUP_RUNNER, expect.objectContaining({ type: JobType.CLEANUP_RUNNER })
+      );
     });
     
     it('should execute fallback alert for failed alerts', async () => {
@@ -275,15 +329,12 @@ describe('RetryHandler', () => {
   
   describe('Failure Statistics', () => {
     it('should return failure stats', async () => {
-      const { DatabaseService } = require('../../../src/services/database-service');
-      DatabaseService.getInstance.mockReturnValue({
-        getJobFailureStats: jest.fn().mockResolvedValue({
-          total: 100,
-          byType: { [JobType.EXECUTE_WORKFLOW]: 50 },
-          byError: { 'NETWORK_TIMEOUT': 30 },
-          averageAttempts: 2.5,
-          recent: []
-        })
+      mockDatabaseService.getJobFailureStats.mockResolvedValue({
+        total: 100,
+        byType: { [JobType.EXECUTE_WORKFLOW]: 50 },
+        byError: { 'NETWORK_TIMEOUT': 30 },
+        averageAttempts: 2.5,
+        recent: []
       });
       
       const stats = await retryHandler.getFailureStats();
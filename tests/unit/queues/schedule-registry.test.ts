@@ -0,0 +1,194 @@
+import { EventEmitter } from 'events';
+import { ScheduleRegistry } from '../../../src/queues/schedule-registry';
+import { QueueManager } from '../../../src/queues/queue-manager';
+import { JobType } from '../../../src/queues/config/redis-config';
+import { ConflictError, NotFoundError, ValidationError } from '../../../src/utils/errors';
+
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+describe('ScheduleRegistry', () => {
+  let registry: ScheduleRegistry;
+  let hash: Map<string, string>;
+  let seeded: Set<string>;
+  let schedulers: Map<string, any>;
+  let queue: any;
+  let queueManager: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    hash = new Map();
+    seeded = new Set();
+    schedulers = new Map();
+    const client = {
+      hgetall: jest.fn(async () => Object.fromEntries(hash)),
+      hget: jest.fn(async (_key: string, id: string) => hash.get(id) ?? null),
+      hset: jest.fn(async (_key: string, id: string, value: string) => hash.set(id, value)),
+      hdel: jest.fn(async (_key: string, id: string) => (hash.delete(id) ? 1 : 0)),
+      sismember: jest.fn(async (_key: string, id: string) => (seeded.has(id) ? 1 : 0)),
+      sadd: jest.fn(async (_key: string, id: string) => seeded.add(id))
+    };
+    queue = {
+      client: Promise.resolve(client),
+      upsertJobScheduler: jest.fn(async (id: string, repeat: any, template: any) => {
+        schedulers.set(id, { key: id, ...repeat, template, next: 1700000000000 });
+      }),
+      removeJobScheduler: jest.fn(async (id: string) => schedulers.delete(id)),
+      getJobSchedulers: jest.fn(async () => Array.from(schedulers.values())),
+      add: jest.fn(async (name: string, data: any) => ({ id: 'manual-1', name, data }))
+    };
+    queueManager = {
+      getQueue: jest.fn().mockReturnValue(queue),
+      startScheduledWorker: jest.fn(),
+      stopScheduledWorker: jest.fn()
+    };
+    (QueueManager.getInstance as jest.Mock).mockReturnValue(queueManager);
+
+    (ScheduleRegistry as any).instance = undefined;
+    registry = ScheduleRegistry.getInstance();
+  });
+
+  it('should create a cron schedule in a time zone', async () => {
+    const schedule = await registry.create('log-cleanup', {
+      type: JobType.CLEANUP_LOGS,
+      cron: '0 3 * * *',
+      timezone: 'Europe/Berlin',
+      data: { maxAge: 1000 }
+    }, 'admin');
+
+    expect(schedule).toMatchObject({ id: 'log-cleanup', paused: false, updatedBy: 'admin' });
+    expect(queue.upsertJobScheduler).toHaveBeenCalledWith(
+      'log-cleanup',
+      { pattern: '0 3 * * *', tz: 'Europe/Berlin' },
+      expect.objectContaining({
+        name: JobType.CLEANUP_LOGS,
+        data: { type: JobType.CLEANUP_LOGS, data: { maxAge: 1000 }, scheduleId: 'log-cleanup' }
+      })
+    );
+
+    const [listed] = await registry.list();
+    expect(listed.nextRunAt).toBe(new Date(1700000000000).toISOString());
+  });
+
+  it('should reject invalid schedules', async () => {
+    await expect(registry.create('bad', { type: JobType.EXECUTE_WORKFLOW, every: 60000 })).rejects.toThrow(ValidationError);
+    await expect(registry.create('bad', { type: JobType.CLEANUP_LOGS })).rejects.toThrow('Exactly one of cron or every');
+    await expect(registry.create('bad', { type: JobType.CLEANUP_LOGS, cron: 'daily' })).rejects.toThrow('Invalid cron');
+    await expect(registry.create('bad', { type: JobType.CLEANUP_LOGS, cron: '61 * * * *' })).rejects.toThrow('Invalid cron');
+    await expect(registry.create('bad', { type: JobType.CLEANUP_LOGS, cron: '0 3 * * MON-XYZ' })).rejects.toThrow('Invalid cron');
+    await expect(registry.create('bad', { type: JobType.CLEANUP_LOGS, cron: '0 3 * * *', timezone: 'Mars/Olympus' }))
+      .rejects.toThrow('Unknown time zone');
+
+    await registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 });
+    await expect(registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 })).rejects.toThrow(ConflictError);
+    await expect(registry.pause('missing')).rejects.toThrow(NotFoundError);
+  });
+
+  it('should not store a schedule BullMQ rejected', async () => {
+    queue.upsertJobScheduler.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    await expect(registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 })).rejects.toThrow('Redis unavailable');
+    expect(hash.has('metrics')).toBe(false);
+  });
+
+  it('should pause, resume, switch timing and run now', async () => {
+    await registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 });
+
+    const paused = await registry.pause('metrics');
+    expect(paused.paused).toBe(true);
+    expect(schedulers.has('metrics')).toBe(false);
+    expect(JSON.parse(hash.get('metrics')!).paused).toBe(true);
+
+    await registry.resume('metrics');
+    expect(schedulers.get('metrics').every).toBe(60000);
+
+    const updated = await registry.update('metrics', { cron: '*/5 * * * *' });
+    expect(updated.every).toBeUndefined();
+    expect(updated.timezone).toBe('UTC');
+    expect(schedulers.get('metrics')).toMatchObject({ pattern: '*/5 * * * *', tz: 'UTC' });
+
+    const job = await registry.runNow('metrics');
+    expect(job.id).toBe('manual-1');
+    expect(queue.add).toHaveBeenCalledWith(
+      JobType.COLLECT_METRICS,
+      expect.objectContaining({ scheduleId: 'metrics' }),
+      expect.any(Object)
+    );
+  });
+
+  it('should seed defaults once and keep deletions', async () => {
+    await registry.ensureDefaults();
+    expect((await registry.list()).map(schedule => schedule.id)).toEqual([
+      'cleanup-containers', 'cleanup-job-containers', 'cleanup-logs', 'cleanup-old-jobs', 'collect-metrics', 'reconcile-webhooks'
+    ]);
+
+    expect(await registry.delete('cleanup-logs')).toBe(true);
+    await registry.ensureDefaults();
+    expect(await registry.get('cleanup-logs')).toBeUndefined();
+  });
+
+  it('should run schedules only while leading', async () => {
+    await registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 });
+    await registry.pause('metrics');
+    // Left behind by a schedule deleted while another node was leading
+    schedulers.set('orphan', { key: 'orphan' });
+
+    const election: any = new EventEmitter();
+    election.isCurrentLeader = () => false;
+    await registry.bindLeaderElection(election);
+    expect(queueManager.startScheduledWorker).not.toHaveBeenCalled();
+
+    election.emit('leadership:acquired', { nodeId: 'node-1' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(registry.isLeader()).toBe(true);
+    expect(queueManager.startScheduledWorker).toHaveBeenCalled();
+    expect(schedulers.has('orphan')).toBe(false);
+    expect(schedulers.has('metrics')).toBe(false);
+
+    election.emit('leadership:lost', { nodeId: 'node-1' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(queueManager.stopScheduledWorker).toHaveBeenCalled();
+    expect(registry.isLeader()).toBe(false);
+  });
+
+  it('should not lead until the schedules are synced', async () => {
+    await registry.create('metrics', { type: JobType.COLLECT_METRICS, every: 60000 });
+    queue.getJobSchedulers.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    await expect(registry.setLeader(true)).rejects.toThrow('Redis unavailable');
+    expect(registry.isLeader()).toBe(false);
+    expect(queueManager.startScheduledWorker).not.toHaveBeenCalled();
+
+    await registry.setLeader(true);
+    expect(registry.isLeader()).toBe(true);
+    expect(queueManager.startScheduledWorker).toHaveBeenCalled();
+  });
+
+  it('should reconcile webhooks once on becoming leader', async () => {
+    await registry.ensureDefaults();
+
+    await registry.setLeader(true);
+    expect(queue.add).toHaveBeenCalledTimes(1);
+    expect(queue.add).toHaveBeenCalledWith(
+      JobType.RECONCILE_WEBHOOKS,
+      expect.objectContaining({ scheduleId: 'reconcile-webhooks' }),
+      expect.any(Object)
+    );
+
+    // Not while the schedule is paused
+    await registry.setLeader(false);
+    await registry.pause('reconcile-webhooks');
+    await registry.setLeader(true);
+    expect(queue.add).toHaveBeenCalledTimes(1);
+  });
+});
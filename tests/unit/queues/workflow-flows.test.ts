@@ -0,0 +1,252 @@
+import { WorkflowFlows } from '../../../src/queues/workflow-flows';
+import { QueueManager } from '../../../src/queues/queue-manager';
+import { ConcurrencyManager } from '../../../src/queues/concurrency-manager';
+import { JobType } from '../../../src/queues/config/redis-config';
+import { JobParser } from '../../../src/orchestrator/job-parser';
+
+jest.mock('../../../src/queues/queue-manager', () => ({
+  QueueManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/queues/concurrency-manager', () => ({
+  ConcurrencyManager: { getInstance: jest.fn() }
+}));
+jest.mock('../../../src/queues/fair-share-scheduler', () => ({
+  FairShareScheduler: { getInstance: () => ({ enqueue: (_repository: string, priority: number) => priority }) }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const workflowRun = { id: 42, run_attempt: 1, name: 'CI', workflow_id: 7 };
+const repository = { full_name: 'org/repo', name: 'repo' };
+
+const workflow = `
+name: CI
+on: push
+jobs:
+  build:
+    runs-on: [self-hosted, linux]
+    strategy:
+      matrix:
+        node: [18, 20]
+    steps:
+      - run: npm test
+  deploy:
+    runs-on: self-hosted
+    needs: build
+    timeout-minutes: 10
+    steps:
+      - run: ./deploy.sh
+`;
+
+const stageJob = (type: JobType, flow: any, children: { values?: any; ignored?: any } = {}): any => ({
+  data: { type, data: { runId: 42 }, flow },
+  getChildrenValues: jest.fn().mockResolvedValue(children.values || {}),
+  getIgnoredChildrenFailures: jest.fn().mockResolvedValue(children.ignored || {})
+});
+
+describe('WorkflowFlows', () => {
+  let flows: WorkflowFlows;
+  let jobs: Map<string, any>;
+  let queueManager: any;
+  let cancelled: boolean;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    jobs = new Map();
+    cancelled = false;
+    queueManager = {
+      getQueue: jest.fn().mockReturnValue({ getJob: jest.fn(async (id: string) => jobs.get(id)) }),
+      createFlow: jest.fn(async (flow: any) => ({ job: { id: flow.opts.jobId } })),
+      getFlow: jest.fn()
+    };
+    (QueueManager.getInstance as jest.Mock).mockReturnValue(queueManager);
+    (ConcurrencyManager.getInstance as jest.Mock).mockReturnValue({ isCancelled: () => cancelled });
+
+    (WorkflowFlows as any).instance = undefined;
+    flows = WorkflowFlows.getInstance();
+  });
+
+  it('should build one job node per matrix combination with chained stages', () => {
+    const flow = flows.build(workflowRun, repository, JobParser.getInstance().parseWorkflow(workflow));
+
+    expect(flow).toMatchObject({ name: JobType.WORKFLOW_RUN, opts: { jobId: 'workflow-run/42/1' } });
+    expect(flow.children!.map(child => child.opts!.jobId)).toEqual([
+      'workflow-run/42/1/build/1',
+      'workflow-run/42/1/build/2',
+      'workflow-run/42/1/deploy'
+    ]);
+
+    const [cleanup] = flow.children![2].children!;
+    const [execute] = cleanup.children!;
+    const [prepare] = execute.children!;
+    expect([cleanup.name, execute.name, prepare.name]).toEqual([
+      JobType.CLEANUP_RUNNER, JobType.EXECUTE_WORKFLOW, JobType.PREPARE_RUNNER
+    ]);
+    expect(prepare.opts).toMatchObject({ jobId: 'workflow-run/42/1/deploy/prepare', failParentOnFailure: true });
+    expect(execute.opts).toMatchObject({ ignoreDependencyOnFailure: true });
+    expect(execute.data.data).toMatchObject({ repository: 'org/repo', jobName: 'deploy', timeout: 600000 });
+    expect(prepare.data.flow.needs).toEqual(['workflow-run/42/1/build/1', 'workflow-run/42/1/build/2']);
+  });
+
+  it('should hold PREPARE_RUNNER back until the jobs it needs succeed', async () => {
+    const needs = ['run/build/1', 'run/build/2'];
+    const prepare = stageJob(JobType.PREPARE_RUNNER, { runId: 42, needs });
+    const node = (state: string, conclusion?: string) => ({
+      getState: jest.fn().mockResolvedValue(state),
+      returnvalue: conclusion ? { conclusion } : undefined
+    });
+
+    jobs.set('run/build/1', node('completed', 'success'));
+    jobs.set('run/build/2', node('waiting-children'));
+    expect(await flows.checkStage(prepare)).toEqual({ action: 'wait' });
+
+    jobs.set('run/build/2', node('completed', 'success'));
+    expect(await flows.checkStage(prepare)).toEqual({ action: 'run', conclusion: 'success' });
+
+    jobs.set('run/build/2', node('completed', 'failure'));
+    expect(await flows.checkStage(prepare)).toEqual({ action: 'skip', conclusion: 'skipped' });
+
+    cancelled = true;
+    expect(await flows.checkStage(prepare)).toEqual({ action: 'skip', conclusion: 'cancelled' });
+  });
+
+  it('should start matrix legs within max-parallel and cancel them on failure with fail-fast', async () => {
+    const node = (state: string, conclusion?: string) => ({
+      getState: jest.fn().mockResolvedValue(state),
+      returnvalue: conclusion ? { conclusion } : undefined
+    });
+    const leg = (index: number, failFast: boolean) => stageJob(JobType.PREPARE_RUNNER, {
+      runId: 42,
+      needs: [],
+      matrix: { legs: 'run/build', index, total: 3, failFast, maxParallel: 1 }
+    });
+
+    const flow = flows.build(workflowRun, repository, JobParser.getInstance().parseWorkflow(
+      workflow.replace('node: [18, 20]', 'node: [18, 20]\n      max-parallel: 1')
+    ));
+    expect(flow.children![1].children![0].children![0].children![0].data.flow.matrix).toEqual({
+      legs: 'workflow-run/42/1/build', index: 1, total: 2, failFast: true, maxParallel: 1
+    });
+
+    jobs.set('run/build/1', node('waiting-children'));
+    jobs.set('run/build/2', node('waiting-children'));
+    jobs.set('run/build/3', node('waiting-children'));
+    expect(await flows.checkStage(leg(0, false))).toEqual({ action: 'run', conclusion: 'success' });
+    expect(await flows.checkStage(leg(1, false))).toEqual({ action: 'wait' });
+
+    jobs.set('run/build/1', node('completed', 'success'));
+    expect(await flows.checkStage(leg(1, false))).toEqual({ action: 'run', conclusion: 'success' });
+    expect(await flows.checkStage(leg(2, false))).toEqual({ action: 'wait' });
+
+    jobs.set('run/build/2', node('completed', 'failure'));
+    expect(await flows.checkStage(leg(2, false))).toEqual({ action: 'run', conclusion: 'success' });
+    expect(await flows.checkStage(leg(2, true))).toEqual({ action: 'skip', conclusion: 'cancelled' });
+  });
+
+  it('should carry conclusions from stage to stage', async () => {
+    const flow = { runId: 42, jobKey: 'build' };
+
+    const execute = stageJob(JobType.EXECUTE_WORKFLOW, flow, { values: { 'bull:q:prepare': { conclusion: 'skipped' } } });
+    expect(await flows.checkStage(execute)).toEqual({ action: 'skip', conclusion: 'skipped' });
+
+    // Cleanup still runs after a failed execution
+    const cleanup = stageJob(JobType.CLEANUP_RUNNER, flow, { ignored: { 'bull:q:execute': 'exit code 1' } });
+    expect(await flows.checkStage(cleanup)).toEqual({ action: 'run', conclusion: 'failure' });
+    expect(flows.conclude(JobType.CLEANUP_RUNNER, { success: true }, 'failure')).toBe('failure');
+    expect(flows.conclude(JobType.EXECUTE_WORKFLOW, { exitCode: 2 }, 'success')).toBe('failure');
+
+    const skippedCleanup = stageJob(JobType.CLEANUP_RUNNER, flow, { values: { 'bull:q:execute': { conclusion: 'skipped' } } });
+    expect(await flows.checkStage(skippedCleanup)).toEqual({ action: 'skip', conclusion: 'skipped' });
+  });
+
+  it('should aggregate job conclusions on the run node', async () => {
+    const run = stageJob(JobType.WORKFLOW_RUN, { runId: 42 }, {
+      values: {
+        'bull:job-execution:workflow-run/42/1/build': { conclusion: 'success' },
+        'bull:job-execution:workflow-run/42/1/deploy': { conclusion: 'skipped' }
+      }
+    });
+    run.data.data = { runId: 42, repository: 'org/repo' };
+
+    expect(await flows.aggregate(run)).toEqual({
+      runId: 42,
+      conclusion: 'success',
+      jobs: { 'workflow-run/42/1/build': 'success', 'workflow-run/42/1/deploy': 'skipped' }
+    });
+
+    run.getChildrenValues.mockResolvedValue({
+      'bull:job-execution:workflow-run/42/1/build': { conclusion: 'failure' },
+      'bull:job-execution:workflow-run/42/1/deploy': { conclusion: 'skipped' }
+    });
+    expect((await flows.aggregate(run)).conclusion).toBe('failure');
+  });
+
+  it('should return the tree of the latest attempt', async () => {
+    jobs.set('workflow-run/42/1', {});
+    jobs.set('workflow-run/42/2', {});
+    const job = (id: string, name: string, returnvalue?: any) => ({
+      id,
+      name,
+      returnvalue,
+      progress: 100,
+      timestamp: 1700000000000,
+      finishedOn: 1700000060000,
+      getState: jest.fn().mockResolvedValue('completed')
+    });
+    queueManager.getFlow.mockResolvedValue({
+      job: job('workflow-run/42/2', JobType.WORKFLOW_RUN, { conclusion: 'success' }),
+      children: [{ job: job('workflow-run/42/2/build', JobType.WORKFLOW_JOB, { conclusion: 'success' }) }]
+    });
+
+    const tree = await flows.getTree(42);
+
+    expect(queueManager.getFlow).toHaveBeenCalledWith({ id: 'workflow-run/42/2', queueName: 'job-execution' });
+    expect(tree).toMatchObject({
+      id: 'workflow-run/42/2',
+      state: 'completed',
+      conclusion: 'success',
+      children: [{ id: 'workflow-run/42/2/build', type: JobType.WORKFLOW_JOB, children: [] }]
+    });
+  });
+
+  it('should replay a dead-lettered EXECUTE_WORKFLOW stage as a flow of its own', async () => {
+    const flow = flows.build(workflowRun, repository, JobParser.getInstance().parseWorkflow(workflow));
+    const deploy = flow.children!.find(child => child.opts!.jobId === 'workflow-run/42/1/deploy')!;
+    const toNode = (node: any): any => ({
+      job: { id: node.opts.jobId, name: node.name, data: node.data, opts: node.opts },
+      children: (node.children || []).map(toNode)
+    });
+    queueManager.getFlow.mockResolvedValue(toNode(deploy));
+
+    const execute = deploy.children![0].children![0];
+    const edited = { ...execute.data, data: { ...execute.data.data, commands: ['./deploy.sh --retry'] } };
+    const replayed = await flows.replayStage('workflow-run/42/1/deploy/execute', edited);
+
+    expect(queueManager.getFlow).toHaveBeenCalledWith({ id: 'workflow-run/42/1/deploy', queueName: 'job-execution' });
+    const [replay] = queueManager.createFlow.mock.calls[0];
+    expect(replay.opts.jobId).toMatch(/^workflow-run\/42\/1\/deploy\/replay-\d+$/);
+    expect(replayed.id).toBe(replay.opts.jobId);
+
+    const cleanup = replay.children[0];
+    const replayedExecute = cleanup.children[0];
+    const prepare = replayedExecute.children[0];
+    expect([cleanup.name, replayedExecute.name, prepare.name])
+      .toEqual([JobType.CLEANUP_RUNNER, JobType.EXECUTE_WORKFLOW, JobType.PREPARE_RUNNER]);
+    expect(replayedExecute.opts.jobId).toBe(`${replay.opts.jobId}/execute`);
+    expect(replayedExecute.data.data.commands).toEqual(['./deploy.sh --retry']);
+    // Its needs already succeeded in the original flow
+    expect(prepare.data.flow).toEqual({ runId: 42, jobKey: 'deploy' });
+    expect(prepare.opts.failParentOnFailure).toBe(true);
+    expect(prepare.children).toBeUndefined();
+
+    // Runs like any stage: the replayed PREPARE_RUNNER goes ahead without waiting
+    expect(await flows.checkStage(stageJob(JobType.PREPARE_RUNNER, prepare.data.flow))).toEqual({ action: 'run', conclusion: 'success' });
+  });
+});
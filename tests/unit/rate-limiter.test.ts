@@ -0,0 +1,92 @@
+import { Request, Response, NextFunction } from 'express';
+import { rateLimiter } from '../../src/middleware/rate-limiter';
+import authMiddleware from '../../src/middleware/auth';
+import apiRateLimiter from '../../src/services/api-rate-limiter';
+
+jest.mock('../../src/middleware/auth', () => ({
+  __esModule: true,
+  default: { identify: jest.fn() }
+}));
+
+jest.mock('../../src/services/api-rate-limiter', () => ({
+  __esModule: true,
+  default: { hit: jest.fn() }
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+describe('rateLimiter middleware', () => {
+  let req: Partial<Request>;
+  let res: any;
+  let next: NextFunction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = { method: 'GET', originalUrl: '/api/monitoring/system?range=1h', ip: '10.0.0.1', headers: {} };
+    res = {
+      locals: {},
+      setHeader: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+
+    (apiRateLimiter.hit as jest.Mock).mockResolvedValue({
+      allowed: true, bucket: 'monitoring', limit: 120, remaining: 119, windowMs: 60000, resetMs: 59500
+    });
+  });
+
+  it('should count authenticated users by id and role', async () => {
+    (authMiddleware.identify as jest.Mock).mockReturnValue({ sub: 'user-1', role: 'operator' });
+
+    await rateLimiter(req as Request, res as Response, next);
+
+    expect(apiRateLimiter.hit).toHaveBeenCalledWith({ identity: 'user:user-1', role: 'operator' }, 'GET', '/api/monitoring/system');
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Limit', '120');
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Remaining', '119');
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Reset', '60');
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Policy', '120;w=60');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should count API tokens by token id', async () => {
+    (authMiddleware.identify as jest.Mock).mockResolvedValue({ sub: 'user-1', role: 'viewer', tokenId: 'token-1' });
+
+    await rateLimiter(req as Request, res as Response, next);
+
+    expect(apiRateLimiter.hit).toHaveBeenCalledWith({ identity: 'token:token-1', role: 'viewer' }, 'GET', '/api/monitoring/system');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should fall back to the client IP and answer 429 with Retry-After', async () => {
+    (authMiddleware.identify as jest.Mock).mockReturnValue(null);
+    (apiRateLimiter.hit as jest.Mock).mockResolvedValue({
+      allowed: false, bucket: 'default', limit: 100, remaining: 0, windowMs: 900000, resetMs: 30200
+    });
+
+    await rateLimiter(req as Request, res as Response, next);
+
+    expect(apiRateLimiter.hit).toHaveBeenCalledWith({ identity: 'ip:10.0.0.1' }, 'GET', '/api/monitoring/system');
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '31');
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should count a request once when limiters are stacked', async () => {
+    (authMiddleware.identify as jest.Mock).mockReturnValue(null);
+
+    await rateLimiter(req as Request, res as Response, next);
+    await rateLimiter(req as Request, res as Response, next);
+
+    expect(apiRateLimiter.hit).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,96 @@
+import express from 'express';
+import request from 'supertest';
+import authMiddleware from '../../src/middleware/auth';
+import database from '../../src/services/database';
+import runnerRoutes from '../../src/routes/runners';
+import { RunnerController } from '../../src/controllers/runner-controller';
+
+jest.mock('../../src/controllers/runner-controller', () => {
+  const respond = (_req: any, res: any) => res.json({ success: true });
+  const controller = {
+    listRunners: jest.fn(respond),
+    getRunner: jest.fn(respond),
+    removeRunner: jest.fn(respond),
+    listPools: jest.fn(respond),
+    createGroupPool: jest.fn(respond),
+    getPool: jest.fn(respond),
+    updatePool: jest.fn(respond),
+    scalePool: jest.fn(respond),
+    getPoolMetrics: jest.fn(respond)
+  };
+  return { RunnerController: jest.fn(() => controller) };
+});
+jest.mock('../../src/middleware/rate-limiter', () => ({
+  rateLimiter: (_req: any, _res: any, next: any) => next()
+}));
+// No stored roles or policies, so the built-in roles decide
+jest.mock('../../src/services/database', () => ({
+  __esModule: true,
+  default: { query: jest.fn().mockResolvedValue([]) }
+}));
+
+const mockRunnerController = new RunnerController() as jest.Mocked<RunnerController>;
+
+describe('runner routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/runners', runnerRoutes);
+
+  const tokenFor = (role: 'admin' | 'operator' | 'viewer') => `Bearer ${authMiddleware.generateToken({
+    sub: `${role}-1`,
+    username: role,
+    role,
+    permissions: []
+  })}`;
+
+  beforeAll(() => {
+    (authMiddleware as any).jwtSecret = 'test-secret-key-for-jwt-testing';
+    (authMiddleware as any).initialized = true;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let only users who may change runners create group pools', async () => {
+    const body = { scope: 'organization', owner: 'acme', runnerGroup: 'builders' };
+
+    const denied = await request(app)
+      .post('/api/runners/pools/groups')
+      .set('Authorization', tokenFor('viewer'))
+      .send(body);
+    expect(denied.status).toBe(403);
+    expect(denied.body.message).toBe('Required permission: runners:write on organization:acme/builders');
+    expect(mockRunnerController.createGroupPool).not.toHaveBeenCalled();
+
+    const allowed = await request(app)
+      .post('/api/runners/pools/groups')
+      .set('Authorization', tokenFor('operator'))
+      .send(body);
+    expect(allowed.status).toBe(200);
+    expect(mockRunnerController.createGroupPool).toHaveBeenCalled();
+  });
+
+  it('should authorize runner and pool changes for the repository they belong to', async () => {
+    (database.query as jest.Mock).mockResolvedValueOnce([{ repository: 'acme/other' }]);
+
+    const removal = await request(app).delete('/api/runners/runner-1').set('Authorization', tokenFor('operator'));
+    expect(removal.status).toBe(403);
+    expect(removal.body.message).toBe('Required permission: runners:delete on acme/other');
+    expect(mockRunnerController.removeRunner).not.toHaveBeenCalled();
+
+    const update = await request(app)
+      .put('/api/runners/pools/acme_app')
+      .set('Authorization', tokenFor('viewer'))
+      .send({ maxRunners: 5 });
+    expect(update.status).toBe(403);
+    expect(update.body.message).toBe('Required permission: runners:write on acme/app');
+
+    const allowed = await request(app)
+      .put('/api/runners/pools/acme_app')
+      .set('Authorization', tokenFor('operator'))
+      .send({ maxRunners: 5 });
+    expect(allowed.status).toBe(200);
+    expect(mockRunnerController.updatePool).toHaveBeenCalled();
+  });
+});